@@ -0,0 +1,2368 @@
+/*
+ * USIU-Africa Study Pod Booking System - Booking Engine
+ * Every booking rule lives here, away from the DOM, so the same code runs in the widget, in Node
+ * and behind any other front end. script.js is only a view over a PodBookingEngine instance.
+ *
+ * In the browser this is a classic script loaded before script.js, so its functions are globals;
+ * in Node it is loaded with require() and exports the same names.
+ *
+ * Errors are returned as objects instead of English strings so each front end can word them itself:
+ *   { code: 'CAPACITY_EXCEEDED', student: null, pod: 'POD-A', date: '2025-10-20', time: '09:00', seatsTaken: 3, adding: 2, capacity: 4 }
+ * student, pod, date and time are always present (null when they don't apply); see ERROR_CODES for the extras.
+ */
+
+// Business limits shared by every front end
+// Longest booking a group can make in one go, in 1-hour blocks
+const MAX_BOOKING_HOURS = 4;
+
+// Upper limit for a single pod's capacity
+const MAX_POD_CAPACITY = 12;
+
+// Pod catalogue used until staff change it (and by servers that share bookings between desks)
+// minGroupSize is the smallest group a booking may hold (pods saved without one take 1)
+const DEFAULT_PODS = [
+    { id: "POD-A", capacity: 4, minGroupSize: 1, amenities: ["whiteboard", "power"], openTime: "08:00", closeTime: "20:00", retired: false },
+    { id: "POD-B", capacity: 4, minGroupSize: 1, amenities: ["screen", "power"], openTime: "08:00", closeTime: "20:00", retired: false },
+    { id: "POD-C", capacity: 4, minGroupSize: 1, amenities: ["power"], openTime: "08:00", closeTime: "20:00", retired: false },
+];
+
+// Student ID rules: school prefix, dash, three digits (e.g. SIT-001, SMC-210)
+// Unknown IDs are only checked once a registry has been imported; 'flag' warns, 'reject' blocks the booking
+const DEFAULT_STUDENT_SETTINGS = {
+    idPattern: '^[A-Z]{3}-\\d{3}$',
+    unknownIdPolicy: 'flag'
+};
+
+// Check-in: groups can check in from shortly before their start until the booking ends; a booking
+// with nobody checked in once the grace period after its start has passed is released as a no-show
+const CHECK_IN_OPENS_MINUTES = 15;
+const MAX_GRACE_MINUTES = 120;
+const DEFAULT_CHECK_IN_SETTINGS = {
+    graceMinutes: 15
+};
+
+// Fair-use policies checked alongside the booking rules, per student: hours in one day (across all pods),
+// hours in a row without a break, and how many days ahead a booking may be made
+const DEFAULT_POLICY_SETTINGS = {
+    maxHoursPerDay: 6,
+    maxConsecutiveHours: 4,
+    maxDaysAhead: 30
+};
+
+// Allowed range for each policy setting
+const POLICY_LIMITS = {
+    maxHoursPerDay: { min: 1, max: 12 },
+    maxConsecutiveHours: { min: 1, max: 12 },
+    maxDaysAhead: { min: 0, max: 365 }
+};
+
+// Rule and policy errors counted as violations when a booking attempt is rejected, by breakdown category
+const VIOLATION_TYPES = {
+    ALREADY_IN_POD: 'duplicate',
+    CROSS_POD_CLASH: 'duplicate',
+    DAILY_HOURS_EXCEEDED: 'dailyHours',
+    CONSECUTIVE_HOURS_EXCEEDED: 'consecutiveHours',
+    GROUP_TOO_SMALL: 'groupSize',
+    TOO_FAR_AHEAD: 'daysAhead'
+};
+
+// Most rejected attempts kept in the violation log; the oldest are dropped first
+const MAX_VIOLATION_LOG_ENTRIES = 500;
+
+// Alternatives offered when a booking is rejected, best first: each is scored by the hours it moves the
+// booking plus 1 for another pod or 2 for splitting the group; ties go to the kind listed first, then the earlier start
+const MAX_SUGGESTIONS = 5;
+const SUGGESTION_KIND_ORDER = ['time', 'pod', 'split'];
+
+// Confirmation codes handed to each student who is booked, which let them cancel their own seat without staff
+// Letters and digits that are easy to tell apart when read out or copied (no 0/O or 1/I)
+const CONFIRMATION_CODE_LENGTH = 6;
+const CONFIRMATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Recurring bookings: a weekly pattern is booked as one booking per date, all carrying the same seriesId
+// Most sessions one series may hold (a year of weekly meetings)
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Error codes returned by the engine, with the extra fields each one carries
+const ERROR_CODES = {
+    DUPLICATE_IN_REQUEST: 'DUPLICATE_IN_REQUEST', // student listed twice in one request
+    UNKNOWN_POD: 'UNKNOWN_POD', // pod
+    POD_RETIRED: 'POD_RETIRED', // pod
+    INVALID_DATE: 'INVALID_DATE', // date
+    PAST_DATE: 'PAST_DATE', // date
+    INVALID_DURATION: 'INVALID_DURATION', // duration, maxHours
+    OUTSIDE_HOURS: 'OUTSIDE_HOURS', // pod, time, openTime, closeTime
+    PAST_CLOSING: 'PAST_CLOSING', // pod, time, duration, closeTime
+    NOT_ON_THE_HOUR: 'NOT_ON_THE_HOUR', // pod, time
+    NO_STUDENTS: 'NO_STUDENTS',
+    INVALID_STUDENT_ID: 'INVALID_STUDENT_ID', // student
+    UNREGISTERED_STUDENT: 'UNREGISTERED_STUDENT', // student
+    CAPACITY_EXCEEDED: 'CAPACITY_EXCEEDED', // pod, date, time, seatsTaken, adding, capacity
+    ALREADY_IN_POD: 'ALREADY_IN_POD', // student, pod, date, time
+    CROSS_POD_CLASH: 'CROSS_POD_CLASH', // student, pod, date, time, otherPod
+    BOOKING_NOT_FOUND: 'BOOKING_NOT_FOUND', // bookingId
+    STUDENT_NOT_IN_BOOKING: 'STUDENT_NOT_IN_BOOKING', // student, bookingId
+    ALREADY_WAITING: 'ALREADY_WAITING', // student, pod, date, time
+    INVALID_POD_ID: 'INVALID_POD_ID', // pod
+    POD_EXISTS: 'POD_EXISTS', // pod
+    INVALID_CAPACITY: 'INVALID_CAPACITY', // capacity, maxCapacity
+    MISSING_HOURS: 'MISSING_HOURS',
+    CLOSES_BEFORE_OPENING: 'CLOSES_BEFORE_OPENING',
+    HOURS_NOT_ON_THE_HOUR: 'HOURS_NOT_ON_THE_HOUR',
+    BOOKING_OUTSIDE_NEW_HOURS: 'BOOKING_OUTSIDE_NEW_HOURS', // pod, date, time
+    BOOKING_OVER_NEW_CAPACITY: 'BOOKING_OVER_NEW_CAPACITY', // pod, date, time, seatsTaken
+    BOOKING_CONFLICT: 'BOOKING_CONFLICT', // bookingId, pod, date, time - changed or removed elsewhere since it was last read
+    BOOKING_REJECTED: 'BOOKING_REJECTED', // bookingId, pod, date, time, status - refused by a booking server without a reason
+    SETTINGS_REJECTED: 'SETTINGS_REJECTED', // status - shared settings refused by a booking server without a reason
+    CHECK_IN_NOT_OPEN: 'CHECK_IN_NOT_OPEN', // pod, date, time, opensAt
+    CHECK_IN_CLOSED: 'CHECK_IN_CLOSED', // pod, date, time
+    ALREADY_CHECKED_IN: 'ALREADY_CHECKED_IN', // student, pod, date, time
+    INVALID_GRACE_PERIOD: 'INVALID_GRACE_PERIOD', // graceMinutes, maxMinutes
+    DAILY_HOURS_EXCEEDED: 'DAILY_HOURS_EXCEEDED', // student, date, hoursBooked, adding, maxHours
+    CONSECUTIVE_HOURS_EXCEEDED: 'CONSECUTIVE_HOURS_EXCEEDED', // student, date, time, consecutiveHours, maxHours
+    GROUP_TOO_SMALL: 'GROUP_TOO_SMALL', // pod, groupSize, minGroupSize
+    TOO_FAR_AHEAD: 'TOO_FAR_AHEAD', // date, maxDaysAhead, lastDate
+    INVALID_MIN_GROUP_SIZE: 'INVALID_MIN_GROUP_SIZE', // pod, minGroupSize, capacity
+    INVALID_POLICY_LIMIT: 'INVALID_POLICY_LIMIT', // setting, value, min, max
+    INVALID_CONFIRMATION_CODE: 'INVALID_CONFIRMATION_CODE', // student, pod, date, time, bookingId
+    INVALID_SERIES_END: 'INVALID_SERIES_END', // date, endDate - missing, unreadable or before the first date
+    NO_SERIES_WEEKDAYS: 'NO_SERIES_WEEKDAYS',
+    TOO_MANY_OCCURRENCES: 'TOO_MANY_OCCURRENCES', // maxOccurrences
+    SERIES_NOT_FOUND: 'SERIES_NOT_FOUND', // seriesId - no booking belongs to it
+    SERIES_ENDED: 'SERIES_ENDED' // seriesId - every session left has started
+};
+
+// Date and Time Helpers
+
+/**
+ * Formats a Date as YYYY-MM-DD using local time
+ * toISOString() is avoided because it converts to UTC and can shift the day
+ */
+function toDateString(date) {
+    const year = date.getFullYear();
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Returns today's date as YYYY-MM-DD
+ */
+function getTodayDateString() {
+    return toDateString(new Date());
+}
+
+/**
+ * Parses a YYYY-MM-DD string into a local Date at midnight
+ * Returns null for empty, malformed or impossible dates (e.g. 2025-02-30)
+ */
+function parseDateString(dateString) {
+    if (!dateString || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        return null;
+    }
+    
+    const dateParts = dateString.split('-');
+    const year = parseInt(dateParts[0], 10);
+    const month = parseInt(dateParts[1], 10);
+    const day = parseInt(dateParts[2], 10);
+    const date = new Date(year, month - 1, day);
+    
+    // The Date constructor rolls invalid days over into the next month, so check nothing moved
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    
+    return date;
+}
+
+/**
+ * Moves a YYYY-MM-DD date forwards or backwards by a number of days
+ */
+function addDays(dateString, days) {
+    const date = parseDateString(dateString);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+}
+
+/**
+ * Returns the local Date and time a booking starts, or null when its date or time can't be read
+ */
+function getBookingStart(booking) {
+    const date = parseDateString(booking.date);
+    const minutes = parseTimeToMinutes(booking.time);
+    if (!date || minutes === null) {
+        return null;
+    }
+    
+    date.setMinutes(minutes);
+    return date;
+}
+
+/**
+ * Converts an HH:MM string into minutes since midnight
+ * Edge case handling: empty strings, invalid formats, out-of-range values
+ * Returns null when the time can't be read
+ */
+function parseTimeToMinutes(timeString) {
+    if (!timeString || timeString.trim() === '') {
+        return null;
+    }
+    
+    // Parse HH:MM format
+    const timeParts = timeString.split(':');
+    if (timeParts.length !== 2) {
+        return null;
+    }
+    
+    const hour = parseInt(timeParts[0], 10);
+    const minute = parseInt(timeParts[1], 10);
+    
+    // Validate parsed values
+    if (isNaN(hour) || isNaN(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+        return null;
+    }
+    
+    return hour * 60 + minute;
+}
+
+/**
+ * Validates if time falls within a pod's opening hours (closing time is exclusive)
+ * With the default 08:00-20:00 hours, 08:00-19:59 are valid but 20:00 and beyond are not
+ */
+function isWithinOperatingHours(timeString, pod) {
+    const minutes = parseTimeToMinutes(timeString);
+    if (minutes === null) {
+        return false;
+    }
+    
+    return minutes >= parseTimeToMinutes(pod.openTime) && minutes < parseTimeToMinutes(pod.closeTime);
+}
+
+/**
+ * Adds whole hours to an HH:MM time string, keeping the minutes
+ * e.g. addHours("14:00", 2) -> "16:00"
+ */
+function addHours(timeString, hours) {
+    const timeParts = timeString.split(':');
+    const hour = parseInt(timeParts[0], 10) + hours;
+    return `${hour.toString().padStart(2, '0')}:${timeParts[1]}`;
+}
+
+/**
+ * Lists the start time of every 1-hour block a booking covers
+ * e.g. getCoveredTimes("14:00", 3) -> ["14:00", "15:00", "16:00"]
+ */
+function getCoveredTimes(timeString, duration) {
+    const coveredTimes = [];
+    for (let i = 0; i < duration; i++) {
+        coveredTimes.push(addHours(timeString, i));
+    }
+    return coveredTimes;
+}
+
+/**
+ * Counts the whole 1-hour blocks a pod can be booked for in a day
+ * e.g. 08:00-20:00 -> 12
+ */
+function getOpeningHourCount(pod) {
+    const openMinutes = parseTimeToMinutes(pod.openTime);
+    const closeMinutes = parseTimeToMinutes(pod.closeTime);
+    if (openMinutes === null || closeMinutes === null || closeMinutes <= openMinutes) {
+        return 0;
+    }
+    return Math.floor((closeMinutes - openMinutes) / 60);
+}
+
+/**
+ * Hour of the day an HH:MM time falls in, e.g. "14:30" -> 14
+ */
+function getClockHour(timeString) {
+    return parseInt(timeString.split(':')[0], 10);
+}
+
+/**
+ * Sorts HH:MM time strings into time order in place (insertion sort; zero-padded times compare as strings)
+ */
+function sortTimes(times) {
+    for (let i = 1; i < times.length; i++) {
+        const time = times[i];
+        let j = i - 1;
+        while (j >= 0 && times[j] > time) {
+            times[j + 1] = times[j];
+            j--;
+        }
+        times[j + 1] = time;
+    }
+    return times;
+}
+
+/**
+ * Returns a sorted copy of a list of bookings (stable insertion sort, so equal bookings keep their order)
+ * sortKey is 'pod' (then start time), 'time' (then pod) or 'students' (group size); anything else keeps the order given
+ */
+function sortBookings(bookings, sortKey, descending) {
+    const sorted = [];
+    for (let i = 0; i < bookings.length; i++) {
+        let position = sorted.length;
+        while (position > 0 && compareBookings(sorted[position - 1], bookings[i], sortKey, descending) > 0) {
+            position--;
+        }
+        sorted.splice(position, 0, bookings[i]);
+    }
+    return sorted;
+}
+
+/**
+ * Compares two bookings for sortBookings: negative, zero or positive like any sort comparator
+ */
+function compareBookings(first, second, sortKey, descending) {
+    let result = 0;
+    if (sortKey === 'students') {
+        result = first.students.length - second.students.length;
+    } else if (sortKey === 'pod' || sortKey === 'time') {
+        // HH:MM times and pod IDs both compare as plain strings
+        const firstKeys = sortKey === 'pod' ? [first.podId, first.time] : [first.time, first.podId];
+        const secondKeys = sortKey === 'pod' ? [second.podId, second.time] : [second.time, second.podId];
+        for (let i = 0; i < firstKeys.length && result === 0; i++) {
+            if (firstKeys[i] < secondKeys[i]) {
+                result = -1;
+            } else if (firstKeys[i] > secondKeys[i]) {
+                result = 1;
+            }
+        }
+    }
+    return descending ? -result : result;
+}
+
+/**
+ * Orders two suggestions from suggestAlternatives: lower score, then earlier kind in SUGGESTION_KIND_ORDER, then earlier start
+ */
+function compareSuggestions(first, second) {
+    if (first.score !== second.score) {
+        return first.score - second.score;
+    }
+    const kindDifference = SUGGESTION_KIND_ORDER.indexOf(first.kind) - SUGGESTION_KIND_ORDER.indexOf(second.kind);
+    if (kindDifference !== 0) {
+        return kindDifference;
+    }
+    if (first.requests[0].time !== second.requests[0].time) {
+        return first.requests[0].time < second.requests[0].time ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Checks whether a booking occupies the 1-hour block starting at timeString
+ */
+function bookingCoversTime(booking, timeString) {
+    const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+    for (let i = 0; i < coveredTimes.length; i++) {
+        if (coveredTimes[i] === timeString) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// General Helpers
+
+/**
+ * Finds the first student ID that appears twice in one request
+ * Returns the repeated ID or null if every ID is unique
+ */
+function findRepeatedStudentId(studentIds) {
+    const uniqueIds = [];
+    for (let i = 0; i < studentIds.length; i++) {
+        const id = studentIds[i];
+        
+        for (let j = 0; j < uniqueIds.length; j++) {
+            if (uniqueIds[j] === id) {
+                return id;
+            }
+        }
+        
+        uniqueIds.push(id);
+    }
+    return null;
+}
+
+/**
+ * Works out which students a logged attempt counts against, with the error codes for each
+ * Errors naming a student count for that student; errors about the whole group count for everyone in it
+ * Returns array of { student, codes }
+ */
+function getStudentsBlamed(entry) {
+    const blamed = [];
+    for (let i = 0; i < entry.errors.length; i++) {
+        const error = entry.errors[i];
+        const students = error.student ? [error.student] : entry.students;
+        
+        for (let j = 0; j < students.length; j++) {
+            let record = null;
+            for (let k = 0; k < blamed.length; k++) {
+                if (blamed[k].student === students[j]) {
+                    record = blamed[k];
+                    break;
+                }
+            }
+            if (!record) {
+                record = { student: students[j], codes: [] };
+                blamed.push(record);
+            }
+            if (record.codes.indexOf(error.code) === -1) {
+                record.codes.push(error.code);
+            }
+        }
+    }
+    return blamed;
+}
+
+/**
+ * Returns the IDs from the first list that are also in the second, in their original order
+ * Used to keep check-ins in step with the students still in a booking
+ */
+function keepStudentsInBooking(studentIds, bookingStudents) {
+    const kept = [];
+    for (let i = 0; i < studentIds.length; i++) {
+        for (let j = 0; j < bookingStudents.length; j++) {
+            if (bookingStudents[j] === studentIds[i]) {
+                kept.push(studentIds[i]);
+                break;
+            }
+        }
+    }
+    return kept;
+}
+
+/**
+ * Copies the confirmation codes of the given students, leaving out everyone else's
+ * Used like keepStudentsInBooking so codes stay in step with the students still in a booking
+ */
+function keepCodesInBooking(codes, bookingStudents) {
+    const kept = {};
+    for (let i = 0; i < bookingStudents.length; i++) {
+        if (codes[bookingStudents[i]]) {
+            kept[bookingStudents[i]] = codes[bookingStudents[i]];
+        }
+    }
+    return kept;
+}
+
+/**
+ * Gives every student in the list who has no confirmation code yet a new one of their own, so a code only
+ * ever cancels the seat of the student it was given to
+ * Returns the new codes as a student ID -> code map (empty when everyone already had one)
+ */
+function assignConfirmationCodes(codes, studentIds) {
+    const added = {};
+    for (let i = 0; i < studentIds.length; i++) {
+        if (!codes[studentIds[i]]) {
+            codes[studentIds[i]] = createConfirmationCode();
+            added[studentIds[i]] = codes[studentIds[i]];
+        }
+    }
+    return added;
+}
+
+/**
+ * Custom rounding function to 1 decimal place (requirement for fill rates)
+ * Avoids floating point precision issues
+ */
+function roundToOneDecimal(number) {
+    return Math.round(number * 10) / 10;
+}
+
+/**
+ * Creates a booking ID that stays the same when the booking is edited, moved or exported
+ * Time plus a random suffix, so bookings made in two browser tabs never collide
+ */
+function createBookingId() {
+    return `BK-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+}
+
+/**
+ * Creates the ID shared by every booking in a recurring series, made like a booking ID
+ */
+function createSeriesId() {
+    return `SR-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+}
+
+/**
+ * Creates a short random confirmation code, e.g. "K7Q2MX"
+ */
+function createConfirmationCode() {
+    let code = '';
+    for (let i = 0; i < CONFIRMATION_CODE_LENGTH; i++) {
+        code += CONFIRMATION_CODE_ALPHABET.charAt(Math.floor(Math.random() * CONFIRMATION_CODE_ALPHABET.length));
+    }
+    return code;
+}
+
+/**
+ * Builds an engine error object: the code, the usual student/pod/date/time fields and any extras
+ */
+function createError(code, details) {
+    const error = { code: code, student: null, pod: null, date: null, time: null };
+    for (const key in details) {
+        error[key] = details[key];
+    }
+    return error;
+}
+
+/**
+ * Returns a violation breakdown with every category (see VIOLATION_TYPES) at zero
+ */
+function createViolationCounts() {
+    const counts = {};
+    for (const code in VIOLATION_TYPES) {
+        counts[VIOLATION_TYPES[code]] = 0;
+    }
+    return counts;
+}
+
+// Booking Engine
+
+/**
+ * Holds the pods, bookings and waitlist and applies every booking rule to them
+ * Options (all optional): pods, bookings, waitlist, noShows, studentSettings, studentRegistry, checkInSettings,
+ * policySettings, violationCounts, violationLog, maxBookingHours, today - a function returning today's
+ * YYYY-MM-DD - and now - a function returning the current Date (both let tests and servers fix the clock)
+ * Arrays are used as given, not copied; the state fields are public so a view can read them directly
+ * Bookings are { id, podId, date, time, duration, students, checkedIn, confirmationCodes, seriesId } where
+ * confirmationCodes maps each student ID to the student's own code and seriesId links the bookings of
+ * one recurring series (null for a one-off booking); noShows holds released bookings
+ * with a releasedAt timestamp; violationLog holds rejected attempts as { loggedAt, podId, date, time,
+ * duration, students, errors }
+ */
+class PodBookingEngine {
+    constructor(options) {
+        const settings = options || {};
+        this.pods = [];
+        this.bookings = [];
+        this.waitlist = [];
+        this.noShows = [];
+        this.studentSettings = JSON.parse(JSON.stringify(DEFAULT_STUDENT_SETTINGS));
+        this.studentRegistry = [];
+        this.checkInSettings = JSON.parse(JSON.stringify(DEFAULT_CHECK_IN_SETTINGS));
+        this.policySettings = JSON.parse(JSON.stringify(DEFAULT_POLICY_SETTINGS));
+        this.violationCounts = createViolationCounts(); // Rejected attempts per VIOLATION_TYPES category
+        this.violationLog = [];
+        this.maxBookingHours = settings.maxBookingHours || MAX_BOOKING_HOURS;
+        this.today = settings.today || getTodayDateString;
+        this.now = settings.now || function () {
+            return new Date();
+        };
+        this.replaceState(settings);
+    }
+    
+    /**
+     * Swaps in any of pods, bookings, waitlist, noShows, studentSettings, studentRegistry, checkInSettings,
+     * policySettings, violationCounts and violationLog
+     * Keys that are missing keep their current value (e.g. undo only replaces bookings and waitlist)
+     */
+    replaceState(state) {
+        const keys = ['pods', 'bookings', 'waitlist', 'noShows', 'studentSettings', 'studentRegistry', 'checkInSettings', 'policySettings', 'violationCounts', 'violationLog'];
+        for (let i = 0; i < keys.length; i++) {
+            if (state[keys[i]] !== undefined) {
+                this[keys[i]] = state[keys[i]];
+            }
+        }
+        
+        // Bookings from older saves or other callers may not have an ID, check-in list, confirmation codes or series yet
+        for (let i = 0; i < this.bookings.length; i++) {
+            if (!this.bookings[i].id) {
+                this.bookings[i].id = createBookingId();
+            }
+            if (!Array.isArray(this.bookings[i].checkedIn)) {
+                this.bookings[i].checkedIn = [];
+            }
+            if (!this.bookings[i].confirmationCodes) {
+                this.bookings[i].confirmationCodes = {};
+            }
+            if (this.bookings[i].seriesId === undefined) {
+                this.bookings[i].seriesId = null;
+            }
+        }
+    }
+    
+    /**
+     * Returns an independent engine with deep copies of the state, for trying changes out (e.g. import previews)
+     */
+    clone() {
+        const copy = JSON.parse(JSON.stringify({
+            pods: this.pods,
+            bookings: this.bookings,
+            waitlist: this.waitlist,
+            noShows: this.noShows,
+            studentSettings: this.studentSettings,
+            studentRegistry: this.studentRegistry,
+            checkInSettings: this.checkInSettings,
+            policySettings: this.policySettings,
+            violationCounts: this.violationCounts,
+            violationLog: this.violationLog
+        }));
+        copy.maxBookingHours = this.maxBookingHours;
+        copy.today = this.today;
+        copy.now = this.now;
+        return new PodBookingEngine(copy);
+    }
+    
+    // Lookups
+    
+    /**
+     * Finds a pod in the catalogue by its ID
+     * Returns pod object or null if not found
+     */
+    findPod(podId) {
+        for (let i = 0; i < this.pods.length; i++) {
+            if (this.pods[i].id === podId) {
+                return this.pods[i];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Finds a booking by its ID
+     * Returns booking object or null if not found
+     */
+    findBookingById(bookingId) {
+        for (let i = 0; i < this.bookings.length; i++) {
+            if (this.bookings[i].id === bookingId) {
+                return this.bookings[i];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Finds existing booking with exactly this pod, date, start time and duration
+     * Used to merge new students into a group that is already booked; a series' bookings only merge with
+     * bookings of the same series (seriesId, null or left out for one-off bookings), so cancelling a series
+     * never takes other groups with it
+     * Returns booking object or null if not found
+     */
+    findBooking(podId, dateString, timeString, duration, seriesId) {
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            // Using === for strict equality as required
+            // Justification: Prevents type coercion issues and ensures exact matching
+            if (booking.podId === podId && booking.date === dateString && booking.time === timeString && booking.duration === duration
+                && (booking.seriesId || null) === (seriesId || null)) {
+                return booking;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Collects the bookings that fall on a given date
+     */
+    getBookingsForDate(dateString) {
+        const dayBookings = [];
+        for (let i = 0; i < this.bookings.length; i++) {
+            if (this.bookings[i].date === dateString) {
+                dayBookings.push(this.bookings[i]);
+            }
+        }
+        return dayBookings;
+    }
+    
+    /**
+     * Finds the bookings on a date that match every filter given, in booking order
+     * Filters (all optional): query (part of a student ID or pod ID, any case), podId, fromTime/toTime
+     * (HH:MM; a booking matches when any of it falls in the range) and occupancy ('full' or 'partial')
+     * A booking counts as full when every seat in its pod is taken, by it and any bookings overlapping it,
+     * during at least one hour it covers, i.e. nobody else could join it
+     */
+    searchBookings(dateString, filters) {
+        const settings = filters || {};
+        const query = settings.query ? settings.query.trim().toUpperCase() : '';
+        const fromMinutes = settings.fromTime ? parseTimeToMinutes(settings.fromTime) : null;
+        const toMinutes = settings.toTime ? parseTimeToMinutes(settings.toTime) : null;
+        const dayBookings = this.getBookingsForDate(dateString);
+        const matches = [];
+        
+        for (let i = 0; i < dayBookings.length; i++) {
+            const booking = dayBookings[i];
+            if (settings.podId && booking.podId !== settings.podId) {
+                continue;
+            }
+            
+            const startMinutes = parseTimeToMinutes(booking.time);
+            const endMinutes = startMinutes + booking.duration * 60;
+            if ((fromMinutes !== null && endMinutes <= fromMinutes) || (toMinutes !== null && startMinutes >= toMinutes)) {
+                continue;
+            }
+            
+            if (settings.occupancy) {
+                const pod = this.findPod(booking.podId);
+                let isFull = false;
+                if (pod !== null) {
+                    const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+                    for (let j = 0; j < coveredTimes.length && !isFull; j++) {
+                        isFull = this.countSeatsTaken(booking.podId, dateString, coveredTimes[j]) >= pod.capacity;
+                    }
+                }
+                if ((settings.occupancy === 'full') !== isFull) {
+                    continue;
+                }
+            }
+            
+            if (query && booking.podId.toUpperCase().indexOf(query) === -1) {
+                let hasStudent = false;
+                for (let j = 0; j < booking.students.length; j++) {
+                    if (booking.students[j].indexOf(query) !== -1) {
+                        hasStudent = true;
+                        break;
+                    }
+                }
+                if (!hasStudent) {
+                    continue;
+                }
+            }
+            
+            matches.push(booking);
+        }
+        return matches;
+    }
+    
+    /**
+     * Collects the waitlist entries for a given date, in queue order
+     */
+    getWaitlistForDate(dateString) {
+        const dayEntries = [];
+        for (let i = 0; i < this.waitlist.length; i++) {
+            if (this.waitlist[i].date === dateString) {
+                dayEntries.push(this.waitlist[i]);
+            }
+        }
+        return dayEntries;
+    }
+    
+    /**
+     * Gets the bookings released as no-shows on a specific date
+     */
+    getNoShowsForDate(dateString) {
+        const dayNoShows = [];
+        for (let i = 0; i < this.noShows.length; i++) {
+            if (this.noShows[i].date === dateString) {
+                dayNoShows.push(this.noShows[i]);
+            }
+        }
+        return dayNoShows;
+    }
+    
+    /**
+     * Collects every booking in a pod that occupies the given 1-hour block
+     * Bookings of different lengths can overlap, so there may be more than one
+     * excludeBooking (optional) is left out, so a booking being edited never clashes with itself
+     */
+    findBookingsCovering(podId, dateString, timeString, excludeBooking) {
+        const covering = [];
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            if (booking !== excludeBooking && booking.podId === podId && booking.date === dateString && bookingCoversTime(booking, timeString)) {
+                covering.push(booking);
+            }
+        }
+        return covering;
+    }
+    
+    /**
+     * Counts the seats taken in a pod during one 1-hour block
+     */
+    countSeatsTaken(podId, dateString, timeString, excludeBooking) {
+        const covering = this.findBookingsCovering(podId, dateString, timeString, excludeBooking);
+        let seatsTaken = 0;
+        for (let i = 0; i < covering.length; i++) {
+            seatsTaken += covering[i].students.length;
+        }
+        return seatsTaken;
+    }
+    
+    /**
+     * Checks if student is already in the given pod during one 1-hour block
+     * Implements same-slot duplicate rule
+     */
+    isStudentInPodAt(studentId, podId, dateString, timeString, excludeBooking) {
+        const covering = this.findBookingsCovering(podId, dateString, timeString, excludeBooking);
+        for (let i = 0; i < covering.length; i++) {
+            for (let j = 0; j < covering[i].students.length; j++) {
+                if (covering[i].students[j] === studentId) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Finds a booking in a different pod that has the student during one 1-hour block
+     * Implements cross-pod clash rule
+     * Returns the clashing booking or null
+     */
+    findCrossPodClash(studentId, dateString, timeString, excludePodId, excludeBooking) {
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            if (booking === excludeBooking) {
+                continue;
+            }
+            if (booking.date === dateString && booking.podId !== excludePodId && bookingCoversTime(booking, timeString)) {
+                for (let j = 0; j < booking.students.length; j++) {
+                    if (booking.students[j] === studentId) {
+                        return booking;
+                    }
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Works out the library-wide opening span: earliest opening and latest closing of active pods
+     * Falls back to 08:00-20:00 when every pod is retired
+     */
+    getLibraryHours() {
+        let openTime = null;
+        let closeTime = null;
+        
+        for (let i = 0; i < this.pods.length; i++) {
+            if (this.pods[i].retired) {
+                continue;
+            }
+            // HH:MM strings compare in time order
+            if (openTime === null || this.pods[i].openTime < openTime) {
+                openTime = this.pods[i].openTime;
+            }
+            if (closeTime === null || this.pods[i].closeTime > closeTime) {
+                closeTime = this.pods[i].closeTime;
+            }
+        }
+        
+        return { openTime: openTime || '08:00', closeTime: closeTime || '20:00' };
+    }
+    
+    /**
+     * Counts a pod's bookings from today onwards
+     */
+    countUpcomingBookings(podId) {
+        const today = this.today();
+        let upcomingCount = 0;
+        for (let i = 0; i < this.bookings.length; i++) {
+            if (this.bookings[i].podId === podId && this.bookings[i].date >= today) {
+                upcomingCount++;
+            }
+        }
+        return upcomingCount;
+    }
+    
+    // Student Registry
+    
+    /**
+     * Checks a student ID against the configured format pattern
+     */
+    isValidStudentIdFormat(studentId) {
+        return new RegExp(this.studentSettings.idPattern).test(studentId);
+    }
+    
+    /**
+     * Looks a student up in the registry
+     * Returns the registry entry or null if the student is unknown
+     */
+    findRegisteredStudent(studentId) {
+        for (let i = 0; i < this.studentRegistry.length; i++) {
+            if (this.studentRegistry[i].id === studentId) {
+                return this.studentRegistry[i];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Lists well-formed IDs that are missing from the registry
+     * Always empty until a registry has been imported
+     */
+    findUnregisteredStudentIds(studentIds) {
+        const unknownIds = [];
+        if (this.studentRegistry.length === 0) {
+            return unknownIds;
+        }
+        
+        for (let i = 0; i < studentIds.length; i++) {
+            if (this.isValidStudentIdFormat(studentIds[i]) && !this.findRegisteredStudent(studentIds[i])) {
+                unknownIds.push(studentIds[i]);
+            }
+        }
+        return unknownIds;
+    }
+    
+    // Validation
+    
+    /**
+     * Checks pod capacity for every hour a request covers (Rule 1)
+     * Assumes the pod, date, time and duration have already been validated
+     * Returns array of CAPACITY_EXCEEDED errors (empty if the group fits)
+     */
+    getCapacityErrors(request, excludeBooking) {
+        const errors = [];
+        const pod = this.findPod(request.podId);
+        const coveredTimes = getCoveredTimes(request.time, request.duration);
+        
+        for (let i = 0; i < coveredTimes.length; i++) {
+            const currentStudents = this.countSeatsTaken(request.podId, request.date, coveredTimes[i], excludeBooking);
+            
+            if (currentStudents + request.students.length > pod.capacity) {
+                errors.push(createError(ERROR_CODES.CAPACITY_EXCEEDED, {
+                    pod: request.podId,
+                    date: request.date,
+                    time: coveredTimes[i],
+                    seatsTaken: currentStudents,
+                    adding: request.students.length,
+                    capacity: pod.capacity
+                }));
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Comprehensive booking validation against all business rules
+     * Takes a request { podId, date, time, duration, students } and checks every covered hour
+     * Options: excludeBooking is ignored in conflict checks (pass the original when editing);
+     * ignoreCapacity skips Rule 1; dryRun checks without counting the attempt's violations
+     * Returns array of error objects (empty if valid); fair-use policy errors come after the rule errors
+     */
+    validate(request, options) {
+        const errors = [];
+        const settings = options || {};
+        const excludeBooking = settings.excludeBooking || null;
+        const podId = request.podId;
+        const dateString = request.date;
+        const timeString = request.time;
+        const studentIds = request.students;
+        const pod = this.findPod(podId);
+        
+        // A student listed twice would trip every other rule against themselves
+        const repeatedId = findRepeatedStudentId(studentIds);
+        if (repeatedId) {
+            errors.push(createError(ERROR_CODES.DUPLICATE_IN_REQUEST, { student: repeatedId }));
+            return errors;
+        }
+        
+        // Rule 7: Pod must exist in the catalogue and not be retired
+        if (!pod) {
+            errors.push(createError(ERROR_CODES.UNKNOWN_POD, { pod: podId }));
+            return errors; // Every remaining rule reads the pod's own settings
+        }
+        if (pod.retired) {
+            errors.push(createError(ERROR_CODES.POD_RETIRED, { pod: podId }));
+            return errors;
+        }
+        
+        // Rule 5: Date must be real and not already over
+        if (!parseDateString(dateString)) {
+            errors.push(createError(ERROR_CODES.INVALID_DATE, { date: dateString }));
+        } else if (dateString < this.today()) {
+            // YYYY-MM-DD strings sort in date order, so a plain comparison is enough
+            errors.push(createError(ERROR_CODES.PAST_DATE, { date: dateString }));
+        }
+        
+        // Rule 6: Length must be a whole number of hours within the limit
+        if (request.duration !== parseInt(request.duration, 10) || request.duration < 1 || request.duration > this.maxBookingHours) {
+            errors.push(createError(ERROR_CODES.INVALID_DURATION, { duration: request.duration, maxHours: this.maxBookingHours }));
+            return errors; // The hour-by-hour checks below need a usable duration
+        }
+        
+        // Rule 4: Operating hours validation against the pod's own opening hours
+        if (!isWithinOperatingHours(timeString, pod)) {
+            errors.push(createError(ERROR_CODES.OUTSIDE_HOURS, { pod: podId, time: timeString, openTime: pod.openTime, closeTime: pod.closeTime }));
+            return errors; // Covered hours can't be worked out from an unusable start time
+        }
+        
+        // Seats are counted per 1-hour block from the hour, so a 09:30 start would slip past the 09:00 bookings
+        if (parseTimeToMinutes(timeString) % 60 !== 0) {
+            errors.push(createError(ERROR_CODES.NOT_ON_THE_HOUR, { pod: podId, time: timeString }));
+            return errors;
+        }
+        
+        const coveredTimes = getCoveredTimes(timeString, request.duration);
+        for (let i = 1; i < coveredTimes.length; i++) {
+            if (!isWithinOperatingHours(coveredTimes[i], pod)) {
+                errors.push(createError(ERROR_CODES.PAST_CLOSING, { pod: podId, time: timeString, duration: request.duration, closeTime: pod.closeTime }));
+                break;
+            }
+        }
+        
+        // Edge case: Empty student list after parsing
+        if (studentIds.length === 0) {
+            errors.push(createError(ERROR_CODES.NO_STUDENTS, {}));
+        }
+        
+        // Rule 8: Every ID must match the configured format (one error per bad token)
+        for (let i = 0; i < studentIds.length; i++) {
+            if (!this.isValidStudentIdFormat(studentIds[i])) {
+                errors.push(createError(ERROR_CODES.INVALID_STUDENT_ID, { student: studentIds[i] }));
+            }
+        }
+        
+        // Rule 9: Unknown students are blocked when the registry policy says so
+        if (this.studentSettings.unknownIdPolicy === 'reject') {
+            const unknownIds = this.findUnregisteredStudentIds(studentIds);
+            for (let i = 0; i < unknownIds.length; i++) {
+                errors.push(createError(ERROR_CODES.UNREGISTERED_STUDENT, { student: unknownIds[i] }));
+            }
+        }
+        
+        // Rule 1: Capacity validation, hour by hour
+        if (!settings.ignoreCapacity) {
+            const capacityErrors = this.getCapacityErrors(request, excludeBooking);
+            for (let i = 0; i < capacityErrors.length; i++) {
+                errors.push(capacityErrors[i]);
+            }
+        }
+        
+        // Rule 2 & 3: Individual student conflict checking (one error per student per rule)
+        for (let i = 0; i < studentIds.length; i++) {
+            const studentId = studentIds[i];
+            
+            // Rule 2: Duplicate in same pod/time slot
+            for (let j = 0; j < coveredTimes.length; j++) {
+                if (this.isStudentInPodAt(studentId, podId, dateString, coveredTimes[j], excludeBooking)) {
+                    errors.push(createError(ERROR_CODES.ALREADY_IN_POD, { student: studentId, pod: podId, date: dateString, time: coveredTimes[j] }));
+                    break;
+                }
+            }
+            
+            // Rule 3: Cross-pod clash detection
+            for (let j = 0; j < coveredTimes.length; j++) {
+                const clash = this.findCrossPodClash(studentId, dateString, coveredTimes[j], podId, excludeBooking);
+                if (clash) {
+                    errors.push(createError(ERROR_CODES.CROSS_POD_CLASH, { student: studentId, pod: podId, date: dateString, time: coveredTimes[j], otherPod: clash.podId }));
+                    break;
+                }
+            }
+        }
+        
+        const policyErrors = this.getPolicyErrors(request, excludeBooking);
+        for (let i = 0; i < policyErrors.length; i++) {
+            errors.push(policyErrors[i]);
+        }
+        
+        if (!settings.dryRun) {
+            this.countViolations(errors);
+        }
+        return errors;
+    }
+    
+    /**
+     * Checks a request against the fair-use policies: how far ahead it is, the pod's minimum group size,
+     * and each student's hours that day and hours in a row (counting bookings in every pod)
+     * Assumes the rest of validate has run far enough to know the pod, duration and start time are usable
+     * Returns array of policy error objects (empty if the request is within every limit)
+     */
+    getPolicyErrors(request, excludeBooking) {
+        const errors = [];
+        const policy = this.policySettings;
+        const pod = this.findPod(request.podId);
+        
+        if (parseDateString(request.date) && request.date >= this.today()) {
+            const lastDate = addDays(this.today(), policy.maxDaysAhead);
+            if (request.date > lastDate) {
+                errors.push(createError(ERROR_CODES.TOO_FAR_AHEAD, { date: request.date, maxDaysAhead: policy.maxDaysAhead, lastDate: lastDate }));
+            }
+        }
+        
+        // A group joining an existing slot is merged into it, so the merged booking is what must be big enough
+        const minGroupSize = pod.minGroupSize || 1;
+        if (request.students.length > 0 && minGroupSize > 1) {
+            const mergeTarget = this.findBooking(request.podId, request.date, request.time, request.duration, request.seriesId);
+            const groupSize = request.students.length + (mergeTarget && mergeTarget !== excludeBooking ? mergeTarget.students.length : 0);
+            if (groupSize < minGroupSize) {
+                errors.push(createError(ERROR_CODES.GROUP_TOO_SMALL, { pod: request.podId, groupSize: groupSize, minGroupSize: minGroupSize }));
+            }
+        }
+        
+        const requestStart = parseTimeToMinutes(request.time);
+        for (let i = 0; i < request.students.length; i++) {
+            const studentId = request.students[i];
+            
+            // Start minute of every hour the student already has that day; hours the request overlaps
+            // are clashes, already reported by rules 2 and 3, so the student's limits aren't checked too
+            const bookedStarts = {};
+            let hoursBooked = 0;
+            for (let j = 0; j < this.bookings.length; j++) {
+                const booking = this.bookings[j];
+                if (booking === excludeBooking || booking.date !== request.date || keepStudentsInBooking([studentId], booking.students).length === 0) {
+                    continue;
+                }
+                hoursBooked += booking.duration;
+                for (let k = 0; k < booking.duration; k++) {
+                    bookedStarts[parseTimeToMinutes(booking.time) + k * 60] = true;
+                }
+            }
+            
+            let clashes = false;
+            for (let j = 0; j < request.duration; j++) {
+                if (bookedStarts[requestStart + j * 60]) {
+                    clashes = true;
+                }
+            }
+            if (clashes) {
+                continue;
+            }
+            
+            if (hoursBooked + request.duration > policy.maxHoursPerDay) {
+                errors.push(createError(ERROR_CODES.DAILY_HOURS_EXCEEDED, { student: studentId, date: request.date, hoursBooked: hoursBooked, adding: request.duration, maxHours: policy.maxHoursPerDay }));
+            }
+            
+            // Hours in a row: the request itself plus whatever the student has directly before and after it
+            let consecutiveHours = request.duration;
+            for (let minutes = requestStart - 60; bookedStarts[minutes]; minutes -= 60) {
+                consecutiveHours++;
+            }
+            for (let minutes = requestStart + request.duration * 60; bookedStarts[minutes]; minutes += 60) {
+                consecutiveHours++;
+            }
+            if (consecutiveHours > policy.maxConsecutiveHours) {
+                errors.push(createError(ERROR_CODES.CONSECUTIVE_HOURS_EXCEEDED, { student: studentId, date: request.date, time: request.time, consecutiveHours: consecutiveHours, maxHours: policy.maxConsecutiveHours }));
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Adds a rejected attempt's rule and policy errors to the violation breakdown
+     */
+    countViolations(errors) {
+        for (let i = 0; i < errors.length; i++) {
+            const type = VIOLATION_TYPES[errors[i].code];
+            if (type) {
+                this.violationCounts[type] = (this.violationCounts[type] || 0) + 1;
+            }
+        }
+    }
+    
+    /**
+     * Changes any of the fair-use limits (maxHoursPerDay, maxConsecutiveHours, maxDaysAhead)
+     * Nothing changes unless every given value is a whole number within POLICY_LIMITS
+     * Existing bookings are kept even if they break a new limit; only later requests are checked
+     * Returns { ok, errors }
+     */
+    setPolicySettings(changes) {
+        const errors = [];
+        for (const setting in changes) {
+            const limits = POLICY_LIMITS[setting];
+            const value = changes[setting];
+            if (!limits || value !== parseInt(value, 10) || value < limits.min || value > limits.max) {
+                errors.push(createError(ERROR_CODES.INVALID_POLICY_LIMIT, { setting: setting, value: value, min: limits ? limits.min : null, max: limits ? limits.max : null }));
+            }
+        }
+        if (errors.length > 0) {
+            return { ok: false, errors: errors };
+        }
+        
+        for (const setting in changes) {
+            this.policySettings[setting] = changes[setting];
+        }
+        return { ok: true, errors: errors };
+    }
+    
+    // Booking Operations
+    
+    /**
+     * Validates a request and, if it passes, books it: merges into a group with the same pod, date,
+     * start and length if there is one, otherwise creates a new booking
+     * Options are passed on to validate (e.g. dryRun for imports, which shouldn't count as violations)
+     * request.id and request.checkedIn, when given, are kept for a new booking (e.g. one created at
+     * another desk and sent to a server); so are request.confirmationCodes, and each of the group's students
+     * without one gets a new code
+     * Returns { ok, errors, booking, merged, codes } where codes maps each student given a new confirmation code
+     * to it (empty when nobody was)
+     */
+    book(request, options) {
+        const errors = this.validate(request, options);
+        if (errors.length > 0) {
+            return { ok: false, errors: errors, booking: null, merged: false, codes: {} };
+        }
+        
+        const codes = keepCodesInBooking(request.confirmationCodes || {}, request.students);
+        const newCodes = assignConfirmationCodes(codes, request.students);
+        
+        const existingBooking = this.findBooking(request.podId, request.date, request.time, request.duration, request.seriesId);
+        if (existingBooking) {
+            // Add students to existing booking, each student keeping their own code
+            for (let i = 0; i < request.students.length; i++) {
+                existingBooking.students.push(request.students[i]);
+                existingBooking.confirmationCodes[request.students[i]] = codes[request.students[i]];
+            }
+            return { ok: true, errors: errors, booking: existingBooking, merged: true, codes: newCodes };
+        }
+        
+        // Create new booking
+        const booking = {
+            id: request.id || createBookingId(),
+            podId: request.podId,
+            date: request.date,
+            time: request.time,
+            duration: request.duration,
+            students: [...request.students], // Create copy to avoid reference issues
+            checkedIn: keepStudentsInBooking(request.checkedIn || [], request.students),
+            confirmationCodes: codes,
+            seriesId: request.seriesId || null
+        };
+        this.bookings.push(booking);
+        return { ok: true, errors: errors, booking: booking, merged: false, codes: newCodes };
+    }
+    
+    /**
+     * Changes an existing booking's pod, date, time, duration and students
+     * Re-checks it with the same rules as a new booking, ignoring the booking's own current seats;
+     * moving or shrinking a booking can free seats, so the waitlist is promoted afterwards
+     * Check-ins are kept for students still in the booking, or replaced by changes.checkedIn when given;
+     * confirmation codes likewise (changes.confirmationCodes), and each student new to the booking gets a new code
+     * Returns { ok, errors, booking, promoted, codes } where codes maps each new student to their code
+     */
+    update(bookingId, changes) {
+        const booking = this.findBookingById(bookingId);
+        if (!booking) {
+            return { ok: false, errors: [createError(ERROR_CODES.BOOKING_NOT_FOUND, { bookingId: bookingId })], booking: null, promoted: [], codes: {} };
+        }
+        
+        const errors = this.validate(changes, { excludeBooking: booking });
+        if (errors.length > 0) {
+            return { ok: false, errors: errors, booking: booking, promoted: [], codes: {} };
+        }
+        
+        booking.podId = changes.podId;
+        booking.date = changes.date;
+        booking.time = changes.time;
+        booking.duration = changes.duration;
+        booking.students = [...changes.students];
+        booking.checkedIn = keepStudentsInBooking(changes.checkedIn || booking.checkedIn, booking.students);
+        booking.confirmationCodes = keepCodesInBooking(changes.confirmationCodes || booking.confirmationCodes, booking.students);
+        const newCodes = assignConfirmationCodes(booking.confirmationCodes, booking.students);
+        
+        return { ok: true, errors: errors, booking: booking, promoted: this.promoteWaitlist(), codes: newCodes };
+    }
+    
+    /**
+     * Cancels a whole booking, or one student's seat when studentId is given
+     * Removing the last student removes the booking; waitlisted groups then take any freed seats
+     * Returns { ok, errors, booking, removed, promoted } where removed says whether the whole booking went
+     */
+    cancel(bookingId, studentId) {
+        const booking = this.findBookingById(bookingId);
+        if (!booking) {
+            return { ok: false, errors: [createError(ERROR_CODES.BOOKING_NOT_FOUND, { bookingId: bookingId })], booking: null, removed: false, promoted: [] };
+        }
+        
+        let removed = true;
+        if (studentId) {
+            const remainingStudents = [];
+            for (let i = 0; i < booking.students.length; i++) {
+                if (booking.students[i] !== studentId) {
+                    remainingStudents.push(booking.students[i]);
+                }
+            }
+            
+            if (remainingStudents.length === booking.students.length) {
+                return { ok: false, errors: [createError(ERROR_CODES.STUDENT_NOT_IN_BOOKING, { student: studentId, bookingId: bookingId })], booking: booking, removed: false, promoted: [] };
+            }
+            booking.students = remainingStudents;
+            booking.checkedIn = keepStudentsInBooking(booking.checkedIn, remainingStudents);
+            booking.confirmationCodes = keepCodesInBooking(booking.confirmationCodes, remainingStudents);
+            removed = remainingStudents.length === 0;
+        }
+        
+        if (removed) {
+            for (let i = 0; i < this.bookings.length; i++) {
+                if (this.bookings[i] === booking) {
+                    this.bookings.splice(i, 1);
+                    break;
+                }
+            }
+        }
+        
+        return { ok: true, errors: [], booking: booking, removed: removed, promoted: this.promoteWaitlist() };
+    }
+    
+    // Student Self-service
+    
+    /**
+     * Lists a student's bookings from a date onwards (today unless given), in date and time order
+     * The ID is trimmed and upper-cased like the booking form's input, then matched exactly, as the clash rules do
+     */
+    findStudentBookings(studentId, fromDate) {
+        const student = String(studentId || '').trim().toUpperCase();
+        const firstDate = fromDate || this.today();
+        const matches = [];
+        
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            // YYYY-MM-DD strings compare in date order
+            if (booking.date < firstDate || booking.students.indexOf(student) === -1) {
+                continue;
+            }
+            
+            // Insertion into date-then-time order (HH:MM strings compare in time order too)
+            let position = matches.length;
+            while (position > 0 && (matches[position - 1].date > booking.date
+                || (matches[position - 1].date === booking.date && matches[position - 1].time > booking.time))) {
+                position--;
+            }
+            matches.splice(position, 0, booking);
+        }
+        return matches;
+    }
+    
+    /**
+     * Cancels one student's own seat when they give the confirmation code they were given
+     * Other students' seats are never touched, whatever code is given
+     * Returns the same { ok, errors, booking, removed, promoted } as cancel
+     */
+    cancelOwnSeat(bookingId, studentId, code) {
+        const student = String(studentId || '').trim().toUpperCase();
+        const booking = this.findBookingById(bookingId);
+        if (!booking) {
+            return { ok: false, errors: [createError(ERROR_CODES.BOOKING_NOT_FOUND, { bookingId: bookingId })], booking: null, removed: false, promoted: [] };
+        }
+        if (booking.students.indexOf(student) === -1) {
+            return { ok: false, errors: [createError(ERROR_CODES.STUDENT_NOT_IN_BOOKING, { student: student, bookingId: bookingId })], booking: booking, removed: false, promoted: [] };
+        }
+        
+        const expectedCode = booking.confirmationCodes[student];
+        if (!expectedCode || String(code || '').trim().toUpperCase() !== expectedCode) {
+            return { ok: false, errors: [createError(ERROR_CODES.INVALID_CONFIRMATION_CODE, { student: student, pod: booking.podId, date: booking.date, time: booking.time, bookingId: bookingId })], booking: booking, removed: false, promoted: [] };
+        }
+        
+        return this.cancel(bookingId, student);
+    }
+    
+    // Alternatives
+    
+    /**
+     * Suggests slots that would take a rejected request's whole group, best first (see MAX_SUGGESTIONS):
+     * the nearest start times in the same pod, other pods at the same time, and - when no single pod has room
+     * at that time - the group split across pods. Every suggestion passes every rule for every student;
+     * start times that have already passed today are left out
+     * Returns array of { kind ('time', 'pod' or 'split'), score, requests } where requests are ready for bookAll
+     */
+    suggestAlternatives(request) {
+        const suggestions = [];
+        const pod = this.findPod(request.podId);
+        const now = this.now().getTime();
+        const engine = this;
+        
+        function addIfValid(kind, score, requests) {
+            const start = getBookingStart(requests[0]);
+            if (!start || start.getTime() < now) {
+                return;
+            }
+            // A split's parts are tried one after another on a copy, so each sees the seats the others take
+            const trial = requests.length > 1 ? engine.clone() : engine;
+            for (let i = 0; i < requests.length; i++) {
+                if (trial.validate(requests[i], { dryRun: true }).length > 0) {
+                    return;
+                }
+                if (trial !== engine) {
+                    trial.book(requests[i], { dryRun: true });
+                }
+            }
+            suggestions.push({ kind: kind, score: score, requests: requests });
+        }
+        
+        function moveRequest(podId, timeString, students) {
+            return { podId: podId, date: request.date, time: timeString, duration: request.duration, students: [...students] };
+        }
+        
+        // Nearest hours in the same pod, either side of the requested start
+        if (pod) {
+            const openHours = getOpeningHourCount(pod);
+            for (let offset = 1; offset <= openHours; offset++) {
+                const signs = [-1, 1];
+                for (let i = 0; i < signs.length; i++) {
+                    const minutes = parseTimeToMinutes(request.time) + signs[i] * offset * 60;
+                    if (minutes < 0 || minutes >= 24 * 60) {
+                        continue;
+                    }
+                    const timeString = addHours(request.time, signs[i] * offset);
+                    if (isWithinOperatingHours(timeString, pod)) {
+                        addIfValid('time', offset, [moveRequest(pod.id, timeString, request.students)]);
+                    }
+                }
+            }
+        }
+        
+        // Other pods at the same time
+        let podFits = false;
+        for (let i = 0; i < this.pods.length; i++) {
+            if (this.pods[i].id !== request.podId && !this.pods[i].retired) {
+                const before = suggestions.length;
+                addIfValid('pod', 1, [moveRequest(this.pods[i].id, request.time, request.students)]);
+                podFits = podFits || suggestions.length > before;
+            }
+        }
+        
+        // Split the group across pods at the same time, fullest-free pod first, when no single pod has room
+        if (!podFits && request.students.length > 1) {
+            const split = this.splitAcrossPods(request);
+            if (split.length > 1) {
+                addIfValid('split', 2, split);
+            }
+        }
+        
+        // Insertion sort by score, then kind, then start time
+        const ranked = [];
+        for (let i = 0; i < suggestions.length; i++) {
+            let position = ranked.length;
+            while (position > 0 && compareSuggestions(ranked[position - 1], suggestions[i]) > 0) {
+                position--;
+            }
+            ranked.splice(position, 0, suggestions[i]);
+        }
+        return ranked.slice(0, MAX_SUGGESTIONS);
+    }
+    
+    /**
+     * Shares a request's students out over the open pods with free seats at its time, most free seats first,
+     * keeping each part at least the pod's minimum group size
+     * Returns the requests for each part, or an empty array when the group doesn't fit
+     */
+    splitAcrossPods(request) {
+        const coveredTimes = getCoveredTimes(request.time, request.duration);
+        const openPods = [];
+        for (let i = 0; i < this.pods.length; i++) {
+            const pod = this.pods[i];
+            if (pod.retired) {
+                continue;
+            }
+            
+            // Free seats for the whole booking are the fewest free in any hour it covers
+            let freeSeats = pod.capacity;
+            for (let j = 0; j < coveredTimes.length; j++) {
+                freeSeats = Math.min(freeSeats, pod.capacity - this.countSeatsTaken(pod.id, request.date, coveredTimes[j]));
+            }
+            if (freeSeats <= 0) {
+                continue;
+            }
+            
+            let position = openPods.length;
+            while (position > 0 && openPods[position - 1].freeSeats < freeSeats) {
+                position--;
+            }
+            openPods.splice(position, 0, { pod: pod, freeSeats: freeSeats });
+        }
+        
+        const parts = [];
+        let next = 0;
+        for (let i = 0; i < openPods.length && next < request.students.length; i++) {
+            const size = Math.min(openPods[i].freeSeats, request.students.length - next);
+            if (size < (openPods[i].pod.minGroupSize || 1)) {
+                continue;
+            }
+            parts.push({
+                podId: openPods[i].pod.id,
+                date: request.date,
+                time: request.time,
+                duration: request.duration,
+                students: request.students.slice(next, next + size)
+            });
+            next += size;
+        }
+        return next === request.students.length ? parts : [];
+    }
+    
+    /**
+     * Books several requests together, all or nothing (e.g. a group split across pods)
+     * Every request is first tried on a copy of the engine, so nothing is booked unless they all pass
+     * Returns { ok, errors, results } with the book() result of each request
+     */
+    bookAll(requests) {
+        const trial = this.clone();
+        for (let i = 0; i < requests.length; i++) {
+            const trialResult = trial.book(requests[i], { dryRun: true });
+            if (!trialResult.ok) {
+                return { ok: false, errors: trialResult.errors, results: [] };
+            }
+        }
+        
+        const results = [];
+        for (let i = 0; i < requests.length; i++) {
+            results.push(this.book(requests[i]));
+        }
+        return { ok: true, errors: [], results: results };
+    }
+    
+    // Recurring Series
+    
+    /**
+     * Works out the dates of a weekly series: every date from series.date to series.endDate (inclusive) that
+     * falls on one of series.weekdays (0 = Sunday ... 6 = Saturday, as Date.getDay), less series.skipDates
+     * Returns { errors, dates, skipped } where skipped holds the pattern's dates that were left out
+     */
+    getSeriesDates(series) {
+        const errors = [];
+        const dates = [];
+        const skipped = [];
+        const weekdays = series.weekdays || [];
+        const skipDates = series.skipDates || [];
+        
+        if (!parseDateString(series.date)) {
+            errors.push(createError(ERROR_CODES.INVALID_DATE, { date: series.date }));
+        } else if (!parseDateString(series.endDate) || series.endDate < series.date) {
+            errors.push(createError(ERROR_CODES.INVALID_SERIES_END, { date: series.date, endDate: series.endDate }));
+        }
+        if (weekdays.length === 0) {
+            errors.push(createError(ERROR_CODES.NO_SERIES_WEEKDAYS, {}));
+        }
+        if (errors.length > 0) {
+            return { errors: errors, dates: dates, skipped: skipped };
+        }
+        
+        // YYYY-MM-DD strings compare in date order; stop as soon as the series is too long to book
+        for (let dateString = series.date; dateString <= series.endDate; dateString = addDays(dateString, 1)) {
+            if (weekdays.indexOf(parseDateString(dateString).getDay()) === -1) {
+                continue;
+            }
+            if (skipDates.indexOf(dateString) !== -1) {
+                skipped.push(dateString);
+                continue;
+            }
+            dates.push(dateString);
+            if (dates.length > MAX_SERIES_OCCURRENCES) {
+                errors.push(createError(ERROR_CODES.TOO_MANY_OCCURRENCES, { maxOccurrences: MAX_SERIES_OCCURRENCES }));
+                return { errors: errors, dates: [], skipped: [] };
+            }
+        }
+        return { errors: errors, dates: dates, skipped: skipped };
+    }
+    
+    /**
+     * Checks every date of a weekly series against the same rules as a single booking, without booking anything
+     * series is a booking request { podId, date, time, duration, students } plus endDate, weekdays and skipDates
+     * Returns { ok, errors, occurrences } where errors are problems with the pattern itself and occurrences are
+     * { date, skipped, request, errors } in date order (skipped dates have no request and are not checked)
+     */
+    previewSeries(series) {
+        const seriesDates = this.getSeriesDates(series);
+        const occurrences = [];
+        let ok = seriesDates.errors.length === 0 && seriesDates.dates.length > 0;
+        
+        for (let i = 0, j = 0; i < seriesDates.dates.length || j < seriesDates.skipped.length;) {
+            // Both lists are in date order, so merging them keeps the preview in date order
+            if (j >= seriesDates.skipped.length || (i < seriesDates.dates.length && seriesDates.dates[i] < seriesDates.skipped[j])) {
+                const request = {
+                    podId: series.podId,
+                    date: seriesDates.dates[i],
+                    time: series.time,
+                    duration: series.duration,
+                    students: [...series.students]
+                };
+                const errors = this.validate(request, { dryRun: true });
+                ok = ok && errors.length === 0;
+                occurrences.push({ date: request.date, skipped: false, request: request, errors: errors });
+                i++;
+            } else {
+                occurrences.push({ date: seriesDates.skipped[j], skipped: true, request: null, errors: [] });
+                j++;
+            }
+        }
+        
+        return { ok: ok, errors: seriesDates.errors, occurrences: occurrences };
+    }
+    
+    /**
+     * Books a weekly series, all or nothing: if any date breaks a rule nothing is booked, and the preview says
+     * which dates clash (skip them or pick another slot). Every session gets the same seriesId, and each student
+     * one confirmation code for the whole series
+     * Returns { ok, errors, preview, seriesId, bookings, codes } where codes maps each student to their code and
+     * errors also holds every clashing date's errors
+     */
+    bookSeries(series) {
+        const preview = this.previewSeries(series);
+        const errors = [];
+        for (let i = 0; i < preview.errors.length; i++) {
+            errors.push(preview.errors[i]);
+        }
+        for (let i = 0; i < preview.occurrences.length; i++) {
+            for (let j = 0; j < preview.occurrences[i].errors.length; j++) {
+                errors.push(preview.occurrences[i].errors[j]);
+            }
+        }
+        if (!preview.ok) {
+            return { ok: false, errors: errors, preview: preview, seriesId: null, bookings: [], codes: {} };
+        }
+        
+        const seriesId = createSeriesId();
+        const codes = {};
+        assignConfirmationCodes(codes, series.students);
+        const requests = [];
+        for (let i = 0; i < preview.occurrences.length; i++) {
+            const request = preview.occurrences[i].request;
+            if (request) {
+                request.seriesId = seriesId;
+                request.confirmationCodes = codes;
+                requests.push(request);
+            }
+        }
+        
+        const result = this.bookAll(requests);
+        const bookings = [];
+        for (let i = 0; i < result.results.length; i++) {
+            bookings.push(result.results[i].booking);
+        }
+        return { ok: result.ok, errors: result.errors, preview: preview, seriesId: result.ok ? seriesId : null, bookings: bookings, codes: result.ok ? codes : {} };
+    }
+    
+    /**
+     * Lists the bookings of a series in date order (past ones included)
+     */
+    getSeriesBookings(seriesId) {
+        const seriesBookings = [];
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            if (!seriesId || booking.seriesId !== seriesId) {
+                continue;
+            }
+            
+            let position = seriesBookings.length;
+            while (position > 0 && seriesBookings[position - 1].date > booking.date) {
+                position--;
+            }
+            seriesBookings.splice(position, 0, booking);
+        }
+        return seriesBookings;
+    }
+    
+    /**
+     * Cancels the rest of a series: every session that hasn't started yet (sessions already under way or over,
+     * today's included, stay on record)
+     * One session on its own is cancelled like any other booking, with cancel()
+     * Returns { ok, errors, removed, promoted } where removed holds the cancelled bookings; errors holds
+     * SERIES_NOT_FOUND when no booking belongs to the series, or SERIES_ENDED when all its sessions have started
+     */
+    cancelSeries(seriesId) {
+        const seriesBookings = this.getSeriesBookings(seriesId);
+        if (seriesBookings.length === 0) {
+            return { ok: false, errors: [createError(ERROR_CODES.SERIES_NOT_FOUND, { seriesId: seriesId })], removed: [], promoted: [] };
+        }
+        
+        const removed = [];
+        const promoted = [];
+        const now = this.now().getTime();
+        for (let i = 0; i < seriesBookings.length; i++) {
+            if (getBookingStart(seriesBookings[i]).getTime() <= now) {
+                continue;
+            }
+            const result = this.cancel(seriesBookings[i].id);
+            removed.push(result.booking);
+            for (let j = 0; j < result.promoted.length; j++) {
+                promoted.push(result.promoted[j]);
+            }
+        }
+        
+        if (removed.length === 0) {
+            return { ok: false, errors: [createError(ERROR_CODES.SERIES_ENDED, { seriesId: seriesId })], removed: removed, promoted: promoted };
+        }
+        return { ok: true, errors: [], removed: removed, promoted: promoted };
+    }
+    
+    // Waitlist
+    
+    /**
+     * Finds a student from the request who is already waiting for the same pod, date and start time
+     * Returns the student ID or null
+     */
+    findStudentAlreadyWaiting(request) {
+        for (let i = 0; i < this.waitlist.length; i++) {
+            const entry = this.waitlist[i];
+            if (entry.podId !== request.podId || entry.date !== request.date || entry.time !== request.time) {
+                continue;
+            }
+            for (let j = 0; j < entry.students.length; j++) {
+                for (let k = 0; k < request.students.length; k++) {
+                    if (entry.students[j] === request.students[k]) {
+                        return request.students[k];
+                    }
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Puts a group at the back of the waitlist for a slot
+     * Returns { ok, errors, entry, position } where position counts the groups queued for that slot
+     */
+    joinWaitlist(request) {
+        const alreadyWaiting = this.findStudentAlreadyWaiting(request);
+        if (alreadyWaiting) {
+            return { ok: false, errors: [createError(ERROR_CODES.ALREADY_WAITING, { student: alreadyWaiting, pod: request.podId, date: request.date, time: request.time })], entry: null, position: 0 };
+        }
+        
+        const entry = {
+            podId: request.podId,
+            date: request.date,
+            time: request.time,
+            duration: request.duration,
+            students: [...request.students],
+            addedAt: this.now().toISOString()
+        };
+        this.waitlist.push(entry);
+        
+        let position = 0;
+        for (let i = 0; i < this.waitlist.length; i++) {
+            if (this.waitlist[i].podId === entry.podId && this.waitlist[i].date === entry.date && this.waitlist[i].time === entry.time) {
+                position++;
+            }
+        }
+        return { ok: true, errors: [], entry: entry, position: position };
+    }
+    
+    /**
+     * Takes a group off the waitlist by its position in the full queue
+     * Returns the removed entry or null
+     */
+    leaveWaitlist(index) {
+        if (index < 0 || index >= this.waitlist.length) {
+            return null;
+        }
+        return this.waitlist.splice(index, 1)[0];
+    }
+    
+    /**
+     * Promotes waitlisted groups into freed seats, oldest first
+     * A group is promoted only if it now passes every rule (capacity, duplicates, cross-pod clashes);
+     * each promotion can change what fits, so the scan restarts until nothing more moves
+     * Returns copies of the promoted waitlist entries, each with its students' new confirmation codes (codes)
+     */
+    promoteWaitlist() {
+        const promoted = [];
+        const now = this.now().getTime();
+        let promotedThisPass = true;
+        
+        while (promotedThisPass) {
+            promotedThisPass = false;
+            
+            for (let i = 0; i < this.waitlist.length; i++) {
+                const entry = this.waitlist[i];
+                const start = getBookingStart(entry);
+                if (!start || start.getTime() < now) {
+                    continue; // The slot has started or passed; the entry stays visible until staff clear it
+                }
+                
+                const result = this.book(entry, { dryRun: true });
+                if (result.ok) {
+                    this.waitlist.splice(i, 1);
+                    const promotion = JSON.parse(JSON.stringify(entry));
+                    promotion.codes = result.codes;
+                    promoted.push(promotion);
+                    promotedThisPass = true;
+                    break;
+                }
+            }
+        }
+        
+        return promoted;
+    }
+    
+    // Violation Log
+    
+    /**
+     * Records a rejected booking attempt with the errors it was refused for
+     * Only the newest MAX_VIOLATION_LOG_ENTRIES attempts are kept
+     * Returns the new log entry
+     */
+    logRejectedAttempt(request, errors) {
+        const entry = {
+            loggedAt: this.now().toISOString(),
+            podId: request.podId,
+            date: request.date,
+            time: request.time,
+            duration: request.duration,
+            students: [...request.students],
+            errors: JSON.parse(JSON.stringify(errors))
+        };
+        this.violationLog.push(entry);
+        
+        while (this.violationLog.length > MAX_VIOLATION_LOG_ENTRIES) {
+            this.violationLog.shift();
+        }
+        return entry;
+    }
+    
+    /**
+     * Finds the log entries matching every filter given (all optional):
+     * code - an error code the attempt was refused for; podId; student - part of a student ID, any case
+     * Returns the matching entries, oldest first
+     */
+    filterViolationLog(filters) {
+        const settings = filters || {};
+        const studentSearch = settings.student ? settings.student.trim().toUpperCase() : '';
+        const matches = [];
+        
+        for (let i = 0; i < this.violationLog.length; i++) {
+            const entry = this.violationLog[i];
+            if (settings.podId && entry.podId !== settings.podId) {
+                continue;
+            }
+            
+            if (settings.code) {
+                let hasCode = false;
+                for (let j = 0; j < entry.errors.length; j++) {
+                    if (entry.errors[j].code === settings.code) {
+                        hasCode = true;
+                        break;
+                    }
+                }
+                if (!hasCode) {
+                    continue;
+                }
+            }
+            
+            if (studentSearch) {
+                let hasStudent = false;
+                for (let j = 0; j < entry.students.length; j++) {
+                    if (entry.students[j].indexOf(studentSearch) !== -1) {
+                        hasStudent = true;
+                        break;
+                    }
+                }
+                if (!hasStudent) {
+                    continue;
+                }
+            }
+            
+            matches.push(entry);
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Counts rejected attempts per student, most attempts first (ties by student ID)
+     * A student counts for an attempt when an error names them; errors about the whole group
+     * (capacity, hours, group size...) count for every student in it
+     * Returns array of { student, attempts, codes } for students with at least minAttempts (default 2)
+     */
+    getRepeatOffenders(minAttempts) {
+        const threshold = minAttempts || 2;
+        const offenders = [];
+        
+        for (let i = 0; i < this.violationLog.length; i++) {
+            const blamed = getStudentsBlamed(this.violationLog[i]);
+            for (let j = 0; j < blamed.length; j++) {
+                let offender = null;
+                for (let k = 0; k < offenders.length; k++) {
+                    if (offenders[k].student === blamed[j].student) {
+                        offender = offenders[k];
+                        break;
+                    }
+                }
+                if (!offender) {
+                    offender = { student: blamed[j].student, attempts: 0, codes: [] };
+                    offenders.push(offender);
+                }
+                
+                offender.attempts++;
+                for (let k = 0; k < blamed[j].codes.length; k++) {
+                    if (offender.codes.indexOf(blamed[j].codes[k]) === -1) {
+                        offender.codes.push(blamed[j].codes[k]);
+                    }
+                }
+            }
+        }
+        
+        // Insertion sort into the result, keeping only students over the threshold
+        const ranked = [];
+        for (let i = 0; i < offenders.length; i++) {
+            if (offenders[i].attempts < threshold) {
+                continue;
+            }
+            let position = ranked.length;
+            while (position > 0 && (ranked[position - 1].attempts < offenders[i].attempts
+                || (ranked[position - 1].attempts === offenders[i].attempts && ranked[position - 1].student > offenders[i].student))) {
+                position--;
+            }
+            ranked.splice(position, 0, offenders[i]);
+        }
+        
+        return ranked;
+    }
+    
+    // Check-in and No-shows
+    
+    /**
+     * Says why a booking can't be checked in to right now
+     * Returns an array with a CHECK_IN_NOT_OPEN or CHECK_IN_CLOSED error, or an empty array when check-in is open
+     */
+    getCheckInErrors(booking) {
+        const start = getBookingStart(booking);
+        const now = this.now().getTime();
+        const details = { pod: booking.podId, date: booking.date, time: booking.time };
+        
+        const opensAt = new Date(start.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+        if (now < opensAt.getTime()) {
+            details.opensAt = `${opensAt.getHours().toString().padStart(2, '0')}:${opensAt.getMinutes().toString().padStart(2, '0')}`;
+            return [createError(ERROR_CODES.CHECK_IN_NOT_OPEN, details)];
+        }
+        
+        if (now >= start.getTime() + booking.duration * 60 * 60 * 1000) {
+            return [createError(ERROR_CODES.CHECK_IN_CLOSED, details)];
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Checks in one student of a booking, or everyone not checked in yet when studentId is left out
+     * Returns { ok, errors, booking, checkedIn } where checkedIn lists the students checked in by this call
+     */
+    checkIn(bookingId, studentId) {
+        const booking = this.findBookingById(bookingId);
+        if (!booking) {
+            return { ok: false, errors: [createError(ERROR_CODES.BOOKING_NOT_FOUND, { bookingId: bookingId })], booking: null, checkedIn: [] };
+        }
+        
+        const windowErrors = this.getCheckInErrors(booking);
+        if (windowErrors.length > 0) {
+            return { ok: false, errors: windowErrors, booking: booking, checkedIn: [] };
+        }
+        
+        const arriving = studentId ? [studentId] : booking.students;
+        if (studentId && keepStudentsInBooking(arriving, booking.students).length === 0) {
+            return { ok: false, errors: [createError(ERROR_CODES.STUDENT_NOT_IN_BOOKING, { student: studentId, bookingId: bookingId })], booking: booking, checkedIn: [] };
+        }
+        
+        const newlyCheckedIn = [];
+        for (let i = 0; i < arriving.length; i++) {
+            if (keepStudentsInBooking([arriving[i]], booking.checkedIn).length === 0) {
+                booking.checkedIn.push(arriving[i]);
+                newlyCheckedIn.push(arriving[i]);
+            }
+        }
+        
+        if (newlyCheckedIn.length === 0) {
+            const error = createError(ERROR_CODES.ALREADY_CHECKED_IN, { student: studentId || null, pod: booking.podId, date: booking.date, time: booking.time });
+            return { ok: false, errors: [error], booking: booking, checkedIn: [] };
+        }
+        
+        return { ok: true, errors: [], booking: booking, checkedIn: newlyCheckedIn };
+    }
+    
+    /**
+     * Releases bookings that nobody has checked in to once the grace period after their start is over
+     * They move to noShows (the insights still count them) and waitlisted groups take the freed seats
+     * Earlier days count too, e.g. ones the desk was closed on, so no missed booking goes uncounted
+     * Returns { released, promoted }
+     */
+    releaseNoShows() {
+        const now = this.now();
+        const graceMilliseconds = this.checkInSettings.graceMinutes * 60 * 1000;
+        const released = [];
+        
+        let i = 0;
+        while (i < this.bookings.length) {
+            const booking = this.bookings[i];
+            const start = getBookingStart(booking);
+            
+            if (start && booking.checkedIn.length === 0 && start.getTime() + graceMilliseconds <= now.getTime()) {
+                this.bookings.splice(i, 1);
+                const noShow = JSON.parse(JSON.stringify(booking));
+                noShow.releasedAt = now.toISOString();
+                this.noShows.push(noShow);
+                released.push(noShow);
+            } else {
+                i++;
+            }
+        }
+        
+        return { released: released, promoted: released.length > 0 ? this.promoteWaitlist() : [] };
+    }
+    
+    /**
+     * Changes how many minutes after the start a booking is kept for a group that hasn't checked in
+     * Returns { ok, errors }
+     */
+    setGraceMinutes(minutes) {
+        if (minutes !== parseInt(minutes, 10) || minutes < 0 || minutes > MAX_GRACE_MINUTES) {
+            return { ok: false, errors: [createError(ERROR_CODES.INVALID_GRACE_PERIOD, { graceMinutes: minutes, maxMinutes: MAX_GRACE_MINUTES })] };
+        }
+        
+        this.checkInSettings.graceMinutes = minutes;
+        return { ok: true, errors: [] };
+    }
+    
+    // Pod Catalogue
+    
+    /**
+     * Validates pod settings from an admin form
+     * existingPodId is the pod being edited, or null when a new pod is being added
+     * Returns array of error objects (empty if valid)
+     */
+    validatePod(podData, existingPodId) {
+        const errors = [];
+        
+        if (existingPodId === null) {
+            if (!/^[A-Z0-9-]{2,20}$/.test(podData.id)) {
+                errors.push(createError(ERROR_CODES.INVALID_POD_ID, { pod: podData.id }));
+            } else if (this.findPod(podData.id)) {
+                errors.push(createError(ERROR_CODES.POD_EXISTS, { pod: podData.id }));
+            }
+        }
+        
+        if (podData.capacity !== parseInt(podData.capacity, 10) || podData.capacity < 1 || podData.capacity > MAX_POD_CAPACITY) {
+            errors.push(createError(ERROR_CODES.INVALID_CAPACITY, { capacity: podData.capacity, maxCapacity: MAX_POD_CAPACITY }));
+        } else if (podData.minGroupSize !== undefined && (podData.minGroupSize !== parseInt(podData.minGroupSize, 10) || podData.minGroupSize < 1 || podData.minGroupSize > podData.capacity)) {
+            errors.push(createError(ERROR_CODES.INVALID_MIN_GROUP_SIZE, { pod: podData.id, minGroupSize: podData.minGroupSize, capacity: podData.capacity }));
+        }
+        
+        const openMinutes = parseTimeToMinutes(podData.openTime);
+        const closeMinutes = parseTimeToMinutes(podData.closeTime);
+        if (openMinutes === null || closeMinutes === null) {
+            errors.push(createError(ERROR_CODES.MISSING_HOURS, {}));
+        } else if (openMinutes % 60 !== 0 || closeMinutes % 60 !== 0) {
+            errors.push(createError(ERROR_CODES.HOURS_NOT_ON_THE_HOUR, {}));
+        } else if (openMinutes >= closeMinutes) {
+            errors.push(createError(ERROR_CODES.CLOSES_BEFORE_OPENING, {}));
+        }
+        
+        if (errors.length > 0 || existingPodId === null) {
+            return errors;
+        }
+        
+        // Upcoming bookings must still fit after an edit - staff should move them first
+        const today = this.today();
+        for (let i = 0; i < this.bookings.length; i++) {
+            const booking = this.bookings[i];
+            if (booking.podId !== existingPodId || booking.date < today) {
+                continue;
+            }
+            
+            const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+            for (let j = 0; j < coveredTimes.length; j++) {
+                if (!isWithinOperatingHours(coveredTimes[j], podData)) {
+                    errors.push(createError(ERROR_CODES.BOOKING_OUTSIDE_NEW_HOURS, { pod: existingPodId, date: booking.date, time: coveredTimes[j] }));
+                    break;
+                }
+                const seatsTaken = this.countSeatsTaken(existingPodId, booking.date, coveredTimes[j]);
+                if (seatsTaken > podData.capacity) {
+                    errors.push(createError(ERROR_CODES.BOOKING_OVER_NEW_CAPACITY, { pod: existingPodId, date: booking.date, time: coveredTimes[j], seatsTaken: seatsTaken }));
+                    break;
+                }
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Adds a new pod (existingPodId null) or saves new settings for an existing one
+     * Returns { ok, errors, pod }
+     */
+    savePod(podData, existingPodId) {
+        const errors = this.validatePod(podData, existingPodId);
+        if (errors.length > 0) {
+            return { ok: false, errors: errors, pod: null };
+        }
+        
+        if (existingPodId !== null) {
+            const pod = this.findPod(existingPodId);
+            pod.capacity = podData.capacity;
+            pod.minGroupSize = podData.minGroupSize || 1;
+            pod.amenities = [...podData.amenities];
+            pod.openTime = podData.openTime;
+            pod.closeTime = podData.closeTime;
+            return { ok: true, errors: errors, pod: pod };
+        }
+        
+        const pod = {
+            id: podData.id,
+            capacity: podData.capacity,
+            minGroupSize: podData.minGroupSize || 1,
+            amenities: [...podData.amenities],
+            openTime: podData.openTime,
+            closeTime: podData.closeTime,
+            retired: false
+        };
+        this.pods.push(pod);
+        return { ok: true, errors: errors, pod: pod };
+    }
+    
+    /**
+     * Retires or restores a pod; existing bookings are kept so nobody loses a seat they already have
+     * Returns the pod or null if not found
+     */
+    setPodRetired(podId, retired) {
+        const pod = this.findPod(podId);
+        if (pod) {
+            pod.retired = retired;
+        }
+        return pod;
+    }
+    
+    // Insights
+    
+    /**
+     * Computes all insights for one day using only loops and conditionals
+     * No array methods like reduce, filter, map as per requirements
+     */
+    insights(dateString) {
+        const bookingsArray = this.getBookingsForDate(dateString);
+        const waitlistArray = this.getWaitlistForDate(dateString);
+        const insights = {
+            totalBookings: bookingsArray.length,
+            uniqueStudents: 0,
+            busiestHours: [],
+            busiestHourStudents: 0,
+            podFillRates: [],
+            hourlyOccupancy: [],
+            waitlistSlots: [],
+            violations: JSON.parse(JSON.stringify(this.violationCounts)),
+            totalViolations: 0,
+            startedBookings: 0,
+            noShowBookings: 0,
+            noShowRate: null,
+            expectedStudents: 0,
+            checkedInStudents: 0,
+            checkInRate: null
+        };
+        
+        // Waitlist length per slot: groups and students waiting for each pod/start time
+        for (let i = 0; i < waitlistArray.length; i++) {
+            const entry = waitlistArray[i];
+            let slot = null;
+            
+            for (let j = 0; j < insights.waitlistSlots.length; j++) {
+                if (insights.waitlistSlots[j].podId === entry.podId && insights.waitlistSlots[j].time === entry.time) {
+                    slot = insights.waitlistSlots[j];
+                    break;
+                }
+            }
+            
+            if (!slot) {
+                slot = { podId: entry.podId, time: entry.time, groups: 0, students: 0 };
+                insights.waitlistSlots.push(slot);
+            }
+            slot.groups++;
+            slot.students += entry.students.length;
+        }
+        
+        // Calculate unique students without using Set (requirement)
+        const studentTracker = [];
+        for (let i = 0; i < bookingsArray.length; i++) {
+            const booking = bookingsArray[i];
+            for (let j = 0; j < booking.students.length; j++) {
+                const student = booking.students[j];
+                let alreadyCounted = false;
+                
+                // Check if student already in tracker
+                for (let k = 0; k < studentTracker.length; k++) {
+                    if (studentTracker[k] === student) {
+                        alreadyCounted = true;
+                        break;
+                    }
+                }
+                
+                if (!alreadyCounted) {
+                    studentTracker.push(student);
+                }
+            }
+        }
+        insights.uniqueStudents = studentTracker.length;
+        
+        // Find busiest hour by counting students per time slot (every hour a booking covers counts)
+        const hourStudentCounts = {};
+        for (let i = 0; i < bookingsArray.length; i++) {
+            const booking = bookingsArray[i];
+            const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+            
+            for (let j = 0; j < coveredTimes.length; j++) {
+                const hour = coveredTimes[j];
+                if (!hourStudentCounts[hour]) {
+                    hourStudentCounts[hour] = 0;
+                }
+                hourStudentCounts[hour] += booking.students.length;
+            }
+        }
+        
+        // Find the hours with the most students, listing every hour that ties (none when the day has no bookings)
+        for (const hour in hourStudentCounts) {
+            if (hourStudentCounts[hour] > insights.busiestHourStudents) {
+                insights.busiestHourStudents = hourStudentCounts[hour];
+                insights.busiestHours = [hour];
+            } else if (hourStudentCounts[hour] === insights.busiestHourStudents) {
+                insights.busiestHours.push(hour);
+            }
+        }
+        sortTimes(insights.busiestHours);
+        
+        // Check-in and no-show rates, over the bookings that have started (null until one has):
+        // released no-shows count as started bookings whose students never arrived
+        const now = this.now().getTime();
+        const noShowArray = this.getNoShowsForDate(dateString);
+        for (let i = 0; i < bookingsArray.length; i++) {
+            const start = getBookingStart(bookingsArray[i]);
+            if (start && start.getTime() <= now) {
+                insights.startedBookings++;
+                insights.expectedStudents += bookingsArray[i].students.length;
+                insights.checkedInStudents += bookingsArray[i].checkedIn.length;
+            }
+        }
+        for (let i = 0; i < noShowArray.length; i++) {
+            insights.startedBookings++;
+            insights.noShowBookings++;
+            insights.expectedStudents += noShowArray[i].students.length;
+        }
+        if (insights.startedBookings > 0) {
+            insights.noShowRate = roundToOneDecimal((insights.noShowBookings / insights.startedBookings) * 100);
+            insights.checkInRate = roundToOneDecimal((insights.checkedInStudents / insights.expectedStudents) * 100);
+        }
+        
+        // Calculate fill rates for each pod
+        for (let i = 0; i < this.pods.length; i++) {
+            const pod = this.pods[i];
+            let totalBookedSeats = 0;
+            let uniqueSlots = 0;
+            const slotsUsed = {};
+            
+            // Count booked seats and unique time slots for this pod, one seat per student per covered hour
+            for (let j = 0; j < bookingsArray.length; j++) {
+                const booking = bookingsArray[j];
+                if (booking.podId === pod.id) {
+                    const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+                    
+                    for (let k = 0; k < coveredTimes.length; k++) {
+                        totalBookedSeats += booking.students.length;
+                        
+                        if (!slotsUsed[coveredTimes[k]]) {
+                            slotsUsed[coveredTimes[k]] = true;
+                            uniqueSlots++;
+                        }
+                    }
+                }
+            }
+            
+            // Retired pods only matter on days they still have bookings
+            if (pod.retired && uniqueSlots === 0) {
+                continue;
+            }
+            
+            // Calculate fill rate against every seat the pod offers while open: (booked seats / (capacity * opening hours)) * 100
+            const openHours = getOpeningHourCount(pod);
+            const totalPossibleSeats = pod.capacity * openHours;
+            const fillRate = totalPossibleSeats > 0 ? (totalBookedSeats / totalPossibleSeats) * 100 : 0;
+            
+            insights.podFillRates.push({
+                podId: pod.id,
+                fillRate: roundToOneDecimal(fillRate),
+                slotsUsed: uniqueSlots,
+                openHours: openHours,
+                bookedSeats: totalBookedSeats,
+                totalSeats: totalPossibleSeats
+            });
+        }
+        
+        insights.hourlyOccupancy = this.getHourlyOccupancy(bookingsArray, insights.podFillRates);
+        
+        // Violation breakdown (all days, like the counter it replaced) and its total
+        for (const type in insights.violations) {
+            insights.totalViolations += insights.violations[type];
+        }
+        
+        return insights;
+    }
+    
+    /**
+     * Builds the hour-by-hour occupancy grid behind the heatmap and utilisation chart
+     * One row per clock hour of the library's opening span; each lists the given pods' students and open seats,
+     * where a pod closed for that hour offers no seats. Bookings starting mid-hour count towards the hour they start in.
+     * Returns array of { time, students, seats, utilisation (% or null with no open seats), pods: [{ podId, students, capacity }] }
+     */
+    getHourlyOccupancy(bookingsArray, podFillRates) {
+        const libraryHours = this.getLibraryHours();
+        const firstHour = Math.floor(parseTimeToMinutes(libraryHours.openTime) / 60);
+        const lastHour = Math.ceil(parseTimeToMinutes(libraryHours.closeTime) / 60);
+        const rows = [];
+        
+        for (let hour = firstHour; hour < lastHour; hour++) {
+            const row = { time: `${hour.toString().padStart(2, '0')}:00`, students: 0, seats: 0, utilisation: null, pods: [] };
+            
+            for (let i = 0; i < podFillRates.length; i++) {
+                const pod = this.findPod(podFillRates[i].podId);
+                const cell = { podId: pod.id, students: 0, capacity: 0 };
+                const openTimes = getCoveredTimes(pod.openTime, getOpeningHourCount(pod));
+                
+                for (let j = 0; j < openTimes.length; j++) {
+                    if (getClockHour(openTimes[j]) === hour) {
+                        cell.capacity = pod.capacity;
+                        break;
+                    }
+                }
+                
+                for (let j = 0; j < bookingsArray.length; j++) {
+                    const booking = bookingsArray[j];
+                    if (booking.podId !== pod.id) {
+                        continue;
+                    }
+                    const coveredTimes = getCoveredTimes(booking.time, booking.duration);
+                    for (let k = 0; k < coveredTimes.length; k++) {
+                        if (getClockHour(coveredTimes[k]) === hour) {
+                            cell.students += booking.students.length;
+                        }
+                    }
+                }
+                
+                row.students += cell.students;
+                row.seats += cell.capacity;
+                row.pods.push(cell);
+            }
+            
+            if (row.seats > 0) {
+                row.utilisation = roundToOneDecimal((row.students / row.seats) * 100);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+}
+
+// Node (and any bundler) gets the engine through require(); browsers already have the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PodBookingEngine: PodBookingEngine,
+        ERROR_CODES: ERROR_CODES,
+        MAX_BOOKING_HOURS: MAX_BOOKING_HOURS,
+        MAX_POD_CAPACITY: MAX_POD_CAPACITY,
+        DEFAULT_PODS: DEFAULT_PODS,
+        DEFAULT_STUDENT_SETTINGS: DEFAULT_STUDENT_SETTINGS,
+        DEFAULT_CHECK_IN_SETTINGS: DEFAULT_CHECK_IN_SETTINGS,
+        DEFAULT_POLICY_SETTINGS: DEFAULT_POLICY_SETTINGS,
+        POLICY_LIMITS: POLICY_LIMITS,
+        VIOLATION_TYPES: VIOLATION_TYPES,
+        CHECK_IN_OPENS_MINUTES: CHECK_IN_OPENS_MINUTES,
+        MAX_GRACE_MINUTES: MAX_GRACE_MINUTES,
+        MAX_VIOLATION_LOG_ENTRIES: MAX_VIOLATION_LOG_ENTRIES,
+        CONFIRMATION_CODE_LENGTH: CONFIRMATION_CODE_LENGTH,
+        MAX_SUGGESTIONS: MAX_SUGGESTIONS,
+        MAX_SERIES_OCCURRENCES: MAX_SERIES_OCCURRENCES,
+        toDateString: toDateString,
+        getTodayDateString: getTodayDateString,
+        parseDateString: parseDateString,
+        parseTimeToMinutes: parseTimeToMinutes,
+        isWithinOperatingHours: isWithinOperatingHours,
+        addHours: addHours,
+        getCoveredTimes: getCoveredTimes,
+        getBookingStart: getBookingStart,
+        sortBookings: sortBookings,
+        addDays: addDays,
+        createViolationCounts: createViolationCounts,
+        bookingCoversTime: bookingCoversTime,
+        findRepeatedStudentId: findRepeatedStudentId,
+        createBookingId: createBookingId,
+        createConfirmationCode: createConfirmationCode
+    };
+}
@@ -0,0 +1,1595 @@
+/*
+ * USIU-Africa Study Pod Booking System - Localisation
+ * The widget's message catalogue in English, Swahili and French, and the Localizer that picks messages
+ * and formats times for one language and clock.
+ *
+ * Like booking-engine.js this is a classic script in the browser and a require()-able module in Node.
+ *
+ * Messages are keyed by dotted names (e.g. 'error.CAPACITY_EXCEEDED') and may hold {placeholders}
+ * filled in from the parameters passed to translate(). A message missing from a language falls back
+ * to English, so a new message only has to be added in English first.
+ */
+
+// Languages the widget can be shown in: the name in the switcher and the locale dates and times are formatted with
+const LOCALES = {
+    en: { name: 'English', intlLocale: 'en-GB' },
+    sw: { name: 'Kiswahili', intlLocale: 'sw-KE' },
+    fr: { name: 'Français', intlLocale: 'fr-FR' }
+};
+const DEFAULT_LOCALE = 'en';
+
+// Clocks times can be shown with: '24h' (14:00, as the booking rules store them) or '12h' (2:00 pm, worded per locale)
+const TIME_FORMATS = ['24h', '12h'];
+const DEFAULT_TIME_FORMAT = '24h';
+
+const MESSAGES = {
+    en: {
+        // Page title and the language and clock switchers
+        'app.title': 'Study Pod Booking System',
+        'app.subtitle': 'Library Study Pods - Real-time Booking Management',
+        'display.language': 'Language:',
+        'display.timeFormat': 'Clock:',
+        'display.24h': '24-hour (14:00)',
+        'display.12h': '12-hour (2:00 pm)',
+        
+        // Counts and lists used inside other messages
+        'list.and': ' and ',
+        'count.hours.one': '{count} hour',
+        'count.hours.other': '{count} hours',
+        'count.students.one': '{count} student',
+        'count.students.other': '{count} students',
+        'count.bookings.one': '{count} booking',
+        'count.bookings.other': '{count} bookings',
+        'count.sessions.one': '{count} session',
+        'count.sessions.other': '{count} sessions',
+        'count.groups.one': '{count} group',
+        'count.groups.other': '{count} groups',
+        'count.days.one': '{count} day',
+        'count.days.other': '{count} days',
+        
+        // Booking form
+        'form.heading': 'Book a Study Pod',
+        'form.podLabel': 'Select Pod:',
+        'form.dateLabel': 'Date:',
+        'form.timeLabel': 'Start Time (1-hour blocks):',
+        'form.durationLabel': 'Duration:',
+        'form.studentsLabel': 'Student IDs (comma-separated):',
+        'form.studentsPlaceholder': 'e.g., SIT-001, SMC-210, SST-101',
+        'form.studentsHint': 'Enter up to {capacity} student IDs separated by commas',
+        'form.repeatWeekly': '🔁 Repeat weekly (study groups)',
+        'form.repeatOn': 'On:',
+        'form.repeatUntil': 'Until:',
+        'form.repeatSkip': 'Skip dates (comma-separated):',
+        'form.repeatSkipPlaceholder': 'e.g., 2030-03-18, 2030-04-01',
+        'form.repeatSkipHint': 'Holidays, exam days or dates that clash',
+        'form.previewSeries': '👁️ Preview series',
+        'form.submit': 'Book a Pod',
+        'form.choosePod': 'Choose a study pod...',
+        'form.podOption': '{pod} (Capacity: {capacity} students, {openTime}–{closeTime})',
+        'form.selectPod': 'Please select a study pod',
+        'form.selectDate': 'Please select a booking date',
+        'form.selectTime': 'Please select a booking time',
+        'form.enterStudents': 'Please enter at least one student ID',
+        'form.noValidStudents': 'No valid student IDs found. Please check your input format.',
+        
+        // Weekly series
+        'series.cancelled.one': '🗑️ Cancelled {count} session of the weekly {pod} series at {timeRange}',
+        'series.cancelled.other': '🗑️ Cancelled {count} sessions of the weekly {pod} series at {timeRange}',
+        'series.invalidSkipDates': 'Skipped dates must be written as YYYY-MM-DD: {dates}',
+        'series.skipped': '⏭️ {date}: skipped',
+        'series.noDates': 'The pattern has no dates between the first date and the end date.',
+        'series.summary.one': '🔁 {count} session: {free} free, {clashing} clashing, {skipped} skipped',
+        'series.summary.other': '🔁 {count} sessions: {free} free, {clashing} clashing, {skipped} skipped',
+        'series.clash': 'Nothing was booked: some dates of the series clash (see the preview below). Skip those dates or choose another slot, then book again.',
+        'series.booked.one': '🔁 Booked {count} weekly session for {students} in {pod}, {timeRange}, from {firstDate} to {lastDate} 🔑 {codes}',
+        'series.booked.other': '🔁 Booked {count} weekly sessions for {students} in {pod}, {timeRange}, from {firstDate} to {lastDate} 🔑 {codes} (the same for every session)',
+        
+        // Booking results
+        'booking.removed': '🗑️ Removed booking: {students} from {pod} on {date}, {timeRange}',
+        'booking.removedLastStudent': '🗑️ Removed {student}; the booking in {pod} had no students left and was removed',
+        'booking.removedStudent': '👤 Removed {student} from {pod} on {date}, {timeRange}',
+        'booking.gone': 'This booking no longer exists',
+        'booking.booked': '✅ Successfully booked {students} in {pod} on {date}, {timeRange}',
+        'booking.codeEntry': '{code} for {student}',
+        'booking.codes.one': 'Confirmation code: {codes}',
+        'booking.codes.other': 'Confirmation codes: {codes}',
+        'booking.codesNote': '🔑 {codes} (each student can use their own code with their ID to cancel their seat)',
+        'booking.unregistered.one': '⚠️ Not in student registry: {students}',
+        'booking.unregistered.other': '⚠️ Not in student registry: {students}',
+        'promotion.promoted': '⬆️ Promoted from waitlist: {entries}',
+        'promotion.entry': '{students} → {pod} {timeRange} ({codes})',
+        
+        // Alternatives offered with a rejection
+        'suggestion.taken': 'That alternative is no longer free: {errors}',
+        'suggestion.bookedPart': '{students} in {pod} (🔑 {codes})',
+        'suggestion.booked': '✅ Booked {parts} on {date}, {timeRange}. Confirmation codes let students cancel their own seat',
+        'suggestion.heading': '💡 These would fit the whole group (best first):',
+        'suggestion.none': '💡 No nearby slot fits the whole group on this day.',
+        'suggestion.split': '✂️ Split the group: {parts}, {timeRange}',
+        'suggestion.pod': '🔀 {pod} at the same time, {timeRange}',
+        'suggestion.earlier': '🕐 {pod}, {timeRange} ({hours} earlier)',
+        'suggestion.later': '🕐 {pod}, {timeRange} ({hours} later)',
+        
+        // Waitlist
+        'waitlist.added.one': '⏳ Added {students} to the waitlist for {pod} on {date}, {timeRange} (position {position})',
+        'waitlist.added.other': '⏳ Added {students} to the waitlist for {pod} on {date}, {timeRange} (position {position})',
+        'waitlist.changed': 'The waitlist was just changed in another tab - please check it and try again',
+        'waitlist.removed.one': 'Removed {students} from the waitlist',
+        'waitlist.removed.other': 'Removed {students} from the waitlist',
+        'waitlist.alreadyWaiting': '({student} is already on the waitlist for this slot)',
+        'waitlist.offer': '⏳ Add to waitlist',
+        'waitlist.entry': '#{position} {pod}, {timeRange}: {students} (waiting since {since})',
+        'waitlist.remove': 'Remove',
+        'waitlist.empty': 'Nobody is waiting for this day.',
+        'waitlist.heading': '⏳ Waitlist',
+        'waitlist.hint': 'Groups move into freed seats automatically, oldest first',
+        
+        // Undo and redo (history labels complete "Undo: ...")
+        'toast.undo': 'Undo',
+        'history.undo': '↩️ Undo',
+        'history.redo': '↪️ Redo',
+        'history.undid': '↩️ Undid: {label}',
+        'history.redid': '↪️ Redid: {label}',
+        'history.undoTitle': 'Undo: {label} (Ctrl+Z)',
+        'history.redoTitle': 'Redo: {label} (Ctrl+Shift+Z)',
+        'history.nothingToUndo': 'Nothing to undo',
+        'history.nothingToRedo': 'Nothing to redo',
+        'history.book': 'book {students} in {pod} at {time}',
+        'history.addToBooking': 'add {students} to the {pod} booking at {time}',
+        'history.bookSeries': 'book a weekly series of {sessions} in {pod} at {time}',
+        'history.removeBooking': 'remove the {pod} booking at {time}',
+        'history.cancelSeries': 'cancel the weekly {pod} series at {time}',
+        'history.removeStudent': 'remove {student} from the {pod} booking at {time}',
+        'history.cancelOwnSeat': 'cancel {student}\'s own seat in the {pod} booking at {time}',
+        'history.checkIn': 'check in {students} to the {pod} booking at {time}',
+        'history.editBooking': 'edit the {pod} booking at {time}',
+        'history.joinWaitlist': 'add {students} to the {pod} waitlist at {time}',
+        'history.bookSuggestion': 'book the suggested {timeRange} slot',
+        'history.leaveWaitlist': 'remove {students} from the {pod} waitlist',
+        'history.import.one': 'import {count} booking from {file}',
+        'history.import.other': 'import {count} bookings from {file}',
+        'history.releaseNoShows': 'release the no-shows: {slots}',
+        
+        // Shared backend
+        'sync.conflict': '⚠️ Another desk changed these bookings first, so the table now shows the latest bookings: {errors}',
+        'sync.unreachable': '⚠️ Could not reach the booking server. Changes are kept in this browser and will be sent when it is back.',
+        'sync.rejected': '⚠️ The booking server refused some changes, so the table now shows its bookings: {errors}',
+        'sync.settingsRejected': '⚠️ The booking server refused the pod, student or policy settings changed here, so its own settings are back in place: {errors}',
+        
+        // Day switcher, exports and reset
+        'reset.confirm': 'Reset the day? All saved bookings, the waitlist, the no-shows and the violation counts and log will be cleared.',
+        'reset.done': '🔄 Day reset: saved bookings cleared',
+        'export.empty': 'There are no bookings on {date} to export',
+        'export.emptyPod': 'There are no bookings in {pod} on {date} to export',
+        'export.done.one': '⬇️ Exported {count} booking for {date}',
+        'export.done.other': '⬇️ Exported {count} bookings for {date}',
+        'export.icsDone.one': '📅 Exported {count} booking for {date} as a calendar file',
+        'export.icsDone.other': '📅 Exported {count} bookings for {date} as a calendar file',
+        'export.icsPodDone.one': '📅 Exported {count} booking in {pod} for {date} as a calendar file',
+        'export.icsPodDone.other': '📅 Exported {count} bookings in {pod} for {date} as a calendar file',
+        'bookings.heading': 'Current Bookings',
+        'reset.button': '🔄 Reset Day',
+        'day.previous': 'Previous day',
+        'day.picker': 'Day to show',
+        'day.next': 'Next day',
+        'day.today': 'Today',
+        'export.csv': '⬇️ Export CSV',
+        'export.json': '⬇️ Export JSON',
+        'export.icsPod': 'Pod for the calendar export',
+        'export.ics': '📅 Export .ics',
+        'export.icsTitle': 'Download the day\'s bookings as an iCalendar file for the library\'s shared calendar',
+        // Importing bookings from a file
+        'import.button': '📥 Import',
+        'import.heading': 'Import Preview',
+        'import.acceptedRows': '✅ Accepted rows',
+        'import.rejectedRows': '❌ Rejected rows',
+        'import.row': 'Row',
+        'import.booking': 'Booking',
+        'import.errors': 'Errors',
+        'import.rowBooking': '{pod}, {date}, {time} ({hours})',
+        'import.summary.one': '{file}: {count} row ready to import, {rejected} rejected.',
+        'import.summary.other': '{file}: {count} rows ready to import, {rejected} rejected.',
+        'import.confirm.one': 'Import {count} booking',
+        'import.confirm.other': 'Import {count} bookings',
+        'import.notArray': 'JSON must be an array of bookings or an export file with a "bookings" array',
+        'import.missingColumns': 'CSV header must include Pod, Time and Student IDs columns',
+        'import.noRows': '{file} has no booking rows to import',
+        'import.nothingImported': 'Nothing was imported from {file}: every row was rejected',
+        'import.done.one': '📥 Imported {count} booking from {file}',
+        'import.done.other': '📥 Imported {count} bookings from {file}',
+        'import.rowsRejected.one': '({count} row rejected)',
+        'import.rowsRejected.other': '({count} rows rejected)',
+        'file.unreadable': 'Could not read {file}',
+        'file.unreadableDetail': 'Could not read {file}: {error}',
+        
+        // Availability grid
+        'availability.heading': 'Availability',
+        'availability.hint': 'Click a free slot to start a booking',
+        'legend.free': 'Free',
+        'legend.partial': 'Partly booked',
+        'legend.full': 'Full',
+        'legend.closed': 'Closed',
+        'grid.pod': 'Pod',
+        'grid.closed': '{pod} is closed at {time}',
+        'grid.seatsFree.one': '{pod} at {time}: {count} seat free',
+        'grid.seatsFree.other': '{pod} at {time}: {count} seats free',
+        
+        // Bookings table and its filters
+        'label.pod': 'Pod:',
+        'filter.search': 'Search:',
+        'filter.searchPlaceholder': 'Student ID or pod, e.g., SIT-001',
+        'filter.from': 'From:',
+        'filter.to': 'To:',
+        'filter.occupancy': 'Occupancy:',
+        'filter.any': 'Any',
+        'filter.seatsFree': 'Seats free',
+        'filter.clear': '✖ Clear filters',
+        'table.pod': 'Pod',
+        'table.time': 'Time',
+        'table.students': '# Students',
+        'table.studentIds': 'Student IDs',
+        'table.studentId': 'Student ID',
+        'table.actions': 'Actions',
+        'filter.allPods': 'All pods',
+        'table.summary.one': 'Showing {shown} of {count} booking',
+        'table.summary.other': 'Showing {shown} of {count} bookings',
+        'table.seriesBadge': 'Weekly series: {sessions}',
+        'table.hours': '({hours} hrs)',
+        'table.code': 'Confirmation code: {code}',
+        'table.checkedIn': '{student} has checked in',
+        'table.checkInStudent': 'Check in {student}',
+        'table.removeStudent': 'Remove {student} from this booking',
+        'table.checkIn': '✅ Check in',
+        'table.checkInTitle': 'Check in everyone in this booking',
+        'table.edit': '✏️ Edit',
+        'table.remove': '🗑️ Remove',
+        'table.removeSession': 'Remove only this session of the series',
+        'table.cancelSeries': '🔁 Cancel series',
+        'table.cancelSeriesTitle': 'Cancel this and every later session of the series',
+        'table.noMatches': 'No bookings match this search and these filters. 🔍',
+        'table.emptyToday': 'No bookings yet. Create your first booking above! 📅',
+        'table.emptyDay': 'No bookings on {date} yet. 📅',
+        
+        // Check-in and no-shows
+        'checkIn.done': '✅ Checked in {students} to {pod}, {timeRange}',
+        'noShow.slot': '{pod} at {time}',
+        'noShow.slotOnDate': '{pod} on {date} at {time}',
+        'noShow.released': '👻 Released as no-shows (nobody checked in within {graceMinutes} minutes): {slots}',
+        'checkIn.heading': '⏱️ Check-in & No-shows',
+        'checkIn.graceLabel': 'Grace period after the start (minutes):',
+        'checkIn.hint': 'Check-in opens 15 minutes before a booking starts. A booking nobody has checked in to by the end of the grace period is released as a no-show and its seats go to the waitlist.',
+        'checkIn.save': 'Save Grace Period',
+        'checkIn.saved.one': '✅ Bookings are now released {count} minute after their start when nobody has checked in',
+        'checkIn.saved.other': '✅ Bookings are now released {count} minutes after their start when nobody has checked in',
+        
+        // Edit panel and shared buttons
+        'edit.retiredPod': '{pod} (retired)',
+        'edit.title': 'Edit booking: {pod}, {date}, {timeRange}',
+        'edit.noStudents': 'A booking needs at least one student - use Remove to delete it instead',
+        'edit.updated': '✏️ Updated booking: {students} in {pod} on {date}, {timeRange}',
+        'edit.timeLabel': 'Start Time:',
+        'edit.hint': 'Add or remove IDs here; the booking is re-checked before saving',
+        'edit.save': 'Save Changes',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        
+        // Calendar events and confirmation slips
+        'document.ics': '📅 .ics',
+        'document.icsTitle': 'Download this booking as a calendar event',
+        'document.slip': '🖨️ Slip',
+        'document.slipTitle': 'Show a printable confirmation slip for this booking',
+        'ics.calendar': 'Study pod {pod}',
+        'ics.allPodsCalendar': 'Study pods',
+        'ics.summary': 'Study pod {pod} ({students})',
+        'ics.students': 'Students: {students}',
+        'ics.code': 'Confirmation code for {student}: {code}',
+        'ics.bookingId': 'Booking ID: {id}',
+        'slip.pod': 'Pod',
+        'slip.date': 'Date',
+        'slip.time': 'Time',
+        'slip.code': 'Confirmation code {code}',
+        'slip.students': 'Students',
+        'slip.series': 'Series',
+        'slip.seriesSessions': 'Weekly, {sessions}',
+        'slip.bookingId': 'Booking ID',
+        'slip.issued': 'Issued',
+        'slip.note': 'Check in at the desk within {graceMinutes} minutes of the start, or the seats are released. To cancel your own seat, use your student ID and confirmation code at the self-service screen.',
+        'slip.heading': '🎫 Study Pod Booking Confirmation',
+        'slip.print': '🖨️ Print Slip',
+        
+        // Student self-service
+        'student.enterId': 'Please enter your student ID',
+        'student.seatCancelled': '✅ Your seat in {pod} on {date}, {timeRange} has been cancelled',
+        'student.heading': '🎓 My Bookings',
+        'student.modeLink': 'Open the student self-service screen ↗',
+        'student.intro': 'Enter your student ID to see your upcoming pod bookings. To give up your seat, enter the confirmation code you were given for it; it only cancels your own seat.',
+        'student.idLabel': 'Student ID:',
+        'student.idPlaceholder': 'e.g., SIT-001',
+        'student.find': 'Find My Bookings',
+        'student.justYou': 'Just you',
+        'student.withOthers.one': 'You and {count} other student',
+        'student.withOthers.other': 'You and {count} other students',
+        'student.checkedIn': '✓ Checked in',
+        'student.codePlaceholder': 'Confirmation code',
+        'student.codeLabel': 'Confirmation code for {pod} at {time}',
+        'student.cancelSeat': 'Cancel my seat',
+        'student.noBookings': '{student} has no upcoming pod bookings.',
+        
+        // Daily insights and charts
+        'insights.today': 'Today',
+        'insights.totalBookings': 'Total Bookings on This Day',
+        'insights.totalBookingsSource': 'Source: bookings in the table for this day (groups merged into one slot count once; released no-shows are left out)',
+        'insights.uniqueStudents': '👥 Total Unique Students Served',
+        'insights.uniqueStudentsSource': 'Source: distinct student IDs across the {bookings} for this day',
+        'insights.busiestHour': '⏰ Busiest Hour',
+        'insights.noBookings': 'No bookings yet',
+        'insights.busiestTied': 'Tied: {students} in each of these hours',
+        'insights.busiestDetail': '{students} in the pods that hour',
+        'insights.busiestHourSource': 'Source: students per hour across all pods, counting every hour a booking covers',
+        'insights.fillRates': '📊 Pod Fill Rates (% of capacity used)',
+        'insights.fillRate': '{rate}% ({booked}/{total} seat-hours)',
+        'insights.fillRateTitle.one': '{used} of {count} opening hour booked',
+        'insights.fillRateTitle.other': '{used} of {count} opening hours booked',
+        'insights.fillRatesSource': 'Source: seat-hours booked ÷ (capacity × every opening hour), whether or not the hour was booked',
+        'insights.waitlist': '⏳ Waitlist per Slot',
+        'insights.waitlistSlot': '{groups}, {students}',
+        'insights.waitlistSource': 'Source: groups on this day\'s waitlist, by pod and start time',
+        'insights.checkInRate': '✅ Check-in Rate',
+        'insights.noneStarted': 'No bookings started yet',
+        'insights.checkInDetail.one': '{checkedIn} of {count} student checked in',
+        'insights.checkInDetail.other': '{checkedIn} of {count} students checked in',
+        'insights.checkInSource': 'Source: students in bookings that have started, including released no-shows',
+        'insights.noShowRate': '👻 No-show Rate',
+        'insights.noShowDetail.one': '{released} of {count} started booking released',
+        'insights.noShowDetail.other': '{released} of {count} started bookings released',
+        'insights.noShowSource': 'Source: started bookings released after the {graceMinutes}-minute grace period with nobody checked in',
+        'insights.violations': '🚫 Flagged Violations',
+        'insights.violationsSource': 'Source: rejected booking attempts on every day since the last reset (details in the Violation Log)',
+        'chart.heatmapLabel': 'Seats taken per pod and hour',
+        'chart.heatmapCell.one': '{pod} {time}: {count} of {capacity} seats taken',
+        'chart.heatmapCell.other': '{pod} {time}: {count} of {capacity} seats taken',
+        'chart.heatmapClosed': '{pod} {time}: closed',
+        'chart.heatmapSource': 'Source: students booked into each pod per hour ÷ its capacity; a booking counts in every hour it covers',
+        'chart.utilisationLabel': 'Share of open seats taken each hour',
+        'chart.utilisationClosed': '{time}: no pods open',
+        'chart.utilisationBar.one': '{time}: {count} of {seats} open seats taken ({utilisation}%)',
+        'chart.utilisationBar.other': '{time}: {count} of {seats} open seats taken ({utilisation}%)',
+        'chart.utilisationSource': 'Source: students in all pods each hour ÷ the seats of every pod open that hour',
+        'insights.heading': 'Daily Insights',
+        'insights.hourByHour': 'Hour by Hour',
+        'chart.heatmapCaption': '🔥 Occupancy Heatmap (seats taken per pod)',
+        'chart.utilisationCaption': '📈 Utilisation by Hour (all open pods)',
+        
+        // Fair-use policies and violation categories
+        'policy.maxHoursPerDay': 'Maximum hours per student per day',
+        'policy.maxConsecutiveHours': 'Maximum consecutive hours',
+        'policy.maxDaysAhead': 'Days ahead bookings may be made',
+        'policy.heading': '⚖️ Booking Policies',
+        'policy.maxHoursPerDayLabel': 'Max hours per student per day:',
+        'policy.maxConsecutiveHoursLabel': 'Max consecutive hours:',
+        'policy.maxDaysAheadLabel': 'Book up to (days ahead):',
+        'policy.hint': 'Hours are counted across every pod. Each pod\'s minimum group size is set in Pod Administration. Rejected attempts are counted per policy in the Daily Insights.',
+        'policy.save': 'Save Policies',
+        'policy.saved': '✅ Booking policies saved; they apply to new bookings and edits from now on',
+        'violation.duplicate': 'Duplicate or clashing bookings',
+        'violation.dailyHours': 'Daily hours limit',
+        'violation.consecutiveHours': 'Consecutive hours limit',
+        'violation.groupSize': 'Group below pod minimum',
+        'violation.daysAhead': 'Booked too far ahead',
+        // Pod administration
+        'podAdmin.heading': '⚙️ Pod Administration',
+        'podAdmin.capacity': 'Capacity',
+        'podAdmin.amenities': 'Amenities',
+        'podAdmin.hours': 'Hours',
+        'podAdmin.status': 'Status',
+        'podAdmin.capacityWithGroups': '{capacity} (groups of {minGroupSize}+)',
+        'podAdmin.active': 'Active',
+        'podAdmin.retired': 'Retired',
+        'podAdmin.retire': '📦 Retire',
+        'podAdmin.restore': '♻️ Restore',
+        'podAdmin.addTitle': 'Add a Pod',
+        'podAdmin.editTitle': 'Edit {pod}',
+        'podAdmin.idLabel': 'Pod ID:',
+        'podAdmin.idPlaceholder': 'e.g., POD-D',
+        'podAdmin.capacityLabel': 'Capacity:',
+        'podAdmin.minGroupLabel': 'Minimum group:',
+        'podAdmin.opensLabel': 'Opens:',
+        'podAdmin.closesLabel': 'Closes:',
+        'podAdmin.amenitiesLabel': 'Amenities:',
+        'podAdmin.save': 'Save Pod',
+        'podAdmin.updated': '✏️ Updated {pod}',
+        'podAdmin.added': '➕ Added {pod} (Capacity: {students})',
+        'podAdmin.retiredDone': '📦 Retired {pod}',
+        'podAdmin.restored': '♻️ Restored {pod}',
+        'podAdmin.retireConfirm.one': '{pod} has {count} upcoming booking. It will be kept, but no new bookings can be made. Retire it?',
+        'podAdmin.retireConfirm.other': '{pod} has {count} upcoming bookings. They will be kept, but no new bookings can be made. Retire it?',
+        'amenity.whiteboard': 'Whiteboard',
+        'amenity.screen': 'Screen',
+        'amenity.power': 'Power outlets',
+        // Student registry
+        'registry.heading': '🎓 Student Registry',
+        'registry.patternLabel': 'Student ID pattern (regular expression):',
+        'registry.patternHint': 'IDs are upper-cased before checking. Default: {pattern} (e.g. SIT-001)',
+        'registry.unknownPolicyLabel': 'IDs not in the registry:',
+        'registry.policyFlag': 'Flag (allow with a warning)',
+        'registry.policyReject': 'Reject the booking',
+        'registry.saveSettings': 'Save Settings',
+        'registry.importLabel': 'Import registry (CSV or JSON):',
+        'registry.importHint': 'CSV columns: id, name, school. JSON: an array of { "id", "name", "school" } objects. Importing replaces the current registry.',
+        'registry.clear': '🗑️ Clear Registry',
+        'registry.name': 'Name',
+        'registry.school': 'School',
+        'registry.empty': 'No registry imported - only the ID format is checked.',
+        'registry.summary.one': '{count} registered student. {policy}',
+        'registry.summary.other': '{count} registered students. {policy}',
+        'registry.unknownFlagged': 'Unknown IDs are flagged.',
+        'registry.unknownRejected': 'Unknown IDs are rejected.',
+        'registry.patternEmpty': 'The ID pattern cannot be empty',
+        'registry.patternInvalid': 'Invalid ID pattern: {error}',
+        'registry.settingsSaved': '✅ Student ID settings saved',
+        'registry.notArray': 'JSON registry must be an array of { id, name, school } objects',
+        'registry.rowInvalid': 'Row {row}: "{student}" is not a valid student ID',
+        'registry.rowDuplicate': 'Row {row}: {student} is listed more than once',
+        'registry.noneValid': 'No valid students found in {file}. {skipped}',
+        'registry.imported.one': '✅ Imported {count} student from {file}',
+        'registry.imported.other': '✅ Imported {count} students from {file}',
+        'registry.skipped': '⚠️ Skipped {count}: {skipped}',
+        'registry.clearConfirm': 'Clear the student registry? Unknown IDs will no longer be checked.',
+        'registry.cleared': '🗑️ Student registry cleared',
+        // Violation log and the rule names it lists
+        'violations.heading': '🚫 Violation Log',
+        'violations.ruleLabel': 'Rule:',
+        'violations.allRules': 'All rules',
+        'violations.logged': 'Logged',
+        'violations.booking': 'Booking',
+        'violations.rulesBroken': 'Rules Broken',
+        'violations.repeatOffenders': 'Repeat Offenders',
+        'violations.attempts': 'Rejected Attempts',
+        'violations.summary.one': 'Showing {shown} of {count} rejected attempt',
+        'violations.summary.other': 'Showing {shown} of {count} rejected attempts',
+        'violations.none': 'No rejected attempts logged yet.',
+        'violations.noMatches': 'No logged attempts match these filters.',
+        'violations.noRepeatOffenders': 'No student has more than one rejected attempt.',
+        'violations.exportEmpty': 'There are no logged violations to export',
+        'violations.exported.one': '⬇️ Exported {count} logged violation',
+        'violations.exported.other': '⬇️ Exported {count} logged violations',
+        'rule.DUPLICATE_IN_REQUEST': 'Duplicate in request',
+        'rule.UNKNOWN_POD': 'Unknown pod',
+        'rule.POD_RETIRED': 'Pod retired',
+        'rule.INVALID_DATE': 'Invalid date',
+        'rule.PAST_DATE': 'Past date',
+        'rule.INVALID_DURATION': 'Invalid duration',
+        'rule.OUTSIDE_HOURS': 'Outside hours',
+        'rule.PAST_CLOSING': 'Past closing',
+        'rule.NOT_ON_THE_HOUR': 'Not on the hour',
+        'rule.NO_STUDENTS': 'No students',
+        'rule.INVALID_STUDENT_ID': 'Invalid student ID',
+        'rule.UNREGISTERED_STUDENT': 'Unregistered student',
+        'rule.CAPACITY_EXCEEDED': 'Capacity exceeded',
+        'rule.ALREADY_IN_POD': 'Already in pod',
+        'rule.CROSS_POD_CLASH': 'Cross pod clash',
+        'rule.DAILY_HOURS_EXCEEDED': 'Daily hours exceeded',
+        'rule.CONSECUTIVE_HOURS_EXCEEDED': 'Consecutive hours exceeded',
+        'rule.GROUP_TOO_SMALL': 'Group too small',
+        'rule.TOO_FAR_AHEAD': 'Too far ahead',
+        
+        // Booking engine errors (see ERROR_CODES in booking-engine.js)
+        'error.DUPLICATE_IN_REQUEST': 'Duplicate student ID found in request: {student}',
+        'error.UNKNOWN_POD': 'Unknown study pod: {pod}',
+        'error.POD_RETIRED': '{pod} has been retired and can no longer be booked',
+        'error.INVALID_DATE': 'Please choose a valid booking date',
+        'error.PAST_DATE': 'Bookings cannot be made for past dates ({date})',
+        'error.INVALID_DURATION': 'Booking length must be between 1 and {maxHours} hours',
+        'error.OUTSIDE_HOURS': '{pod} can be booked from {openTime} until it closes at {closeTime} ({closeTime} is not available)',
+        'error.PAST_CLOSING.one': 'A {count}-hour booking from {time} runs past {pod}\'s closing time ({closeTime})',
+        'error.PAST_CLOSING.other': 'A {count}-hour booking from {time} runs past {pod}\'s closing time ({closeTime})',
+        'error.NOT_ON_THE_HOUR': 'Bookings start on the hour, e.g. 09:00 ({time} is not on the hour)',
+        'error.NO_STUDENTS': 'At least one valid student ID is required',
+        'error.INVALID_STUDENT_ID': '"{student}" is not a valid student ID (expected a school prefix and number, e.g. SIT-001)',
+        'error.UNREGISTERED_STUDENT': 'Student {student} is not in the student registry',
+        'error.CAPACITY_EXCEEDED': 'Pod capacity exceeded at {time}. Current: {seatsTaken}, Adding: {adding}, Maximum: {capacity}',
+        'error.ALREADY_IN_POD': 'Student {student} is already booked in {pod} at {time} on {date}',
+        'error.CROSS_POD_CLASH': 'Student {student} already has a booking in another pod ({otherPod}) at {time} on {date}',
+        'error.BOOKING_NOT_FOUND': 'That booking no longer exists',
+        'error.STUDENT_NOT_IN_BOOKING': '{student} is not in that booking',
+        'error.ALREADY_WAITING': '{student} is already on the waitlist for this slot',
+        'error.INVALID_POD_ID': 'Pod ID must be 2-20 characters using letters, numbers and dashes (e.g. POD-D)',
+        'error.POD_EXISTS': 'A pod called {pod} already exists',
+        'error.INVALID_CAPACITY': 'Capacity must be a whole number between 1 and {maxCapacity}',
+        'error.MISSING_HOURS': 'Opening and closing times are both required',
+        'error.CLOSES_BEFORE_OPENING': 'Closing time must be later than opening time',
+        'error.HOURS_NOT_ON_THE_HOUR': 'Opening and closing times must be on the hour, e.g. 08:00',
+        'error.BOOKING_OUTSIDE_NEW_HOURS': 'Booking on {date} at {time} would fall outside the new opening hours',
+        'error.BOOKING_OVER_NEW_CAPACITY': '{seatsTaken} students are booked on {date} at {time}, more than the new capacity',
+        'error.BOOKING_CONFLICT': 'The {pod} booking on {date} at {time} was changed or removed at another desk',
+        'error.BOOKING_REJECTED': 'The booking server refused the {pod} booking on {date} at {time} (error {status})',
+        'error.SETTINGS_REJECTED': 'The booking server refused the settings (error {status})',
+        'error.CHECK_IN_NOT_OPEN': 'Check-in for the {pod} booking at {time} opens at {opensAt}',
+        'error.CHECK_IN_CLOSED': 'The {pod} booking at {time} has ended, so check-in is closed',
+        'error.ALREADY_CHECKED_IN': '{student} is already checked in to the {pod} booking at {time}',
+        'error.ALREADY_CHECKED_IN_ALL': 'Everyone in the {pod} booking at {time} is already checked in',
+        'error.INVALID_GRACE_PERIOD': 'Grace period must be a whole number of minutes between 0 and {maxMinutes}',
+        'error.DAILY_HOURS_EXCEEDED': '{student} already has {hours} booked on {date}; adding {adding} would pass the daily limit of {maxHours}',
+        'error.CONSECUTIVE_HOURS_EXCEEDED': '{student} would be in a pod for {consecutiveHours} hours in a row on {date} (limit: {maxHours})',
+        'error.GROUP_TOO_SMALL': '{pod} needs a group of at least {minGroupSize} (this booking would have {groupSize})',
+        'error.TOO_FAR_AHEAD': 'Bookings can only be made up to {days} ahead (until {lastDate})',
+        'error.INVALID_MIN_GROUP_SIZE': 'Minimum group size must be a whole number between 1 and the pod\'s capacity ({capacity})',
+        'error.INVALID_POLICY_LIMIT': '{setting} must be a whole number between {min} and {max}',
+        'error.INVALID_CONFIRMATION_CODE': 'That confirmation code doesn\'t match {student}\'s seat in the {pod} booking at {time}',
+        'error.INVALID_SERIES_END': 'Please choose an end date on or after the first booking date',
+        'error.NO_SERIES_WEEKDAYS': 'Please choose at least one day of the week to repeat on',
+        'error.TOO_MANY_OCCURRENCES': 'A series can hold at most {maxOccurrences} sessions; choose an earlier end date',
+        'error.SERIES_NOT_FOUND': 'That series no longer exists',
+        'error.SERIES_ENDED': 'That series has no upcoming sessions left'
+    },
+    // Same keys as en, in the same order
+    sw: {
+        'app.title': 'Mfumo wa Kuhifadhi Vyumba vya Kusomea',
+        'app.subtitle': 'Vyumba vya Kusomea vya Maktaba - Usimamizi wa Uhifadhi kwa Wakati Halisi',
+        'display.language': 'Lugha:',
+        'display.timeFormat': 'Saa:',
+        'display.24h': 'Saa 24 (14:00)',
+        'display.12h': 'Saa 12 (2:00 pm)',
+        
+        'list.and': ' na ',
+        'count.hours.one': 'saa {count}',
+        'count.hours.other': 'saa {count}',
+        'count.students.one': 'mwanafunzi {count}',
+        'count.students.other': 'wanafunzi {count}',
+        'count.bookings.one': 'uhifadhi {count}',
+        'count.bookings.other': 'uhifadhi {count}',
+        'count.sessions.one': 'kipindi {count}',
+        'count.sessions.other': 'vipindi {count}',
+        'count.groups.one': 'kikundi {count}',
+        'count.groups.other': 'vikundi {count}',
+        'count.days.one': 'siku {count}',
+        'count.days.other': 'siku {count}',
+        
+        'form.heading': 'Hifadhi Chumba cha Kusomea',
+        'form.podLabel': 'Chagua Chumba:',
+        'form.dateLabel': 'Tarehe:',
+        'form.timeLabel': 'Muda wa Kuanza (vipindi vya saa 1):',
+        'form.durationLabel': 'Muda:',
+        'form.studentsLabel': 'Namba za Wanafunzi (zitenganishe kwa koma):',
+        'form.studentsPlaceholder': 'k.m., SIT-001, SMC-210, SST-101',
+        'form.studentsHint': 'Andika hadi namba {capacity} za wanafunzi zikitenganishwa kwa koma',
+        'form.repeatWeekly': '🔁 Rudia kila wiki (vikundi vya kusoma)',
+        'form.repeatOn': 'Siku:',
+        'form.repeatUntil': 'Hadi:',
+        'form.repeatSkip': 'Tarehe za kuruka (zitenganishe kwa koma):',
+        'form.repeatSkipPlaceholder': 'k.m., 2030-03-18, 2030-04-01',
+        'form.repeatSkipHint': 'Sikukuu, siku za mitihani au tarehe zinazogongana',
+        'form.previewSeries': '👁️ Onyesha mfululizo',
+        'form.submit': 'Hifadhi Chumba',
+        'form.choosePod': 'Chagua chumba cha kusomea...',
+        'form.podOption': '{pod} (Nafasi: wanafunzi {capacity}, {openTime}–{closeTime})',
+        'form.selectPod': 'Tafadhali chagua chumba cha kusomea',
+        'form.selectDate': 'Tafadhali chagua tarehe ya uhifadhi',
+        'form.selectTime': 'Tafadhali chagua muda wa uhifadhi',
+        'form.enterStudents': 'Tafadhali andika angalau namba moja ya mwanafunzi',
+        'form.noValidStudents': 'Hakuna namba sahihi za wanafunzi. Tafadhali kagua ulichoandika.',
+        
+        'series.cancelled.one': '🗑️ Kipindi {count} cha mfululizo wa kila wiki wa {pod} saa {timeRange} kimefutwa',
+        'series.cancelled.other': '🗑️ Vipindi {count} vya mfululizo wa kila wiki wa {pod} saa {timeRange} vimefutwa',
+        'series.invalidSkipDates': 'Tarehe za kuruka ziandikwe kama YYYY-MM-DD: {dates}',
+        'series.skipped': '⏭️ {date}: imerukwa',
+        'series.noDates': 'Mpangilio huu hauna tarehe kati ya tarehe ya kwanza na tarehe ya mwisho.',
+        'series.summary.one': '🔁 Kipindi {count}: {free} wazi, {clashing} vinagongana, {skipped} vimerukwa',
+        'series.summary.other': '🔁 Vipindi {count}: {free} wazi, {clashing} vinagongana, {skipped} vimerukwa',
+        'series.clash': 'Hakuna kilichohifadhiwa: baadhi ya tarehe za mfululizo zinagongana (tazama hapa chini). Ruka tarehe hizo au chagua muda mwingine, kisha hifadhi tena.',
+        'series.booked.one': '🔁 Kipindi {count} cha kila wiki kimehifadhiwa kwa {students} katika {pod}, {timeRange}, kuanzia {firstDate} hadi {lastDate} 🔑 {codes}',
+        'series.booked.other': '🔁 Vipindi {count} vya kila wiki vimehifadhiwa kwa {students} katika {pod}, {timeRange}, kuanzia {firstDate} hadi {lastDate} 🔑 {codes} (ni zilezile kwa kila kipindi)',
+        
+        'booking.removed': '🗑️ Uhifadhi umefutwa: {students} kutoka {pod} tarehe {date}, {timeRange}',
+        'booking.removedLastStudent': '🗑️ {student} ameondolewa; uhifadhi wa {pod} haukubaki na mwanafunzi yeyote na umefutwa',
+        'booking.removedStudent': '👤 {student} ameondolewa kutoka {pod} tarehe {date}, {timeRange}',
+        'booking.gone': 'Uhifadhi huu haupo tena',
+        'booking.booked': '✅ Umefanikiwa kuhifadhi {students} katika {pod} tarehe {date}, {timeRange}',
+        'booking.codeEntry': '{code} ya {student}',
+        'booking.codes.one': 'Namba ya uthibitisho: {codes}',
+        'booking.codes.other': 'Namba za uthibitisho: {codes}',
+        'booking.codesNote': '🔑 {codes} (kila mwanafunzi anaweza kutumia namba yake pamoja na namba yake ya mwanafunzi kufuta nafasi yake)',
+        'booking.unregistered.one': '⚠️ Hayupo kwenye orodha ya wanafunzi: {students}',
+        'booking.unregistered.other': '⚠️ Hawapo kwenye orodha ya wanafunzi: {students}',
+        'promotion.promoted': '⬆️ Wamepandishwa kutoka orodha ya kusubiri: {entries}',
+        'promotion.entry': '{students} → {pod} {timeRange} ({codes})',
+        
+        'suggestion.taken': 'Chaguo hilo halipo wazi tena: {errors}',
+        'suggestion.bookedPart': '{students} katika {pod} (🔑 {codes})',
+        'suggestion.booked': '✅ Umehifadhi {parts} tarehe {date}, {timeRange}. Namba za uthibitisho zinawaruhusu wanafunzi kufuta nafasi zao wenyewe',
+        'suggestion.heading': '💡 Hizi zingetosha kikundi kizima (bora kwanza):',
+        'suggestion.none': '💡 Hakuna muda wa karibu unaotosha kikundi kizima siku hii.',
+        'suggestion.split': '✂️ Gawanya kikundi: {parts}, {timeRange}',
+        'suggestion.pod': '🔀 {pod} kwa muda uleule, {timeRange}',
+        'suggestion.earlier': '🕐 {pod}, {timeRange} ({hours} mapema)',
+        'suggestion.later': '🕐 {pod}, {timeRange} ({hours} baadaye)',
+        
+        'waitlist.added.one': '⏳ {students} ameongezwa kwenye orodha ya kusubiri ya {pod} tarehe {date}, {timeRange} (nafasi ya {position})',
+        'waitlist.added.other': '⏳ {students} wameongezwa kwenye orodha ya kusubiri ya {pod} tarehe {date}, {timeRange} (nafasi ya {position})',
+        'waitlist.changed': 'Orodha ya kusubiri imebadilishwa sasa hivi kwenye kichupo kingine - tafadhali ikague na ujaribu tena',
+        'waitlist.removed.one': '{students} ameondolewa kwenye orodha ya kusubiri',
+        'waitlist.removed.other': '{students} wameondolewa kwenye orodha ya kusubiri',
+        'waitlist.alreadyWaiting': '({student} tayari yupo kwenye orodha ya kusubiri ya muda huu)',
+        'waitlist.offer': '⏳ Ongeza kwenye orodha ya kusubiri',
+        'waitlist.entry': '#{position} {pod}, {timeRange}: {students} (wanasubiri tangu {since})',
+        'waitlist.remove': 'Ondoa',
+        'waitlist.empty': 'Hakuna anayesubiri siku hii.',
+        'waitlist.heading': '⏳ Orodha ya Kusubiri',
+        'waitlist.hint': 'Vikundi huingia kwenye nafasi zilizoachwa wazi moja kwa moja, waliotangulia kwanza',
+        
+        'toast.undo': 'Tendua',
+        'history.undo': '↩️ Tendua',
+        'history.redo': '↪️ Rudia',
+        'history.undid': '↩️ Imetenduliwa: {label}',
+        'history.redid': '↪️ Imerudiwa: {label}',
+        'history.undoTitle': 'Tendua: {label} (Ctrl+Z)',
+        'history.redoTitle': 'Rudia: {label} (Ctrl+Shift+Z)',
+        'history.nothingToUndo': 'Hakuna cha kutendua',
+        'history.nothingToRedo': 'Hakuna cha kurudia',
+        'history.book': 'hifadhi {students} katika {pod} saa {time}',
+        'history.addToBooking': 'ongeza {students} kwenye uhifadhi wa {pod} saa {time}',
+        'history.bookSeries': 'hifadhi mfululizo wa kila wiki wa {sessions} katika {pod} saa {time}',
+        'history.removeBooking': 'futa uhifadhi wa {pod} saa {time}',
+        'history.cancelSeries': 'futa mfululizo wa kila wiki wa {pod} saa {time}',
+        'history.removeStudent': 'ondoa {student} kwenye uhifadhi wa {pod} saa {time}',
+        'history.cancelOwnSeat': 'futa nafasi ya {student} mwenyewe kwenye uhifadhi wa {pod} saa {time}',
+        'history.checkIn': 'sajili kuwasili kwa {students} kwenye uhifadhi wa {pod} saa {time}',
+        'history.editBooking': 'hariri uhifadhi wa {pod} saa {time}',
+        'history.joinWaitlist': 'ongeza {students} kwenye orodha ya kusubiri ya {pod} saa {time}',
+        'history.bookSuggestion': 'hifadhi muda uliopendekezwa wa {timeRange}',
+        'history.leaveWaitlist': 'ondoa {students} kwenye orodha ya kusubiri ya {pod}',
+        'history.import.one': 'leta uhifadhi {count} kutoka {file}',
+        'history.import.other': 'leta uhifadhi {count} kutoka {file}',
+        'history.releaseNoShows': 'achilia wasiofika: {slots}',
+        
+        'sync.conflict': '⚠️ Dawati jingine lilibadilisha uhifadhi huu kwanza, kwa hiyo jedwali sasa linaonyesha uhifadhi wa karibuni: {errors}',
+        'sync.unreachable': '⚠️ Imeshindwa kufikia seva ya uhifadhi. Mabadiliko yamehifadhiwa kwenye kivinjari hiki na yatatumwa itakaporudi.',
+        'sync.rejected': '⚠️ Seva ya uhifadhi ilikataa baadhi ya mabadiliko, kwa hiyo jedwali sasa linaonyesha uhifadhi wake: {errors}',
+        'sync.settingsRejected': '⚠️ Seva ya uhifadhi ilikataa mipangilio ya vyumba, wanafunzi au sera iliyobadilishwa hapa, kwa hiyo mipangilio yake imerejeshwa: {errors}',
+        
+        'reset.confirm': 'Anza siku upya? Uhifadhi wote uliohifadhiwa, orodha ya kusubiri, wasiofika na hesabu na kumbukumbu ya ukiukaji vitafutwa.',
+        'reset.done': '🔄 Siku imeanzishwa upya: uhifadhi uliohifadhiwa umefutwa',
+        'export.empty': 'Hakuna uhifadhi tarehe {date} wa kuhamisha',
+        'export.emptyPod': 'Hakuna uhifadhi katika {pod} tarehe {date} wa kuhamisha',
+        'export.done.one': '⬇️ Uhifadhi {count} wa tarehe {date} umehamishwa',
+        'export.done.other': '⬇️ Uhifadhi {count} wa tarehe {date} umehamishwa',
+        'export.icsDone.one': '📅 Uhifadhi {count} wa tarehe {date} umehamishwa kama faili la kalenda',
+        'export.icsDone.other': '📅 Uhifadhi {count} wa tarehe {date} umehamishwa kama faili la kalenda',
+        'export.icsPodDone.one': '📅 Uhifadhi {count} katika {pod} wa tarehe {date} umehamishwa kama faili la kalenda',
+        'export.icsPodDone.other': '📅 Uhifadhi {count} katika {pod} wa tarehe {date} umehamishwa kama faili la kalenda',
+        'bookings.heading': 'Uhifadhi wa Sasa',
+        'reset.button': '🔄 Anza Siku Upya',
+        'day.previous': 'Siku iliyopita',
+        'day.picker': 'Siku ya kuonyesha',
+        'day.next': 'Siku inayofuata',
+        'day.today': 'Leo',
+        'export.csv': '⬇️ Hamisha CSV',
+        'export.json': '⬇️ Hamisha JSON',
+        'export.icsPod': 'Chumba cha kuhamisha kwenye kalenda',
+        'export.ics': '📅 Hamisha .ics',
+        'export.icsTitle': 'Pakua uhifadhi wa siku kama faili la iCalendar kwa kalenda ya pamoja ya maktaba',
+        'import.button': '📥 Leta',
+        'import.heading': 'Hakiki ya Kuleta',
+        'import.acceptedRows': '✅ Safu zilizokubaliwa',
+        'import.rejectedRows': '❌ Safu zilizokataliwa',
+        'import.row': 'Safu',
+        'import.booking': 'Uhifadhi',
+        'import.errors': 'Makosa',
+        'import.rowBooking': '{pod}, {date}, {time} ({hours})',
+        'import.summary.one': '{file}: safu {count} iko tayari kuletwa, {rejected} zimekataliwa.',
+        'import.summary.other': '{file}: safu {count} ziko tayari kuletwa, {rejected} zimekataliwa.',
+        'import.confirm.one': 'Leta uhifadhi {count}',
+        'import.confirm.other': 'Leta uhifadhi {count}',
+        'import.notArray': 'JSON lazima iwe orodha ya uhifadhi au faili la kuhamisha lenye orodha ya "bookings"',
+        'import.missingColumns': 'Kichwa cha CSV lazima kiwe na safu wima za Pod, Time na Student IDs',
+        'import.noRows': '{file} haina safu za uhifadhi za kuleta',
+        'import.nothingImported': 'Hakuna kilicholetwa kutoka {file}: kila safu ilikataliwa',
+        'import.done.one': '📥 Uhifadhi {count} umeletwa kutoka {file}',
+        'import.done.other': '📥 Uhifadhi {count} umeletwa kutoka {file}',
+        'import.rowsRejected.one': '(safu {count} imekataliwa)',
+        'import.rowsRejected.other': '(safu {count} zimekataliwa)',
+        'file.unreadable': 'Imeshindwa kusoma {file}',
+        'file.unreadableDetail': 'Imeshindwa kusoma {file}: {error}',
+        
+        'availability.heading': 'Upatikanaji',
+        'availability.hint': 'Bofya muda ulio wazi kuanza kuhifadhi',
+        'legend.free': 'Wazi',
+        'legend.partial': 'Kimejaa kiasi',
+        'legend.full': 'Kimejaa',
+        'legend.closed': 'Kimefungwa',
+        'grid.pod': 'Chumba',
+        'grid.closed': '{pod} kimefungwa saa {time}',
+        'grid.seatsFree.one': '{pod} saa {time}: nafasi {count} wazi',
+        'grid.seatsFree.other': '{pod} saa {time}: nafasi {count} wazi',
+        
+        'label.pod': 'Chumba:',
+        'filter.search': 'Tafuta:',
+        'filter.searchPlaceholder': 'Namba ya mwanafunzi au chumba, k.m., SIT-001',
+        'filter.from': 'Kuanzia:',
+        'filter.to': 'Hadi:',
+        'filter.occupancy': 'Ujazo:',
+        'filter.any': 'Yoyote',
+        'filter.seatsFree': 'Kuna nafasi wazi',
+        'filter.clear': '✖ Futa vichujio',
+        'table.pod': 'Chumba',
+        'table.time': 'Muda',
+        'table.students': 'Idadi ya Wanafunzi',
+        'table.studentIds': 'Namba za Wanafunzi',
+        'table.studentId': 'Namba ya Mwanafunzi',
+        'table.actions': 'Vitendo',
+        'filter.allPods': 'Vyumba vyote',
+        'table.summary.one': 'Inaonyesha {shown} kati ya uhifadhi {count}',
+        'table.summary.other': 'Inaonyesha {shown} kati ya uhifadhi {count}',
+        'table.seriesBadge': 'Mfululizo wa kila wiki: {sessions}',
+        'table.hours': '(saa {hours})',
+        'table.code': 'Namba ya uthibitisho: {code}',
+        'table.checkedIn': '{student} amewasili',
+        'table.checkInStudent': 'Sajili kuwasili kwa {student}',
+        'table.removeStudent': 'Ondoa {student} kwenye uhifadhi huu',
+        'table.checkIn': '✅ Sajili kuwasili',
+        'table.checkInTitle': 'Sajili kuwasili kwa kila mtu kwenye uhifadhi huu',
+        'table.edit': '✏️ Hariri',
+        'table.remove': '🗑️ Futa',
+        'table.removeSession': 'Futa kipindi hiki tu cha mfululizo',
+        'table.cancelSeries': '🔁 Futa mfululizo',
+        'table.cancelSeriesTitle': 'Futa kipindi hiki na vipindi vyote vinavyofuata vya mfululizo',
+        'table.noMatches': 'Hakuna uhifadhi unaolingana na utafutaji na vichujio hivi. 🔍',
+        'table.emptyToday': 'Bado hakuna uhifadhi. Fanya uhifadhi wako wa kwanza hapo juu! 📅',
+        'table.emptyDay': 'Bado hakuna uhifadhi tarehe {date}. 📅',
+        
+        'checkIn.done': '✅ Kuwasili kwa {students} kumesajiliwa katika {pod}, {timeRange}',
+        'noShow.slot': '{pod} saa {time}',
+        'noShow.slotOnDate': '{pod} tarehe {date} saa {time}',
+        'noShow.released': '👻 Wameachiliwa kama hawakufika (hakuna aliyesajili kuwasili ndani ya dakika {graceMinutes}): {slots}',
+        'checkIn.heading': '⏱️ Kuwasili na Wasiofika',
+        'checkIn.graceLabel': 'Muda wa neema baada ya kuanza (dakika):',
+        'checkIn.hint': 'Usajili wa kuwasili unafunguliwa dakika 15 kabla ya uhifadhi kuanza. Uhifadhi ambao hakuna aliyesajili kuwasili kufikia mwisho wa muda wa neema unaachiliwa kama wasiofika na nafasi zake zinaenda kwa orodha ya kusubiri.',
+        'checkIn.save': 'Hifadhi Muda wa Neema',
+        'checkIn.saved.one': '✅ Uhifadhi sasa unaachiliwa dakika {count} baada ya kuanza iwapo hakuna aliyesajili kuwasili',
+        'checkIn.saved.other': '✅ Uhifadhi sasa unaachiliwa dakika {count} baada ya kuanza iwapo hakuna aliyesajili kuwasili',
+        
+        'edit.retiredPod': '{pod} (kimestaafishwa)',
+        'edit.title': 'Hariri uhifadhi: {pod}, {date}, {timeRange}',
+        'edit.noStudents': 'Uhifadhi unahitaji angalau mwanafunzi mmoja - tumia Futa kuuondoa badala yake',
+        'edit.updated': '✏️ Uhifadhi umesasishwa: {students} katika {pod} tarehe {date}, {timeRange}',
+        'edit.timeLabel': 'Muda wa Kuanza:',
+        'edit.hint': 'Ongeza au ondoa namba hapa; uhifadhi hukaguliwa upya kabla ya kuhifadhiwa',
+        'edit.save': 'Hifadhi Mabadiliko',
+        'common.cancel': 'Ghairi',
+        'common.close': 'Funga',
+        
+        'document.ics': '📅 .ics',
+        'document.icsTitle': 'Pakua uhifadhi huu kama tukio la kalenda',
+        'document.slip': '🖨️ Risiti',
+        'document.slipTitle': 'Onyesha risiti ya uthibitisho ya kuchapisha kwa uhifadhi huu',
+        'ics.calendar': 'Chumba cha kusomea {pod}',
+        'ics.allPodsCalendar': 'Vyumba vya kusomea',
+        'ics.summary': 'Chumba cha kusomea {pod} ({students})',
+        'ics.students': 'Wanafunzi: {students}',
+        'ics.code': 'Namba ya uthibitisho ya {student}: {code}',
+        'ics.bookingId': 'Namba ya uhifadhi: {id}',
+        'slip.pod': 'Chumba',
+        'slip.date': 'Tarehe',
+        'slip.time': 'Muda',
+        'slip.code': 'Namba ya uthibitisho {code}',
+        'slip.students': 'Wanafunzi',
+        'slip.series': 'Mfululizo',
+        'slip.seriesSessions': 'Kila wiki, {sessions}',
+        'slip.bookingId': 'Namba ya Uhifadhi',
+        'slip.issued': 'Imetolewa',
+        'slip.note': 'Sajili kuwasili kwenye dawati ndani ya dakika {graceMinutes} tangu kuanza, la sivyo nafasi zitaachiliwa. Kufuta nafasi yako mwenyewe, tumia namba yako ya mwanafunzi na namba ya uthibitisho kwenye skrini ya kujihudumia.',
+        'slip.heading': '🎫 Uthibitisho wa Uhifadhi wa Chumba cha Kusomea',
+        'slip.print': '🖨️ Chapisha Risiti',
+        
+        'student.enterId': 'Tafadhali andika namba yako ya mwanafunzi',
+        'student.seatCancelled': '✅ Nafasi yako katika {pod} tarehe {date}, {timeRange} imefutwa',
+        'student.heading': '🎓 Uhifadhi Wangu',
+        'student.modeLink': 'Fungua skrini ya wanafunzi ya kujihudumia ↗',
+        'student.intro': 'Andika namba yako ya mwanafunzi kuona uhifadhi wako ujao. Kuachia nafasi yako, andika namba ya uthibitisho uliyopewa kwa nafasi hiyo; inafuta nafasi yako tu.',
+        'student.idLabel': 'Namba ya Mwanafunzi:',
+        'student.idPlaceholder': 'k.m., SIT-001',
+        'student.find': 'Tafuta Uhifadhi Wangu',
+        'student.justYou': 'Wewe peke yako',
+        'student.withOthers.one': 'Wewe na mwanafunzi mwingine {count}',
+        'student.withOthers.other': 'Wewe na wanafunzi wengine {count}',
+        'student.checkedIn': '✓ Umewasili',
+        'student.codePlaceholder': 'Namba ya uthibitisho',
+        'student.codeLabel': 'Namba ya uthibitisho ya {pod} saa {time}',
+        'student.cancelSeat': 'Futa nafasi yangu',
+        'student.noBookings': '{student} hana uhifadhi wowote ujao.',
+        
+        'insights.today': 'Leo',
+        'insights.totalBookings': 'Jumla ya Uhifadhi Siku Hii',
+        'insights.totalBookingsSource': 'Chanzo: uhifadhi kwenye jedwali wa siku hii (vikundi vilivyounganishwa kwenye muda mmoja vinahesabiwa mara moja; wasiofika walioachiliwa hawahesabiwi)',
+        'insights.uniqueStudents': '👥 Jumla ya Wanafunzi Tofauti Waliohudumiwa',
+        'insights.uniqueStudentsSource': 'Chanzo: namba tofauti za wanafunzi katika {bookings} wa siku hii',
+        'insights.busiestHour': '⏰ Saa Yenye Shughuli Nyingi',
+        'insights.noBookings': 'Bado hakuna uhifadhi',
+        'insights.busiestTied': 'Sawa: {students} katika kila moja ya saa hizi',
+        'insights.busiestDetail': '{students} kwenye vyumba saa hiyo',
+        'insights.busiestHourSource': 'Chanzo: wanafunzi kwa kila saa katika vyumba vyote, kila saa ya uhifadhi ikihesabiwa',
+        'insights.fillRates': '📊 Viwango vya Ujazo wa Vyumba (% ya nafasi iliyotumika)',
+        'insights.fillRate': '{rate}% ({booked}/{total} nafasi-saa)',
+        'insights.fillRateTitle.one': 'Saa {used} kati ya {count} ya kufunguliwa zimehifadhiwa',
+        'insights.fillRateTitle.other': 'Saa {used} kati ya {count} za kufunguliwa zimehifadhiwa',
+        'insights.fillRatesSource': 'Chanzo: nafasi-saa zilizohifadhiwa ÷ (nafasi × kila saa ya kufunguliwa), ikiwa saa hiyo ilihifadhiwa au la',
+        'insights.waitlist': '⏳ Orodha ya Kusubiri kwa Kila Muda',
+        'insights.waitlistSlot': '{groups}, {students}',
+        'insights.waitlistSource': 'Chanzo: vikundi kwenye orodha ya kusubiri ya siku hii, kwa chumba na muda wa kuanza',
+        'insights.checkInRate': '✅ Kiwango cha Kuwasili',
+        'insights.noneStarted': 'Bado hakuna uhifadhi ulioanza',
+        'insights.checkInDetail.one': 'Waliowasili: {checkedIn} kati ya mwanafunzi {count}',
+        'insights.checkInDetail.other': 'Waliowasili: {checkedIn} kati ya wanafunzi {count}',
+        'insights.checkInSource': 'Chanzo: wanafunzi katika uhifadhi ulioanza, pamoja na wasiofika walioachiliwa',
+        'insights.noShowRate': '👻 Kiwango cha Wasiofika',
+        'insights.noShowDetail.one': 'uhifadhi {released} kati ya {count} ulioanza umeachiliwa',
+        'insights.noShowDetail.other': 'uhifadhi {released} kati ya {count} ulioanza umeachiliwa',
+        'insights.noShowSource': 'Chanzo: uhifadhi ulioanza na kuachiliwa baada ya muda wa neema wa dakika {graceMinutes} bila mtu yeyote kusajili kuwasili',
+        'insights.violations': '🚫 Ukiukaji Uliobainishwa',
+        'insights.violationsSource': 'Chanzo: majaribio ya uhifadhi yaliyokataliwa kila siku tangu kuanza upya mara ya mwisho (maelezo kwenye Kumbukumbu ya Ukiukaji)',
+        'chart.heatmapLabel': 'Nafasi zilizochukuliwa kwa kila chumba na saa',
+        'chart.heatmapCell.one': '{pod} {time}: nafasi {count} kati ya {capacity} zimechukuliwa',
+        'chart.heatmapCell.other': '{pod} {time}: nafasi {count} kati ya {capacity} zimechukuliwa',
+        'chart.heatmapClosed': '{pod} {time}: kimefungwa',
+        'chart.heatmapSource': 'Chanzo: wanafunzi waliohifadhiwa kwenye kila chumba kwa saa ÷ nafasi zake; uhifadhi unahesabiwa kila saa unayoifunika',
+        'chart.utilisationLabel': 'Sehemu ya nafasi wazi zilizochukuliwa kila saa',
+        'chart.utilisationClosed': '{time}: hakuna chumba kilicho wazi',
+        'chart.utilisationBar.one': '{time}: nafasi {count} kati ya {seats} zilizo wazi zimechukuliwa ({utilisation}%)',
+        'chart.utilisationBar.other': '{time}: nafasi {count} kati ya {seats} zilizo wazi zimechukuliwa ({utilisation}%)',
+        'chart.utilisationSource': 'Chanzo: wanafunzi katika vyumba vyote kila saa ÷ nafasi za kila chumba kilicho wazi saa hiyo',
+        'insights.heading': 'Takwimu za Siku',
+        'insights.hourByHour': 'Saa kwa Saa',
+        'chart.heatmapCaption': '🔥 Ramani ya Ujazo (nafasi zilizochukuliwa kwa kila chumba)',
+        'chart.utilisationCaption': '📈 Matumizi kwa Saa (vyumba vyote vilivyo wazi)',
+        
+        'policy.maxHoursPerDay': 'Saa za juu kwa kila mwanafunzi kwa siku',
+        'policy.maxConsecutiveHours': 'Saa za juu mfululizo',
+        'policy.maxDaysAhead': 'Siku za mapema ambazo uhifadhi unaweza kufanywa',
+        'policy.heading': '⚖️ Sera za Uhifadhi',
+        'policy.maxHoursPerDayLabel': 'Saa za juu kwa mwanafunzi kwa siku:',
+        'policy.maxConsecutiveHoursLabel': 'Saa za juu mfululizo:',
+        'policy.maxDaysAheadLabel': 'Hifadhi hadi (siku za mapema):',
+        'policy.hint': 'Saa zinahesabiwa katika vyumba vyote. Kikundi cha chini cha kila chumba kinawekwa kwenye Usimamizi wa Vyumba. Majaribio yaliyokataliwa yanahesabiwa kwa kila sera kwenye Takwimu za Siku.',
+        'policy.save': 'Hifadhi Sera',
+        'policy.saved': '✅ Sera za uhifadhi zimehifadhiwa; zinatumika kwa uhifadhi mpya na uhariri kuanzia sasa',
+        'violation.duplicate': 'Uhifadhi unaorudiwa au unaogongana',
+        'violation.dailyHours': 'Kikomo cha saa kwa siku',
+        'violation.consecutiveHours': 'Kikomo cha saa mfululizo',
+        'violation.groupSize': 'Kikundi chini ya kiwango cha chini cha chumba',
+        'violation.daysAhead': 'Umehifadhiwa mapema mno',
+        'podAdmin.heading': '⚙️ Usimamizi wa Vyumba',
+        'podAdmin.capacity': 'Nafasi',
+        'podAdmin.amenities': 'Huduma',
+        'podAdmin.hours': 'Saa za kazi',
+        'podAdmin.status': 'Hali',
+        'podAdmin.capacityWithGroups': '{capacity} (vikundi vya {minGroupSize}+)',
+        'podAdmin.active': 'Kinatumika',
+        'podAdmin.retired': 'Kimestaafishwa',
+        'podAdmin.retire': '📦 Staafisha',
+        'podAdmin.restore': '♻️ Rejesha',
+        'podAdmin.addTitle': 'Ongeza Chumba',
+        'podAdmin.editTitle': 'Hariri {pod}',
+        'podAdmin.idLabel': 'Namba ya Chumba:',
+        'podAdmin.idPlaceholder': 'k.m., POD-D',
+        'podAdmin.capacityLabel': 'Nafasi:',
+        'podAdmin.minGroupLabel': 'Kikundi cha chini:',
+        'podAdmin.opensLabel': 'Kinafunguliwa:',
+        'podAdmin.closesLabel': 'Kinafungwa:',
+        'podAdmin.amenitiesLabel': 'Huduma:',
+        'podAdmin.save': 'Hifadhi Chumba',
+        'podAdmin.updated': '✏️ {pod} kimesasishwa',
+        'podAdmin.added': '➕ {pod} kimeongezwa (Nafasi: {students})',
+        'podAdmin.retiredDone': '📦 {pod} kimestaafishwa',
+        'podAdmin.restored': '♻️ {pod} kimerejeshwa',
+        'podAdmin.retireConfirm.one': '{pod} kina uhifadhi {count} ujao. Utabaki, lakini hakuna uhifadhi mpya utakaoweza kufanywa. Kistaafishwe?',
+        'podAdmin.retireConfirm.other': '{pod} kina uhifadhi {count} ujao. Utabaki, lakini hakuna uhifadhi mpya utakaoweza kufanywa. Kistaafishwe?',
+        'amenity.whiteboard': 'Ubao mweupe',
+        'amenity.screen': 'Skrini',
+        'amenity.power': 'Soketi za umeme',
+        'registry.heading': '🎓 Orodha ya Wanafunzi',
+        'registry.patternLabel': 'Muundo wa namba ya mwanafunzi (regular expression):',
+        'registry.patternHint': 'Namba hubadilishwa kuwa herufi kubwa kabla ya kukaguliwa. Chaguo-msingi: {pattern} (k.m. SIT-001)',
+        'registry.unknownPolicyLabel': 'Namba zisizo kwenye orodha:',
+        'registry.policyFlag': 'Onya (ruhusu kwa tahadhari)',
+        'registry.policyReject': 'Kataa uhifadhi',
+        'registry.saveSettings': 'Hifadhi Mipangilio',
+        'registry.importLabel': 'Leta orodha (CSV au JSON):',
+        'registry.importHint': 'Safu wima za CSV: id, name, school. JSON: orodha ya vitu { "id", "name", "school" }. Kuleta kunachukua nafasi ya orodha iliyopo.',
+        'registry.clear': '🗑️ Futa Orodha',
+        'registry.name': 'Jina',
+        'registry.school': 'Shule',
+        'registry.empty': 'Hakuna orodha iliyoletwa - muundo wa namba pekee ndio unaokaguliwa.',
+        'registry.summary.one': 'Mwanafunzi {count} amesajiliwa. {policy}',
+        'registry.summary.other': 'Wanafunzi {count} wamesajiliwa. {policy}',
+        'registry.unknownFlagged': 'Namba zisizojulikana zinaonywa.',
+        'registry.unknownRejected': 'Namba zisizojulikana zinakataliwa.',
+        'registry.patternEmpty': 'Muundo wa namba hauwezi kuwa tupu',
+        'registry.patternInvalid': 'Muundo wa namba si sahihi: {error}',
+        'registry.settingsSaved': '✅ Mipangilio ya namba za wanafunzi imehifadhiwa',
+        'registry.notArray': 'Orodha ya JSON lazima iwe orodha ya vitu { id, name, school }',
+        'registry.rowInvalid': 'Safu {row}: "{student}" si namba sahihi ya mwanafunzi',
+        'registry.rowDuplicate': 'Safu {row}: {student} imeorodheshwa zaidi ya mara moja',
+        'registry.noneValid': 'Hakuna wanafunzi sahihi waliopatikana katika {file}. {skipped}',
+        'registry.imported.one': '✅ Mwanafunzi {count} ameletwa kutoka {file}',
+        'registry.imported.other': '✅ Wanafunzi {count} wameletwa kutoka {file}',
+        'registry.skipped': '⚠️ Zimerukwa {count}: {skipped}',
+        'registry.clearConfirm': 'Futa orodha ya wanafunzi? Namba zisizojulikana hazitakaguliwa tena.',
+        'registry.cleared': '🗑️ Orodha ya wanafunzi imefutwa',
+        'violations.heading': '🚫 Kumbukumbu ya Ukiukaji',
+        'violations.ruleLabel': 'Kanuni:',
+        'violations.allRules': 'Kanuni zote',
+        'violations.logged': 'Imerekodiwa',
+        'violations.booking': 'Uhifadhi',
+        'violations.rulesBroken': 'Kanuni Zilizovunjwa',
+        'violations.repeatOffenders': 'Wanaorudia Makosa',
+        'violations.attempts': 'Majaribio Yaliyokataliwa',
+        'violations.summary.one': 'Inaonyesha {shown} kati ya jaribio {count} lililokataliwa',
+        'violations.summary.other': 'Inaonyesha {shown} kati ya majaribio {count} yaliyokataliwa',
+        'violations.none': 'Bado hakuna majaribio yaliyokataliwa yaliyorekodiwa.',
+        'violations.noMatches': 'Hakuna majaribio yaliyorekodiwa yanayolingana na vichujio hivi.',
+        'violations.noRepeatOffenders': 'Hakuna mwanafunzi mwenye zaidi ya jaribio moja lililokataliwa.',
+        'violations.exportEmpty': 'Hakuna ukiukaji uliorekodiwa wa kuhamisha',
+        'violations.exported.one': '⬇️ Ukiukaji {count} uliorekodiwa umehamishwa',
+        'violations.exported.other': '⬇️ Ukiukaji {count} uliorekodiwa umehamishwa',
+        'rule.DUPLICATE_IN_REQUEST': 'Namba imerudiwa kwenye ombi',
+        'rule.UNKNOWN_POD': 'Chumba kisichojulikana',
+        'rule.POD_RETIRED': 'Chumba kimestaafishwa',
+        'rule.INVALID_DATE': 'Tarehe si sahihi',
+        'rule.PAST_DATE': 'Tarehe imepita',
+        'rule.INVALID_DURATION': 'Muda si sahihi',
+        'rule.OUTSIDE_HOURS': 'Nje ya saa za kazi',
+        'rule.PAST_CLOSING': 'Unapita muda wa kufungwa',
+        'rule.NOT_ON_THE_HOUR': 'Si saa kamili',
+        'rule.NO_STUDENTS': 'Hakuna wanafunzi',
+        'rule.INVALID_STUDENT_ID': 'Namba ya mwanafunzi si sahihi',
+        'rule.UNREGISTERED_STUDENT': 'Mwanafunzi hajasajiliwa',
+        'rule.CAPACITY_EXCEEDED': 'Nafasi zimezidi',
+        'rule.ALREADY_IN_POD': 'Tayari yumo chumbani',
+        'rule.CROSS_POD_CLASH': 'Mgongano na chumba kingine',
+        'rule.DAILY_HOURS_EXCEEDED': 'Saa za siku zimezidi',
+        'rule.CONSECUTIVE_HOURS_EXCEEDED': 'Saa mfululizo zimezidi',
+        'rule.GROUP_TOO_SMALL': 'Kikundi ni kidogo mno',
+        'rule.TOO_FAR_AHEAD': 'Mapema mno',
+        
+        'error.DUPLICATE_IN_REQUEST': 'Namba ya mwanafunzi imerudiwa kwenye ombi: {student}',
+        'error.UNKNOWN_POD': 'Chumba cha kusomea kisichojulikana: {pod}',
+        'error.POD_RETIRED': '{pod} kimestaafishwa na hakiwezi kuhifadhiwa tena',
+        'error.INVALID_DATE': 'Tafadhali chagua tarehe sahihi ya uhifadhi',
+        'error.PAST_DATE': 'Uhifadhi hauwezi kufanywa kwa tarehe zilizopita ({date})',
+        'error.INVALID_DURATION': 'Muda wa uhifadhi lazima uwe kati ya saa 1 na {maxHours}',
+        'error.OUTSIDE_HOURS': '{pod} kinaweza kuhifadhiwa kuanzia {openTime} hadi kinapofungwa saa {closeTime} ({closeTime} haipatikani)',
+        'error.PAST_CLOSING.one': 'Uhifadhi wa saa {count} kuanzia {time} unapita muda wa kufungwa wa {pod} ({closeTime})',
+        'error.PAST_CLOSING.other': 'Uhifadhi wa saa {count} kuanzia {time} unapita muda wa kufungwa wa {pod} ({closeTime})',
+        'error.NOT_ON_THE_HOUR': 'Uhifadhi huanza saa kamili, k.m. 09:00 ({time} si saa kamili)',
+        'error.NO_STUDENTS': 'Angalau namba moja sahihi ya mwanafunzi inahitajika',
+        'error.INVALID_STUDENT_ID': '"{student}" si namba sahihi ya mwanafunzi (inatarajiwa kiambishi cha shule na namba, k.m. SIT-001)',
+        'error.UNREGISTERED_STUDENT': 'Mwanafunzi {student} hayupo kwenye orodha ya wanafunzi',
+        'error.CAPACITY_EXCEEDED': 'Nafasi za chumba zimezidi saa {time}. Sasa: {seatsTaken}, Wanaoongezwa: {adding}, Upeo: {capacity}',
+        'error.ALREADY_IN_POD': 'Mwanafunzi {student} tayari amehifadhiwa katika {pod} saa {time} tarehe {date}',
+        'error.CROSS_POD_CLASH': 'Mwanafunzi {student} tayari ana uhifadhi katika chumba kingine ({otherPod}) saa {time} tarehe {date}',
+        'error.BOOKING_NOT_FOUND': 'Uhifadhi huo haupo tena',
+        'error.STUDENT_NOT_IN_BOOKING': '{student} hayupo kwenye uhifadhi huo',
+        'error.ALREADY_WAITING': '{student} tayari yupo kwenye orodha ya kusubiri ya muda huu',
+        'error.INVALID_POD_ID': 'Namba ya chumba lazima iwe na herufi 2-20 za herufi, namba na vistari (k.m. POD-D)',
+        'error.POD_EXISTS': 'Chumba kiitwacho {pod} tayari kipo',
+        'error.INVALID_CAPACITY': 'Nafasi lazima ziwe namba kamili kati ya 1 na {maxCapacity}',
+        'error.MISSING_HOURS': 'Muda wa kufungua na wa kufunga vyote vinahitajika',
+        'error.CLOSES_BEFORE_OPENING': 'Muda wa kufunga lazima uwe baada ya muda wa kufungua',
+        'error.HOURS_NOT_ON_THE_HOUR': 'Muda wa kufungua na wa kufunga lazima uwe saa kamili, k.m. 08:00',
+        'error.BOOKING_OUTSIDE_NEW_HOURS': 'Uhifadhi wa tarehe {date} saa {time} ungekuwa nje ya saa mpya za kufunguliwa',
+        'error.BOOKING_OVER_NEW_CAPACITY': 'Wanafunzi {seatsTaken} wamehifadhiwa tarehe {date} saa {time}, zaidi ya nafasi mpya',
+        'error.BOOKING_CONFLICT': 'Uhifadhi wa {pod} tarehe {date} saa {time} ulibadilishwa au kufutwa kwenye dawati jingine',
+        'error.BOOKING_REJECTED': 'Seva ya uhifadhi ilikataa uhifadhi wa {pod} tarehe {date} saa {time} (hitilafu {status})',
+        'error.SETTINGS_REJECTED': 'Seva ya uhifadhi ilikataa mipangilio (hitilafu {status})',
+        'error.CHECK_IN_NOT_OPEN': 'Usajili wa kuwasili kwa uhifadhi wa {pod} saa {time} unafunguliwa saa {opensAt}',
+        'error.CHECK_IN_CLOSED': 'Uhifadhi wa {pod} saa {time} umekwisha, kwa hiyo usajili wa kuwasili umefungwa',
+        'error.ALREADY_CHECKED_IN': '{student} tayari amesajiliwa kuwasili kwenye uhifadhi wa {pod} saa {time}',
+        'error.ALREADY_CHECKED_IN_ALL': 'Kila mtu kwenye uhifadhi wa {pod} saa {time} tayari amesajiliwa kuwasili',
+        'error.INVALID_GRACE_PERIOD': 'Muda wa neema lazima uwe dakika kamili kati ya 0 na {maxMinutes}',
+        'error.DAILY_HOURS_EXCEEDED': '{student} tayari ana {hours} zilizohifadhiwa tarehe {date}; kuongeza {adding} kungezidi kikomo cha kila siku cha {maxHours}',
+        'error.CONSECUTIVE_HOURS_EXCEEDED': '{student} angekuwa kwenye chumba kwa saa {consecutiveHours} mfululizo tarehe {date} (kikomo: {maxHours})',
+        'error.GROUP_TOO_SMALL': '{pod} kinahitaji kikundi cha angalau {minGroupSize} (uhifadhi huu ungekuwa na {groupSize})',
+        'error.TOO_FAR_AHEAD': 'Uhifadhi unaweza kufanywa hadi {days} mapema tu (hadi {lastDate})',
+        'error.INVALID_MIN_GROUP_SIZE': 'Ukubwa wa chini wa kikundi lazima uwe namba kamili kati ya 1 na nafasi za chumba ({capacity})',
+        'error.INVALID_POLICY_LIMIT': '{setting} lazima iwe namba kamili kati ya {min} na {max}',
+        'error.INVALID_CONFIRMATION_CODE': 'Namba hiyo ya uthibitisho hailingani na nafasi ya {student} kwenye uhifadhi wa {pod} saa {time}',
+        'error.INVALID_SERIES_END': 'Tafadhali chagua tarehe ya mwisho iliyo siku ya uhifadhi wa kwanza au baadaye',
+        'error.NO_SERIES_WEEKDAYS': 'Tafadhali chagua angalau siku moja ya wiki ya kurudia',
+        'error.TOO_MANY_OCCURRENCES': 'Mfululizo unaweza kuwa na vipindi {maxOccurrences} tu; chagua tarehe ya mwisho iliyo mapema zaidi',
+        'error.SERIES_NOT_FOUND': 'Mfululizo huo haupo tena',
+        'error.SERIES_ENDED': 'Mfululizo huo hauna vipindi vijavyo vilivyobaki'
+    },
+    // Same keys as en, in the same order
+    fr: {
+        'app.title': 'Système de réservation des box d\'étude',
+        'app.subtitle': 'Box d\'étude de la bibliothèque - Gestion des réservations en temps réel',
+        'display.language': 'Langue :',
+        'display.timeFormat': 'Horloge :',
+        'display.24h': '24 heures (14:00)',
+        'display.12h': '12 heures (2:00 PM)',
+        
+        'list.and': ' et ',
+        'count.hours.one': '{count} heure',
+        'count.hours.other': '{count} heures',
+        'count.students.one': '{count} étudiant',
+        'count.students.other': '{count} étudiants',
+        'count.bookings.one': '{count} réservation',
+        'count.bookings.other': '{count} réservations',
+        'count.sessions.one': '{count} séance',
+        'count.sessions.other': '{count} séances',
+        'count.groups.one': '{count} groupe',
+        'count.groups.other': '{count} groupes',
+        'count.days.one': '{count} jour',
+        'count.days.other': '{count} jours',
+        
+        'form.heading': 'Réserver un box d\'étude',
+        'form.podLabel': 'Choisir un box :',
+        'form.dateLabel': 'Date :',
+        'form.timeLabel': 'Heure de début (créneaux d\'une heure) :',
+        'form.durationLabel': 'Durée :',
+        'form.studentsLabel': 'Numéros d\'étudiant (séparés par des virgules) :',
+        'form.studentsPlaceholder': 'p. ex. SIT-001, SMC-210, SST-101',
+        'form.studentsHint': 'Saisissez jusqu\'à {capacity} numéros d\'étudiant séparés par des virgules',
+        'form.repeatWeekly': '🔁 Répéter chaque semaine (groupes d\'étude)',
+        'form.repeatOn': 'Le :',
+        'form.repeatUntil': 'Jusqu\'au :',
+        'form.repeatSkip': 'Dates à sauter (séparées par des virgules) :',
+        'form.repeatSkipPlaceholder': 'p. ex. 2030-03-18, 2030-04-01',
+        'form.repeatSkipHint': 'Jours fériés, jours d\'examen ou dates en conflit',
+        'form.previewSeries': '👁️ Aperçu de la série',
+        'form.submit': 'Réserver un box',
+        'form.choosePod': 'Choisissez un box d\'étude...',
+        'form.podOption': '{pod} (Capacité : {capacity} étudiants, {openTime}–{closeTime})',
+        'form.selectPod': 'Veuillez choisir un box d\'étude',
+        'form.selectDate': 'Veuillez choisir une date de réservation',
+        'form.selectTime': 'Veuillez choisir une heure de réservation',
+        'form.enterStudents': 'Veuillez saisir au moins un numéro d\'étudiant',
+        'form.noValidStudents': 'Aucun numéro d\'étudiant valide. Veuillez vérifier votre saisie.',
+        
+        'series.cancelled.one': '🗑️ {count} séance de la série hebdomadaire {pod} à {timeRange} annulée',
+        'series.cancelled.other': '🗑️ {count} séances de la série hebdomadaire {pod} à {timeRange} annulées',
+        'series.invalidSkipDates': 'Les dates à sauter doivent être écrites AAAA-MM-JJ : {dates}',
+        'series.skipped': '⏭️ {date} : sautée',
+        'series.noDates': 'Le motif ne contient aucune date entre la première date et la date de fin.',
+        'series.summary.one': '🔁 {count} séance — libres : {free}, en conflit : {clashing}, sautées : {skipped}',
+        'series.summary.other': '🔁 {count} séances — libres : {free}, en conflit : {clashing}, sautées : {skipped}',
+        'series.clash': 'Rien n\'a été réservé : certaines dates de la série sont en conflit (voir l\'aperçu ci-dessous). Sautez ces dates ou choisissez un autre créneau, puis réservez à nouveau.',
+        'series.booked.one': '🔁 {count} séance hebdomadaire réservée pour {students} dans {pod}, {timeRange}, du {firstDate} au {lastDate} 🔑 {codes}',
+        'series.booked.other': '🔁 {count} séances hebdomadaires réservées pour {students} dans {pod}, {timeRange}, du {firstDate} au {lastDate} 🔑 {codes} (les mêmes pour chaque séance)',
+        
+        'booking.removed': '🗑️ Réservation supprimée : {students} de {pod} le {date}, {timeRange}',
+        'booking.removedLastStudent': '🗑️ {student} retiré(e) ; la réservation de {pod} n\'avait plus d\'étudiants et a été supprimée',
+        'booking.removedStudent': '👤 {student} retiré(e) de {pod} le {date}, {timeRange}',
+        'booking.gone': 'Cette réservation n\'existe plus',
+        'booking.booked': '✅ Réservation confirmée : {students} dans {pod} le {date}, {timeRange}',
+        'booking.codeEntry': '{code} pour {student}',
+        'booking.codes.one': 'Code de confirmation : {codes}',
+        'booking.codes.other': 'Codes de confirmation : {codes}',
+        'booking.codesNote': '🔑 {codes} (chaque étudiant peut utiliser son propre code avec son numéro pour annuler sa place)',
+        'booking.unregistered.one': '⚠️ Absent du registre des étudiants : {students}',
+        'booking.unregistered.other': '⚠️ Absents du registre des étudiants : {students}',
+        'promotion.promoted': '⬆️ Sortis de la liste d\'attente : {entries}',
+        'promotion.entry': '{students} → {pod} {timeRange} ({codes})',
+        
+        'suggestion.taken': 'Cette alternative n\'est plus libre : {errors}',
+        'suggestion.bookedPart': '{students} dans {pod} (🔑 {codes})',
+        'suggestion.booked': '✅ Réservé : {parts} le {date}, {timeRange}. Les codes de confirmation permettent aux étudiants d\'annuler leur propre place',
+        'suggestion.heading': '💡 Ces créneaux conviendraient à tout le groupe (le meilleur d\'abord) :',
+        'suggestion.none': '💡 Aucun créneau proche ne convient à tout le groupe ce jour-là.',
+        'suggestion.split': '✂️ Diviser le groupe : {parts}, {timeRange}',
+        'suggestion.pod': '🔀 {pod} à la même heure, {timeRange}',
+        'suggestion.earlier': '🕐 {pod}, {timeRange} ({hours} plus tôt)',
+        'suggestion.later': '🕐 {pod}, {timeRange} ({hours} plus tard)',
+        
+        'waitlist.added.one': '⏳ {students} ajouté à la liste d\'attente de {pod} le {date}, {timeRange} (position {position})',
+        'waitlist.added.other': '⏳ {students} ajoutés à la liste d\'attente de {pod} le {date}, {timeRange} (position {position})',
+        'waitlist.changed': 'La liste d\'attente vient d\'être modifiée dans un autre onglet - veuillez la vérifier et réessayer',
+        'waitlist.removed.one': '{students} retiré de la liste d\'attente',
+        'waitlist.removed.other': '{students} retirés de la liste d\'attente',
+        'waitlist.alreadyWaiting': '({student} est déjà sur la liste d\'attente de ce créneau)',
+        'waitlist.offer': '⏳ Ajouter à la liste d\'attente',
+        'waitlist.entry': '#{position} {pod}, {timeRange} : {students} (en attente depuis {since})',
+        'waitlist.remove': 'Retirer',
+        'waitlist.empty': 'Personne n\'attend ce jour-là.',
+        'waitlist.heading': '⏳ Liste d\'attente',
+        'waitlist.hint': 'Les groupes prennent automatiquement les places libérées, les plus anciens d\'abord',
+        
+        'toast.undo': 'Annuler',
+        'history.undo': '↩️ Annuler',
+        'history.redo': '↪️ Rétablir',
+        'history.undid': '↩️ Annulé : {label}',
+        'history.redid': '↪️ Rétabli : {label}',
+        'history.undoTitle': 'Annuler : {label} (Ctrl+Z)',
+        'history.redoTitle': 'Rétablir : {label} (Ctrl+Shift+Z)',
+        'history.nothingToUndo': 'Rien à annuler',
+        'history.nothingToRedo': 'Rien à rétablir',
+        'history.book': 'réserver {students} dans {pod} à {time}',
+        'history.addToBooking': 'ajouter {students} à la réservation de {pod} à {time}',
+        'history.bookSeries': 'réserver une série hebdomadaire de {sessions} dans {pod} à {time}',
+        'history.removeBooking': 'supprimer la réservation de {pod} à {time}',
+        'history.cancelSeries': 'annuler la série hebdomadaire de {pod} à {time}',
+        'history.removeStudent': 'retirer {student} de la réservation de {pod} à {time}',
+        'history.cancelOwnSeat': 'annuler la place de {student} dans la réservation de {pod} à {time}',
+        'history.checkIn': 'enregistrer l\'arrivée de {students} à la réservation de {pod} à {time}',
+        'history.editBooking': 'modifier la réservation de {pod} à {time}',
+        'history.joinWaitlist': 'ajouter {students} à la liste d\'attente de {pod} à {time}',
+        'history.bookSuggestion': 'réserver le créneau proposé {timeRange}',
+        'history.leaveWaitlist': 'retirer {students} de la liste d\'attente de {pod}',
+        'history.import.one': 'importer {count} réservation depuis {file}',
+        'history.import.other': 'importer {count} réservations depuis {file}',
+        'history.releaseNoShows': 'libérer les absences : {slots}',
+        
+        'sync.conflict': '⚠️ Un autre poste a modifié ces réservations en premier ; le tableau affiche donc les réservations les plus récentes : {errors}',
+        'sync.unreachable': '⚠️ Impossible de joindre le serveur de réservation. Les modifications sont conservées dans ce navigateur et seront envoyées à son retour.',
+        'sync.rejected': '⚠️ Le serveur de réservation a refusé certaines modifications ; le tableau affiche donc ses réservations : {errors}',
+        'sync.settingsRejected': '⚠️ Le serveur de réservation a refusé les réglages des box, des étudiants ou des règles modifiés ici ; ses propres réglages sont donc rétablis : {errors}',
+        
+        'reset.confirm': 'Réinitialiser la journée ? Toutes les réservations enregistrées, la liste d\'attente, les absences ainsi que le décompte et le journal des infractions seront effacés.',
+        'reset.done': '🔄 Journée réinitialisée : réservations enregistrées effacées',
+        'export.empty': 'Aucune réservation le {date} à exporter',
+        'export.emptyPod': 'Aucune réservation dans {pod} le {date} à exporter',
+        'export.done.one': '⬇️ {count} réservation du {date} exportée',
+        'export.done.other': '⬇️ {count} réservations du {date} exportées',
+        'export.icsDone.one': '📅 {count} réservation du {date} exportée dans un fichier de calendrier',
+        'export.icsDone.other': '📅 {count} réservations du {date} exportées dans un fichier de calendrier',
+        'export.icsPodDone.one': '📅 {count} réservation de {pod} du {date} exportée dans un fichier de calendrier',
+        'export.icsPodDone.other': '📅 {count} réservations de {pod} du {date} exportées dans un fichier de calendrier',
+        'bookings.heading': 'Réservations en cours',
+        'reset.button': '🔄 Réinitialiser la journée',
+        'day.previous': 'Jour précédent',
+        'day.picker': 'Jour à afficher',
+        'day.next': 'Jour suivant',
+        'day.today': 'Aujourd\'hui',
+        'export.csv': '⬇️ Exporter en CSV',
+        'export.json': '⬇️ Exporter en JSON',
+        'export.icsPod': 'Box pour l\'export du calendrier',
+        'export.ics': '📅 Exporter en .ics',
+        'export.icsTitle': 'Télécharger les réservations du jour dans un fichier iCalendar pour le calendrier partagé de la bibliothèque',
+        'import.button': '📥 Importer',
+        'import.heading': 'Aperçu de l\'import',
+        'import.acceptedRows': '✅ Lignes acceptées',
+        'import.rejectedRows': '❌ Lignes rejetées',
+        'import.row': 'Ligne',
+        'import.booking': 'Réservation',
+        'import.errors': 'Erreurs',
+        'import.rowBooking': '{pod}, {date}, {time} ({hours})',
+        'import.summary.one': '{file} : {count} ligne prête à importer ; lignes rejetées : {rejected}.',
+        'import.summary.other': '{file} : {count} lignes prêtes à importer ; lignes rejetées : {rejected}.',
+        'import.confirm.one': 'Importer {count} réservation',
+        'import.confirm.other': 'Importer {count} réservations',
+        'import.notArray': 'Le JSON doit être une liste de réservations ou un fichier d\'export avec une liste « bookings »',
+        'import.missingColumns': 'L\'en-tête CSV doit contenir les colonnes Pod, Time et Student IDs',
+        'import.noRows': '{file} ne contient aucune ligne de réservation à importer',
+        'import.nothingImported': 'Rien n\'a été importé depuis {file} : toutes les lignes ont été rejetées',
+        'import.done.one': '📥 {count} réservation importée depuis {file}',
+        'import.done.other': '📥 {count} réservations importées depuis {file}',
+        'import.rowsRejected.one': '({count} ligne rejetée)',
+        'import.rowsRejected.other': '({count} lignes rejetées)',
+        'file.unreadable': 'Impossible de lire {file}',
+        'file.unreadableDetail': 'Impossible de lire {file} : {error}',
+        
+        'availability.heading': 'Disponibilités',
+        'availability.hint': 'Cliquez sur un créneau libre pour commencer une réservation',
+        'legend.free': 'Libre',
+        'legend.partial': 'Partiellement réservé',
+        'legend.full': 'Complet',
+        'legend.closed': 'Fermé',
+        'grid.pod': 'Box',
+        'grid.closed': '{pod} est fermé à {time}',
+        'grid.seatsFree.one': '{pod} à {time} : {count} place libre',
+        'grid.seatsFree.other': '{pod} à {time} : {count} places libres',
+        
+        'label.pod': 'Box :',
+        'filter.search': 'Rechercher :',
+        'filter.searchPlaceholder': 'Numéro d\'étudiant ou box, p. ex. SIT-001',
+        'filter.from': 'De :',
+        'filter.to': 'À :',
+        'filter.occupancy': 'Occupation :',
+        'filter.any': 'Toutes',
+        'filter.seatsFree': 'Places libres',
+        'filter.clear': '✖ Effacer les filtres',
+        'table.pod': 'Box',
+        'table.time': 'Heure',
+        'table.students': 'Nb d\'étudiants',
+        'table.studentIds': 'Numéros d\'étudiant',
+        'table.studentId': 'Numéro d\'étudiant',
+        'table.actions': 'Actions',
+        'filter.allPods': 'Tous les box',
+        'table.summary.one': 'Réservation affichée : {shown} sur {count}',
+        'table.summary.other': 'Réservations affichées : {shown} sur {count}',
+        'table.seriesBadge': 'Série hebdomadaire : {sessions}',
+        'table.hours': '({hours} h)',
+        'table.code': 'Code de confirmation : {code}',
+        'table.checkedIn': '{student} est arrivé(e)',
+        'table.checkInStudent': 'Enregistrer l\'arrivée de {student}',
+        'table.removeStudent': 'Retirer {student} de cette réservation',
+        'table.checkIn': '✅ Enregistrer l\'arrivée',
+        'table.checkInTitle': 'Enregistrer l\'arrivée de tout le monde dans cette réservation',
+        'table.edit': '✏️ Modifier',
+        'table.remove': '🗑️ Supprimer',
+        'table.removeSession': 'Supprimer uniquement cette séance de la série',
+        'table.cancelSeries': '🔁 Annuler la série',
+        'table.cancelSeriesTitle': 'Annuler cette séance et toutes les suivantes de la série',
+        'table.noMatches': 'Aucune réservation ne correspond à cette recherche et à ces filtres. 🔍',
+        'table.emptyToday': 'Aucune réservation pour l\'instant. Créez votre première réservation ci-dessus ! 📅',
+        'table.emptyDay': 'Aucune réservation le {date} pour l\'instant. 📅',
+        
+        'checkIn.done': '✅ Arrivée enregistrée pour {students} dans {pod}, {timeRange}',
+        'noShow.slot': '{pod} à {time}',
+        'noShow.slotOnDate': '{pod} le {date} à {time}',
+        'noShow.released': '👻 Libérées pour absence (personne n\'est arrivé dans les {graceMinutes} minutes) : {slots}',
+        'checkIn.heading': '⏱️ Arrivées et absences',
+        'checkIn.graceLabel': 'Délai de grâce après le début (minutes) :',
+        'checkIn.hint': 'L\'enregistrement des arrivées ouvre 15 minutes avant le début d\'une réservation. Une réservation sans aucune arrivée enregistrée à la fin du délai de grâce est libérée pour absence et ses places vont à la liste d\'attente.',
+        'checkIn.save': 'Enregistrer le délai de grâce',
+        'checkIn.saved.one': '✅ Les réservations sont désormais libérées {count} minute après leur début si personne n\'est arrivé',
+        'checkIn.saved.other': '✅ Les réservations sont désormais libérées {count} minutes après leur début si personne n\'est arrivé',
+        
+        'edit.retiredPod': '{pod} (retiré)',
+        'edit.title': 'Modifier la réservation : {pod}, {date}, {timeRange}',
+        'edit.noStudents': 'Une réservation doit compter au moins un étudiant - utilisez Supprimer pour l\'effacer',
+        'edit.updated': '✏️ Réservation modifiée : {students} dans {pod} le {date}, {timeRange}',
+        'edit.timeLabel': 'Heure de début :',
+        'edit.hint': 'Ajoutez ou retirez des numéros ici ; la réservation est revérifiée avant l\'enregistrement',
+        'edit.save': 'Enregistrer les modifications',
+        'common.cancel': 'Annuler',
+        'common.close': 'Fermer',
+        
+        'document.ics': '📅 .ics',
+        'document.icsTitle': 'Télécharger cette réservation comme événement de calendrier',
+        'document.slip': '🖨️ Reçu',
+        'document.slipTitle': 'Afficher un reçu de confirmation imprimable pour cette réservation',
+        'ics.calendar': 'Box d\'étude {pod}',
+        'ics.allPodsCalendar': 'Box d\'étude',
+        'ics.summary': 'Box d\'étude {pod} ({students})',
+        'ics.students': 'Étudiants : {students}',
+        'ics.code': 'Code de confirmation de {student} : {code}',
+        'ics.bookingId': 'Numéro de réservation : {id}',
+        'slip.pod': 'Box',
+        'slip.date': 'Date',
+        'slip.time': 'Heure',
+        'slip.code': 'Code de confirmation {code}',
+        'slip.students': 'Étudiants',
+        'slip.series': 'Série',
+        'slip.seriesSessions': 'Hebdomadaire, {sessions}',
+        'slip.bookingId': 'Numéro de réservation',
+        'slip.issued': 'Émis le',
+        'slip.note': 'Présentez-vous à l\'accueil dans les {graceMinutes} minutes suivant le début, sinon les places sont libérées. Pour annuler votre propre place, utilisez votre numéro d\'étudiant et votre code de confirmation sur l\'écran libre-service.',
+        'slip.heading': '🎫 Confirmation de réservation de box d\'étude',
+        'slip.print': '🖨️ Imprimer le reçu',
+        
+        'student.enterId': 'Veuillez saisir votre numéro d\'étudiant',
+        'student.seatCancelled': '✅ Votre place dans {pod} le {date}, {timeRange} a été annulée',
+        'student.heading': '🎓 Mes réservations',
+        'student.modeLink': 'Ouvrir l\'écran libre-service des étudiants ↗',
+        'student.intro': 'Saisissez votre numéro d\'étudiant pour voir vos prochaines réservations. Pour libérer votre place, saisissez le code de confirmation qui vous a été remis ; il n\'annule que votre place.',
+        'student.idLabel': 'Numéro d\'étudiant :',
+        'student.idPlaceholder': 'p. ex. SIT-001',
+        'student.find': 'Trouver mes réservations',
+        'student.justYou': 'Vous seul(e)',
+        'student.withOthers.one': 'Vous et {count} autre étudiant',
+        'student.withOthers.other': 'Vous et {count} autres étudiants',
+        'student.checkedIn': '✓ Arrivée enregistrée',
+        'student.codePlaceholder': 'Code de confirmation',
+        'student.codeLabel': 'Code de confirmation pour {pod} à {time}',
+        'student.cancelSeat': 'Annuler ma place',
+        'student.noBookings': '{student} n\'a aucune réservation à venir.',
+        
+        'insights.today': 'Aujourd\'hui',
+        'insights.totalBookings': 'Total des réservations ce jour',
+        'insights.totalBookingsSource': 'Source : réservations du tableau pour ce jour (les groupes réunis sur un même créneau comptent une fois ; les absences libérées sont exclues)',
+        'insights.uniqueStudents': '👥 Étudiants distincts accueillis',
+        'insights.uniqueStudentsSource': 'Source : numéros d\'étudiant distincts dans les réservations de ce jour ({bookings})',
+        'insights.busiestHour': '⏰ Heure la plus chargée',
+        'insights.noBookings': 'Aucune réservation pour l\'instant',
+        'insights.busiestTied': 'Égalité : {students} à chacune de ces heures',
+        'insights.busiestDetail': '{students} dans les box à cette heure',
+        'insights.busiestHourSource': 'Source : étudiants par heure dans tous les box, en comptant chaque heure couverte par une réservation',
+        'insights.fillRates': '📊 Taux de remplissage des box (% de la capacité utilisée)',
+        'insights.fillRate': '{rate} % ({booked}/{total} places-heures)',
+        'insights.fillRateTitle.one': 'Heures d\'ouverture réservées : {used} sur {count}',
+        'insights.fillRateTitle.other': 'Heures d\'ouverture réservées : {used} sur {count}',
+        'insights.fillRatesSource': 'Source : places-heures réservées ÷ (capacité × chaque heure d\'ouverture), que l\'heure ait été réservée ou non',
+        'insights.waitlist': '⏳ Liste d\'attente par créneau',
+        'insights.waitlistSlot': '{groups}, {students}',
+        'insights.waitlistSource': 'Source : groupes sur la liste d\'attente de ce jour, par box et heure de début',
+        'insights.checkInRate': '✅ Taux d\'arrivée',
+        'insights.noneStarted': 'Aucune réservation n\'a encore commencé',
+        'insights.checkInDetail.one': 'Arrivées : {checkedIn} sur {count} étudiant',
+        'insights.checkInDetail.other': 'Arrivées : {checkedIn} sur {count} étudiants',
+        'insights.checkInSource': 'Source : étudiants des réservations commencées, y compris les absences libérées',
+        'insights.noShowRate': '👻 Taux d\'absence',
+        'insights.noShowDetail.one': 'Réservations commencées libérées : {released} sur {count}',
+        'insights.noShowDetail.other': 'Réservations commencées libérées : {released} sur {count}',
+        'insights.noShowSource': 'Source : réservations commencées libérées après le délai de grâce de {graceMinutes} minutes sans aucune arrivée',
+        'insights.violations': '🚫 Infractions signalées',
+        'insights.violationsSource': 'Source : tentatives de réservation refusées chaque jour depuis la dernière réinitialisation (détails dans le journal des infractions)',
+        'chart.heatmapLabel': 'Places prises par box et par heure',
+        'chart.heatmapCell.one': '{pod} {time} : {count} place prise sur {capacity}',
+        'chart.heatmapCell.other': '{pod} {time} : {count} places prises sur {capacity}',
+        'chart.heatmapClosed': '{pod} {time} : fermé',
+        'chart.heatmapSource': 'Source : étudiants réservés dans chaque box par heure ÷ sa capacité ; une réservation compte pour chaque heure qu\'elle couvre',
+        'chart.utilisationLabel': 'Part des places ouvertes prises chaque heure',
+        'chart.utilisationClosed': '{time} : aucun box ouvert',
+        'chart.utilisationBar.one': '{time} : {count} place ouverte prise sur {seats} ({utilisation} %)',
+        'chart.utilisationBar.other': '{time} : {count} places ouvertes prises sur {seats} ({utilisation} %)',
+        'chart.utilisationSource': 'Source : étudiants dans tous les box chaque heure ÷ les places de chaque box ouvert à cette heure',
+        'insights.heading': 'Statistiques du jour',
+        'insights.hourByHour': 'Heure par heure',
+        'chart.heatmapCaption': '🔥 Carte d\'occupation (places prises par box)',
+        'chart.utilisationCaption': '📈 Utilisation par heure (tous les box ouverts)',
+        
+        'policy.maxHoursPerDay': 'Nombre maximal d\'heures par étudiant et par jour',
+        'policy.maxConsecutiveHours': 'Nombre maximal d\'heures consécutives',
+        'policy.maxDaysAhead': 'Nombre de jours d\'avance pour réserver',
+        'policy.heading': '⚖️ Règles de réservation',
+        'policy.maxHoursPerDayLabel': 'Heures max. par étudiant et par jour :',
+        'policy.maxConsecutiveHoursLabel': 'Heures consécutives max. :',
+        'policy.maxDaysAheadLabel': 'Réserver jusqu\'à (jours d\'avance) :',
+        'policy.hint': 'Les heures sont comptées sur tous les box. Le groupe minimum de chaque box se règle dans l\'administration des box. Les tentatives refusées sont comptées par règle dans les statistiques du jour.',
+        'policy.save': 'Enregistrer les règles',
+        'policy.saved': '✅ Règles de réservation enregistrées ; elles s\'appliquent désormais aux nouvelles réservations et aux modifications',
+        'violation.duplicate': 'Réservations en double ou en conflit',
+        'violation.dailyHours': 'Limite d\'heures par jour',
+        'violation.consecutiveHours': 'Limite d\'heures consécutives',
+        'violation.groupSize': 'Groupe sous le minimum du box',
+        'violation.daysAhead': 'Réservé trop longtemps à l\'avance',
+        'podAdmin.heading': '⚙️ Administration des box',
+        'podAdmin.capacity': 'Capacité',
+        'podAdmin.amenities': 'Équipements',
+        'podAdmin.hours': 'Horaires',
+        'podAdmin.status': 'Statut',
+        'podAdmin.capacityWithGroups': '{capacity} (groupes de {minGroupSize}+)',
+        'podAdmin.active': 'Actif',
+        'podAdmin.retired': 'Retiré',
+        'podAdmin.retire': '📦 Retirer',
+        'podAdmin.restore': '♻️ Rétablir',
+        'podAdmin.addTitle': 'Ajouter un box',
+        'podAdmin.editTitle': 'Modifier {pod}',
+        'podAdmin.idLabel': 'Identifiant du box :',
+        'podAdmin.idPlaceholder': 'p. ex. POD-D',
+        'podAdmin.capacityLabel': 'Capacité :',
+        'podAdmin.minGroupLabel': 'Groupe minimum :',
+        'podAdmin.opensLabel': 'Ouverture :',
+        'podAdmin.closesLabel': 'Fermeture :',
+        'podAdmin.amenitiesLabel': 'Équipements :',
+        'podAdmin.save': 'Enregistrer le box',
+        'podAdmin.updated': '✏️ {pod} modifié',
+        'podAdmin.added': '➕ {pod} ajouté (capacité : {students})',
+        'podAdmin.retiredDone': '📦 {pod} retiré',
+        'podAdmin.restored': '♻️ {pod} rétabli',
+        'podAdmin.retireConfirm.one': '{pod} a {count} réservation à venir. Elle sera conservée, mais aucune nouvelle réservation ne pourra être faite. Retirer ce box ?',
+        'podAdmin.retireConfirm.other': '{pod} a {count} réservations à venir. Elles seront conservées, mais aucune nouvelle réservation ne pourra être faite. Retirer ce box ?',
+        'amenity.whiteboard': 'Tableau blanc',
+        'amenity.screen': 'Écran',
+        'amenity.power': 'Prises électriques',
+        'registry.heading': '🎓 Registre des étudiants',
+        'registry.patternLabel': 'Format du numéro d\'étudiant (expression régulière) :',
+        'registry.patternHint': 'Les numéros sont mis en majuscules avant la vérification. Par défaut : {pattern} (p. ex. SIT-001)',
+        'registry.unknownPolicyLabel': 'Numéros absents du registre :',
+        'registry.policyFlag': 'Signaler (accepter avec un avertissement)',
+        'registry.policyReject': 'Refuser la réservation',
+        'registry.saveSettings': 'Enregistrer les réglages',
+        'registry.importLabel': 'Importer le registre (CSV ou JSON) :',
+        'registry.importHint': 'Colonnes CSV : id, name, school. JSON : une liste d\'objets { "id", "name", "school" }. L\'import remplace le registre actuel.',
+        'registry.clear': '🗑️ Vider le registre',
+        'registry.name': 'Nom',
+        'registry.school': 'École',
+        'registry.empty': 'Aucun registre importé : seul le format des numéros est vérifié.',
+        'registry.summary.one': '{count} étudiant inscrit. {policy}',
+        'registry.summary.other': '{count} étudiants inscrits. {policy}',
+        'registry.unknownFlagged': 'Les numéros inconnus sont signalés.',
+        'registry.unknownRejected': 'Les numéros inconnus sont refusés.',
+        'registry.patternEmpty': 'Le format des numéros ne peut pas être vide',
+        'registry.patternInvalid': 'Format de numéro invalide : {error}',
+        'registry.settingsSaved': '✅ Réglages des numéros d\'étudiant enregistrés',
+        'registry.notArray': 'Le registre JSON doit être une liste d\'objets { id, name, school }',
+        'registry.rowInvalid': 'Ligne {row} : « {student} » n\'est pas un numéro d\'étudiant valide',
+        'registry.rowDuplicate': 'Ligne {row} : {student} figure plusieurs fois',
+        'registry.noneValid': 'Aucun étudiant valide trouvé dans {file}. {skipped}',
+        'registry.imported.one': '✅ {count} étudiant importé depuis {file}',
+        'registry.imported.other': '✅ {count} étudiants importés depuis {file}',
+        'registry.skipped': '⚠️ Lignes ignorées ({count}) : {skipped}',
+        'registry.clearConfirm': 'Vider le registre des étudiants ? Les numéros inconnus ne seront plus vérifiés.',
+        'registry.cleared': '🗑️ Registre des étudiants vidé',
+        'violations.heading': '🚫 Journal des infractions',
+        'violations.ruleLabel': 'Règle :',
+        'violations.allRules': 'Toutes les règles',
+        'violations.logged': 'Enregistrée le',
+        'violations.booking': 'Réservation',
+        'violations.rulesBroken': 'Règles enfreintes',
+        'violations.repeatOffenders': 'Récidivistes',
+        'violations.attempts': 'Tentatives refusées',
+        'violations.summary.one': 'Tentatives refusées affichées : {shown} sur {count}',
+        'violations.summary.other': 'Tentatives refusées affichées : {shown} sur {count}',
+        'violations.none': 'Aucune tentative refusée enregistrée pour l\'instant.',
+        'violations.noMatches': 'Aucune tentative enregistrée ne correspond à ces filtres.',
+        'violations.noRepeatOffenders': 'Aucun étudiant n\'a plus d\'une tentative refusée.',
+        'violations.exportEmpty': 'Aucune infraction enregistrée à exporter',
+        'violations.exported.one': '⬇️ {count} infraction enregistrée exportée',
+        'violations.exported.other': '⬇️ {count} infractions enregistrées exportées',
+        'rule.DUPLICATE_IN_REQUEST': 'Doublon dans la demande',
+        'rule.UNKNOWN_POD': 'Box inconnu',
+        'rule.POD_RETIRED': 'Box retiré',
+        'rule.INVALID_DATE': 'Date invalide',
+        'rule.PAST_DATE': 'Date passée',
+        'rule.INVALID_DURATION': 'Durée invalide',
+        'rule.OUTSIDE_HOURS': 'Hors horaires',
+        'rule.PAST_CLOSING': 'Après la fermeture',
+        'rule.NOT_ON_THE_HOUR': 'Pas à l\'heure pile',
+        'rule.NO_STUDENTS': 'Aucun étudiant',
+        'rule.INVALID_STUDENT_ID': 'Numéro d\'étudiant invalide',
+        'rule.UNREGISTERED_STUDENT': 'Étudiant non inscrit',
+        'rule.CAPACITY_EXCEEDED': 'Capacité dépassée',
+        'rule.ALREADY_IN_POD': 'Déjà dans le box',
+        'rule.CROSS_POD_CLASH': 'Conflit avec un autre box',
+        'rule.DAILY_HOURS_EXCEEDED': 'Heures par jour dépassées',
+        'rule.CONSECUTIVE_HOURS_EXCEEDED': 'Heures consécutives dépassées',
+        'rule.GROUP_TOO_SMALL': 'Groupe trop petit',
+        'rule.TOO_FAR_AHEAD': 'Trop à l\'avance',
+        
+        'error.DUPLICATE_IN_REQUEST': 'Numéro d\'étudiant en double dans la demande : {student}',
+        'error.UNKNOWN_POD': 'Box d\'étude inconnu : {pod}',
+        'error.POD_RETIRED': '{pod} a été retiré et ne peut plus être réservé',
+        'error.INVALID_DATE': 'Veuillez choisir une date de réservation valide',
+        'error.PAST_DATE': 'Impossible de réserver pour une date passée ({date})',
+        'error.INVALID_DURATION': 'La durée de réservation doit être comprise entre 1 et {maxHours} heures',
+        'error.OUTSIDE_HOURS': '{pod} peut être réservé de {openTime} jusqu\'à sa fermeture à {closeTime} ({closeTime} n\'est pas disponible)',
+        'error.PAST_CLOSING.one': 'Une réservation de {count} heure à partir de {time} dépasse l\'heure de fermeture de {pod} ({closeTime})',
+        'error.PAST_CLOSING.other': 'Une réservation de {count} heures à partir de {time} dépasse l\'heure de fermeture de {pod} ({closeTime})',
+        'error.NOT_ON_THE_HOUR': 'Les réservations commencent à l\'heure pile, par ex. 09:00 ({time} ne l\'est pas)',
+        'error.NO_STUDENTS': 'Au moins un numéro d\'étudiant valide est requis',
+        'error.INVALID_STUDENT_ID': '« {student} » n\'est pas un numéro d\'étudiant valide (préfixe d\'école et numéro attendus, p. ex. SIT-001)',
+        'error.UNREGISTERED_STUDENT': 'L\'étudiant {student} ne figure pas dans le registre des étudiants',
+        'error.CAPACITY_EXCEEDED': 'Capacité du box dépassée à {time}. Actuel : {seatsTaken}, Ajout : {adding}, Maximum : {capacity}',
+        'error.ALREADY_IN_POD': 'L\'étudiant {student} est déjà inscrit dans {pod} à {time} le {date}',
+        'error.CROSS_POD_CLASH': 'L\'étudiant {student} a déjà une réservation dans un autre box ({otherPod}) à {time} le {date}',
+        'error.BOOKING_NOT_FOUND': 'Cette réservation n\'existe plus',
+        'error.STUDENT_NOT_IN_BOOKING': '{student} ne fait pas partie de cette réservation',
+        'error.ALREADY_WAITING': '{student} est déjà sur la liste d\'attente de ce créneau',
+        'error.INVALID_POD_ID': 'L\'identifiant du box doit compter 2 à 20 caractères (lettres, chiffres et tirets, p. ex. POD-D)',
+        'error.POD_EXISTS': 'Un box nommé {pod} existe déjà',
+        'error.INVALID_CAPACITY': 'La capacité doit être un nombre entier entre 1 et {maxCapacity}',
+        'error.MISSING_HOURS': 'Les heures d\'ouverture et de fermeture sont toutes deux requises',
+        'error.CLOSES_BEFORE_OPENING': 'L\'heure de fermeture doit être postérieure à l\'heure d\'ouverture',
+        'error.HOURS_NOT_ON_THE_HOUR': 'Les heures d\'ouverture et de fermeture doivent tomber à l\'heure pile, par ex. 08:00',
+        'error.BOOKING_OUTSIDE_NEW_HOURS': 'La réservation du {date} à {time} serait en dehors des nouveaux horaires d\'ouverture',
+        'error.BOOKING_OVER_NEW_CAPACITY': '{seatsTaken} étudiants sont inscrits le {date} à {time}, plus que la nouvelle capacité',
+        'error.BOOKING_CONFLICT': 'La réservation de {pod} du {date} à {time} a été modifiée ou supprimée à un autre poste',
+        'error.BOOKING_REJECTED': 'Le serveur de réservation a refusé la réservation de {pod} du {date} à {time} (erreur {status})',
+        'error.SETTINGS_REJECTED': 'Le serveur de réservation a refusé les réglages (erreur {status})',
+        'error.CHECK_IN_NOT_OPEN': 'L\'enregistrement pour la réservation de {pod} à {time} ouvre à {opensAt}',
+        'error.CHECK_IN_CLOSED': 'La réservation de {pod} à {time} est terminée ; l\'enregistrement est donc fermé',
+        'error.ALREADY_CHECKED_IN': 'L\'arrivée de {student} est déjà enregistrée pour la réservation de {pod} à {time}',
+        'error.ALREADY_CHECKED_IN_ALL': 'Tout le monde dans la réservation de {pod} à {time} est déjà arrivé',
+        'error.INVALID_GRACE_PERIOD': 'Le délai de grâce doit être un nombre entier de minutes entre 0 et {maxMinutes}',
+        'error.DAILY_HOURS_EXCEEDED': '{student} a déjà {hours} de réservation le {date} ; en ajouter {adding} dépasserait la limite quotidienne de {maxHours}',
+        'error.CONSECUTIVE_HOURS_EXCEEDED': '{student} serait dans un box pendant {consecutiveHours} heures d\'affilée le {date} (limite : {maxHours})',
+        'error.GROUP_TOO_SMALL': '{pod} exige un groupe d\'au moins {minGroupSize} (cette réservation en compterait {groupSize})',
+        'error.TOO_FAR_AHEAD': 'Les réservations ne peuvent être faites que {days} à l\'avance (jusqu\'au {lastDate})',
+        'error.INVALID_MIN_GROUP_SIZE': 'La taille minimale du groupe doit être un nombre entier entre 1 et la capacité du box ({capacity})',
+        'error.INVALID_POLICY_LIMIT': '{setting} doit être un nombre entier entre {min} et {max}',
+        'error.INVALID_CONFIRMATION_CODE': 'Ce code de confirmation ne correspond pas à la place de {student} dans la réservation de {pod} à {time}',
+        'error.INVALID_SERIES_END': 'Veuillez choisir une date de fin égale ou postérieure à la première date de réservation',
+        'error.NO_SERIES_WEEKDAYS': 'Veuillez choisir au moins un jour de la semaine à répéter',
+        'error.TOO_MANY_OCCURRENCES': 'Une série peut compter au plus {maxOccurrences} séances ; choisissez une date de fin plus proche',
+        'error.SERIES_NOT_FOUND': 'Cette série n\'existe plus',
+        'error.SERIES_ENDED': 'Cette série n\'a plus de séances à venir'
+    }
+};
+
+/**
+ * Fills {name} placeholders in a message from params; placeholders without a value are left as they are
+ */
+function fillPlaceholders(template, params) {
+    if (!params) {
+        return template;
+    }
+    return template.replace(/\{(\w+)\}/g, function (placeholder, name) {
+        return params[name] === undefined || params[name] === null ? placeholder : String(params[name]);
+    });
+}
+
+/**
+ * Lists the placeholder names a message uses, e.g. "{pod} at {time}" -> ["pod", "time"]
+ */
+function listPlaceholders(template) {
+    const names = [];
+    const pattern = /\{(\w+)\}/g;
+    let match = pattern.exec(template);
+    while (match) {
+        if (names.indexOf(match[1]) === -1) {
+            names.push(match[1]);
+        }
+        match = pattern.exec(template);
+    }
+    return names;
+}
+
+/**
+ * Picks messages and formats times for one language and clock
+ * An unknown locale or time format falls back to the defaults (English, 24-hour)
+ */
+class Localizer {
+    constructor(locale, timeFormat) {
+        this.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+        this.timeFormat = TIME_FORMATS.indexOf(timeFormat) !== -1 ? timeFormat : DEFAULT_TIME_FORMAT;
+        this.intlLocale = LOCALES[this.locale].intlLocale;
+        this.hour12Format = new Intl.DateTimeFormat(this.intlLocale, { hour: 'numeric', minute: '2-digit', hourCycle: 'h12' });
+        this.pluralRules = new Intl.PluralRules(this.intlLocale);
+    }
+    
+    /**
+     * Checks whether this language (or English) has a message for a key
+     */
+    hasMessage(key) {
+        return MESSAGES[this.locale][key] !== undefined || MESSAGES[DEFAULT_LOCALE][key] !== undefined;
+    }
+    
+    /**
+     * The message for a key in this language (or English), with its placeholders filled from params
+     * A key no language knows is returned as it is, so a missing message shows up instead of an empty label
+     */
+    translate(key, params) {
+        let template = MESSAGES[this.locale][key];
+        if (template === undefined) {
+            template = MESSAGES[DEFAULT_LOCALE][key];
+        }
+        return template === undefined ? key : fillPlaceholders(template, params);
+    }
+    
+    /**
+     * The message for a count in this language's plural form, e.g. translatePlural('count.students', 1) -> "1 student"
+     * Forms are keyed by plural category ('count.students.one', 'count.students.other', ...) and get {count} filled in;
+     * a category the catalogue doesn't have (e.g. French 'many') uses the 'other' form
+     */
+    translatePlural(key, count, params) {
+        const category = this.pluralRules.select(count);
+        const values = { count: count };
+        for (const name in params) {
+            values[name] = params[name];
+        }
+        return this.translate(this.hasMessage(`${key}.${category}`) ? `${key}.${category}` : `${key}.other`, values);
+    }
+    
+    /**
+     * Formats an "HH:MM" time of day on this localizer's clock
+     * The 24-hour clock keeps the stored "HH:MM" (so a 24:00 closing time stays 24:00); the 12-hour one is worded
+     * per locale, e.g. "2:00 pm" in English
+     */
+    formatTime(timeString) {
+        if (this.timeFormat === '24h') {
+            return timeString;
+        }
+        
+        const timeParts = timeString.split(':');
+        const hours = parseInt(timeParts[0], 10);
+        const minutes = parseInt(timeParts[1], 10);
+        if (isNaN(hours) || isNaN(minutes)) {
+            return timeString;
+        }
+        return this.hour12Format.format(new Date(2000, 0, 1, hours, minutes));
+    }
+    
+    /**
+     * Short name of a weekday, numbered like Date.getDay() (0 = Sunday), in this language
+     */
+    formatWeekday(weekday) {
+        // 6 January 2030 is a Sunday
+        return new Date(2030, 0, 6 + weekday).toLocaleDateString(this.intlLocale, { weekday: 'short' });
+    }
+}
+
+// Node.js export (ignored in the browser, where everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES: LOCALES,
+        DEFAULT_LOCALE: DEFAULT_LOCALE,
+        TIME_FORMATS: TIME_FORMATS,
+        DEFAULT_TIME_FORMAT: DEFAULT_TIME_FORMAT,
+        MESSAGES: MESSAGES,
+        Localizer: Localizer,
+        fillPlaceholders: fillPlaceholders,
+        listPlaceholders: listPlaceholders
+    };
+}
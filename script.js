@@ -4,52 +4,175 @@
  
  * Variables & Data Types: I'm using const for my pod data and let for bookings array, plus strings 
    for student IDs and numbers for the duplicate counter. Pretty straightforward stuff.
-   
+ 
  * Control Structures: Got loads of if/else statements handling all the booking rules and validation, 
    plus a switch could've worked for error types but stuck with if/else for clarity.
-   
+ 
  * Loops: Using for loops everywhere - rendering table rows, populating dropdowns, calculating insights. 
    No fancy array methods done, just the simple loops that we reviewed in class.
  
  * Functions: Built 8 different functions that each do one thing well - parsing student IDs, checking 
    time slots, validating rules. Keeps everything clean and reusable.
-  
+ 
  * Events: addEventListener for form submission and click delegation for remove buttons. No inline 
    onclick stuff as instructed.
-  
+ 
  * DOM Manipulation: Creating elements, updating content, managing classes - basically building the 
    entire interface dynamically. The insights panel updates in real-time which is pretty cool.
-   
+ 
  */
 
 // Core data structures (as specified in the requirements)
-const pods = [
-    { id: "POD-A", capacity: 4 },
-    { id: "POD-B", capacity: 4 },
-    { id: "POD-C", capacity: 4 },
+// The booking rules themselves live in booking-engine.js (PodBookingEngine); this file is the widget around them
+// The default pod catalogue (DEFAULT_PODS) comes from the engine; staff can add, edit and retire pods from the Pod Administration panel
+
+// Amenities a pod can offer, with the icon shown next to the pod name; their names are the 'amenity.<id>' messages in i18n.js
+const AMENITIES = [
+    { id: "whiteboard", icon: "🖊️" },
+    { id: "screen", icon: "🖥️" },
+    { id: "power", icon: "🔌" },
 ];
 
+// Order the weekly repeat pattern lists weekdays in (numbered like Date.getDay(), 0 = Sunday): Monday first
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Seed bookings have no date - they are placed on the day the app is first opened
 const initialBookings = [
-    { podId: "POD-A", time: "09:00", students: ["SIT-001", "SIT-045"] },
-    { podId: "POD-B", time: "10:00", students: ["SMC-210"] },
+    { podId: "POD-A", time: "09:00", duration: 1, students: ["SIT-001", "SIT-045"] },
+    { podId: "POD-B", time: "10:00", duration: 1, students: ["SMC-210"] },
 ];
 
-// Global application state
-let bookings = JSON.parse(JSON.stringify(initialBookings)); // Deep copy to prevent reference issues
-let duplicateAttempts = 0; // Counter for rule violation attempts
+// Number of booking operations kept for undo/redo
+const MAX_HISTORY_ENTRIES = 50;
+
+// Persistence settings (bump the version and add a migration whenever the saved shape changes)
+const STORAGE_KEY = 'usiu-study-pods-state';
+const STORAGE_SCHEMA_VERSION = 12;
+
+// How often bookings are re-read from a shared backend, so other desks' changes show up
+const SYNC_POLL_INTERVAL_MS = 15000;
+
+// Channel the widget's open tabs and windows use to tell each other about saved changes
+const TAB_CHANNEL_NAME = 'usiu-study-pods';
+
+// How often today's bookings are checked for groups that never turned up
+const NO_SHOW_CHECK_INTERVAL_MS = 60000;
+
+// Parts of the widget's markup only staff get; student mode leaves them out of the page
+const STAFF_PANEL_SELECTOR = '.form-section, .table-section, .insights-panel, .admin-panel, #student-mode-link';
+
+// Analytics charts are drawn as inline SVG (no chart library or external service); sizes are in SVG units
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_HOUR_WIDTH = 44;
+const CHART_ROW_HEIGHT = 28;
+const CHART_LABEL_WIDTH = 64;
+const CHART_BAR_HEIGHT = 120;
+
+// Calendar (.ics) exports: who made the file, the domain event UIDs are made unique with and where the pods are
+const ICS_PRODUCT_ID = '-//USIU-Africa//Study Pod Booking//EN';
+const ICS_UID_DOMAIN = 'study-pods.usiu.ac.ke';
+const LIBRARY_LOCATION = 'USIU-Africa Library';
+
+// Wording and times when no widget's language applies (data exports, console warnings): English with a 24-hour clock (see i18n.js)
+const DEFAULT_LOCALIZER = new Localizer(DEFAULT_LOCALE, DEFAULT_TIME_FORMAT);
+
+// Attributes a <study-pod-booking> element reads its configuration from (see StudyPodBookingElement)
+const ELEMENT_ATTRIBUTES = ['pods', 'capacity', 'open-time', 'close-time', 'bookings', 'storage-key', 'api-url', 'mode', 'locale', 'time-format', 'stylesheet'];
 
-// DOM element references
-const podSelect = document.getElementById('pod-select');
-const timeInput = document.getElementById('time-input');
-const studentsInput = document.getElementById('students-input');
-const bookingForm = document.getElementById('booking-form');
-const errorsDiv = document.getElementById('errors');
-const successDiv = document.getElementById('success-message');
-const bookingsTableBody = document.getElementById('bookings-tbody');
-const insightsContainer = document.getElementById('insights-container');
+// Where <study-pod-booking> elements load styles.css from unless they name another: next to this script
+const WIDGET_STYLESHEET_URL = document.currentScript && document.currentScript.src
+    ? new URL('styles.css', document.currentScript.src).href
+    : 'styles.css';
 
 // Utility Functions (Single Responsibility Principle)
 
+/**
+ * Formats a YYYY-MM-DD date for display, e.g. "Mon, 20 Oct 2025"
+ */
+function formatDateLabel(dateString, localizer) {
+    const date = parseDateString(dateString);
+    if (!date) {
+        return dateString;
+    }
+    return date.toLocaleDateString((localizer || DEFAULT_LOCALIZER).intlLocale, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Copies the seed bookings (a widget's configured ones, or initialBookings) and places those without a date on today
+ */
+function createInitialBookings(seedBookings) {
+    const today = getTodayDateString();
+    const seeds = seedBookings || initialBookings;
+    const seeded = [];
+    
+    for (let i = 0; i < seeds.length; i++) {
+        const booking = seeds[i];
+        seeded.push({
+            id: createBookingId(),
+            podId: booking.podId,
+            date: booking.date || today,
+            time: booking.time,
+            duration: booking.duration || 1,
+            students: [...booking.students] // Copy to prevent reference issues
+        });
+    }
+    
+    return seeded;
+}
+
+/**
+ * Builds a widget's starting pod catalogue from its configuration
+ * config.pods lists pod objects or just pod IDs (DEFAULT_PODS when left out); IDs get the default pods' capacity
+ * and hours. config.capacity, openTime and closeTime, when given, apply to every pod
+ */
+function buildConfiguredPods(config) {
+    const source = config.pods && config.pods.length > 0 ? config.pods : DEFAULT_PODS;
+    const pods = [];
+    
+    for (let i = 0; i < source.length; i++) {
+        const pod = typeof source[i] === 'string'
+            ? { id: source[i].trim().toUpperCase(), capacity: DEFAULT_PODS[0].capacity, minGroupSize: 1, amenities: [], openTime: DEFAULT_PODS[0].openTime, closeTime: DEFAULT_PODS[0].closeTime, retired: false }
+            : JSON.parse(JSON.stringify(source[i])); // Deep copy so edits never touch the configuration
+        if (config.capacity) {
+            pod.capacity = Number(config.capacity);
+        }
+        if (config.openTime) {
+            pod.openTime = config.openTime;
+        }
+        if (config.closeTime) {
+            pod.closeTime = config.closeTime;
+        }
+        pods.push(pod);
+    }
+    
+    return pods;
+}
+
+/**
+ * Lays a widget's configured pods over the ones it saved: the configuration wins for every pod it lists, and saved
+ * pods it no longer lists are kept retired, so their bookings still show but no new ones can be made
+ */
+function mergeConfiguredPods(configuredPods, savedPods) {
+    const pods = JSON.parse(JSON.stringify(configuredPods));
+    
+    for (let i = 0; i < savedPods.length; i++) {
+        let configured = false;
+        for (let j = 0; j < configuredPods.length; j++) {
+            if (configuredPods[j].id === savedPods[i].id) {
+                configured = true;
+                break;
+            }
+        }
+        if (!configured) {
+            const pod = JSON.parse(JSON.stringify(savedPods[i]));
+            pod.retired = true;
+            pods.push(pod);
+        }
+    }
+    
+    return pods;
+}
+
 /**
  * Parses comma-separated student IDs with comprehensive cleaning
  * Handles edge cases: extra spaces, empty entries, case normalization
@@ -76,600 +199,5004 @@ function parseStudentIds(inputString) {
 }
 
 /**
- * Validates if time falls within operating hours (08:00 to 20:00, exclusive end)
- * Edge case handling: empty strings, invalid formats, exact boundary times
+ * Parses the comma-separated dates a weekly series should skip
+ * Returns { dates, invalid } where invalid holds the entries that aren't real YYYY-MM-DD dates
  */
-function isWithinOperatingHours(timeString) {
-    if (!timeString || timeString.trim() === '') {
-        return false;
-    }
-    
-    // Parse HH:MM format
-    const timeParts = timeString.split(':');
-    if (timeParts.length !== 2) {
-        return false;
-    }
-    
-    const hour = parseInt(timeParts[0], 10);
-    const minute = parseInt(timeParts[1], 10);
+function parseSkipDates(inputString) {
+    const dates = [];
+    const invalid = [];
+    const rawDates = inputString.split(',');
     
-    // Validate parsed values
-    if (isNaN(hour) || isNaN(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-        return false;
+    for (let i = 0; i < rawDates.length; i++) {
+        const trimmed = rawDates[i].trim();
+        if (trimmed === '') {
+            continue;
+        }
+        if (parseDateString(trimmed)) {
+            dates.push(trimmed);
+        } else {
+            invalid.push(trimmed);
+        }
     }
     
-    // Operating hours: 08:00 inclusive to 20:00 exclusive
-    // So 08:00-19:59 are valid, but 20:00 and beyond are not
-    return hour >= 8 && hour < 20;
+    return { dates: dates, invalid: invalid };
 }
 
 /**
- * Finds existing booking for specific pod and time slot
- * Returns booking object or null if not found
+ * Splits CSV text into rows of fields
+ * Handles quoted fields containing commas, doubled quotes ("") and Windows line endings
  */
-function findBooking(podId, timeString) {
-    for (let i = 0; i < bookings.length; i++) {
-        // Using === for strict equality as required
-        // Justification: Prevents type coercion issues and ensures exact matching
-        if (bookings[i].podId === podId && bookings[i].time === timeString) {
-            return bookings[i];
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    // Last line may not end with a newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    const nonEmptyRows = [];
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i].length > 1 || rows[i][0].trim() !== '') {
+            nonEmptyRows.push(rows[i]);
         }
     }
-    return null;
+    return nonEmptyRows;
 }
 
 /**
- * Checks if student has conflicting booking in different pod at same time
- * Implements cross-pod clash rule
+ * Quotes a value for CSV output when it contains commas, quotes or line breaks
  */
-function hasCrossPodClash(studentId, timeString, excludePodId) {
-    for (let i = 0; i < bookings.length; i++) {
-        const booking = bookings[i];
-        if (booking.time === timeString && booking.podId !== excludePodId) {
-            for (let j = 0; j < booking.students.length; j++) {
-                if (booking.students[j] === studentId) {
-                    return true;
-                }
-            }
-        }
+function toCsvField(value) {
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
     }
-    return false;
+    return text;
 }
 
 /**
- * Custom rounding function to 1 decimal place (requirement for fill rates)
- * Avoids floating point precision issues
+ * Normalises a time like "9:00" to "09:00"
+ * Returns the input unchanged when it can't be read, so validation reports it
  */
-function roundToOneDecimal(number) {
-    return Math.round(number * 10) / 10;
+function normalizeTimeString(timeString) {
+    const minutes = parseTimeToMinutes(timeString);
+    if (minutes === null) {
+        return timeString;
+    }
+    const hour = Math.floor(minutes / 60).toString().padStart(2, '0');
+    const minute = (minutes % 60).toString().padStart(2, '0');
+    return `${hour}:${minute}`;
 }
 
 /**
- * Comprehensive booking validation against all business rules
- * Returns array of error messages (empty if valid)
+ * Builds the CSV export for a list of bookings
+ * Student IDs share one quoted column so the file can be imported again as-is
  */
-function validateBooking(podId, timeString, studentIds) {
-    const errors = [];
+function buildBookingsCsv(bookingsArray) {
+    const lines = ['Date,Pod,Time,Duration (hours),End Time,Student Count,Student IDs'];
     
-    // Rule 4: Operating hours validation
-    if (!isWithinOperatingHours(timeString)) {
-        errors.push("Booking time must be between 08:00 and 19:59 (20:00 is not available)");
+    for (let i = 0; i < bookingsArray.length; i++) {
+        const booking = bookingsArray[i];
+        lines.push([
+            booking.date,
+            toCsvField(booking.podId),
+            booking.time,
+            booking.duration,
+            addHours(booking.time, booking.duration),
+            booking.students.length,
+            toCsvField(booking.students.join(', '))
+        ].join(','));
     }
     
-    // Edge case: Empty student list after parsing
-    if (studentIds.length === 0) {
-        errors.push("At least one valid student ID is required");
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds the JSON export for a list of bookings
+ */
+function buildBookingsJson(bookingsArray, dateString) {
+    const exported = [];
+    for (let i = 0; i < bookingsArray.length; i++) {
+        const booking = bookingsArray[i];
+        exported.push({
+            date: booking.date,
+            podId: booking.podId,
+            time: booking.time,
+            duration: booking.duration,
+            endTime: addHours(booking.time, booking.duration),
+            studentCount: booking.students.length,
+            students: booking.students
+        });
     }
     
-    const existingBooking = findBooking(podId, timeString);
-    
-    // Rule 1: Capacity validation
-    const currentStudents = existingBooking ? existingBooking.students.length : 0;
-    const totalAfterBooking = currentStudents + studentIds.length;
-    
-    if (totalAfterBooking > 4) {
-        errors.push(`Pod capacity exceeded. Current: ${currentStudents}, Adding: ${studentIds.length}, Maximum: 4`);
-    }
+    return JSON.stringify({ date: dateString, exportedAt: new Date().toISOString(), bookings: exported }, null, 2);
+}
+
+/**
+ * Escapes text for an iCalendar property value (backslashes, semicolons, commas and line breaks)
+ */
+function toIcsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar line onto continuation lines (starting with a space) so none is longer than 75 bytes
+ * Bytes are counted as UTF-8 and a character is never split, so names with accents or emoji stay whole
+ */
+function foldIcsLine(line) {
+    const lines = [];
+    let current = '';
+    let currentBytes = 0;
     
-    // Rule 2 & 3: Individual student conflict checking
-    for (let i = 0; i < studentIds.length; i++) {
-        const studentId = studentIds[i];
-        
-        // Rule 2: Duplicate in same pod/time slot
-        if (existingBooking) {
-            for (let j = 0; j < existingBooking.students.length; j++) {
-                if (existingBooking.students[j] === studentId) {
-                    errors.push(`Student ${studentId} is already booked in ${podId} at ${timeString}`);
-                    duplicateAttempts++; // Increment global counter
-                    break;
-                }
-            }
+    for (let i = 0; i < line.length; i++) {
+        const codePoint = line.codePointAt(i);
+        const character = String.fromCodePoint(codePoint);
+        if (codePoint >= 0x10000) {
+            i++; // The second half of a surrogate pair
         }
-        
-        // Rule 3: Cross-pod clash detection
-        if (hasCrossPodClash(studentId, timeString, podId)) {
-            errors.push(`Student ${studentId} already has a booking in another pod at ${timeString}`);
-            duplicateAttempts++; // Increment global counter
+        const bytes = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        if (currentBytes + bytes > 75) {
+            lines.push(current);
+            current = ' ';
+            currentBytes = 1;
         }
+        current += character;
+        currentBytes += bytes;
     }
+    lines.push(current);
     
-    return errors;
+    return lines.join('\r\n');
 }
 
 /**
- * Computes all daily insights using only loops and conditionals
- * No array methods like reduce, filter, map as per requirements
+ * Formats a booking's date and a time of day as an iCalendar date-time, e.g. ("2030-03-04", "09:00") -> "20300304T090000"
+ * The times are "floating" (no time zone), so an event shows at the clock time the pod was booked for
  */
-function recomputeInsights(bookingsArray, podsArray) {
-    const insights = {
-        totalBookings: bookingsArray.length,
-        uniqueStudents: 0,
-        busiestHour: 'No bookings yet',
-        podFillRates: [],
-        duplicateAttempts: duplicateAttempts
-    };
-    
-    // Calculate unique students without using Set (requirement)
-    const studentTracker = [];
-    for (let i = 0; i < bookingsArray.length; i++) {
-        const booking = bookingsArray[i];
-        for (let j = 0; j < booking.students.length; j++) {
-            const student = booking.students[j];
-            let alreadyCounted = false;
-            
-            // Check if student already in tracker
-            for (let k = 0; k < studentTracker.length; k++) {
-                if (studentTracker[k] === student) {
-                    alreadyCounted = true;
-                    break;
-                }
+function formatIcsDateTime(dateString, timeString) {
+    return `${dateString.replace(/-/g, '')}T${timeString.replace(':', '')}00`;
+}
+
+/**
+ * Copy of a booking narrowed to one group of its students (those still in it)
+ * A merged booking holds several groups, and one group's slip or calendar event shouldn't show the others' codes
+ * groupStudentId (the group's first student) tells the group's calendar event apart from the other groups'
+ */
+function narrowBookingToGroup(booking, groupStudentIds) {
+    const narrowed = JSON.parse(JSON.stringify(booking));
+    narrowed.groupStudentId = null;
+    narrowed.students = [];
+    narrowed.checkedIn = [];
+    narrowed.confirmationCodes = {};
+    for (let i = 0; i < booking.students.length; i++) {
+        const studentId = booking.students[i];
+        if (groupStudentIds.indexOf(studentId) !== -1) {
+            if (narrowed.groupStudentId === null) {
+                narrowed.groupStudentId = studentId;
             }
-            
-            if (!alreadyCounted) {
-                studentTracker.push(student);
+            narrowed.students.push(studentId);
+            if (booking.confirmationCodes[studentId]) {
+                narrowed.confirmationCodes[studentId] = booking.confirmationCodes[studentId];
+            }
+            if (booking.checkedIn.indexOf(studentId) !== -1) {
+                narrowed.checkedIn.push(studentId);
             }
         }
     }
-    insights.uniqueStudents = studentTracker.length;
+    return narrowed;
+}
+
+/**
+ * Builds an iCalendar file with one event per booking, each student an attendee
+ * A booking narrowed to one group gets an event UID of its own, so groups sharing a slot can all add
+ * theirs to one calendar without replacing each other's
+ * withCodes puts the groups' confirmation codes in the event descriptions - for the students' own copy, not for
+ * a calendar other people can read, since a code lets anyone with the student ID cancel that seat
+ */
+function buildBookingsIcs(bookingsArray, calendarName, withCodes, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${toIcsText(calendarName)}`
+    ];
     
-    // Find busiest hour by counting students per time slot
-    const hourStudentCounts = {};
     for (let i = 0; i < bookingsArray.length; i++) {
         const booking = bookingsArray[i];
-        const hour = booking.time;
-        
-        if (!hourStudentCounts[hour]) {
-            hourStudentCounts[hour] = 0;
-        }
-        hourStudentCounts[hour] += booking.students.length;
-    }
-    
-    // Find hour with maximum students
-    let maxStudents = 0;
-    let busiestHour = 'No bookings yet';
-    for (const hour in hourStudentCounts) {
-        if (hourStudentCounts[hour] > maxStudents) {
-            maxStudents = hourStudentCounts[hour];
-            busiestHour = hour;
-        }
-    }
-    insights.busiestHour = busiestHour;
-    
-    // Calculate fill rates for each pod
-    for (let i = 0; i < podsArray.length; i++) {
-        const pod = podsArray[i];
-        let totalBookedSeats = 0;
-        let uniqueSlots = 0;
-        const slotsUsed = {};
-        
-        // Count booked seats and unique time slots for this pod
-        for (let j = 0; j < bookingsArray.length; j++) {
-            const booking = bookingsArray[j];
-            if (booking.podId === pod.id) {
-                totalBookedSeats += booking.students.length;
-                
-                if (!slotsUsed[booking.time]) {
-                    slotsUsed[booking.time] = true;
-                    uniqueSlots++;
+        const description = [display.translate('ics.students', { students: booking.students.join(', ') })];
+        if (withCodes) {
+            for (let j = 0; j < booking.students.length; j++) {
+                if (booking.confirmationCodes[booking.students[j]]) {
+                    description.push(display.translate('ics.code', { student: booking.students[j], code: booking.confirmationCodes[booking.students[j]] }));
                 }
             }
         }
+        description.push(display.translate('ics.bookingId', { id: booking.id }));
+        const uid = booking.groupStudentId ? `${booking.id}-${booking.groupStudentId}` : booking.id;
         
-        // Calculate fill rate: (booked seats / total possible seats) * 100
-        const totalPossibleSeats = pod.capacity * uniqueSlots;
-        const fillRate = totalPossibleSeats > 0 ? (totalBookedSeats / totalPossibleSeats) * 100 : 0;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uid}@${ICS_UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDateTime(booking.date, booking.time)}`,
+            `DTEND:${formatIcsDateTime(booking.date, addHours(booking.time, booking.duration))}`,
+            `SUMMARY:${toIcsText(display.translate('ics.summary', { pod: booking.podId, students: display.translatePlural('count.students', booking.students.length) }))}`,
+            `LOCATION:${toIcsText(`${booking.podId}, ${LIBRARY_LOCATION}`)}`,
+            `DESCRIPTION:${toIcsText(description.join('\n'))}`,
+            'STATUS:CONFIRMED'
+        );
         
-        insights.podFillRates.push({
-            podId: pod.id,
-            fillRate: roundToOneDecimal(fillRate),
-            slotsUsed: uniqueSlots,
-            bookedSeats: totalBookedSeats
-        });
+        // Students have no e-mail address here, so each attendee is addressed by student ID
+        for (let j = 0; j < booking.students.length; j++) {
+            const studentId = booking.students[j].replace(/"/g, '');
+            lines.push(`ATTENDEE;CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;CN="${studentId}":urn:x-usiu-student:${encodeURIComponent(studentId)}`);
+        }
+        lines.push('END:VEVENT');
     }
+    lines.push('END:VCALENDAR');
     
-    return insights;
+    const folded = [];
+    for (let i = 0; i < lines.length; i++) {
+        folded.push(foldIcsLine(lines[i]));
+    }
+    return folded.join('\r\n') + '\r\n';
 }
 
-// DOM Manipulation Functions
+/**
+ * Turns an error code into a short label, e.g. CAPACITY_EXCEEDED -> "Capacity exceeded"
+ */
+function formatErrorCode(code) {
+    const words = code.toLowerCase().split('_').join(' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
 
 /**
- * Populates pod selection dropdown using DOM manipulation
- * Creates options dynamically from pods array
+ * Lists the distinct error codes of a violation log entry, in the order they were reported
  */
-function populatePodSelect() {
-    // Clear existing options
-    podSelect.innerHTML = '';
-    
-    // Add placeholder option
-    const defaultOption = document.createElement('option');
-    defaultOption.value = '';
-    defaultOption.textContent = 'Choose a study pod...';
-    podSelect.appendChild(defaultOption);
-    
-    // Add pod options using traditional for loop
-    for (let i = 0; i < pods.length; i++) {
-        const pod = pods[i];
-        const option = document.createElement('option');
-        option.value = pod.id;
-        option.textContent = `${pod.id} (Capacity: ${pod.capacity} students)`;
-        podSelect.appendChild(option);
+function getLogEntryCodes(entry) {
+    const codes = [];
+    for (let i = 0; i < entry.errors.length; i++) {
+        if (codes.indexOf(entry.errors[i].code) === -1) {
+            codes.push(entry.errors[i].code);
+        }
     }
+    return codes;
 }
 
 /**
- * Renders complete bookings table using DOM manipulation and loops
- * Implements event delegation for remove buttons
+ * Builds the CSV export for violation log entries
  */
-function renderBookingsTable() {
-    // Clear existing table content
-    bookingsTableBody.innerHTML = '';
+function buildViolationLogCsv(entries) {
+    const lines = ['Logged At,Pod,Date,Time,Duration (hours),Student IDs,Rule Codes,Messages'];
     
-    if (bookings.length === 0) {
-        const row = document.createElement('tr');
-        const cell = document.createElement('td');
-        cell.colSpan = 6;
-        cell.className = 'no-bookings';
-        cell.textContent = 'No bookings yet. Create your first booking above! 📅';
-        row.appendChild(cell);
-        bookingsTableBody.appendChild(row);
-        return;
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        lines.push([
+            entry.loggedAt,
+            toCsvField(entry.podId),
+            entry.date,
+            entry.time,
+            entry.duration,
+            toCsvField(entry.students.join(', ')),
+            toCsvField(getLogEntryCodes(entry).join('; ')),
+            toCsvField(formatEngineErrors(entry.errors))
+        ].join(','));
     }
     
-    // Create table rows using traditional for loop
-    for (let i = 0; i < bookings.length; i++) {
-        const booking = bookings[i];
-        const row = document.createElement('tr');
-        
-        // Index column
-        const indexCell = document.createElement('td');
-        indexCell.textContent = (i + 1).toString();
-        row.appendChild(indexCell);
-        
-        // Pod ID column
-        const podCell = document.createElement('td');
-        podCell.textContent = booking.podId;
-        row.appendChild(podCell);
-        
-        // Time column
-        const timeCell = document.createElement('td');
-        timeCell.textContent = booking.time;
-        row.appendChild(timeCell);
-        
-        // Student count column
-        const countCell = document.createElement('td');
-        countCell.textContent = booking.students.length.toString();
-        row.appendChild(countCell);
-        
-        // Student IDs column
-        const studentsCell = document.createElement('td');
-        studentsCell.textContent = booking.students.join(', ');
-        row.appendChild(studentsCell);
-        
-        // Actions column with remove button
-        const actionsCell = document.createElement('td');
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'remove-btn';
-        removeBtn.textContent = '🗑️ Remove';
-        removeBtn.setAttribute('data-booking-index', i.toString());
-        actionsCell.appendChild(removeBtn);
-        row.appendChild(actionsCell);
-        
-        bookingsTableBody.appendChild(row);
-    }
+    return lines.join('\r\n') + '\r\n';
 }
 
 /**
- * Renders insights panel with real-time calculated data
- * Updates whenever bookings change
+ * Builds the JSON export for violation log entries, with the engine's error objects as they were logged
  */
-function renderInsights() {
-    const insights = recomputeInsights(bookings, pods);
-    
-    // Clear existing insights
-    insightsContainer.innerHTML = '';
-    
-    // Total bookings insight card
-    const totalBookingsCard = document.createElement('div');
-    totalBookingsCard.className = 'insight-card';
-    totalBookingsCard.innerHTML = `
-        <div class="insight-title">Total Bookings Made Today</div>
-        <div class="insight-value">${insights.totalBookings}</div>
-    `;
-    insightsContainer.appendChild(totalBookingsCard);
-    
-    // Unique students insight card
-    const uniqueStudentsCard = document.createElement('div');
-    uniqueStudentsCard.className = 'insight-card';
-    uniqueStudentsCard.innerHTML = `
-        <div class="insight-title">👥 Total Unique Students Served</div>
-        <div class="insight-value">${insights.uniqueStudents}</div>
-    `;
-    insightsContainer.appendChild(uniqueStudentsCard);
-    
-    // Busiest hour insight card
-    const busiestHourCard = document.createElement('div');
-    busiestHourCard.className = 'insight-card';
-    busiestHourCard.innerHTML = `
-        <div class="insight-title">⏰ Busiest Hour</div>
-        <div class="insight-value">${insights.busiestHour}</div>
-    `;
-    insightsContainer.appendChild(busiestHourCard);
-    
-    // Pod fill rates insight card
-    const fillRatesCard = document.createElement('div');
-    fillRatesCard.className = 'insight-card';
+function buildViolationLogJson(entries) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), violations: entries }, null, 2);
+}
+
+/**
+ * Reads booking rows from an imported CSV or JSON file
+ * CSV needs a header row naming at least Pod, Time and Student IDs (Date and Duration are optional);
+ * JSON may be an export file or a plain array of { podId, date, time, duration, students }
+ * Missing dates fall back to defaultDate and missing durations to 1 hour
+ * Returns array of { rowNumber, podId, date, time, duration, studentsText }
+ */
+function parseBookingsFile(fileName, text, defaultDate, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const rows = [];
     
-    const fillRatesTitle = document.createElement('div');
-    fillRatesTitle.className = 'insight-title';
-    fillRatesTitle.textContent = '📊 Pod Fill Rates (% of capacity used)';
-    fillRatesCard.appendChild(fillRatesTitle);
+    if (/\.json$/i.test(fileName)) {
+        const parsed = JSON.parse(text);
+        const records = Array.isArray(parsed) ? parsed : parsed && parsed.bookings;
+        if (!Array.isArray(records)) {
+            throw new Error(display.translate('import.notArray'));
+        }
+        
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i] || {};
+            const students = record.students;
+            rows.push({
+                rowNumber: i + 1,
+                podId: String(record.podId || record.pod || '').trim().toUpperCase(),
+                date: String(record.date || defaultDate).trim(),
+                time: normalizeTimeString(String(record.time || '').trim()),
+                duration: record.duration === undefined ? 1 : Number(record.duration),
+                studentsText: Array.isArray(students) ? students.join(',') : String(students || '')
+            });
+        }
+        return rows;
+    }
     
-    const fillRatesContainer = document.createElement('div');
-    fillRatesContainer.className = 'pod-fill-rates';
+    const records = parseCsv(text);
+    if (records.length === 0) {
+        return rows;
+    }
     
-    for (let i = 0; i < insights.podFillRates.length; i++) {
-        const podRate = insights.podFillRates[i];
-        const rateDiv = document.createElement('div');
-        rateDiv.className = 'pod-fill-rate';
-        
-        const podLabel = document.createElement('span');
-        podLabel.textContent = `${podRate.podId}:`;
-        
-        const rateValue = document.createElement('span');
-        rateValue.textContent = `${podRate.fillRate}% (${podRate.bookedSeats}/${podRate.slotsUsed * 4} seats)`;
-        
-        rateDiv.appendChild(podLabel);
-        rateDiv.appendChild(rateValue);
-        fillRatesContainer.appendChild(rateDiv);
+    // Map columns by header name so exports from spreadsheets with reordered columns still work
+    const columns = { date: -1, pod: -1, time: -1, duration: -1, students: -1 };
+    for (let i = 0; i < records[0].length; i++) {
+        const header = records[0][i].trim().toLowerCase();
+        if (header === 'date') {
+            columns.date = i;
+        } else if (header === 'pod' || header === 'pod id') {
+            columns.pod = i;
+        } else if (header === 'time' || header === 'start time') {
+            columns.time = i;
+        } else if (header.indexOf('duration') === 0) {
+            columns.duration = i;
+        } else if (header === 'student ids' || header === 'students') {
+            columns.students = i;
+        }
+    }
+    if (columns.pod === -1 || columns.time === -1 || columns.students === -1) {
+        throw new Error(display.translate('import.missingColumns'));
     }
     
-    fillRatesCard.appendChild(fillRatesContainer);
-    insightsContainer.appendChild(fillRatesCard);
+    for (let i = 1; i < records.length; i++) {
+        const record = records[i];
+        const durationText = columns.duration === -1 ? '' : (record[columns.duration] || '').trim();
+        rows.push({
+            rowNumber: i + 1, // Row 1 is the header
+            podId: (record[columns.pod] || '').trim().toUpperCase(),
+            date: columns.date === -1 || !(record[columns.date] || '').trim() ? defaultDate : record[columns.date].trim(),
+            time: normalizeTimeString((record[columns.time] || '').trim()),
+            duration: durationText === '' ? 1 : Number(durationText),
+            studentsText: record[columns.students] || ''
+        });
+    }
     
-    // Duplicate attempts insight card
-    const duplicatesCard = document.createElement('div');
-    duplicatesCard.className = 'insight-card';
-    duplicatesCard.innerHTML = `
-        <div class="insight-title">🚫 Flagged Duplicate Attempts</div>
-        <div class="insight-value">${insights.duplicateAttempts}</div>
-    `;
-    insightsContainer.appendChild(duplicatesCard);
+    return rows;
 }
 
 /**
- * Displays error message with consistent styling
+ * Builds the amenity icon string for a pod, e.g. "🖊️ 🔌"
  */
-function showError(message) {
-    errorsDiv.textContent = message;
-    errorsDiv.className = 'show';
-    successDiv.className = '';
-    
-    // Scroll error into view for better UX
-    errorsDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+function formatAmenityIcons(pod) {
+    const icons = [];
+    for (let i = 0; i < AMENITIES.length; i++) {
+        for (let j = 0; j < pod.amenities.length; j++) {
+            if (pod.amenities[j] === AMENITIES[i].id) {
+                icons.push(AMENITIES[i].icon);
+                break;
+            }
+        }
+    }
+    return icons.join(' ');
 }
 
 /**
- * Displays success message and focuses input for quick next entry
+ * Formats a booking's time span for display, e.g. "14:00–17:00" (or "2:00 pm–5:00 pm" with a 12-hour localizer)
  */
-function showSuccess(message) {
-    successDiv.textContent = message;
-    successDiv.className = 'success-message show';
-    errorsDiv.className = '';
-    
-    // Auto-hide success message after 3 seconds
-    setTimeout(() => {
-        successDiv.className = '';
-    }, 3000);
+function formatTimeRange(timeString, duration, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    return `${display.formatTime(timeString)}–${display.formatTime(addHours(timeString, duration))}`;
 }
 
 /**
- * Clears all notification messages
+ * Lists new confirmation codes with the student each belongs to, e.g. "Confirmation codes: K7Q2MX for SIT-001, ..."
+ * codes maps each student ID to their code, as the engine hands them out
  */
-function clearMessages() {
-    errorsDiv.className = '';
-    successDiv.className = '';
+function describeConfirmationCodes(codes, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const entries = [];
+    for (const studentId in codes) {
+        entries.push(display.translate('booking.codeEntry', { student: studentId, code: codes[studentId] }));
+    }
+    return display.translatePlural('booking.codes', entries.length, { codes: entries.join(', ') });
 }
 
-// Event Handlers
-
 /**
- * Handles form submission with complete validation and booking creation
- * Implements all business rules and provides user feedback
+ * Describes promoted waitlist entries for the success message, e.g. " ⬆️ Promoted from waitlist: ...", with the
+ * confirmation code each promoted student needs to cancel their own seat
+ * Returns an empty string when nobody was promoted
  */
-function handleFormSubmit(event) {
-    event.preventDefault();
-    clearMessages();
-    
-    // Get form values
-    const podId = podSelect.value;
-    const timeString = timeInput.value;
-    const studentsInputValue = studentsInput.value;
-    
-    // Basic input validation
-    if (!podId) {
-        showError('Please select a study pod');
-        podSelect.focus();
-        return;
+function describePromotions(promoted, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    if (promoted.length === 0) {
+        return '';
     }
     
-    if (!timeString) {
-        showError('Please select a booking time');
-        timeInput.focus();
-        return;
+    const parts = [];
+    for (let i = 0; i < promoted.length; i++) {
+        parts.push(display.translate('promotion.entry', {
+            students: promoted[i].students.join(', '),
+            pod: promoted[i].podId,
+            timeRange: formatTimeRange(promoted[i].time, promoted[i].duration, display),
+            codes: describeConfirmationCodes(promoted[i].codes, display)
+        }));
     }
-    
-    if (!studentsInputValue.trim()) {
-        showError('Please enter at least one student ID');
-        studentsInput.focus();
-        return;
+    return ` ${display.translate('promotion.promoted', { entries: parts.join('; ') })}`;
+}
+
+/**
+ * Wording for each engine error code (see ERROR_CODES in booking-engine.js), from the message catalogue in i18n.js
+ * Each entry picks the error's details the message's placeholders need, with dates and times formatted for the localizer
+ */
+const engineErrorMessages = {
+    DUPLICATE_IN_REQUEST: (error, localizer) => localizer.translate('error.DUPLICATE_IN_REQUEST', { student: error.student }),
+    UNKNOWN_POD: (error, localizer) => localizer.translate('error.UNKNOWN_POD', { pod: error.pod }),
+    POD_RETIRED: (error, localizer) => localizer.translate('error.POD_RETIRED', { pod: error.pod }),
+    INVALID_DATE: (error, localizer) => localizer.translate('error.INVALID_DATE'),
+    PAST_DATE: (error, localizer) => localizer.translate('error.PAST_DATE', { date: formatDateLabel(error.date, localizer) }),
+    INVALID_DURATION: (error, localizer) => localizer.translate('error.INVALID_DURATION', { maxHours: error.maxHours }),
+    OUTSIDE_HOURS: (error, localizer) => localizer.translate('error.OUTSIDE_HOURS', {
+        pod: error.pod,
+        openTime: localizer.formatTime(error.openTime),
+        closeTime: localizer.formatTime(error.closeTime)
+    }),
+    PAST_CLOSING: (error, localizer) => localizer.translatePlural('error.PAST_CLOSING', error.duration, {
+        time: localizer.formatTime(error.time),
+        pod: error.pod,
+        closeTime: localizer.formatTime(error.closeTime)
+    }),
+    NOT_ON_THE_HOUR: (error, localizer) => localizer.translate('error.NOT_ON_THE_HOUR', { time: localizer.formatTime(error.time) }),
+    NO_STUDENTS: (error, localizer) => localizer.translate('error.NO_STUDENTS'),
+    INVALID_STUDENT_ID: (error, localizer) => localizer.translate('error.INVALID_STUDENT_ID', { student: error.student }),
+    UNREGISTERED_STUDENT: (error, localizer) => localizer.translate('error.UNREGISTERED_STUDENT', { student: error.student }),
+    CAPACITY_EXCEEDED: (error, localizer) => localizer.translate('error.CAPACITY_EXCEEDED', {
+        time: localizer.formatTime(error.time),
+        seatsTaken: error.seatsTaken,
+        adding: error.adding,
+        capacity: error.capacity
+    }),
+    ALREADY_IN_POD: (error, localizer) => localizer.translate('error.ALREADY_IN_POD', {
+        student: error.student,
+        pod: error.pod,
+        time: localizer.formatTime(error.time),
+        date: formatDateLabel(error.date, localizer)
+    }),
+    CROSS_POD_CLASH: (error, localizer) => localizer.translate('error.CROSS_POD_CLASH', {
+        student: error.student,
+        otherPod: error.otherPod,
+        time: localizer.formatTime(error.time),
+        date: formatDateLabel(error.date, localizer)
+    }),
+    BOOKING_NOT_FOUND: (error, localizer) => localizer.translate('error.BOOKING_NOT_FOUND'),
+    STUDENT_NOT_IN_BOOKING: (error, localizer) => localizer.translate('error.STUDENT_NOT_IN_BOOKING', { student: error.student }),
+    ALREADY_WAITING: (error, localizer) => localizer.translate('error.ALREADY_WAITING', { student: error.student }),
+    INVALID_POD_ID: (error, localizer) => localizer.translate('error.INVALID_POD_ID'),
+    POD_EXISTS: (error, localizer) => localizer.translate('error.POD_EXISTS', { pod: error.pod }),
+    INVALID_CAPACITY: (error, localizer) => localizer.translate('error.INVALID_CAPACITY', { maxCapacity: error.maxCapacity }),
+    MISSING_HOURS: (error, localizer) => localizer.translate('error.MISSING_HOURS'),
+    CLOSES_BEFORE_OPENING: (error, localizer) => localizer.translate('error.CLOSES_BEFORE_OPENING'),
+    HOURS_NOT_ON_THE_HOUR: (error, localizer) => localizer.translate('error.HOURS_NOT_ON_THE_HOUR'),
+    BOOKING_OUTSIDE_NEW_HOURS: (error, localizer) => localizer.translate('error.BOOKING_OUTSIDE_NEW_HOURS', {
+        date: formatDateLabel(error.date, localizer),
+        time: localizer.formatTime(error.time)
+    }),
+    BOOKING_OVER_NEW_CAPACITY: (error, localizer) => localizer.translate('error.BOOKING_OVER_NEW_CAPACITY', {
+        seatsTaken: error.seatsTaken,
+        date: formatDateLabel(error.date, localizer),
+        time: localizer.formatTime(error.time)
+    }),
+    BOOKING_CONFLICT: (error, localizer) => localizer.translate('error.BOOKING_CONFLICT', {
+        pod: error.pod,
+        date: formatDateLabel(error.date, localizer),
+        time: localizer.formatTime(error.time)
+    }),
+    BOOKING_REJECTED: (error, localizer) => localizer.translate('error.BOOKING_REJECTED', {
+        pod: error.pod,
+        date: formatDateLabel(error.date, localizer),
+        time: localizer.formatTime(error.time),
+        status: error.status
+    }),
+    SETTINGS_REJECTED: (error, localizer) => localizer.translate('error.SETTINGS_REJECTED', { status: error.status }),
+    CHECK_IN_NOT_OPEN: (error, localizer) => localizer.translate('error.CHECK_IN_NOT_OPEN', {
+        pod: error.pod,
+        time: localizer.formatTime(error.time),
+        opensAt: localizer.formatTime(error.opensAt)
+    }),
+    CHECK_IN_CLOSED: (error, localizer) => localizer.translate('error.CHECK_IN_CLOSED', { pod: error.pod, time: localizer.formatTime(error.time) }),
+    ALREADY_CHECKED_IN: (error, localizer) => error.student
+        ? localizer.translate('error.ALREADY_CHECKED_IN', { student: error.student, pod: error.pod, time: localizer.formatTime(error.time) })
+        : localizer.translate('error.ALREADY_CHECKED_IN_ALL', { pod: error.pod, time: localizer.formatTime(error.time) }),
+    INVALID_GRACE_PERIOD: (error, localizer) => localizer.translate('error.INVALID_GRACE_PERIOD', { maxMinutes: error.maxMinutes }),
+    DAILY_HOURS_EXCEEDED: (error, localizer) => localizer.translate('error.DAILY_HOURS_EXCEEDED', {
+        student: error.student,
+        hours: localizer.translatePlural('count.hours', error.hoursBooked),
+        date: formatDateLabel(error.date, localizer),
+        adding: error.adding,
+        maxHours: error.maxHours
+    }),
+    CONSECUTIVE_HOURS_EXCEEDED: (error, localizer) => localizer.translate('error.CONSECUTIVE_HOURS_EXCEEDED', {
+        student: error.student,
+        consecutiveHours: error.consecutiveHours,
+        date: formatDateLabel(error.date, localizer),
+        maxHours: error.maxHours
+    }),
+    GROUP_TOO_SMALL: (error, localizer) => localizer.translate('error.GROUP_TOO_SMALL', {
+        pod: error.pod,
+        minGroupSize: error.minGroupSize,
+        groupSize: error.groupSize
+    }),
+    TOO_FAR_AHEAD: (error, localizer) => localizer.translate('error.TOO_FAR_AHEAD', {
+        days: localizer.translatePlural('count.days', error.maxDaysAhead),
+        lastDate: formatDateLabel(error.lastDate, localizer)
+    }),
+    INVALID_MIN_GROUP_SIZE: (error, localizer) => localizer.translate('error.INVALID_MIN_GROUP_SIZE', { capacity: error.capacity }),
+    INVALID_POLICY_LIMIT: (error, localizer) => localizer.translate('error.INVALID_POLICY_LIMIT', {
+        setting: policyLabels[error.setting] ? localizer.translate(policyLabels[error.setting]) : error.setting,
+        min: error.min,
+        max: error.max
+    }),
+    INVALID_CONFIRMATION_CODE: (error, localizer) => localizer.translate('error.INVALID_CONFIRMATION_CODE', {
+        student: error.student,
+        pod: error.pod,
+        time: localizer.formatTime(error.time)
+    }),
+    INVALID_SERIES_END: (error, localizer) => localizer.translate('error.INVALID_SERIES_END'),
+    NO_SERIES_WEEKDAYS: (error, localizer) => localizer.translate('error.NO_SERIES_WEEKDAYS'),
+    TOO_MANY_OCCURRENCES: (error, localizer) => localizer.translate('error.TOO_MANY_OCCURRENCES', { maxOccurrences: error.maxOccurrences }),
+    SERIES_NOT_FOUND: (error, localizer) => localizer.translate('error.SERIES_NOT_FOUND'),
+    SERIES_ENDED: (error, localizer) => localizer.translate('error.SERIES_ENDED')
+};
+
+/**
+ * Message catalogue keys for each fair-use policy setting (see DEFAULT_POLICY_SETTINGS in booking-engine.js)
+ */
+const policyLabels = {
+    maxHoursPerDay: 'policy.maxHoursPerDay',
+    maxConsecutiveHours: 'policy.maxConsecutiveHours',
+    maxDaysAhead: 'policy.maxDaysAhead'
+};
+
+/**
+ * Message catalogue keys for each violation breakdown category (see VIOLATION_TYPES in booking-engine.js)
+ */
+const violationLabels = {
+    duplicate: 'violation.duplicate',
+    dailyHours: 'violation.dailyHours',
+    consecutiveHours: 'violation.consecutiveHours',
+    groupSize: 'violation.groupSize',
+    daysAhead: 'violation.daysAhead'
+};
+
+/**
+ * Turns the engine's error objects into one line for the error banner, e.g. "... | ..."
+ */
+function formatEngineErrors(errors, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const messages = [];
+    for (let i = 0; i < errors.length; i++) {
+        const formatMessage = engineErrorMessages[errors[i].code];
+        messages.push(formatMessage ? formatMessage(errors[i], display) : errors[i].code);
     }
+    return messages.join(' | ');
+}
+
+/**
+ * Books imported rows into an engine one after another
+ * Accepted rows are applied as they go, so later rows are checked against earlier ones;
+ * the caller passes the real engine (confirm) or a throwaway clone (preview)
+ * Returns array of { row, request, errors } with the engine's error objects
+ */
+function applyImportRows(rows, targetEngine) {
+    const results = [];
     
-    // Parse and validate student IDs
-    const studentIds = parseStudentIds(studentsInputValue);
-    
-    if (studentIds.length === 0) {
-        showError('No valid student IDs found. Please check your input format.');
-        studentsInput.focus();
-        return;
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const studentIds = parseStudentIds(row.studentsText);
+        const request = {
+            podId: row.podId,
+            date: row.date,
+            time: row.time,
+            duration: row.duration,
+            students: studentIds
+        };
+        
+        // Imports are checked, not attempted, so they don't count towards the violation breakdown
+        const result = targetEngine.book(request, { dryRun: true });
+        results.push({ row: row, request: request, errors: result.errors });
     }
     
-    // Check for duplicate IDs in the same request
-    const uniqueIds = [];
-    for (let i = 0; i < studentIds.length; i++) {
-        const id = studentIds[i];
-        let isDuplicate = false;
+    return results;
+}
+
+// Persistence Functions
+
+/**
+ * Migrations keyed by the schema version they upgrade FROM
+ * Each one receives the saved state and returns it in the next version's shape
+ */
+const stateMigrations = {
+    // v1 -> v2: bookings gained a date; v1 only knew one day, the day it was saved
+    1: function (state) {
+        const savedDate = state.savedAt ? new Date(state.savedAt) : new Date();
+        const bookingDate = isNaN(savedDate.getTime()) ? getTodayDateString() : toDateString(savedDate);
+        const datedBookings = [];
         
-        for (let j = 0; j < uniqueIds.length; j++) {
-            if (uniqueIds[j] === id) {
-                isDuplicate = true;
-                break;
-            }
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            datedBookings.push({
+                podId: booking.podId,
+                date: bookingDate,
+                time: booking.time,
+                students: booking.students
+            });
         }
         
-        if (isDuplicate) {
-            showError(`Duplicate student ID found in request: ${id}`);
-            studentsInput.focus();
-            return;
+        return {
+            version: 2,
+            savedAt: state.savedAt,
+            bookings: datedBookings,
+            duplicateAttempts: state.duplicateAttempts
+        };
+    },
+    
+    // v2 -> v3: bookings gained a duration; everything before was a single 1-hour block
+    2: function (state) {
+        const timedBookings = [];
+        
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            timedBookings.push({
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: 1,
+                students: booking.students
+            });
         }
         
-        uniqueIds.push(id);
-    }
+        return {
+            version: 3,
+            savedAt: state.savedAt,
+            bookings: timedBookings,
+            duplicateAttempts: state.duplicateAttempts
+        };
+    },
     
-    // Validate against business rules
-    const validationErrors = validateBooking(podId, timeString, studentIds);
+    // v3 -> v4: the pod catalogue became editable and is saved alongside bookings
+    3: function (state) {
+        return {
+            version: 4,
+            savedAt: state.savedAt,
+            pods: JSON.parse(JSON.stringify(DEFAULT_PODS)),
+            bookings: state.bookings,
+            duplicateAttempts: state.duplicateAttempts
+        };
+    },
     
-    if (validationErrors.length > 0) {
-        showError(validationErrors.join(' | '));
-        return;
-    }
+    // v4 -> v5: student ID format settings and the student registry were added
+    4: function (state) {
+        return {
+            version: 5,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: state.bookings,
+            duplicateAttempts: state.duplicateAttempts,
+            studentSettings: JSON.parse(JSON.stringify(DEFAULT_STUDENT_SETTINGS)),
+            studentRegistry: []
+        };
+    },
     
-    // Create or merge booking
-    const existingBooking = findBooking(podId, timeString);
+    // v5 -> v6: the waitlist for full slots was added
+    5: function (state) {
+        return {
+            version: 6,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: state.bookings,
+            duplicateAttempts: state.duplicateAttempts,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: []
+        };
+    },
     
-    if (existingBooking) {
-        // Add students to existing booking
-        for (let i = 0; i < studentIds.length; i++) {
-            existingBooking.students.push(studentIds[i]);
+    // v6 -> v7: bookings gained a stable ID from the booking engine
+    6: function (state) {
+        const identifiedBookings = [];
+        
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            identifiedBookings.push({
+                id: createBookingId(),
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: booking.duration,
+                students: booking.students
+            });
         }
-    } else {
-        // Create new booking
-        bookings.push({
-            podId: podId,
-            time: timeString,
-            students: [...studentIds] // Create copy to avoid reference issues
-        });
-    }
+        
+        return {
+            version: 7,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: identifiedBookings,
+            duplicateAttempts: state.duplicateAttempts,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist
+        };
+    },
+    
+    // v7 -> v8: check-ins per booking, released no-shows and the grace period setting were added
+    7: function (state) {
+        const checkInBookings = [];
+        
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            checkInBookings.push({
+                id: booking.id,
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: booking.duration,
+                students: booking.students,
+                checkedIn: []
+            });
+        }
+        
+        return {
+            version: 8,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: checkInBookings,
+            duplicateAttempts: state.duplicateAttempts,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: [],
+            checkInSettings: JSON.parse(JSON.stringify(DEFAULT_CHECK_IN_SETTINGS))
+        };
+    },
+    
+    // v8 -> v9: fair-use policies were added; pods gained a minimum group size and the duplicate counter
+    // became one category of the violation breakdown
+    8: function (state) {
+        const policyPods = [];
+        for (let i = 0; i < state.pods.length; i++) {
+            const pod = JSON.parse(JSON.stringify(state.pods[i]));
+            pod.minGroupSize = 1;
+            policyPods.push(pod);
+        }
+        
+        const violationCounts = createViolationCounts();
+        violationCounts.duplicate = state.duplicateAttempts || 0;
+        
+        return {
+            version: 9,
+            savedAt: state.savedAt,
+            pods: policyPods,
+            bookings: state.bookings,
+            violationCounts: violationCounts,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: state.noShows,
+            checkInSettings: state.checkInSettings,
+            policySettings: JSON.parse(JSON.stringify(DEFAULT_POLICY_SETTINGS))
+        };
+    },
     
-    // Update UI
-    renderBookingsTable();
-    renderInsights();
+    // v9 -> v10: rejected attempts are kept in a violation log (earlier ones were only counted)
+    9: function (state) {
+        return {
+            version: 10,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: state.bookings,
+            violationCounts: state.violationCounts,
+            violationLog: [],
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: state.noShows,
+            checkInSettings: state.checkInSettings,
+            policySettings: state.policySettings
+        };
+    },
     
-    // Success feedback and reset form for next booking
-    const studentCount = studentIds.length;
-    const studentText = studentCount === 1 ? 'student' : 'students';
-    showSuccess(`✅ Successfully booked ${studentCount} ${studentText} in ${podId} at ${timeString}`);
+    // v10 -> v11: each group gets a confirmation code for cancelling its own seats (earlier bookings have none,
+    // so those students still cancel at the desk)
+    10: function (state) {
+        const codedBookings = [];
+        
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            codedBookings.push({
+                id: booking.id,
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: booking.duration,
+                students: booking.students,
+                checkedIn: booking.checkedIn,
+                confirmationCodes: {}
+            });
+        }
+        
+        return {
+            version: 11,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: codedBookings,
+            violationCounts: state.violationCounts,
+            violationLog: state.violationLog,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: state.noShows,
+            checkInSettings: state.checkInSettings,
+            policySettings: state.policySettings
+        };
+    },
     
-    // Reset form and focus for quick librarian workflow
-    studentsInput.value = '';
-    studentsInput.focus();
-}
+    // v11 -> v12: bookings can belong to a weekly series (every earlier booking is a one-off)
+    11: function (state) {
+        const seriesBookings = [];
+        
+        for (let i = 0; i < state.bookings.length; i++) {
+            const booking = state.bookings[i];
+            seriesBookings.push({
+                id: booking.id,
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: booking.duration,
+                students: booking.students,
+                checkedIn: booking.checkedIn,
+                confirmationCodes: booking.confirmationCodes,
+                seriesId: null
+            });
+        }
+        
+        return {
+            version: 12,
+            savedAt: state.savedAt,
+            pods: state.pods,
+            bookings: seriesBookings,
+            violationCounts: state.violationCounts,
+            violationLog: state.violationLog,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: state.noShows,
+            checkInSettings: state.checkInSettings,
+            policySettings: state.policySettings
+        };
+    }
+};
 
 /**
- * Handles booking removal using event delegation
- * Allows dynamic removal without rebinding events
+ * Brings a saved state up to the current schema version
+ * Returns null when the state is unreadable or was written by a newer version
  */
-function handleRemoveBooking(event) {
-    if (event.target.classList.contains('remove-btn')) {
-        const bookingIndex = parseInt(event.target.getAttribute('data-booking-index'), 10);
-        
-        // Validate index bounds
-        if (bookingIndex >= 0 && bookingIndex < bookings.length) {
-            const removedBooking = bookings[bookingIndex];
-            
-            // Remove booking from array
-            bookings.splice(bookingIndex, 1);
-            
-            // Update UI
-            renderBookingsTable();
-            renderInsights();
-            
-            // Confirmation feedback
-            const studentCount = removedBooking.students.length;
-            const studentText = studentCount === 1 ? 'student' : 'students';
-            showSuccess(`🗑️ Removed booking: ${studentCount} ${studentText} from ${removedBooking.podId} at ${removedBooking.time}`);
+function migrateState(savedState) {
+    if (!savedState || typeof savedState.version !== 'number') {
+        return null;
+    }
+    
+    let state = savedState;
+    while (state.version < STORAGE_SCHEMA_VERSION) {
+        const migrate = stateMigrations[state.version];
+        if (!migrate) {
+            return null;
         }
+        state = migrate(state);
+    }
+    
+    if (state.version !== STORAGE_SCHEMA_VERSION || !Array.isArray(state.bookings) || !Array.isArray(state.pods)) {
+        return null;
     }
+    
+    return state;
 }
 
+// DOM Manipulation Functions
+
 /**
- * Handles input formatting and validation as user types
+ * Fills a duration dropdown with whole-hour options up to MAX_BOOKING_HOURS, keeping the current choice
  */
-function handleStudentInputChange(event) {
-    const input = event.target.value;
+function populateDurationSelect(selectElement, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const selected = selectElement.value;
+    selectElement.innerHTML = '';
     
-    // Basic format hint for user
-    if (input.includes(' ,') || input.includes(', ')) {
-        // User is following correct format, clear any previous errors
-        clearMessages();
+    for (let hours = 1; hours <= MAX_BOOKING_HOURS; hours++) {
+        const option = document.createElement('option');
+        option.value = hours.toString();
+        option.textContent = display.translatePlural('count.hours', hours);
+        selectElement.appendChild(option);
+    }
+    if (selected) {
+        selectElement.value = selected;
     }
 }
 
-// Application Initialization
-
 /**
- * Initializes the entire application
- * Sets up DOM, events, and renders initial state
+ * Refills a filter dropdown with "All" plus the given values, keeping the current choice if it is still there
  */
-function initializeApp() {
-    // Set up initial DOM state
-    populatePodSelect();
-    renderBookingsTable();
-    renderInsights();
-    
-    // Bind event listeners (no inline onclick as required)
-    bookingForm.addEventListener('submit', handleFormSubmit);
-    studentsInput.addEventListener('input', handleStudentInputChange);
+function fillFilterOptions(selectElement, allLabel, values, formatLabel) {
+    const selected = selectElement.value;
+    selectElement.innerHTML = '';
     
-    // Event delegation for dynamically created remove buttons
-    bookingsTableBody.addEventListener('click', handleRemoveBooking);
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = allLabel;
+    selectElement.appendChild(allOption);
     
-    // Set reasonable default time (current hour or next available hour)
-    const now = new Date();
-    const currentHour = now.getHours();
-    const defaultHour = currentHour >= 8 && currentHour < 19 ? currentHour : 9;
-    timeInput.value = `${defaultHour.toString().padStart(2, '0')}:00`;
-    
-    // Focus first input for immediate use
-    podSelect.focus();
-    
-    console.log('USIU Study Pod Booking System initialized successfully!');
-    console.log(`Current status: ${bookings.length} bookings, ${pods.length} pods available`);
-}
-
+    for (let i = 0; i < values.length; i++) {
+        const option = document.createElement('option');
+        option.value = values[i];
+        option.textContent = formatLabel(values[i]);
+        selectElement.appendChild(option);
+        if (values[i] === selected) {
+            option.selected = true;
+        }
+    }
+}
+
+/**
+ * Offers text content to the browser as a file download
+ */
+function downloadFile(fileName, mimeType, content) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Adds the line under an insight card's numbers that says where they come from
+ */
+function appendInsightSource(card, text) {
+    const source = document.createElement('div');
+    source.className = 'insight-source';
+    source.textContent = text;
+    card.appendChild(source);
+}
+
+// Analytics Charts
+
+/**
+ * Creates an SVG element with the given attributes
+ */
+function createSvgElement(tagName, attributes) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    for (const name in attributes) {
+        element.setAttribute(name, attributes[name].toString());
+    }
+    return element;
+}
+
+/**
+ * Creates an SVG text label
+ */
+function createSvgText(text, attributes) {
+    const label = createSvgElement('text', attributes);
+    label.textContent = text;
+    return label;
+}
+
+/**
+ * Describes an alternative from engine.suggestAlternatives to the rejected request, for its button
+ */
+function describeSuggestion(suggestion, request, localizer) {
+    const display = localizer || DEFAULT_LOCALIZER;
+    const first = suggestion.requests[0];
+    const timeRange = formatTimeRange(first.time, first.duration, display);
+    
+    if (suggestion.kind === 'split') {
+        const parts = [];
+        for (let i = 0; i < suggestion.requests.length; i++) {
+            parts.push(`${suggestion.requests[i].podId} (${suggestion.requests[i].students.join(', ')})`);
+        }
+        return display.translate('suggestion.split', { parts: parts.join(' + '), timeRange: timeRange });
+    }
+    if (suggestion.kind === 'pod') {
+        return display.translate('suggestion.pod', { pod: first.podId, timeRange: timeRange });
+    }
+    return display.translate(first.time < request.time ? 'suggestion.earlier' : 'suggestion.later', {
+        pod: first.podId,
+        timeRange: timeRange,
+        hours: display.translatePlural('count.hours', suggestion.score)
+    });
+}
+
+// Booking Widget
+
+/**
+ * Builds the booking widget inside a container element and wires it up
+ * The container gets its own copy of the widget's markup (WIDGET_TEMPLATE) and every element lookup stays inside
+ * it, so a page can hold several widgets (each <study-pod-booking> mounts one into its shadow root)
+ * Options (all optional): pods, capacity, openTime, closeTime and bookings set the starting pods and seed bookings
+ * (see buildConfiguredPods; saved bookings replace the seeds, while configured pods win over saved ones, see
+ * mergeConfiguredPods), storageKey names where the state is saved (widgets sharing
+ * a key share their bookings, like tabs do), apiUrl switches on a shared REST backend, mode 'student' mounts only the
+ * self-service panel, eventTarget gets the booking-created, booking-updated and booking-removed events (default: the
+ * container), and locale ('en', 'sw' or 'fr') and timeFormat ('24h' or '12h') set the display until someone picks
+ * others in the widget
+ * Returns { engine, showDay, releaseNoShows, whenSynced, destroy }
+ */
+function mountBookingWidget(container, options) {
+    const settings = options || {};
+    const studentMode = settings.mode === 'student';
+    const markup = WIDGET_TEMPLATE.content.cloneNode(true);
+    
+    // Student mode mounts only the self-service panel, so a screen students use has no staff actions on it; the staff
+    // panels are kept detached for the rendering they share with it (the bookings table also redraws the self-service list)
+    const detachedPanels = studentMode ? Array.from(markup.querySelectorAll(STAFF_PANEL_SELECTOR)) : [];
+    for (let i = 0; i < detachedPanels.length; i++) {
+        detachedPanels[i].remove();
+    }
+    container.appendChild(markup);
+    
+    /**
+     * Finds an element of this widget by its ID, in the page or in a staff panel student mode left out
+     */
+    function findElement(id) {
+        let element = container.querySelector(`#${id}`);
+        for (let i = 0; !element && i < detachedPanels.length; i++) {
+            element = detachedPanels[i].querySelector(`#${id}`);
+        }
+        return element;
+    }
+    
+    // Widget state
+    // The engine owns the pods, bookings, waitlist, no-shows, student settings/registry, check-in and policy settings
+    // and the violation breakdown and log: waitlist entries are { podId, date, time, duration, students, addedAt },
+    // registry entries { id, name, school }
+    const seedBookings = settings.bookings || (settings.pods ? [] : initialBookings); // The demo seeds only suit the default pods
+    const podsConfigured = Boolean((settings.pods && settings.pods.length > 0) || settings.capacity || settings.openTime || settings.closeTime);
+    const engine = new PodBookingEngine({
+        pods: [],
+        bookings: createInitialBookings(seedBookings)
+    });
+    addConfiguredPods(buildConfiguredPods(settings));
+    
+    // Where the state is kept (see storage-adapters.js): this browser's localStorage under the widget's storage key,
+    // or a REST backend shared with other desks when apiUrl names one (server/mock-server.js fills it in for index.html)
+    const storageKey = settings.storageKey || STORAGE_KEY;
+    const storage = settings.apiUrl
+        ? new RestStorageAdapter({ baseUrl: settings.apiUrl, cache: new LocalStorageAdapter(storageKey) })
+        : new LocalStorageAdapter(storageKey);
+    
+    // Language and clock the widget is shown in; a choice made in the switchers is kept in this browser, apart from
+    // the bookings, and wins over the locale and timeFormat options
+    const displayStorage = new LocalStorageAdapter(`${storageKey}:display`);
+    let localizer = loadDisplaySettings(); // Localizer from i18n.js; replaced when another language or clock is picked
+    
+    let syncedBookings = null; // Bookings as the shared backend last confirmed them (null until it has answered)
+    let syncedSettings = null; // JSON of the settings shared with the backend, as it last confirmed them (null likewise)
+    let bookingSync = Promise.resolve(); // Tail of the queue of sync steps, which run one at a time
+    let backendReachable = true; // Cleared on the first failed sync so an outage is only reported once
+    
+    // Other open tabs get every saved state over a BroadcastChannel; where that isn't supported they
+    // still hear about localStorage writes through storage events
+    // (widgets saving under one key are kept in step the same way, even on one page)
+    const tabChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(`${TAB_CHANNEL_NAME}:${storageKey}`) : null;
+    let lastSavedAt = null; // savedAt of the state this tab last saved or applied
+    let selectedDate = getTodayDateString(); // Day shown in the table and insights panel
+    let bookingSort = { key: null, descending: false }; // Bookings table column sort (no key keeps booking order)
+    let lookedUpStudentId = null; // Student whose bookings the self-service panel lists (null until one looks)
+    let editingPodId = null; // Pod currently loaded into the admin form (null when adding)
+    let editingBooking = null; // Booking currently open in the edit panel (null when closed)
+    let pendingWaitlistRequest = null; // Rejected-for-capacity request the librarian may put on the waitlist
+    let pendingSuggestions = []; // Alternatives offered with the last rejection, clickable to book (see showSuggestions)
+    let pendingImport = null; // Parsed import rows waiting for the librarian to confirm: { fileName, rows }
+    let undoStack = []; // Booking operations that can be undone: { label, before, after }
+    let redoStack = []; // Operations undone since the last new change
+    let successTimer = null; // Pending auto-hide for the success toast
+    const intervals = []; // Timers started by initializeApp, stopped by destroyWidget
+    
+    // DOM element references
+    const podSelect = findElement('pod-select');
+    const dateInput = findElement('date-input');
+    const timeInput = findElement('time-input');
+    const durationSelect = findElement('duration-select');
+    const studentsInput = findElement('students-input');
+    const studentsHint = findElement('students-hint');
+    const repeatWeeklyInput = findElement('repeat-weekly-input');
+    const repeatFields = findElement('repeat-fields');
+    const repeatWeekdaysContainer = findElement('repeat-weekdays');
+    const repeatUntilInput = findElement('repeat-until-input');
+    const repeatSkipInput = findElement('repeat-skip-input');
+    const previewSeriesButton = findElement('preview-series-btn');
+    const seriesPreview = findElement('series-preview');
+    const bookingForm = findElement('booking-form');
+    const errorsDiv = findElement('errors');
+    const successDiv = findElement('success-message');
+    const bookingsTableBody = findElement('bookings-tbody');
+    const bookingsTableHead = findElement('bookings-table').querySelector('thead');
+    const bookingSearchInput = findElement('booking-search-input');
+    const bookingPodFilter = findElement('booking-pod-filter');
+    const bookingFromFilter = findElement('booking-from-filter');
+    const bookingToFilter = findElement('booking-to-filter');
+    const bookingOccupancyFilter = findElement('booking-occupancy-filter');
+    const bookingsFilterSummary = findElement('bookings-filter-summary');
+    const clearBookingFiltersButton = findElement('clear-booking-filters-btn');
+    const availabilityGrid = findElement('availability-grid');
+    const editForm = findElement('edit-form');
+    const editFormTitle = findElement('edit-form-title');
+    const editPodSelect = findElement('edit-pod-select');
+    const editDateInput = findElement('edit-date-input');
+    const editTimeInput = findElement('edit-time-input');
+    const editDurationSelect = findElement('edit-duration-select');
+    const editStudentsInput = findElement('edit-students-input');
+    const editErrorsDiv = findElement('edit-errors');
+    const editCancelButton = findElement('edit-cancel-btn');
+    const bookingSlip = findElement('booking-slip');
+    const bookingSlipDetails = findElement('booking-slip-details');
+    const bookingSlipNote = findElement('booking-slip-note');
+    const slipPrintButton = findElement('slip-print-btn');
+    const slipCloseButton = findElement('slip-close-btn');
+    const insightsContainer = findElement('insights-container');
+    const waitlistContainer = findElement('waitlist-container');
+    const resetDayButton = findElement('reset-day-btn');
+    const languageSelect = findElement('language-select');
+    const timeFormatSelect = findElement('time-format-select');
+    const exportCsvButton = findElement('export-csv-btn');
+    const exportJsonButton = findElement('export-json-btn');
+    const icsPodSelect = findElement('ics-pod-select');
+    const exportIcsButton = findElement('export-ics-btn');
+    const importFileInput = findElement('import-file-input');
+    const importPreview = findElement('import-preview');
+    const importSummary = findElement('import-summary');
+    const importAcceptedBody = findElement('import-accepted-tbody');
+    const importRejectedBody = findElement('import-rejected-tbody');
+    const importConfirmButton = findElement('import-confirm-btn');
+    const importCancelButton = findElement('import-cancel-btn');
+    const undoButton = findElement('undo-btn');
+    const redoButton = findElement('redo-btn');
+    const dayPicker = findElement('day-picker');
+    const prevDayButton = findElement('prev-day-btn');
+    const nextDayButton = findElement('next-day-btn');
+    const todayButton = findElement('today-btn');
+    const insightsDateLabel = findElement('insights-date');
+    const podAdminTableBody = findElement('pod-admin-tbody');
+    const podForm = findElement('pod-form');
+    const podFormTitle = findElement('pod-form-title');
+    const podIdInput = findElement('pod-id-input');
+    const podCapacityInput = findElement('pod-capacity-input');
+    const podOpenInput = findElement('pod-open-input');
+    const podCloseInput = findElement('pod-close-input');
+    const podAmenitiesContainer = findElement('pod-amenities');
+    const podFormErrors = findElement('pod-form-errors');
+    const podFormCancelButton = findElement('pod-form-cancel');
+    const studentSettingsForm = findElement('student-settings-form');
+    const idPatternInput = findElement('id-pattern-input');
+    const idPatternHint = findElement('id-pattern-hint');
+    const unknownPolicySelect = findElement('unknown-policy-select');
+    const registryFileInput = findElement('registry-file-input');
+    const registryClearButton = findElement('registry-clear-btn');
+    const registrySummary = findElement('registry-summary');
+    const registryTableBody = findElement('registry-tbody');
+    const registryMessages = findElement('registry-messages');
+    const checkInSettingsForm = findElement('check-in-settings-form');
+    const graceMinutesInput = findElement('grace-minutes-input');
+    const checkInMessages = findElement('check-in-messages');
+    const podMinGroupInput = findElement('pod-min-group-input');
+    const policySettingsForm = findElement('policy-settings-form');
+    const maxHoursPerDayInput = findElement('max-hours-per-day-input');
+    const maxConsecutiveHoursInput = findElement('max-consecutive-hours-input');
+    const maxDaysAheadInput = findElement('max-days-ahead-input');
+    const policyMessages = findElement('policy-messages');
+    const studentLookupForm = findElement('student-lookup-form');
+    const lookupStudentInput = findElement('lookup-student-input');
+    const studentLookupMessages = findElement('student-lookup-messages');
+    const studentBookingsList = findElement('student-bookings');
+    const violationRuleFilter = findElement('violation-rule-filter');
+    const violationPodFilter = findElement('violation-pod-filter');
+    const violationStudentFilter = findElement('violation-student-filter');
+    const violationExportCsvButton = findElement('violation-export-csv-btn');
+    const violationExportJsonButton = findElement('violation-export-json-btn');
+    const violationLogSummary = findElement('violation-log-summary');
+    const violationLogBody = findElement('violation-log-tbody');
+    const repeatOffendersBody = findElement('repeat-offenders-tbody');
+    const occupancyHeatmap = findElement('occupancy-heatmap');
+    const occupancyHeatmapSource = findElement('occupancy-heatmap-source');
+    const utilisationChart = findElement('utilisation-chart');
+    const utilisationChartSource = findElement('utilisation-chart-source');
+    
+    // Utility Functions (Single Responsibility Principle)
+    
+    /**
+     * Builds registry entries from an imported CSV or JSON file
+     * CSV columns are id, name, school (a header row is optional); JSON is an array of { id, name, school }
+     * Returns { students, skipped } where skipped lists a message per rejected row
+     */
+    function parseRegistryFile(fileName, text) {
+        const students = [];
+        const skipped = [];
+        let records = [];
+        let rowOffset = 1; // Turns a record index into the row number staff see in their file
+        
+        if (/\.json$/i.test(fileName)) {
+            const parsed = JSON.parse(text);
+            if (!Array.isArray(parsed)) {
+                throw new Error(translate('registry.notArray'));
+            }
+            for (let i = 0; i < parsed.length; i++) {
+                const entry = parsed[i] || {};
+                records.push([String(entry.id || ''), String(entry.name || ''), String(entry.school || '')]);
+            }
+        } else {
+            records = parseCsv(text);
+            // Skip a header row such as "id,name,school"
+            if (records.length > 0 && records[0][0].trim().toLowerCase() === 'id') {
+                records.shift();
+                rowOffset = 2;
+            }
+        }
+        
+        for (let i = 0; i < records.length; i++) {
+            const id = (records[i][0] || '').trim().toUpperCase();
+            
+            if (!engine.isValidStudentIdFormat(id)) {
+                skipped.push(translate('registry.rowInvalid', { row: i + rowOffset, student: id }));
+                continue;
+            }
+            
+            let alreadyListed = false;
+            for (let j = 0; j < students.length; j++) {
+                if (students[j].id === id) {
+                    alreadyListed = true;
+                    break;
+                }
+            }
+            if (alreadyListed) {
+                skipped.push(translate('registry.rowDuplicate', { row: i + rowOffset, student: id }));
+                continue;
+            }
+            
+            students.push({
+                id: id,
+                name: (records[i][1] || '').trim(),
+                school: (records[i][2] || '').trim()
+            });
+        }
+        
+        return { students: students, skipped: skipped };
+    }
+    
+    /**
+     * The message for a catalogue key in the widget's current language (see i18n.js)
+     */
+    function translate(key, params) {
+        return localizer.translate(key, params);
+    }
+    
+    /**
+     * Short name of a booking rule for the violation log, e.g. CAPACITY_EXCEEDED -> "Capacity exceeded"
+     * Codes without a 'rule.' message fall back to a label worded from the code itself
+     */
+    function describeRule(code) {
+        return localizer.hasMessage(`rule.${code}`) ? translate(`rule.${code}`) : formatErrorCode(code);
+    }
+    
+    /**
+     * Previews an import without touching the real bookings, using a copy of the engine
+     */
+    function previewImportRows(rows) {
+        return applyImportRows(rows, engine.clone());
+    }
+    
+    /**
+     * Adds the pods from the widget's configuration through the same checks as the Pod Administration form
+     * A pod that fails them is left out with a console warning, so one typo doesn't stop the whole widget
+     */
+    function addConfiguredPods(pods) {
+        for (let i = 0; i < pods.length; i++) {
+            const result = engine.savePod(pods[i], null);
+            if (!result.ok) {
+                console.warn(`Pod ${pods[i].id} from the widget's configuration was left out: ${formatEngineErrors(result.errors)}`);
+            }
+        }
+    }
+    
+    // Persistence Functions
+    
+    /**
+     * Reads the saved state from the storage adapter
+     * Returns null when nothing is saved or storage is unavailable (e.g. private browsing)
+     */
+    function loadState() {
+        try {
+            const savedState = storage.load();
+            if (savedState === null) {
+                return null;
+            }
+            return migrateState(savedState);
+        } catch (error) {
+            console.warn('Could not load saved bookings, starting fresh:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Saves the pod catalogue, bookings, settings and the violation breakdown and log so a page reload keeps every day's work
+     * Called after every change to the booking state or the catalogue; with a shared backend the
+     * changed bookings are then sent to it as well
+     */
+    function saveState() {
+        const state = {
+            version: STORAGE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            pods: engine.pods,
+            bookings: engine.bookings,
+            violationCounts: engine.violationCounts,
+            violationLog: engine.violationLog,
+            studentSettings: engine.studentSettings,
+            studentRegistry: engine.studentRegistry,
+            waitlist: engine.waitlist,
+            noShows: engine.noShows,
+            checkInSettings: engine.checkInSettings,
+            policySettings: engine.policySettings
+        };
+        
+        try {
+            storage.save(state);
+        } catch (error) {
+            // Storage full or blocked - the widget keeps working, changes just won't survive a reload
+            console.warn('Could not save bookings:', error);
+        }
+        lastSavedAt = state.savedAt;
+        
+        if (tabChannel) {
+            tabChannel.postMessage(JSON.parse(JSON.stringify(state)));
+        }
+        if (storage.shared) {
+            queueBookingSync(pushBookingChanges);
+        }
+    }
+    
+    /**
+     * Removes the saved state so the next load starts from the initial bookings
+     */
+    function clearSavedState() {
+        try {
+            storage.clear();
+        } catch (error) {
+            console.warn('Could not clear saved bookings:', error);
+        }
+    }
+    
+    /**
+     * Builds the widget's localizer from the saved display choice, falling back to the locale and timeFormat options
+     */
+    function loadDisplaySettings() {
+        let saved = null;
+        try {
+            saved = displayStorage.load();
+        } catch (error) {
+            console.warn('Could not load display settings:', error);
+        }
+        return new Localizer(
+            saved && saved.locale ? saved.locale : settings.locale,
+            saved && saved.timeFormat ? saved.timeFormat : settings.timeFormat
+        );
+    }
+    
+    /**
+     * Remembers the chosen language and clock in this browser
+     */
+    function saveDisplaySettings() {
+        try {
+            displayStorage.save({ locale: localizer.locale, timeFormat: localizer.timeFormat });
+        } catch (error) {
+            console.warn('Could not save display settings:', error);
+        }
+    }
+    
+    // Shared Bookings (REST backend)
+    
+    /**
+     * Adds a sync step to the queue; steps run one after another so requests never overtake each other
+     */
+    function queueBookingSync(step) {
+        bookingSync = bookingSync.then(step).catch(handleBackendUnreachable);
+        return bookingSync;
+    }
+    
+    /**
+     * Sends the bookings changed here since the last sync to the backend, which re-checks every change
+     * Changes it refuses (another desk got there first, or a change it won't take at all) are reported
+     * and the table shows its bookings instead
+     */
+    async function pushBookingChanges() {
+        if (syncedBookings === null) {
+            // Nothing to compare against until the backend has answered once; its bookings win
+            await pullBookings();
+            return;
+        }
+        
+        // New or edited pods and rules go first, so the backend checks the bookings against them
+        await pushSettingsChanges();
+        
+        const changes = diffBookings(syncedBookings, engine.bookings);
+        if (countBookingChanges(changes) === 0) {
+            return;
+        }
+        
+        const result = await storage.pushBookingChanges(changes);
+        backendReachable = true;
+        applyBackendBookings(result.bookings);
+        
+        if (!result.ok) {
+            const conflictMessages = [];
+            const rejectedMessages = [];
+            for (let i = 0; i < result.conflicts.length; i++) {
+                const message = formatEngineErrors(result.conflicts[i].errors, localizer);
+                if (result.conflicts[i].status === 409) {
+                    conflictMessages.push(message);
+                } else {
+                    rejectedMessages.push(message);
+                }
+            }
+            
+            const notices = [];
+            if (conflictMessages.length > 0) {
+                notices.push(translate('sync.conflict', { errors: conflictMessages.join(' | ') }));
+            }
+            if (rejectedMessages.length > 0) {
+                notices.push(translate('sync.rejected', { errors: rejectedMessages.join(' | ') }));
+            }
+            showError(notices.join(' '));
+        }
+    }
+    
+    /**
+     * Re-reads the backend's bookings so changes made at other desks show up
+     * Changes made here that haven't been sent yet go first, so they aren't overwritten
+     */
+    async function pullBookings() {
+        if (syncedBookings !== null && (countBookingChanges(diffBookings(syncedBookings, engine.bookings)) > 0 || hasUnsentSettings())) {
+            await pushBookingChanges();
+            return;
+        }
+        
+        applyBackendSettings(await storage.fetchSettings());
+        const bookings = await storage.fetchBookings();
+        backendReachable = true;
+        applyBackendBookings(bookings);
+    }
+    
+    /**
+     * Makes the backend's bookings the ones shown here
+     * Undo history is cleared when they differ: undoing to a snapshot taken before another desk's
+     * change would send that desk's bookings back out of existence
+     */
+    function applyBackendBookings(bookings) {
+        syncedBookings = JSON.parse(JSON.stringify(bookings));
+        if (countBookingChanges(diffBookings(engine.bookings, bookings)) === 0) {
+            return;
+        }
+        
+        engine.replaceState({ bookings: JSON.parse(JSON.stringify(bookings)) });
+        clearHistory();
+        refreshEditingBooking();
+        
+        saveState();
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * The settings the backend checks bookings against, shared by every desk
+     */
+    function readSharedSettings() {
+        return {
+            pods: engine.pods,
+            studentSettings: engine.studentSettings,
+            studentRegistry: engine.studentRegistry,
+            policySettings: engine.policySettings
+        };
+    }
+    
+    /**
+     * Checks whether the shared settings were changed here since the backend last confirmed them
+     */
+    function hasUnsentSettings() {
+        return syncedSettings !== null && JSON.stringify(readSharedSettings()) !== syncedSettings;
+    }
+    
+    /**
+     * Sends the pods, student ID settings, registry and policies when they were changed here
+     * Settings the backend refuses (e.g. a smaller capacity that another desk's bookings don't fit) are
+     * reported and its own settings come back in their place
+     */
+    async function pushSettingsChanges() {
+        if (!hasUnsentSettings()) {
+            return;
+        }
+        
+        const result = await storage.pushSettings(readSharedSettings());
+        backendReachable = true;
+        applyBackendSettings(result.settings);
+        
+        if (!result.ok) {
+            showError(translate('sync.settingsRejected', { errors: formatEngineErrors(result.errors, localizer) }));
+        }
+    }
+    
+    /**
+     * Makes the backend's settings the ones used here, redrawing the panels that show them when they differ
+     */
+    function applyBackendSettings(settings) {
+        syncedSettings = JSON.stringify(settings);
+        if (JSON.stringify(readSharedSettings()) === syncedSettings) {
+            return;
+        }
+        
+        engine.replaceState(JSON.parse(syncedSettings));
+        saveState();
+        renderSettingsPanels();
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * Reports a failed sync once per outage; unsent changes stay here and go with the next sync
+     */
+    function handleBackendUnreachable(error) {
+        console.warn('Could not sync bookings with the server:', error);
+        if (backendReachable) {
+            backendReachable = false;
+            showError(translate('sync.unreachable'));
+        }
+    }
+    
+    /**
+     * Points the edit panel at the current copy of its booking after the booking objects were replaced,
+     * or closes it when the booking is gone
+     */
+    function refreshEditingBooking() {
+        if (!editingBooking) {
+            return;
+        }
+        
+        const currentBooking = engine.findBookingById(editingBooking.id);
+        if (currentBooking) {
+            editingBooking = currentBooking;
+        } else {
+            closeEditPanel();
+        }
+    }
+    
+    // Other Tabs
+    
+    /**
+     * Takes over a state saved by another tab or window of the widget and redraws everything
+     * Undo history is cleared for the same reason as with a shared backend: it predates the other tab's change
+     */
+    function applyStateFromOtherTab(savedState) {
+        const state = migrateState(savedState);
+        if (!state) {
+            return;
+        }
+        
+        lastSavedAt = state.savedAt;
+        engine.replaceState({
+            pods: state.pods,
+            bookings: state.bookings,
+            violationCounts: state.violationCounts,
+            violationLog: state.violationLog,
+            studentSettings: state.studentSettings,
+            studentRegistry: state.studentRegistry,
+            waitlist: state.waitlist,
+            noShows: state.noShows,
+            checkInSettings: state.checkInSettings,
+            policySettings: state.policySettings
+        });
+        
+        // The tab that made the change sends it to the shared backend; this one mustn't send it again
+        if (storage.shared) {
+            syncedBookings = JSON.parse(JSON.stringify(state.bookings));
+            syncedSettings = JSON.stringify(readSharedSettings());
+        }
+        
+        clearHistory();
+        refreshEditingBooking();
+        
+        renderSettingsPanels();
+        renderViolationLog();
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * Redraws the pod picker and the admin panels after the pods or settings were replaced
+     * The picked pod stays picked while it is still open for booking
+     */
+    function renderSettingsPanels() {
+        const selectedPodId = podSelect.value;
+        populatePodSelect();
+        const selectedPod = engine.findPod(selectedPodId);
+        if (selectedPod && !selectedPod.retired) {
+            podSelect.value = selectedPodId;
+        }
+        renderPodAdmin();
+        renderStudentRegistry();
+        renderCheckInSettings();
+        renderPolicySettings();
+    }
+    
+    /**
+     * Applies a newer state another tab has saved but whose message hasn't arrived here yet
+     * Called before a booking change is committed so it is checked against the newest bookings
+     * Returns true when there was a newer state
+     */
+    function catchUpWithOtherTabs() {
+        let savedState;
+        try {
+            savedState = storage.load();
+        } catch (error) {
+            return false;
+        }
+        
+        // savedAt is an ISO timestamp from this machine's clock, so later saves sort later
+        if (!savedState || !savedState.savedAt || (lastSavedAt !== null && savedState.savedAt <= lastSavedAt)) {
+            return false;
+        }
+        applyStateFromOtherTab(savedState);
+        return true;
+    }
+    
+    /**
+     * Handles a state broadcast by another tab
+     */
+    function handleTabMessage(event) {
+        applyStateFromOtherTab(event.data);
+    }
+    
+    /**
+     * Handles localStorage changes made by another tab (only listened to without BroadcastChannel)
+     */
+    function handleStorageEvent(event) {
+        if (event.key !== storageKey || event.newValue === null) {
+            return;
+        }
+        
+        try {
+            applyStateFromOtherTab(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('Could not read bookings saved in another tab:', error);
+        }
+    }
+    
+    // History (Undo/Redo) Functions
+    
+    /**
+     * Takes a deep copy of the bookings, waitlist and no-shows for the history stacks
+     * They are captured together because removals can promote waitlisted groups
+     */
+    function captureState() {
+        return JSON.parse(JSON.stringify({ bookings: engine.bookings, waitlist: engine.waitlist, noShows: engine.noShows }));
+    }
+    
+    /**
+     * Records a completed booking operation so it can be undone
+     * stateBefore is the capture taken just before the change; a new change clears the redo stack
+     */
+    function recordHistory(label, stateBefore) {
+        undoStack.push({ label: label, before: stateBefore, after: captureState() });
+        if (undoStack.length > MAX_HISTORY_ENTRIES) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        renderHistoryControls();
+        announceBookingChanges(stateBefore.bookings);
+    }
+    
+    /**
+     * Tells the host page about bookings this widget created, changed or removed since bookingsBefore, with a
+     * booking-created, booking-updated or booking-removed event per booking ({ booking } as detail, a copy; updates
+     * also carry the booking as it was in previous), so groups merged in, seats given up and edits are announced too
+     * Changes that came from other tabs or desks aren't announced
+     */
+    function announceBookingChanges(bookingsBefore) {
+        const eventTarget = settings.eventTarget || container;
+        const changes = diffBookings(bookingsBefore, engine.bookings);
+        const announcements = [
+            { type: 'booking-removed', bookings: changes.removed },
+            { type: 'booking-updated', bookings: changes.changed },
+            { type: 'booking-created', bookings: changes.added }
+        ];
+        
+        for (let i = 0; i < announcements.length; i++) {
+            for (let j = 0; j < announcements[i].bookings.length; j++) {
+                const booking = announcements[i].bookings[j];
+                const detail = { booking: JSON.parse(JSON.stringify(booking)) };
+                if (announcements[i].type === 'booking-updated') {
+                    for (let k = 0; k < bookingsBefore.length; k++) {
+                        if (bookingsBefore[k].id === booking.id) {
+                            detail.previous = JSON.parse(JSON.stringify(bookingsBefore[k]));
+                            break;
+                        }
+                    }
+                }
+                eventTarget.dispatchEvent(new CustomEvent(announcements[i].type, {
+                    bubbles: true,
+                    composed: true, // Out of a <study-pod-booking>'s shadow root to the host page
+                    detail: detail
+                }));
+            }
+        }
+    }
+    
+    /**
+     * Forgets all undo/redo history (used when the whole day is reset)
+     */
+    function clearHistory() {
+        undoStack = [];
+        redoStack = [];
+        renderHistoryControls();
+    }
+    
+    /**
+     * Replaces the bookings and waitlist with a history snapshot and refreshes everything that reads them
+     * The violation breakdown is left alone: it counts rejected attempts, which are never in the history
+     */
+    function restoreSnapshot(snapshot) {
+        const bookingsBefore = engine.bookings;
+        engine.replaceState(JSON.parse(JSON.stringify(snapshot)));
+        announceBookingChanges(bookingsBefore);
+        
+        // The booking objects were replaced, so an open edit panel would point at a stale copy
+        closeEditPanel();
+        saveState();
+        renderHistoryControls();
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * Undoes the most recent booking operation
+     */
+    function undoLastChange() {
+        catchUpWithOtherTabs(); // Another tab's change clears the history, leaving nothing to undo
+        if (undoStack.length === 0) {
+            return;
+        }
+        
+        const entry = undoStack.pop();
+        redoStack.push(entry);
+        restoreSnapshot(entry.before);
+        showSuccess(translate('history.undid', { label: entry.label }));
+    }
+    
+    /**
+     * Re-applies the most recently undone booking operation
+     */
+    function redoLastChange() {
+        catchUpWithOtherTabs();
+        if (redoStack.length === 0) {
+            return;
+        }
+        
+        const entry = redoStack.pop();
+        undoStack.push(entry);
+        restoreSnapshot(entry.after);
+        showSuccess(translate('history.redid', { label: entry.label }), true);
+    }
+    
+    // DOM Manipulation Functions
+    
+    /**
+     * Puts the widget's fixed labels into the current language: elements marked data-i18n get the message as their text,
+     * data-i18n-placeholder, data-i18n-aria-label and data-i18n-title as that attribute
+     */
+    function applyStaticTranslations() {
+        const attributes = ['placeholder', 'aria-label', 'title'];
+        const textElements = container.querySelectorAll('[data-i18n]');
+        for (let i = 0; i < textElements.length; i++) {
+            textElements[i].textContent = translate(textElements[i].getAttribute('data-i18n'));
+        }
+        
+        for (let i = 0; i < attributes.length; i++) {
+            const elements = container.querySelectorAll(`[data-i18n-${attributes[i]}]`);
+            for (let j = 0; j < elements.length; j++) {
+                elements[j].setAttribute(attributes[i], translate(elements[j].getAttribute(`data-i18n-${attributes[i]}`)));
+            }
+        }
+        container.setAttribute('lang', localizer.locale);
+    }
+    
+    /**
+     * Shows the current language and clock in their switchers and translates the fixed labels to match
+     */
+    function renderDisplaySettings() {
+        languageSelect.value = localizer.locale;
+        timeFormatSelect.value = localizer.timeFormat;
+        applyStaticTranslations();
+    }
+    
+    /**
+     * Fills the language switcher with every language in LOCALES, each named in its own language
+     */
+    function populateLanguageOptions() {
+        languageSelect.innerHTML = '';
+        for (const locale in LOCALES) {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = LOCALES[locale].name;
+            languageSelect.appendChild(option);
+        }
+    }
+    
+    /**
+     * Enables the Undo/Redo buttons only when there is something to undo or redo
+     * Tooltips name the operation each button will affect
+     */
+    function renderHistoryControls() {
+        undoButton.disabled = undoStack.length === 0;
+        undoButton.title = undoStack.length > 0 ? translate('history.undoTitle', { label: undoStack[undoStack.length - 1].label }) : translate('history.nothingToUndo');
+        redoButton.disabled = redoStack.length === 0;
+        redoButton.title = redoStack.length > 0 ? translate('history.redoTitle', { label: redoStack[redoStack.length - 1].label }) : translate('history.nothingToRedo');
+    }
+    
+    /**
+     * Populates pod selection dropdown using DOM manipulation
+     * Creates options dynamically from pods array, keeping the chosen pod when it can still be booked
+     */
+    function populatePodSelect() {
+        // Clear existing options
+        const selectedPodId = podSelect.value;
+        podSelect.innerHTML = '';
+        
+        // Add placeholder option
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = translate('form.choosePod');
+        podSelect.appendChild(defaultOption);
+        
+        // Add pod options using traditional for loop (retired pods can't be booked)
+        for (let i = 0; i < engine.pods.length; i++) {
+            const pod = engine.pods[i];
+            if (pod.retired) {
+                continue;
+            }
+            const option = document.createElement('option');
+            option.value = pod.id;
+            option.textContent = `${translate('form.podOption', {
+                pod: pod.id,
+                capacity: pod.capacity,
+                openTime: localizer.formatTime(pod.openTime),
+                closeTime: localizer.formatTime(pod.closeTime)
+            })} ${formatAmenityIcons(pod)}`;
+            podSelect.appendChild(option);
+            if (pod.id === selectedPodId) {
+                option.selected = true;
+            }
+        }
+        renderStudentsHint();
+    }
+    
+    /**
+     * Tells the librarian how many student IDs the booking form takes: the picked pod's capacity,
+     * or the largest open pod's while none is picked
+     */
+    function renderStudentsHint() {
+        const selectedPod = engine.findPod(podSelect.value);
+        let capacity = selectedPod ? selectedPod.capacity : 0;
+        if (!selectedPod) {
+            for (let i = 0; i < engine.pods.length; i++) {
+                if (!engine.pods[i].retired && engine.pods[i].capacity > capacity) {
+                    capacity = engine.pods[i].capacity;
+                }
+            }
+        }
+        studentsHint.textContent = translate('form.studentsHint', { capacity: capacity });
+    }
+    
+    /**
+     * Creates one checkbox per amenity in the pod admin form
+     * Amenities already ticked stay ticked, so the names can be redrawn in another language
+     */
+    function populateAmenityOptions() {
+        const checkedAmenities = [];
+        const checkboxes = podAmenitiesContainer.querySelectorAll('input:checked');
+        for (let i = 0; i < checkboxes.length; i++) {
+            checkedAmenities.push(checkboxes[i].value);
+        }
+        podAmenitiesContainer.innerHTML = '';
+        
+        for (let i = 0; i < AMENITIES.length; i++) {
+            const amenity = AMENITIES[i];
+            const label = document.createElement('label');
+            label.className = 'amenity-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = amenity.id;
+            checkbox.checked = checkedAmenities.indexOf(amenity.id) !== -1;
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${amenity.icon} ${translate(`amenity.${amenity.id}`)}`));
+            podAmenitiesContainer.appendChild(label);
+        }
+    }
+    
+    /**
+     * Creates one checkbox per weekday for the booking form's weekly repeat pattern, Monday first
+     * Days already ticked stay ticked, so the names can be redrawn in another language
+     */
+    function populateWeekdayOptions() {
+        const checkedWeekdays = [];
+        const checkboxes = repeatWeekdaysContainer.querySelectorAll('input:checked');
+        for (let i = 0; i < checkboxes.length; i++) {
+            checkedWeekdays.push(checkboxes[i].value);
+        }
+        repeatWeekdaysContainer.innerHTML = '';
+        
+        for (let i = 0; i < WEEKDAY_ORDER.length; i++) {
+            const label = document.createElement('label');
+            label.className = 'weekday-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = WEEKDAY_ORDER[i].toString();
+            checkbox.checked = checkedWeekdays.indexOf(checkbox.value) !== -1;
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${localizer.formatWeekday(WEEKDAY_ORDER[i])}`));
+            repeatWeekdaysContainer.appendChild(label);
+        }
+    }
+    
+    /**
+     * Renders the pod catalogue table in the admin panel
+     * Edit and retire/restore buttons use event delegation like the bookings table
+     */
+    function renderPodAdmin() {
+        podAdminTableBody.innerHTML = '';
+        
+        for (let i = 0; i < engine.pods.length; i++) {
+            const pod = engine.pods[i];
+            const row = document.createElement('tr');
+            if (pod.retired) {
+                row.className = 'retired-pod';
+            }
+            
+            const idCell = document.createElement('td');
+            idCell.textContent = pod.id;
+            row.appendChild(idCell);
+            
+            const capacityCell = document.createElement('td');
+            capacityCell.textContent = (pod.minGroupSize || 1) > 1
+                ? translate('podAdmin.capacityWithGroups', { capacity: pod.capacity, minGroupSize: pod.minGroupSize })
+                : pod.capacity.toString();
+            row.appendChild(capacityCell);
+            
+            const amenitiesCell = document.createElement('td');
+            amenitiesCell.textContent = formatAmenityIcons(pod) || '—';
+            row.appendChild(amenitiesCell);
+            
+            const hoursCell = document.createElement('td');
+            hoursCell.textContent = `${localizer.formatTime(pod.openTime)}–${localizer.formatTime(pod.closeTime)}`;
+            row.appendChild(hoursCell);
+            
+            const statusCell = document.createElement('td');
+            statusCell.textContent = pod.retired ? translate('podAdmin.retired') : translate('podAdmin.active');
+            row.appendChild(statusCell);
+            
+            const actionsCell = document.createElement('td');
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'pod-edit-btn';
+            editBtn.textContent = translate('table.edit');
+            editBtn.setAttribute('data-pod-id', pod.id);
+            actionsCell.appendChild(editBtn);
+            
+            const retireBtn = document.createElement('button');
+            retireBtn.type = 'button';
+            retireBtn.className = 'pod-retire-btn';
+            retireBtn.textContent = pod.retired ? translate('podAdmin.restore') : translate('podAdmin.retire');
+            retireBtn.setAttribute('data-pod-id', pod.id);
+            actionsCell.appendChild(retireBtn);
+            row.appendChild(actionsCell);
+            
+            podAdminTableBody.appendChild(row);
+        }
+    }
+    
+    /**
+     * Loads a pod into the admin form for editing, or clears the form for a new pod
+     */
+    function fillPodForm(pod) {
+        editingPodId = pod ? pod.id : null;
+        renderPodFormTitle();
+        podIdInput.value = pod ? pod.id : '';
+        podIdInput.disabled = pod !== null; // IDs are referenced by bookings, so they can't change
+        podCapacityInput.value = pod ? pod.capacity.toString() : '4';
+        podMinGroupInput.value = pod ? (pod.minGroupSize || 1).toString() : '1';
+        podOpenInput.value = pod ? pod.openTime : '08:00';
+        podCloseInput.value = pod ? pod.closeTime : '20:00';
+        
+        const checkboxes = podAmenitiesContainer.querySelectorAll('input[type="checkbox"]');
+        for (let i = 0; i < checkboxes.length; i++) {
+            let checked = false;
+            if (pod) {
+                for (let j = 0; j < pod.amenities.length; j++) {
+                    if (pod.amenities[j] === checkboxes[i].value) {
+                        checked = true;
+                        break;
+                    }
+                }
+            }
+            checkboxes[i].checked = checked;
+        }
+        
+        podFormErrors.className = '';
+    }
+    
+    /**
+     * Titles the pod admin form after the pod being edited, or "Add a Pod"
+     */
+    function renderPodFormTitle() {
+        podFormTitle.textContent = editingPodId ? translate('podAdmin.editTitle', { pod: editingPodId }) : translate('podAdmin.addTitle');
+    }
+    
+    /**
+     * Refreshes everything that reads the pod catalogue after staff change it
+     */
+    function refreshAfterPodChange() {
+        const selectedPodId = podSelect.value;
+        
+        saveState();
+        populatePodSelect();
+        
+        // Keep the librarian's current choice if that pod can still be booked
+        const selectedPod = engine.findPod(selectedPodId);
+        if (selectedPod && !selectedPod.retired) {
+            podSelect.value = selectedPodId;
+        }
+        
+        renderPodAdmin();
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * Renders the student registry panel: current ID settings, entry count and the registry table
+     */
+    function renderStudentRegistry() {
+        const studentSettings = engine.studentSettings;
+        const studentRegistry = engine.studentRegistry;
+        idPatternInput.value = studentSettings.idPattern;
+        unknownPolicySelect.value = studentSettings.unknownIdPolicy;
+        
+        idPatternHint.textContent = translate('registry.patternHint', { pattern: DEFAULT_STUDENT_SETTINGS.idPattern });
+        registrySummary.textContent = studentRegistry.length === 0
+            ? translate('registry.empty')
+            : localizer.translatePlural('registry.summary', studentRegistry.length, {
+                policy: translate(studentSettings.unknownIdPolicy === 'reject' ? 'registry.unknownRejected' : 'registry.unknownFlagged')
+            });
+        registryClearButton.disabled = studentRegistry.length === 0;
+        
+        registryTableBody.innerHTML = '';
+        for (let i = 0; i < studentRegistry.length; i++) {
+            const student = studentRegistry[i];
+            const row = document.createElement('tr');
+            
+            const idCell = document.createElement('td');
+            idCell.textContent = student.id;
+            row.appendChild(idCell);
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = student.name || '—';
+            row.appendChild(nameCell);
+            
+            const schoolCell = document.createElement('td');
+            schoolCell.textContent = student.school || '—';
+            row.appendChild(schoolCell);
+            
+            registryTableBody.appendChild(row);
+        }
+    }
+    
+    /**
+     * Shows feedback inside the registry panel (import results can be long, so they stay next to the panel)
+     */
+    function showRegistryMessage(message, isError) {
+        registryMessages.textContent = message;
+        registryMessages.className = isError ? 'registry-messages error show' : 'registry-messages show';
+    }
+    
+    /**
+     * Fills the check-in panel with the current grace period
+     */
+    function renderCheckInSettings() {
+        graceMinutesInput.value = engine.checkInSettings.graceMinutes.toString();
+    }
+    
+    /**
+     * Shows feedback inside the check-in panel
+     */
+    function showCheckInMessage(message, isError) {
+        checkInMessages.textContent = message;
+        checkInMessages.className = isError ? 'registry-messages error show' : 'registry-messages show';
+    }
+    
+    /**
+     * Fills the policy panel with the current limits and stops the date picker at the last bookable day
+     */
+    function renderPolicySettings() {
+        maxHoursPerDayInput.value = engine.policySettings.maxHoursPerDay.toString();
+        maxConsecutiveHoursInput.value = engine.policySettings.maxConsecutiveHours.toString();
+        maxDaysAheadInput.value = engine.policySettings.maxDaysAhead.toString();
+        dateInput.max = addDays(getTodayDateString(), engine.policySettings.maxDaysAhead);
+    }
+    
+    /**
+     * Reads the violation log filters into the form filterViolationLog expects
+     */
+    function getViolationLogFilters() {
+        return {
+            code: violationRuleFilter.value,
+            podId: violationPodFilter.value,
+            student: violationStudentFilter.value
+        };
+    }
+    
+    /**
+     * Renders the violation log panel: the filtered attempts (newest first) and the repeat offenders
+     * The rule and pod filters only offer values that appear in the log
+     */
+    function renderViolationLog() {
+        const codes = [];
+        const podIds = [];
+        for (let i = 0; i < engine.violationLog.length; i++) {
+            const entry = engine.violationLog[i];
+            const entryCodes = getLogEntryCodes(entry);
+            for (let j = 0; j < entryCodes.length; j++) {
+                if (codes.indexOf(entryCodes[j]) === -1) {
+                    codes.push(entryCodes[j]);
+                }
+            }
+            if (podIds.indexOf(entry.podId) === -1) {
+                podIds.push(entry.podId);
+            }
+        }
+        fillFilterOptions(violationRuleFilter, translate('violations.allRules'), codes, describeRule);
+        fillFilterOptions(violationPodFilter, translate('filter.allPods'), podIds, (podId) => podId);
+        
+        const entries = engine.filterViolationLog(getViolationLogFilters());
+        violationLogSummary.textContent = localizer.translatePlural('violations.summary', engine.violationLog.length, { shown: entries.length });
+        violationLogBody.innerHTML = '';
+        
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i];
+            const row = document.createElement('tr');
+            
+            const loggedCell = document.createElement('td');
+            const loggedAt = new Date(entry.loggedAt);
+            loggedCell.textContent = `${formatDateLabel(toDateString(loggedAt), localizer)} ${localizer.formatTime(`${loggedAt.getHours().toString().padStart(2, '0')}:${loggedAt.getMinutes().toString().padStart(2, '0')}`)}`;
+            row.appendChild(loggedCell);
+            
+            const bookingCell = document.createElement('td');
+            bookingCell.textContent = `${entry.podId} ${formatDateLabel(entry.date, localizer)}, ${formatTimeRange(entry.time, entry.duration, localizer)}`;
+            row.appendChild(bookingCell);
+            
+            const studentsCell = document.createElement('td');
+            studentsCell.textContent = entry.students.join(', ') || '—';
+            row.appendChild(studentsCell);
+            
+            const rulesCell = document.createElement('td');
+            const entryCodes = getLogEntryCodes(entry);
+            for (let j = 0; j < entryCodes.length; j++) {
+                const codeChip = document.createElement('span');
+                codeChip.className = 'rule-code';
+                codeChip.textContent = describeRule(entryCodes[j]);
+                rulesCell.appendChild(codeChip);
+            }
+            rulesCell.title = formatEngineErrors(entry.errors, localizer);
+            row.appendChild(rulesCell);
+            
+            violationLogBody.appendChild(row);
+        }
+        
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            cell.className = 'no-bookings';
+            cell.textContent = engine.violationLog.length === 0 ? translate('violations.none') : translate('violations.noMatches');
+            row.appendChild(cell);
+            violationLogBody.appendChild(row);
+        }
+        
+        renderRepeatOffenders();
+    }
+    
+    /**
+     * Renders the students with more than one rejected attempt in the log
+     */
+    function renderRepeatOffenders() {
+        const offenders = engine.getRepeatOffenders(2);
+        repeatOffendersBody.innerHTML = '';
+        
+        for (let i = 0; i < offenders.length; i++) {
+            const row = document.createElement('tr');
+            
+            const studentCell = document.createElement('td');
+            studentCell.textContent = offenders[i].student;
+            const registeredStudent = engine.findRegisteredStudent(offenders[i].student);
+            if (registeredStudent) {
+                studentCell.title = registeredStudent.name;
+            }
+            row.appendChild(studentCell);
+            
+            const attemptsCell = document.createElement('td');
+            attemptsCell.textContent = offenders[i].attempts.toString();
+            row.appendChild(attemptsCell);
+            
+            const rulesCell = document.createElement('td');
+            const labels = [];
+            for (let j = 0; j < offenders[i].codes.length; j++) {
+                labels.push(describeRule(offenders[i].codes[j]));
+            }
+            rulesCell.textContent = labels.join(', ');
+            row.appendChild(rulesCell);
+            
+            repeatOffendersBody.appendChild(row);
+        }
+        
+        if (offenders.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 3;
+            cell.className = 'no-bookings';
+            cell.textContent = translate('violations.noRepeatOffenders');
+            row.appendChild(cell);
+            repeatOffendersBody.appendChild(row);
+        }
+    }
+    
+    /**
+     * Shows feedback inside the policy panel
+     */
+    function showPolicyMessage(message, isError) {
+        policyMessages.textContent = message;
+        policyMessages.className = isError ? 'registry-messages error show' : 'registry-messages show';
+    }
+    
+    /**
+     * Shows a message in the student self-service panel
+     */
+    function showStudentLookupMessage(message, isError) {
+        studentLookupMessages.textContent = message;
+        studentLookupMessages.className = isError ? 'registry-messages error show' : 'registry-messages show';
+    }
+    
+    /**
+     * Renders the self-service list of the looked-up student's bookings from today on
+     * Each one shows the pod, day, time and group size (never the other students' IDs) with a form to
+     * cancel the student's own seat by confirmation code
+     */
+    function renderStudentBookings() {
+        studentBookingsList.innerHTML = '';
+        if (!lookedUpStudentId) {
+            return;
+        }
+        
+        const studentBookings = engine.findStudentBookings(lookedUpStudentId);
+        for (let i = 0; i < studentBookings.length; i++) {
+            const booking = studentBookings[i];
+            const item = document.createElement('li');
+            item.className = 'student-booking';
+            
+            const details = document.createElement('div');
+            const summary = document.createElement('strong');
+            summary.textContent = `${booking.podId} · ${formatDateLabel(booking.date, localizer)} · ${formatTimeRange(booking.time, booking.duration, localizer)}`;
+            details.appendChild(summary);
+            
+            const groupDetail = document.createElement('div');
+            groupDetail.className = 'student-booking-detail';
+            const othersCount = booking.students.length - 1;
+            groupDetail.textContent = othersCount === 0 ? translate('student.justYou') : localizer.translatePlural('student.withOthers', othersCount);
+            if (booking.checkedIn.indexOf(lookedUpStudentId) !== -1) {
+                groupDetail.textContent += ' · ' + translate('student.checkedIn');
+            }
+            details.appendChild(groupDetail);
+            item.appendChild(details);
+            
+            const cancelForm = document.createElement('form');
+            cancelForm.className = 'self-cancel-form';
+            cancelForm.setAttribute('data-booking-id', booking.id);
+            
+            const codeInput = document.createElement('input');
+            codeInput.type = 'text';
+            codeInput.className = 'confirmation-code-input';
+            codeInput.placeholder = translate('student.codePlaceholder');
+            codeInput.setAttribute('aria-label', translate('student.codeLabel', { pod: booking.podId, time: localizer.formatTime(booking.time) }));
+            codeInput.autocomplete = 'off';
+            codeInput.required = true;
+            cancelForm.appendChild(codeInput);
+            
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'submit';
+            cancelButton.className = 'self-cancel-btn';
+            cancelButton.textContent = translate('student.cancelSeat');
+            cancelForm.appendChild(cancelButton);
+            
+            item.appendChild(cancelForm);
+            studentBookingsList.appendChild(item);
+        }
+        
+        if (studentBookings.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'student-bookings-empty';
+            emptyItem.textContent = translate('student.noBookings', { student: lookedUpStudentId });
+            studentBookingsList.appendChild(emptyItem);
+        }
+    }
+    
+    /**
+     * Renders the pods x hours availability grid for the selected day
+     * Each cell shows seats taken out of capacity and is colour-coded free/partial/full
+     */
+    function renderAvailabilityGrid() {
+        availabilityGrid.innerHTML = '';
+        
+        // Columns run hour by hour across the library's full opening span
+        const libraryHours = engine.getLibraryHours();
+        const firstHour = Math.floor(parseTimeToMinutes(libraryHours.openTime) / 60);
+        const lastHour = Math.ceil(parseTimeToMinutes(libraryHours.closeTime) / 60);
+        const isPastDay = selectedDate < getTodayDateString();
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        const cornerCell = document.createElement('th');
+        cornerCell.textContent = translate('grid.pod');
+        headerRow.appendChild(cornerCell);
+        for (let hour = firstHour; hour < lastHour; hour++) {
+            const hourCell = document.createElement('th');
+            hourCell.textContent = localizer.formatTime(`${hour.toString().padStart(2, '0')}:00`);
+            headerRow.appendChild(hourCell);
+        }
+        thead.appendChild(headerRow);
+        availabilityGrid.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        for (let i = 0; i < engine.pods.length; i++) {
+            const pod = engine.pods[i];
+            if (pod.retired) {
+                continue;
+            }
+            
+            const row = document.createElement('tr');
+            const podCell = document.createElement('th');
+            podCell.textContent = pod.id;
+            row.appendChild(podCell);
+            
+            for (let hour = firstHour; hour < lastHour; hour++) {
+                const timeString = `${hour.toString().padStart(2, '0')}:00`;
+                const cell = document.createElement('td');
+                const slotButton = document.createElement('button');
+                slotButton.type = 'button';
+                slotButton.className = 'slot-btn';
+                
+                if (!isWithinOperatingHours(timeString, pod)) {
+                    slotButton.classList.add('slot-closed');
+                    slotButton.textContent = '—';
+                    slotButton.disabled = true;
+                    slotButton.title = translate('grid.closed', { pod: pod.id, time: localizer.formatTime(timeString) });
+                } else {
+                    const seatsTaken = engine.countSeatsTaken(pod.id, selectedDate, timeString);
+                    if (seatsTaken === 0) {
+                        slotButton.classList.add('slot-free');
+                    } else if (seatsTaken < pod.capacity) {
+                        slotButton.classList.add('slot-partial');
+                    } else {
+                        slotButton.classList.add('slot-full');
+                    }
+                    slotButton.textContent = `${seatsTaken}/${pod.capacity}`;
+                    slotButton.title = localizer.translatePlural('grid.seatsFree', pod.capacity - seatsTaken, { pod: pod.id, time: localizer.formatTime(timeString) });
+                    slotButton.setAttribute('data-pod-id', pod.id);
+                    slotButton.setAttribute('data-time', timeString);
+                    slotButton.disabled = isPastDay; // Past days are shown for reference only
+                }
+                
+                cell.appendChild(slotButton);
+                row.appendChild(cell);
+            }
+            
+            tbody.appendChild(row);
+        }
+        availabilityGrid.appendChild(tbody);
+    }
+    
+    /**
+     * Reads the search box and filters above the bookings table, in the shape engine.searchBookings takes
+     */
+    function getBookingFilters() {
+        return {
+            query: bookingSearchInput.value,
+            podId: bookingPodFilter.value,
+            fromTime: bookingFromFilter.value,
+            toTime: bookingToFilter.value,
+            occupancy: bookingOccupancyFilter.value
+        };
+    }
+    
+    /**
+     * Marks the sorted column header (aria-sort drives the arrow shown next to it)
+     */
+    function renderSortHeaders() {
+        const sortButtons = bookingsTableHead.querySelectorAll('.sort-btn');
+        for (let i = 0; i < sortButtons.length; i++) {
+            let sortState = 'none';
+            if (sortButtons[i].getAttribute('data-sort-key') === bookingSort.key) {
+                sortState = bookingSort.descending ? 'descending' : 'ascending';
+            }
+            sortButtons[i].parentElement.setAttribute('aria-sort', sortState);
+        }
+    }
+    
+    /**
+     * Renders the bookings table for the selected day using DOM manipulation and loops
+     * Only bookings matching the search and filters are listed, in the chosen column order
+     * Also refreshes the availability grid so both views always agree
+     * Implements event delegation for remove buttons
+     */
+    function renderBookingsTable() {
+        // Clear existing table content
+        bookingsTableBody.innerHTML = '';
+        
+        // Keep the day switcher, availability grid and waitlist in sync with the day being shown
+        dayPicker.value = selectedDate;
+        renderAvailabilityGrid();
+        renderWaitlist();
+        
+        const podIds = [];
+        for (let i = 0; i < engine.pods.length; i++) {
+            podIds.push(engine.pods[i].id);
+        }
+        fillFilterOptions(bookingPodFilter, translate('filter.allPods'), podIds, function (podId) {
+            return podId;
+        });
+        fillFilterOptions(icsPodSelect, translate('filter.allPods'), podIds, function (podId) {
+            return podId;
+        });
+        renderSortHeaders();
+        
+        // Buttons carry the booking's ID, which the engine looks up, so row order doesn't matter
+        const totalBookings = engine.getBookingsForDate(selectedDate).length;
+        const dayBookings = sortBookings(engine.searchBookings(selectedDate, getBookingFilters()), bookingSort.key, bookingSort.descending);
+        bookingsFilterSummary.textContent = localizer.translatePlural('table.summary', totalBookings, { shown: dayBookings.length });
+        
+        for (let i = 0; i < dayBookings.length; i++) {
+            const booking = dayBookings[i];
+            
+            const row = document.createElement('tr');
+            
+            // Index column
+            const indexCell = document.createElement('td');
+            indexCell.textContent = (i + 1).toString();
+            row.appendChild(indexCell);
+            
+            // Pod ID column
+            const podCell = document.createElement('td');
+            podCell.textContent = booking.podId;
+            if (booking.seriesId) {
+                const seriesBadge = document.createElement('span');
+                seriesBadge.className = 'series-badge';
+                seriesBadge.textContent = '🔁';
+                seriesBadge.title = translate('table.seriesBadge', { sessions: localizer.translatePlural('count.sessions', engine.getSeriesBookings(booking.seriesId).length) });
+                podCell.appendChild(seriesBadge);
+            }
+            row.appendChild(podCell);
+            
+            // Time column shows the whole span, plus the number of hours for longer bookings
+            const timeCell = document.createElement('td');
+            timeCell.textContent = formatTimeRange(booking.time, booking.duration, localizer);
+            if (booking.duration > 1) {
+                timeCell.textContent += ' ' + translate('table.hours', { hours: booking.duration });
+            }
+            row.appendChild(timeCell);
+            
+            // Student count column
+            const countCell = document.createElement('td');
+            countCell.textContent = booking.students.length.toString();
+            row.appendChild(countCell);
+            
+            // Student IDs column - one chip per student so single seats can be released and single students
+            // checked in (check-in buttons only show from shortly before the start until the booking ends)
+            const checkInOpen = engine.getCheckInErrors(booking).length === 0;
+            const studentsCell = document.createElement('td');
+            for (let j = 0; j < booking.students.length; j++) {
+                const chip = document.createElement('span');
+                const isCheckedIn = booking.checkedIn.indexOf(booking.students[j]) !== -1;
+                chip.className = isCheckedIn ? 'student-chip checked-in' : 'student-chip';
+                chip.textContent = booking.students[j];
+                
+                // Show who the student is when the registry knows them, and their confirmation code
+                const registeredStudent = engine.findRegisteredStudent(booking.students[j]);
+                const chipDetails = [];
+                if (registeredStudent) {
+                    chipDetails.push(registeredStudent.school
+                        ? `${registeredStudent.name} (${registeredStudent.school})`
+                        : registeredStudent.name);
+                }
+                if (booking.confirmationCodes[booking.students[j]]) {
+                    chipDetails.push(translate('table.code', { code: booking.confirmationCodes[booking.students[j]] }));
+                }
+                chip.title = chipDetails.join(' · ');
+                
+                if (isCheckedIn) {
+                    const checkedInMark = document.createElement('span');
+                    checkedInMark.className = 'checked-in-mark';
+                    checkedInMark.textContent = '✓';
+                    checkedInMark.title = translate('table.checkedIn', { student: booking.students[j] });
+                    chip.appendChild(checkedInMark);
+                } else if (checkInOpen) {
+                    const checkInStudentBtn = document.createElement('button');
+                    checkInStudentBtn.className = 'check-in-student-btn';
+                    checkInStudentBtn.textContent = '✓';
+                    checkInStudentBtn.title = translate('table.checkInStudent', { student: booking.students[j] });
+                    checkInStudentBtn.setAttribute('data-booking-id', booking.id);
+                    checkInStudentBtn.setAttribute('data-student-id', booking.students[j]);
+                    chip.appendChild(checkInStudentBtn);
+                }
+                
+                const removeStudentBtn = document.createElement('button');
+                removeStudentBtn.className = 'remove-student-btn';
+                removeStudentBtn.textContent = '×';
+                removeStudentBtn.title = translate('table.removeStudent', { student: booking.students[j] });
+                removeStudentBtn.setAttribute('data-booking-id', booking.id);
+                removeStudentBtn.setAttribute('data-student-id', booking.students[j]);
+                chip.appendChild(removeStudentBtn);
+                
+                studentsCell.appendChild(chip);
+            }
+            row.appendChild(studentsCell);
+            
+            // Actions column with check-in (while open and someone is still missing), edit and remove buttons
+            const actionsCell = document.createElement('td');
+            if (checkInOpen && booking.checkedIn.length < booking.students.length) {
+                const checkInBtn = document.createElement('button');
+                checkInBtn.className = 'check-in-btn';
+                checkInBtn.textContent = translate('table.checkIn');
+                checkInBtn.title = translate('table.checkInTitle');
+                checkInBtn.setAttribute('data-booking-id', booking.id);
+                actionsCell.appendChild(checkInBtn);
+            }
+            
+            const editBtn = document.createElement('button');
+            editBtn.className = 'edit-btn';
+            editBtn.textContent = translate('table.edit');
+            editBtn.setAttribute('data-booking-id', booking.id);
+            actionsCell.appendChild(editBtn);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = translate('table.remove');
+            removeBtn.setAttribute('data-booking-id', booking.id);
+            actionsCell.appendChild(removeBtn);
+            
+            appendBookingDocumentButtons(actionsCell, booking.id, null);
+            
+            // Sessions of a weekly series can also be cancelled together; the remove button above takes just this one
+            if (booking.seriesId) {
+                removeBtn.title = translate('table.removeSession');
+                const cancelSeriesBtn = document.createElement('button');
+                cancelSeriesBtn.className = 'cancel-series-btn';
+                cancelSeriesBtn.textContent = translate('table.cancelSeries');
+                cancelSeriesBtn.title = translate('table.cancelSeriesTitle');
+                cancelSeriesBtn.setAttribute('data-series-id', booking.seriesId);
+                actionsCell.appendChild(cancelSeriesBtn);
+            }
+            row.appendChild(actionsCell);
+            
+            bookingsTableBody.appendChild(row);
+        }
+        
+        renderStudentBookings();
+        
+        if (dayBookings.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 6;
+            cell.className = 'no-bookings';
+            if (totalBookings > 0) {
+                cell.textContent = translate('table.noMatches');
+            } else {
+                cell.textContent = selectedDate === getTodayDateString()
+                    ? translate('table.emptyToday')
+                    : translate('table.emptyDay', { date: formatDateLabel(selectedDate, localizer) });
+            }
+            row.appendChild(cell);
+            bookingsTableBody.appendChild(row);
+        }
+    }
+    
+    /**
+     * Fills the import preview with accepted and rejected rows
+     * Nothing is committed to the bookings until the librarian confirms
+     */
+    function renderImportPreview(fileName, results) {
+        importAcceptedBody.innerHTML = '';
+        importRejectedBody.innerHTML = '';
+        
+        let acceptedCount = 0;
+        for (let i = 0; i < results.length; i++) {
+            const result = results[i];
+            const row = document.createElement('tr');
+            
+            const rowNumberCell = document.createElement('td');
+            rowNumberCell.textContent = result.row.rowNumber.toString();
+            row.appendChild(rowNumberCell);
+            
+            const bookingCell = document.createElement('td');
+            bookingCell.textContent = translate('import.rowBooking', {
+                pod: result.row.podId || '?',
+                date: result.row.date,
+                time: result.row.time || '?',
+                hours: localizer.translatePlural('count.hours', result.row.duration)
+            });
+            row.appendChild(bookingCell);
+            
+            const studentsCell = document.createElement('td');
+            studentsCell.textContent = result.request.students.join(', ') || '—';
+            row.appendChild(studentsCell);
+            
+            if (result.errors.length === 0) {
+                acceptedCount++;
+                importAcceptedBody.appendChild(row);
+            } else {
+                const errorsCell = document.createElement('td');
+                errorsCell.textContent = formatEngineErrors(result.errors, localizer);
+                row.appendChild(errorsCell);
+                importRejectedBody.appendChild(row);
+            }
+        }
+        
+        importSummary.textContent = localizer.translatePlural('import.summary', acceptedCount, { file: fileName, rejected: results.length - acceptedCount });
+        importConfirmButton.disabled = acceptedCount === 0;
+        importConfirmButton.textContent = localizer.translatePlural('import.confirm', acceptedCount);
+        importPreview.hidden = false;
+        importPreview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    /**
+     * Hides the import preview and drops the pending rows
+     */
+    function closeImportPreview() {
+        pendingImport = null;
+        importPreview.hidden = true;
+    }
+    
+    /**
+     * Renders the waitlist panel for the selected day, in queue order
+     */
+    function renderWaitlist() {
+        waitlistContainer.innerHTML = '';
+        
+        let position = 0;
+        for (let i = 0; i < engine.waitlist.length; i++) {
+            const entry = engine.waitlist[i];
+            if (entry.date !== selectedDate) {
+                continue;
+            }
+            position++;
+            
+            const item = document.createElement('li');
+            item.className = 'waitlist-item';
+            
+            const details = document.createElement('span');
+            const addedAt = new Date(entry.addedAt);
+            const addedTime = `${addedAt.getHours().toString().padStart(2, '0')}:${addedAt.getMinutes().toString().padStart(2, '0')}`;
+            details.textContent = translate('waitlist.entry', {
+                position: position,
+                pod: entry.podId,
+                timeRange: formatTimeRange(entry.time, entry.duration, localizer),
+                students: entry.students.join(', '),
+                since: localizer.formatTime(addedTime)
+            });
+            item.appendChild(details);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'waitlist-remove-btn';
+            removeBtn.textContent = translate('waitlist.remove');
+            removeBtn.setAttribute('data-waitlist-index', i.toString());
+            item.appendChild(removeBtn);
+            
+            waitlistContainer.appendChild(item);
+        }
+        
+        if (position === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'waitlist-empty';
+            emptyItem.textContent = translate('waitlist.empty');
+            waitlistContainer.appendChild(emptyItem);
+        }
+    }
+    
+    /**
+     * Renders insights panel for the selected day with real-time calculated data
+     * Updates whenever bookings change or another day is selected
+     */
+    function renderInsights() {
+        const insights = engine.insights(selectedDate);
+        
+        insightsDateLabel.textContent = selectedDate === getTodayDateString() ? translate('insights.today') : formatDateLabel(selectedDate, localizer);
+        
+        // Clear existing insights
+        insightsContainer.innerHTML = '';
+        
+        // Total bookings insight card
+        const totalBookingsCard = document.createElement('div');
+        totalBookingsCard.className = 'insight-card';
+        totalBookingsCard.innerHTML = `
+            <div class="insight-title">${translate('insights.totalBookings')}</div>
+            <div class="insight-value">${insights.totalBookings}</div>
+        `;
+        appendInsightSource(totalBookingsCard, translate('insights.totalBookingsSource'));
+        insightsContainer.appendChild(totalBookingsCard);
+        
+        // Unique students insight card
+        const uniqueStudentsCard = document.createElement('div');
+        uniqueStudentsCard.className = 'insight-card';
+        uniqueStudentsCard.innerHTML = `
+            <div class="insight-title">${translate('insights.uniqueStudents')}</div>
+            <div class="insight-value">${insights.uniqueStudents}</div>
+        `;
+        appendInsightSource(uniqueStudentsCard, translate('insights.uniqueStudentsSource', { bookings: localizer.translatePlural('count.bookings', insights.totalBookings) }));
+        insightsContainer.appendChild(uniqueStudentsCard);
+        
+        // Busiest hour insight card: every hour that ties for the most students
+        const busiestHourCard = document.createElement('div');
+        busiestHourCard.className = 'insight-card';
+        const busiestHours = [];
+        for (let i = 0; i < insights.busiestHours.length; i++) {
+            busiestHours.push(localizer.formatTime(insights.busiestHours[i]));
+        }
+        busiestHourCard.innerHTML = `
+            <div class="insight-title">${translate('insights.busiestHour')}</div>
+            <div class="insight-value">${busiestHours.length > 0 ? busiestHours.join(', ') : translate('insights.noBookings')}</div>
+        `;
+        if (insights.busiestHours.length > 0) {
+            const busiestDetail = document.createElement('div');
+            busiestDetail.className = 'insight-detail';
+            busiestDetail.textContent = insights.busiestHours.length > 1
+                ? translate('insights.busiestTied', { students: localizer.translatePlural('count.students', insights.busiestHourStudents) })
+                : translate('insights.busiestDetail', { students: localizer.translatePlural('count.students', insights.busiestHourStudents) });
+            busiestHourCard.appendChild(busiestDetail);
+        }
+        appendInsightSource(busiestHourCard, translate('insights.busiestHourSource'));
+        insightsContainer.appendChild(busiestHourCard);
+        
+        // Pod fill rates insight card
+        const fillRatesCard = document.createElement('div');
+        fillRatesCard.className = 'insight-card';
+        
+        const fillRatesTitle = document.createElement('div');
+        fillRatesTitle.className = 'insight-title';
+        fillRatesTitle.textContent = translate('insights.fillRates');
+        fillRatesCard.appendChild(fillRatesTitle);
+        
+        const fillRatesContainer = document.createElement('div');
+        fillRatesContainer.className = 'pod-fill-rates';
+        
+        for (let i = 0; i < insights.podFillRates.length; i++) {
+            const podRate = insights.podFillRates[i];
+            const rateDiv = document.createElement('div');
+            rateDiv.className = 'pod-fill-rate';
+            
+            const podLabel = document.createElement('span');
+            podLabel.textContent = `${podRate.podId}:`;
+            
+            const rateValue = document.createElement('span');
+            rateValue.textContent = translate('insights.fillRate', { rate: podRate.fillRate, booked: podRate.bookedSeats, total: podRate.totalSeats });
+            rateValue.title = localizer.translatePlural('insights.fillRateTitle', podRate.openHours, { used: podRate.slotsUsed });
+            
+            rateDiv.appendChild(podLabel);
+            rateDiv.appendChild(rateValue);
+            fillRatesContainer.appendChild(rateDiv);
+        }
+        
+        fillRatesCard.appendChild(fillRatesContainer);
+        appendInsightSource(fillRatesCard, translate('insights.fillRatesSource'));
+        insightsContainer.appendChild(fillRatesCard);
+        
+        // Waitlist insight card: queue length per slot
+        const waitlistCard = document.createElement('div');
+        waitlistCard.className = 'insight-card';
+        
+        const waitlistTitle = document.createElement('div');
+        waitlistTitle.className = 'insight-title';
+        waitlistTitle.textContent = translate('insights.waitlist');
+        waitlistCard.appendChild(waitlistTitle);
+        
+        if (insights.waitlistSlots.length === 0) {
+            const emptyValue = document.createElement('div');
+            emptyValue.className = 'insight-value';
+            emptyValue.textContent = '0';
+            waitlistCard.appendChild(emptyValue);
+        } else {
+            const slotsContainer = document.createElement('div');
+            slotsContainer.className = 'pod-fill-rates';
+            
+            for (let i = 0; i < insights.waitlistSlots.length; i++) {
+                const slot = insights.waitlistSlots[i];
+                const slotDiv = document.createElement('div');
+                slotDiv.className = 'pod-fill-rate';
+                
+                const slotLabel = document.createElement('span');
+                slotLabel.textContent = `${slot.podId} ${localizer.formatTime(slot.time)}:`;
+                
+                const slotValue = document.createElement('span');
+                slotValue.textContent = translate('insights.waitlistSlot', {
+                    groups: localizer.translatePlural('count.groups', slot.groups),
+                    students: localizer.translatePlural('count.students', slot.students)
+                });
+                
+                slotDiv.appendChild(slotLabel);
+                slotDiv.appendChild(slotValue);
+                slotsContainer.appendChild(slotDiv);
+            }
+            waitlistCard.appendChild(slotsContainer);
+        }
+        appendInsightSource(waitlistCard, translate('insights.waitlistSource'));
+        insightsContainer.appendChild(waitlistCard);
+        
+        // Check-in rate insight card: share of students in started bookings who checked in
+        const checkInCard = document.createElement('div');
+        checkInCard.className = 'insight-card';
+        checkInCard.innerHTML = `
+            <div class="insight-title">${translate('insights.checkInRate')}</div>
+            <div class="insight-value">${insights.checkInRate === null ? translate('insights.noneStarted') : `${insights.checkInRate}%`}</div>
+            <div class="insight-detail">${localizer.translatePlural('insights.checkInDetail', insights.expectedStudents, { checkedIn: insights.checkedInStudents })}</div>
+        `;
+        appendInsightSource(checkInCard, translate('insights.checkInSource'));
+        insightsContainer.appendChild(checkInCard);
+        
+        // No-show rate insight card: share of started bookings released because nobody checked in
+        const noShowCard = document.createElement('div');
+        noShowCard.className = 'insight-card';
+        noShowCard.innerHTML = `
+            <div class="insight-title">${translate('insights.noShowRate')}</div>
+            <div class="insight-value">${insights.noShowRate === null ? translate('insights.noneStarted') : `${insights.noShowRate}%`}</div>
+            <div class="insight-detail">${localizer.translatePlural('insights.noShowDetail', insights.startedBookings, { released: insights.noShowBookings })}</div>
+        `;
+        appendInsightSource(noShowCard, translate('insights.noShowSource', { graceMinutes: engine.checkInSettings.graceMinutes }));
+        insightsContainer.appendChild(noShowCard);
+        
+        // Violations insight card: rejected attempts by rule or policy broken
+        const violationsCard = document.createElement('div');
+        violationsCard.className = 'insight-card';
+        
+        const violationsTitle = document.createElement('div');
+        violationsTitle.className = 'insight-title';
+        violationsTitle.textContent = translate('insights.violations');
+        violationsCard.appendChild(violationsTitle);
+        
+        const violationsValue = document.createElement('div');
+        violationsValue.className = 'insight-value';
+        violationsValue.textContent = insights.totalViolations.toString();
+        violationsCard.appendChild(violationsValue);
+        
+        const violationsContainer = document.createElement('div');
+        violationsContainer.className = 'pod-fill-rates';
+        for (const type in violationLabels) {
+            const typeDiv = document.createElement('div');
+            typeDiv.className = 'pod-fill-rate';
+            
+            const typeLabel = document.createElement('span');
+            typeLabel.textContent = `${translate(violationLabels[type])}:`;
+            
+            const typeValue = document.createElement('span');
+            typeValue.textContent = (insights.violations[type] || 0).toString();
+            
+            typeDiv.appendChild(typeLabel);
+            typeDiv.appendChild(typeValue);
+            violationsContainer.appendChild(typeDiv);
+        }
+        violationsCard.appendChild(violationsContainer);
+        appendInsightSource(violationsCard, translate('insights.violationsSource'));
+        insightsContainer.appendChild(violationsCard);
+        
+        renderOccupancyHeatmap(insights);
+        renderUtilisationChart(insights);
+    }
+    
+    // Analytics Charts
+    
+    /**
+     * Draws the per-hour occupancy heatmap: one row per pod, one column per hour, darker cells are fuller
+     * Hours a pod is closed are hatched grey; every cell's tooltip gives the seats behind its shade
+     */
+    function renderOccupancyHeatmap(insights) {
+        const hours = insights.hourlyOccupancy;
+        const podCount = insights.podFillRates.length;
+        const width = CHART_LABEL_WIDTH + hours.length * CHART_HOUR_WIDTH;
+        const height = (podCount + 1) * CHART_ROW_HEIGHT;
+        const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': translate('chart.heatmapLabel') });
+        
+        for (let i = 0; i < hours.length; i++) {
+            svg.appendChild(createSvgText(localizer.formatTime(hours[i].time), {
+                x: CHART_LABEL_WIDTH + i * CHART_HOUR_WIDTH + CHART_HOUR_WIDTH / 2,
+                y: height - 8,
+                'text-anchor': 'middle',
+                class: 'chart-axis-label'
+            }));
+        }
+        
+        for (let row = 0; row < podCount; row++) {
+            const podId = insights.podFillRates[row].podId;
+            svg.appendChild(createSvgText(podId, { x: 0, y: row * CHART_ROW_HEIGHT + CHART_ROW_HEIGHT / 2 + 4, class: 'chart-axis-label' }));
+            
+            for (let i = 0; i < hours.length; i++) {
+                const cell = hours[i].pods[row];
+                const share = cell.capacity > 0 ? cell.students / cell.capacity : 0;
+                const rect = createSvgElement('rect', {
+                    x: CHART_LABEL_WIDTH + i * CHART_HOUR_WIDTH + 1,
+                    y: row * CHART_ROW_HEIGHT + 1,
+                    width: CHART_HOUR_WIDTH - 2,
+                    height: CHART_ROW_HEIGHT - 2,
+                    rx: 3,
+                    class: cell.capacity > 0 ? 'heatmap-cell' : 'heatmap-cell closed',
+                    'fill-opacity': cell.capacity > 0 ? roundToOneDecimal(0.08 + share * 0.92) : 1,
+                    'data-pod-id': podId,
+                    'data-time': hours[i].time
+                });
+                
+                const tooltip = createSvgElement('title', {});
+                tooltip.textContent = cell.capacity > 0
+                    ? localizer.translatePlural('chart.heatmapCell', cell.students, { pod: podId, time: localizer.formatTime(hours[i].time), capacity: cell.capacity })
+                    : translate('chart.heatmapClosed', { pod: podId, time: localizer.formatTime(hours[i].time) });
+                rect.appendChild(tooltip);
+                svg.appendChild(rect);
+            }
+        }
+        
+        occupancyHeatmap.innerHTML = '';
+        occupancyHeatmap.appendChild(svg);
+        occupancyHeatmapSource.textContent = translate('chart.heatmapSource');
+    }
+    
+    /**
+     * Draws hour-by-hour utilisation across all open pods as a bar chart, with 50% and 100% guide lines
+     */
+    function renderUtilisationChart(insights) {
+        const hours = insights.hourlyOccupancy;
+        const top = 10;
+        const width = CHART_LABEL_WIDTH + hours.length * CHART_HOUR_WIDTH;
+        const height = top + CHART_BAR_HEIGHT + CHART_ROW_HEIGHT;
+        const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': translate('chart.utilisationLabel') });
+        
+        const guides = [0, 50, 100];
+        for (let i = 0; i < guides.length; i++) {
+            const y = top + CHART_BAR_HEIGHT - (guides[i] / 100) * CHART_BAR_HEIGHT;
+            svg.appendChild(createSvgElement('line', { x1: CHART_LABEL_WIDTH, y1: y, x2: width, y2: y, class: 'chart-guide' }));
+            svg.appendChild(createSvgText(`${guides[i]}%`, { x: CHART_LABEL_WIDTH - 6, y: y + 4, 'text-anchor': 'end', class: 'chart-axis-label' }));
+        }
+        
+        for (let i = 0; i < hours.length; i++) {
+            const hour = hours[i];
+            const barHeight = hour.utilisation === null ? 0 : (hour.utilisation / 100) * CHART_BAR_HEIGHT;
+            const bar = createSvgElement('rect', {
+                x: CHART_LABEL_WIDTH + i * CHART_HOUR_WIDTH + 6,
+                y: top + CHART_BAR_HEIGHT - barHeight,
+                width: CHART_HOUR_WIDTH - 12,
+                height: barHeight,
+                class: 'utilisation-bar',
+                'data-time': hour.time,
+                'data-utilisation': hour.utilisation === null ? '' : hour.utilisation
+            });
+            
+            const tooltip = createSvgElement('title', {});
+            tooltip.textContent = hour.utilisation === null
+                ? translate('chart.utilisationClosed', { time: localizer.formatTime(hour.time) })
+                : localizer.translatePlural('chart.utilisationBar', hour.students, { time: localizer.formatTime(hour.time), seats: hour.seats, utilisation: hour.utilisation });
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+            
+            svg.appendChild(createSvgText(localizer.formatTime(hour.time), {
+                x: CHART_LABEL_WIDTH + i * CHART_HOUR_WIDTH + CHART_HOUR_WIDTH / 2,
+                y: height - 8,
+                'text-anchor': 'middle',
+                class: 'chart-axis-label'
+            }));
+        }
+        
+        utilisationChart.innerHTML = '';
+        utilisationChart.appendChild(svg);
+        utilisationChartSource.textContent = translate('chart.utilisationSource');
+    }
+    
+    /**
+     * Displays error message with consistent styling
+     */
+    function showError(message) {
+        errorsDiv.textContent = message;
+        errorsDiv.className = 'show';
+        successDiv.className = '';
+        
+        // Scroll error into view for better UX
+        errorsDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    /**
+     * Displays success message and focuses input for quick next entry
+     * With undoable set, the toast gets an "Undo" link and stays up a little longer
+     */
+    function showSuccess(message, undoable) {
+        successDiv.textContent = message;
+        successDiv.className = 'success-message show';
+        errorsDiv.className = '';
+        
+        if (undoable) {
+            const undoLink = document.createElement('button');
+            undoLink.type = 'button';
+            undoLink.className = 'toast-undo-btn';
+            undoLink.textContent = translate('toast.undo');
+            successDiv.appendChild(undoLink);
+        }
+        
+        // Auto-hide success message after 3 seconds (6 when it can be undone)
+        // A newer message cancels the older timer so it isn't hidden early
+        clearTimeout(successTimer);
+        successTimer = setTimeout(() => {
+            successDiv.className = '';
+        }, undoable ? 6000 : 3000);
+    }
+    
+    /**
+     * Clears all notification messages
+     */
+    function clearMessages() {
+        errorsDiv.className = '';
+        successDiv.className = '';
+        pendingWaitlistRequest = null;
+        pendingSuggestions = [];
+    }
+    
+    /**
+     * Adds the "add to calendar" and "print slip" buttons for a booking (in its table row and the booking toast)
+     * They carry the booking's ID, and the group's student IDs when they are for just the group that was booked;
+     * handleBookingDocumentClick handles them
+     */
+    function appendBookingDocumentButtons(parent, bookingId, groupStudentIds) {
+        const icsBtn = document.createElement('button');
+        icsBtn.type = 'button';
+        icsBtn.className = 'ics-btn';
+        icsBtn.textContent = translate('document.ics');
+        icsBtn.title = translate('document.icsTitle');
+        icsBtn.setAttribute('data-booking-id', bookingId);
+        if (groupStudentIds) {
+            icsBtn.setAttribute('data-group-students', groupStudentIds.join(','));
+        }
+        parent.appendChild(icsBtn);
+        
+        const slipBtn = document.createElement('button');
+        slipBtn.type = 'button';
+        slipBtn.className = 'slip-btn';
+        slipBtn.textContent = translate('document.slip');
+        slipBtn.title = translate('document.slipTitle');
+        slipBtn.setAttribute('data-booking-id', bookingId);
+        if (groupStudentIds) {
+            slipBtn.setAttribute('data-group-students', groupStudentIds.join(','));
+        }
+        parent.appendChild(slipBtn);
+    }
+    
+    /**
+     * Adds one term/description pair to the confirmation slip
+     */
+    function appendSlipDetail(term, description) {
+        const termElement = document.createElement('dt');
+        termElement.textContent = term;
+        bookingSlipDetails.appendChild(termElement);
+        
+        const descriptionElement = document.createElement('dd');
+        descriptionElement.textContent = description;
+        bookingSlipDetails.appendChild(descriptionElement);
+    }
+    
+    /**
+     * Fills the confirmation slip with a booking and shows it, ready to print
+     * Every student is listed with their name (when the registry knows them) and their confirmation code
+     */
+    function openBookingSlip(booking) {
+        bookingSlipDetails.innerHTML = '';
+        
+        const pod = engine.findPod(booking.podId);
+        const amenityIcons = pod ? formatAmenityIcons(pod) : '';
+        appendSlipDetail(translate('slip.pod'), amenityIcons ? `${booking.podId} ${amenityIcons}` : booking.podId);
+        appendSlipDetail(translate('slip.date'), formatDateLabel(booking.date, localizer));
+        appendSlipDetail(translate('slip.time'), formatTimeRange(booking.time, booking.duration, localizer));
+        
+        for (let i = 0; i < booking.students.length; i++) {
+            const studentId = booking.students[i];
+            const registeredStudent = engine.findRegisteredStudent(studentId);
+            let studentText = registeredStudent ? `${studentId} (${registeredStudent.name})` : studentId;
+            if (booking.confirmationCodes[studentId]) {
+                studentText += ' · ' + translate('slip.code', { code: booking.confirmationCodes[studentId] });
+            }
+            appendSlipDetail(i === 0 ? translate('slip.students') : '', studentText);
+        }
+        
+        if (booking.seriesId) {
+            appendSlipDetail(translate('slip.series'), translate('slip.seriesSessions', { sessions: localizer.translatePlural('count.sessions', engine.getSeriesBookings(booking.seriesId).length) }));
+        }
+        appendSlipDetail(translate('slip.bookingId'), booking.id);
+        
+        const now = new Date();
+        const issuedTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+        appendSlipDetail(translate('slip.issued'), `${formatDateLabel(getTodayDateString(), localizer)}, ${localizer.formatTime(issuedTime)}`);
+        
+        bookingSlipNote.textContent = translate('slip.note', { graceMinutes: engine.checkInSettings.graceMinutes });
+        
+        // Printing with the slip open prints only the slip (see .printing-slip in styles.css)
+        bookingSlip.hidden = false;
+        container.classList.add('printing-slip');
+        bookingSlip.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        slipPrintButton.focus();
+    }
+    
+    /**
+     * Hides the confirmation slip, so printing shows the whole widget again
+     */
+    function closeBookingSlip() {
+        bookingSlip.hidden = true;
+        container.classList.remove('printing-slip');
+    }
+    
+    /**
+     * Shows a capacity rejection with the option to join the waitlist for that slot
+     */
+    function showWaitlistOffer(request, capacityErrors) {
+        showError(formatEngineErrors(capacityErrors, localizer));
+        
+        const alreadyWaiting = engine.findStudentAlreadyWaiting(request);
+        if (alreadyWaiting) {
+            errorsDiv.appendChild(document.createTextNode(' ' + translate('waitlist.alreadyWaiting', { student: alreadyWaiting })));
+            return;
+        }
+        
+        pendingWaitlistRequest = request;
+        const offerButton = document.createElement('button');
+        offerButton.type = 'button';
+        offerButton.className = 'waitlist-offer-btn';
+        offerButton.textContent = translate('waitlist.offer');
+        errorsDiv.appendChild(offerButton);
+    }
+    
+    /**
+     * Adds ranked alternatives that would take the whole group to a rejection shown in the errors box
+     * Each is a button; clicking one books it (see handleSuggestionClick)
+     */
+    function showSuggestions(request) {
+        pendingSuggestions = engine.suggestAlternatives(request);
+        
+        const suggestionsBlock = document.createElement('div');
+        suggestionsBlock.className = 'suggestions';
+        
+        const heading = document.createElement('p');
+        heading.className = 'suggestions-heading';
+        heading.textContent = translate(pendingSuggestions.length > 0 ? 'suggestion.heading' : 'suggestion.none');
+        suggestionsBlock.appendChild(heading);
+        
+        for (let i = 0; i < pendingSuggestions.length; i++) {
+            const suggestionButton = document.createElement('button');
+            suggestionButton.type = 'button';
+            suggestionButton.className = 'suggestion-btn';
+            suggestionButton.setAttribute('data-suggestion-index', i.toString());
+            suggestionButton.textContent = describeSuggestion(pendingSuggestions[i], request, localizer);
+            suggestionsBlock.appendChild(suggestionButton);
+        }
+        errorsDiv.appendChild(suggestionsBlock);
+    }
+    
+    /**
+     * Adds the weekly repeat pattern from the booking form to a booking request
+     * Returns { series, error } where error is a message when the skip dates can't be read
+     */
+    function readSeriesRequest(request) {
+        const weekdays = [];
+        const checkboxes = repeatWeekdaysContainer.querySelectorAll('input[type="checkbox"]');
+        for (let i = 0; i < checkboxes.length; i++) {
+            if (checkboxes[i].checked) {
+                weekdays.push(parseInt(checkboxes[i].value, 10));
+            }
+        }
+        
+        const skipDates = parseSkipDates(repeatSkipInput.value);
+        if (skipDates.invalid.length > 0) {
+            return { series: null, error: translate('series.invalidSkipDates', { dates: skipDates.invalid.join(', ') }) };
+        }
+        
+        const series = {
+            podId: request.podId,
+            date: request.date,
+            time: request.time,
+            duration: request.duration,
+            students: request.students,
+            endDate: repeatUntilInput.value,
+            weekdays: weekdays,
+            skipDates: skipDates.dates
+        };
+        return { series: series, error: null };
+    }
+    
+    /**
+     * Lists every date of a weekly series under the booking form: free, clashing (with the reasons) or skipped
+     */
+    function renderSeriesPreview(preview) {
+        seriesPreview.innerHTML = '';
+        
+        const summary = document.createElement('p');
+        summary.className = 'series-summary';
+        seriesPreview.appendChild(summary);
+        if (preview.errors.length > 0) {
+            summary.textContent = formatEngineErrors(preview.errors, localizer);
+            return;
+        }
+        
+        let free = 0;
+        let clashing = 0;
+        let skipped = 0;
+        const list = document.createElement('ul');
+        list.className = 'series-occurrences';
+        for (let i = 0; i < preview.occurrences.length; i++) {
+            const occurrence = preview.occurrences[i];
+            const item = document.createElement('li');
+            item.setAttribute('data-date', occurrence.date);
+            
+            if (occurrence.skipped) {
+                skipped++;
+                item.className = 'series-skipped';
+                item.textContent = translate('series.skipped', { date: formatDateLabel(occurrence.date, localizer) });
+            } else if (occurrence.errors.length > 0) {
+                clashing++;
+                item.className = 'series-clash';
+                item.textContent = `⚠️ ${formatDateLabel(occurrence.date, localizer)}: ${formatEngineErrors(occurrence.errors, localizer)}`;
+            } else {
+                free++;
+                item.className = 'series-free';
+                item.textContent = `✅ ${formatDateLabel(occurrence.date, localizer)}`;
+            }
+            list.appendChild(item);
+        }
+        
+        summary.textContent = preview.occurrences.length === 0
+            ? translate('series.noDates')
+            : localizer.translatePlural('series.summary', free + clashing, { free: free, clashing: clashing, skipped: skipped });
+        seriesPreview.appendChild(list);
+    }
+    
+    /**
+     * Books the weekly series set up in the booking form, all or nothing
+     * When any date clashes nothing is booked and the preview shows which dates to skip or move
+     */
+    function bookSeriesFromForm(request) {
+        const read = readSeriesRequest(request);
+        if (read.error) {
+            showError(read.error);
+            repeatSkipInput.focus();
+            return;
+        }
+        
+        catchUpWithOtherTabs();
+        releaseNoShowBookings();
+        const stateBefore = captureState();
+        const result = engine.bookSeries(read.series);
+        renderSeriesPreview(result.preview);
+        
+        if (!result.ok) {
+            if (result.preview.errors.length > 0) {
+                showError(formatEngineErrors(result.preview.errors, localizer));
+            } else {
+                showError(translate('series.clash'));
+            }
+            return;
+        }
+        saveState();
+        
+        const first = result.bookings[0];
+        const last = result.bookings[result.bookings.length - 1];
+        recordHistory(translate('history.bookSeries', {
+            sessions: localizer.translatePlural('count.sessions', result.bookings.length),
+            pod: request.podId,
+            time: localizer.formatTime(request.time)
+        }), stateBefore);
+        
+        selectedDate = first.date;
+        renderBookingsTable();
+        renderInsights();
+        showSuccess(localizer.translatePlural('series.booked', result.bookings.length, {
+            students: localizer.translatePlural('count.students', request.students.length),
+            pod: request.podId,
+            timeRange: formatTimeRange(request.time, request.duration, localizer),
+            firstDate: formatDateLabel(first.date, localizer),
+            lastDate: formatDateLabel(last.date, localizer),
+            codes: describeConfirmationCodes(result.codes, localizer)
+        }), true);
+        
+        studentsInput.value = '';
+        studentsInput.focus();
+    }
+    
+    // Event Handlers
+    
+    /**
+     * Handles form submission with complete validation and booking creation
+     * Implements all business rules and provides user feedback
+     */
+    function handleFormSubmit(event) {
+        event.preventDefault();
+        clearMessages();
+        
+        // Get form values
+        const podId = podSelect.value;
+        const dateString = dateInput.value;
+        const timeString = timeInput.value;
+        const duration = parseInt(durationSelect.value, 10);
+        const studentsInputValue = studentsInput.value;
+        
+        // Basic input validation
+        if (!podId) {
+            showError(translate('form.selectPod'));
+            podSelect.focus();
+            return;
+        }
+        
+        if (!dateString) {
+            showError(translate('form.selectDate'));
+            dateInput.focus();
+            return;
+        }
+        
+        if (!timeString) {
+            showError(translate('form.selectTime'));
+            timeInput.focus();
+            return;
+        }
+        
+        if (!studentsInputValue.trim()) {
+            showError(translate('form.enterStudents'));
+            studentsInput.focus();
+            return;
+        }
+        
+        // Parse and validate student IDs
+        const studentIds = parseStudentIds(studentsInputValue);
+        
+        if (studentIds.length === 0) {
+            showError(translate('form.noValidStudents'));
+            studentsInput.focus();
+            return;
+        }
+        
+        // Validate against business rules
+        const request = {
+            podId: podId,
+            date: dateString,
+            time: timeString,
+            duration: duration,
+            students: studentIds
+        };
+        
+        // A weekly series is booked session by session under the same rules
+        if (repeatWeeklyInput.checked) {
+            bookSeriesFromForm(request);
+            return;
+        }
+        
+        // Create or merge booking (only a group with the same start and length is merged into),
+        // checked against the newest bookings in case another tab has just saved some and with
+        // no-shows' seats released
+        catchUpWithOtherTabs();
+        releaseNoShowBookings();
+        const stateBefore = captureState();
+        const result = engine.book(request);
+        
+        if (!result.ok) {
+            engine.logRejectedAttempt(request, result.errors);
+            saveState(); // Keep the violation breakdown and log in step with the rejected attempt
+            renderViolationLog();
+            
+            // A group that only fails on capacity can join the waitlist for the slot
+            let onlyCapacity = true;
+            for (let i = 0; i < result.errors.length; i++) {
+                if (result.errors[i].code !== ERROR_CODES.CAPACITY_EXCEEDED) {
+                    onlyCapacity = false;
+                    break;
+                }
+            }
+            
+            if (onlyCapacity) {
+                showWaitlistOffer(request, result.errors);
+            } else {
+                showError(formatEngineErrors(result.errors, localizer));
+                renderInsights();
+            }
+            
+            // Full pods and clashes with other pods are where another slot helps
+            for (let i = 0; i < result.errors.length; i++) {
+                if (result.errors[i].code === ERROR_CODES.CAPACITY_EXCEEDED || result.errors[i].code === ERROR_CODES.CROSS_POD_CLASH) {
+                    showSuggestions(request);
+                    break;
+                }
+            }
+            return;
+        }
+        saveState();
+        const merged = result.merged;
+        
+        const studentText = localizer.translatePlural('count.students', studentIds.length);
+        recordHistory(translate(merged ? 'history.addToBooking' : 'history.book', {
+            students: studentText,
+            pod: podId,
+            time: localizer.formatTime(timeString)
+        }), stateBefore);
+        
+        // Show the day that was just booked so the new row is visible
+        selectedDate = dateString;
+        
+        // Update UI
+        renderBookingsTable();
+        renderInsights();
+        
+        // Success feedback and reset form for next booking
+        let successMessage = translate('booking.booked', {
+            students: studentText,
+            pod: podId,
+            date: formatDateLabel(dateString, localizer),
+            timeRange: formatTimeRange(timeString, duration, localizer)
+        });
+        successMessage += ` ${translate('booking.codesNote', { codes: describeConfirmationCodes(result.codes, localizer) })}`;
+        
+        // Flag policy: the booking goes ahead, but staff are told which IDs to double-check
+        const unknownIds = engine.findUnregisteredStudentIds(studentIds);
+        if (unknownIds.length > 0) {
+            successMessage += ` ${localizer.translatePlural('booking.unregistered', unknownIds.length, { students: unknownIds.join(', ') })}`;
+        }
+        showSuccess(successMessage, true);
+        appendBookingDocumentButtons(successDiv, result.booking.id, studentIds); // Just this group, even when merged
+        
+        // Reset form and focus for quick librarian workflow
+        studentsInput.value = '';
+        studentsInput.focus();
+    }
+    
+    /**
+     * Handles booking removal using event delegation
+     * Allows dynamic removal without rebinding events
+     */
+    function handleRemoveBooking(event) {
+        if (event.target.classList.contains('remove-btn')) {
+            catchUpWithOtherTabs();
+            const stateBefore = captureState();
+            
+            // The engine removes the booking, then lets waitlisted groups take the freed seats
+            const result = engine.cancel(event.target.getAttribute('data-booking-id'));
+            
+            if (result.ok) {
+                const removedBooking = result.booking;
+                const promoted = result.promoted;
+                saveState();
+                recordHistory(translate('history.removeBooking', { pod: removedBooking.podId, time: localizer.formatTime(removedBooking.time) }), stateBefore);
+                
+                if (editingBooking === removedBooking) {
+                    closeEditPanel();
+                }
+                
+                // Update UI
+                renderBookingsTable();
+                renderInsights();
+                
+                // Confirmation feedback
+                showSuccess(translate('booking.removed', {
+                    students: localizer.translatePlural('count.students', removedBooking.students.length),
+                    pod: removedBooking.podId,
+                    date: formatDateLabel(removedBooking.date, localizer),
+                    timeRange: formatTimeRange(removedBooking.time, removedBooking.duration, localizer)
+                }) + describePromotions(promoted, localizer), true);
+            } else {
+                // Removed in another tab a moment ago
+                showError(formatEngineErrors(result.errors, localizer));
+            }
+        }
+    }
+    
+    /**
+     * Handles cancelling the rest of a weekly series from any of its rows, using event delegation
+     * Sessions that have started are kept; a single session is removed with the row's own remove button
+     */
+    function handleCancelSeriesClick(event) {
+        if (!event.target.classList.contains('cancel-series-btn')) {
+            return;
+        }
+        
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.cancelSeries(event.target.getAttribute('data-series-id'));
+        if (!result.ok) {
+            // Cancelled in another tab a moment ago, or only sessions that have started are left
+            showError(formatEngineErrors(result.errors, localizer));
+            return;
+        }
+        saveState();
+        
+        const first = result.removed[0];
+        recordHistory(translate('history.cancelSeries', { pod: first.podId, time: localizer.formatTime(first.time) }), stateBefore);
+        if (editingBooking && result.removed.indexOf(editingBooking) !== -1) {
+            closeEditPanel();
+        }
+        
+        renderBookingsTable();
+        renderInsights();
+        showSuccess(localizer.translatePlural('series.cancelled', result.removed.length, {
+            pod: first.podId,
+            timeRange: formatTimeRange(first.time, first.duration, localizer)
+        }) + describePromotions(result.promoted, localizer), true);
+    }
+    
+    /**
+     * Shows the weekly repeat options when "Repeat weekly" is ticked, starting on the chosen date's weekday
+     */
+    function handleRepeatToggle() {
+        repeatFields.hidden = !repeatWeeklyInput.checked;
+        seriesPreview.innerHTML = '';
+        if (!repeatWeeklyInput.checked) {
+            return;
+        }
+        
+        const firstDate = parseDateString(dateInput.value);
+        const checked = repeatWeekdaysContainer.querySelectorAll('input:checked');
+        if (firstDate && checked.length === 0) {
+            repeatWeekdaysContainer.querySelector(`input[value="${firstDate.getDay()}"]`).checked = true;
+        }
+    }
+    
+    /**
+     * Previews a weekly series from the booking form without booking anything
+     */
+    function handlePreviewSeriesClick() {
+        clearMessages();
+        const request = {
+            podId: podSelect.value,
+            date: dateInput.value,
+            time: timeInput.value,
+            duration: parseInt(durationSelect.value, 10),
+            students: parseStudentIds(studentsInput.value)
+        };
+        
+        const read = readSeriesRequest(request);
+        if (read.error) {
+            showError(read.error);
+            return;
+        }
+        
+        catchUpWithOtherTabs();
+        renderSeriesPreview(engine.previewSeries(read.series));
+    }
+    
+    /**
+     * Handles removing a single student from a booking using event delegation
+     * Removing the last student removes the whole booking
+     */
+    function handleRemoveStudent(event) {
+        if (!event.target.classList.contains('remove-student-btn')) {
+            return;
+        }
+        
+        const studentId = event.target.getAttribute('data-student-id');
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.cancel(event.target.getAttribute('data-booking-id'), studentId);
+        if (!result.ok) {
+            showError(formatEngineErrors(result.errors, localizer));
+            return;
+        }
+        
+        const booking = result.booking;
+        const promoted = result.promoted;
+        if (editingBooking === booking) {
+            if (result.removed) {
+                closeEditPanel();
+            } else {
+                editStudentsInput.value = booking.students.join(', ');
+            }
+        }
+        saveState();
+        recordHistory(translate('history.removeStudent', { student: studentId, pod: booking.podId, time: localizer.formatTime(booking.time) }), stateBefore);
+        
+        // Update UI
+        renderBookingsTable();
+        renderInsights();
+        
+        if (result.removed) {
+            showSuccess(translate('booking.removedLastStudent', { student: studentId, pod: booking.podId }) + describePromotions(promoted, localizer), true);
+        } else {
+            showSuccess(translate('booking.removedStudent', {
+                student: studentId,
+                pod: booking.podId,
+                date: formatDateLabel(booking.date, localizer),
+                timeRange: formatTimeRange(booking.time, booking.duration, localizer)
+            }) + describePromotions(promoted, localizer), true);
+        }
+    }
+    
+    /**
+     * Handles the self-service lookup: lists the student's bookings, matched the way the clash rules match IDs
+     */
+    function handleStudentLookupSubmit(event) {
+        event.preventDefault();
+        const studentId = lookupStudentInput.value.trim().toUpperCase();
+        if (!studentId) {
+            showStudentLookupMessage(translate('student.enterId'), true);
+            return;
+        }
+        
+        catchUpWithOtherTabs();
+        lookedUpStudentId = studentId;
+        studentLookupMessages.className = 'registry-messages';
+        renderStudentBookings();
+    }
+    
+    /**
+     * Cancels the looked-up student's own seat when the confirmation code matches (delegated from the list)
+     */
+    function handleSelfCancelSubmit(event) {
+        if (!event.target.classList.contains('self-cancel-form')) {
+            return;
+        }
+        event.preventDefault();
+        
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const code = event.target.querySelector('.confirmation-code-input').value;
+        const result = engine.cancelOwnSeat(event.target.getAttribute('data-booking-id'), lookedUpStudentId, code);
+        if (!result.ok) {
+            showStudentLookupMessage(formatEngineErrors(result.errors, localizer), true);
+            return;
+        }
+        
+        const booking = result.booking;
+        if (editingBooking === booking) {
+            if (result.removed) {
+                closeEditPanel();
+            } else {
+                editStudentsInput.value = booking.students.join(', ');
+            }
+        }
+        saveState();
+        recordHistory(translate('history.cancelOwnSeat', { student: lookedUpStudentId, pod: booking.podId, time: localizer.formatTime(booking.time) }), stateBefore);
+        
+        // Update UI (the table refresh also redraws the self-service list)
+        renderBookingsTable();
+        renderInsights();
+        showStudentLookupMessage(translate('student.seatCancelled', {
+            pod: booking.podId,
+            date: formatDateLabel(booking.date, localizer),
+            timeRange: formatTimeRange(booking.time, booking.duration, localizer)
+        }), false);
+    }
+    
+    /**
+     * Checks in a whole booking or a single student using event delegation on the table
+     */
+    function handleCheckInClick(event) {
+        const isStudentButton = event.target.classList.contains('check-in-student-btn');
+        if (!isStudentButton && !event.target.classList.contains('check-in-btn')) {
+            return;
+        }
+        
+        const studentId = isStudentButton ? event.target.getAttribute('data-student-id') : undefined;
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.checkIn(event.target.getAttribute('data-booking-id'), studentId);
+        if (!result.ok) {
+            showError(formatEngineErrors(result.errors, localizer));
+            renderBookingsTable();
+            return;
+        }
+        
+        const booking = result.booking;
+        saveState();
+        recordHistory(translate('history.checkIn', { students: result.checkedIn.join(', '), pod: booking.podId, time: localizer.formatTime(booking.time) }), stateBefore);
+        
+        // Update UI
+        renderBookingsTable();
+        renderInsights();
+        showSuccess(translate('checkIn.done', {
+            students: result.checkedIn.join(', '),
+            pod: booking.podId,
+            timeRange: formatTimeRange(booking.time, booking.duration, localizer)
+        }), true);
+    }
+    
+    /**
+     * Releases today's bookings whose group hasn't checked in by the end of the grace period
+     * Runs on start-up, every minute and before each new booking, so the freed seats can be booked
+     * A release is its own step in the history, so undoing it brings a late group's booking back (until the next check)
+     * and the changes before it can still be undone
+     */
+    function releaseNoShowBookings() {
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.releaseNoShows();
+        if (result.released.length === 0) {
+            return;
+        }
+        
+        // Bookings from earlier days (e.g. ones the desk was closed on) are named with their date
+        const today = engine.today();
+        const parts = [];
+        for (let i = 0; i < result.released.length; i++) {
+            const noShow = result.released[i];
+            parts.push(noShow.date === today
+                ? translate('noShow.slot', { pod: noShow.podId, time: localizer.formatTime(noShow.time) })
+                : translate('noShow.slotOnDate', { pod: noShow.podId, date: formatDateLabel(noShow.date, localizer), time: localizer.formatTime(noShow.time) }));
+        }
+        
+        saveState();
+        recordHistory(translate('history.releaseNoShows', { slots: parts.join('; ') }), stateBefore);
+        refreshEditingBooking();
+        renderBookingsTable();
+        renderInsights();
+        showSuccess(translate('noShow.released', {
+            graceMinutes: engine.checkInSettings.graceMinutes,
+            slots: parts.join('; ')
+        }) + describePromotions(result.promoted, localizer), true);
+    }
+    
+    /**
+     * Opens the edit panel for a booking using event delegation on the table
+     */
+    function handleEditBookingClick(event) {
+        if (!event.target.classList.contains('edit-btn')) {
+            return;
+        }
+        
+        const booking = engine.findBookingById(event.target.getAttribute('data-booking-id'));
+        if (booking) {
+            openEditPanel(booking);
+        }
+    }
+    
+    /**
+     * Loads a booking into the edit panel
+     */
+    function openEditPanel(booking) {
+        editingBooking = booking;
+        
+        // Active pods, plus the booking's own pod so the current value is always selectable
+        editPodSelect.innerHTML = '';
+        for (let i = 0; i < engine.pods.length; i++) {
+            const pod = engine.pods[i];
+            if (pod.retired && pod.id !== booking.podId) {
+                continue;
+            }
+            const option = document.createElement('option');
+            option.value = pod.id;
+            option.textContent = pod.retired ? translate('edit.retiredPod', { pod: pod.id }) : pod.id;
+            editPodSelect.appendChild(option);
+        }
+        
+        editFormTitle.textContent = translate('edit.title', {
+            pod: booking.podId,
+            date: formatDateLabel(booking.date, localizer),
+            timeRange: formatTimeRange(booking.time, booking.duration, localizer)
+        });
+        editPodSelect.value = booking.podId;
+        editDateInput.value = booking.date;
+        editTimeInput.value = booking.time;
+        editDurationSelect.value = booking.duration.toString();
+        editStudentsInput.value = booking.students.join(', ');
+        editErrorsDiv.className = '';
+        editForm.hidden = false;
+        
+        editForm.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        editStudentsInput.focus();
+    }
+    
+    /**
+     * Hides the edit panel and forgets the booking being edited
+     */
+    function closeEditPanel() {
+        editingBooking = null;
+        editForm.hidden = true;
+        editErrorsDiv.className = '';
+    }
+    
+    /**
+     * Saves the edit panel: re-validates the changed booking with the same rules as a new one,
+     * ignoring the booking's own current seats, then updates it in place
+     */
+    function handleEditFormSubmit(event) {
+        event.preventDefault();
+        
+        if (!editingBooking) {
+            return;
+        }
+        
+        const studentIds = parseStudentIds(editStudentsInput.value);
+        if (studentIds.length === 0) {
+            editErrorsDiv.textContent = translate('edit.noStudents');
+            editErrorsDiv.className = 'show';
+            return;
+        }
+        
+        // Check against the newest bookings; another tab may have removed this one, closing the panel
+        catchUpWithOtherTabs();
+        if (!editingBooking) {
+            showError(translate('error.BOOKING_NOT_FOUND'));
+            return;
+        }
+        
+        const stateBefore = captureState();
+        const result = engine.update(editingBooking.id, {
+            podId: editPodSelect.value,
+            date: editDateInput.value,
+            time: editTimeInput.value,
+            duration: parseInt(editDurationSelect.value, 10),
+            students: studentIds
+        });
+        
+        if (!result.ok) {
+            saveState(); // Keep the violation breakdown in step with the rejected attempt
+            editErrorsDiv.textContent = formatEngineErrors(result.errors, localizer);
+            editErrorsDiv.className = 'show';
+            renderInsights();
+            return;
+        }
+        
+        // Moving or shrinking a booking can free seats, so the engine may have promoted waitlisted groups
+        const booking = result.booking;
+        const promoted = result.promoted;
+        saveState();
+        recordHistory(translate('history.editBooking', { pod: booking.podId, time: localizer.formatTime(booking.time) }), stateBefore);
+        closeEditPanel();
+        
+        // Follow the booking if it moved to another day
+        selectedDate = booking.date;
+        
+        // Update UI
+        renderBookingsTable();
+        renderInsights();
+        
+        const codeText = Object.keys(result.codes).length > 0 ? ' ' + translate('booking.codesNote', { codes: describeConfirmationCodes(result.codes, localizer) }) : '';
+        showSuccess(translate('edit.updated', {
+            students: localizer.translatePlural('count.students', booking.students.length),
+            pod: booking.podId,
+            date: formatDateLabel(booking.date, localizer),
+            timeRange: formatTimeRange(booking.time, booking.duration, localizer)
+        }) + codeText + describePromotions(promoted, localizer), true);
+    }
+    
+    /**
+     * Handles the "Reset Day" action: clears saved state and starts over from the initial bookings
+     * Asks for confirmation first because it cannot be undone
+     */
+    function handleResetDay() {
+        if (!window.confirm(translate('reset.confirm'))) {
+            return;
+        }
+        
+        clearSavedState();
+        closeEditPanel();
+        clearHistory(); // A reset is deliberate and can't be undone
+        const stateBefore = captureState();
+        engine.replaceState({ bookings: createInitialBookings(seedBookings), waitlist: [], noShows: [], violationCounts: createViolationCounts(), violationLog: [] });
+        selectedDate = getTodayDateString();
+        saveState(); // The pod catalogue is configuration, not the day's data, so keep it
+        announceBookingChanges(stateBefore.bookings);
+        
+        // Update UI
+        renderBookingsTable();
+        renderInsights();
+        renderViolationLog();
+        
+        showSuccess(translate('reset.done'));
+    }
+    
+    /**
+     * Handles the pod admin form: adds a new pod or saves changes to the one being edited
+     */
+    function handlePodFormSubmit(event) {
+        event.preventDefault();
+        
+        const amenities = [];
+        const checkboxes = podAmenitiesContainer.querySelectorAll('input[type="checkbox"]');
+        for (let i = 0; i < checkboxes.length; i++) {
+            if (checkboxes[i].checked) {
+                amenities.push(checkboxes[i].value);
+            }
+        }
+        
+        const podData = {
+            id: editingPodId || podIdInput.value.trim().toUpperCase(),
+            capacity: Number(podCapacityInput.value),
+            minGroupSize: Number(podMinGroupInput.value),
+            amenities: amenities,
+            openTime: podOpenInput.value,
+            closeTime: podCloseInput.value,
+            retired: false
+        };
+        
+        const result = engine.savePod(podData, editingPodId);
+        if (!result.ok) {
+            podFormErrors.textContent = formatEngineErrors(result.errors, localizer);
+            podFormErrors.className = 'show';
+            return;
+        }
+        
+        if (editingPodId) {
+            showSuccess(translate('podAdmin.updated', { pod: result.pod.id }));
+        } else {
+            showSuccess(translate('podAdmin.added', { pod: result.pod.id, students: localizer.translatePlural('count.students', result.pod.capacity) }));
+        }
+        
+        fillPodForm(null);
+        refreshAfterPodChange();
+    }
+    
+    /**
+     * Abandons an edit and returns the admin form to "Add a Pod"
+     */
+    function handlePodFormCancel() {
+        fillPodForm(null);
+    }
+    
+    /**
+     * Handles edit and retire/restore buttons in the pod admin table using event delegation
+     */
+    function handlePodAdminClick(event) {
+        const podId = event.target.getAttribute('data-pod-id');
+        const pod = engine.findPod(podId);
+        if (!pod) {
+            return;
+        }
+        
+        if (event.target.classList.contains('pod-edit-btn')) {
+            fillPodForm(pod);
+            podCapacityInput.focus();
+            return;
+        }
+        
+        if (event.target.classList.contains('pod-retire-btn')) {
+            if (!pod.retired) {
+                // Existing bookings are kept so nobody loses a seat they already have
+                const upcomingCount = engine.countUpcomingBookings(pod.id);
+                if (upcomingCount > 0 && !window.confirm(localizer.translatePlural('podAdmin.retireConfirm', upcomingCount, { pod: pod.id }))) {
+                    return;
+                }
+            }
+            
+            engine.setPodRetired(pod.id, !pod.retired);
+            if (editingPodId === pod.id) {
+                fillPodForm(null);
+            }
+            refreshAfterPodChange();
+            showSuccess(translate(pod.retired ? 'podAdmin.retiredDone' : 'podAdmin.restored', { pod: pod.id }));
+        }
+    }
+    
+    /**
+     * Handles clicks on availability grid cells using event delegation
+     * Prefills the booking form with the chosen pod, day and hour
+     */
+    function handleAvailabilityClick(event) {
+        const slotButton = event.target.closest('.slot-btn');
+        if (!slotButton || slotButton.disabled) {
+            return;
+        }
+        
+        podSelect.value = slotButton.getAttribute('data-pod-id');
+        renderStudentsHint();
+        dateInput.value = selectedDate;
+        timeInput.value = slotButton.getAttribute('data-time');
+        clearMessages();
+        
+        // Student IDs are the only thing left to fill in
+        studentsInput.focus();
+    }
+    
+    /**
+     * Saves the student ID pattern and unknown-ID policy
+     * Rejects patterns that are not valid regular expressions
+     */
+    function handleStudentSettingsSubmit(event) {
+        event.preventDefault();
+        
+        const pattern = idPatternInput.value.trim();
+        if (pattern === '') {
+            showRegistryMessage(translate('registry.patternEmpty'), true);
+            return;
+        }
+        
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            showRegistryMessage(translate('registry.patternInvalid', { error: error.message }), true);
+            return;
+        }
+        
+        engine.studentSettings.idPattern = pattern;
+        engine.studentSettings.unknownIdPolicy = unknownPolicySelect.value;
+        saveState();
+        renderStudentRegistry();
+        showRegistryMessage(translate('registry.settingsSaved'), false);
+    }
+    
+    /**
+     * Saves the check-in grace period, then releases any bookings it has already run out for
+     */
+    function handleCheckInSettingsSubmit(event) {
+        event.preventDefault();
+        
+        const result = engine.setGraceMinutes(Number(graceMinutesInput.value));
+        if (!result.ok) {
+            showCheckInMessage(formatEngineErrors(result.errors, localizer), true);
+            return;
+        }
+        
+        saveState();
+        renderCheckInSettings();
+        showCheckInMessage(localizer.translatePlural('checkIn.saved', engine.checkInSettings.graceMinutes), false);
+        releaseNoShowBookings();
+    }
+    
+    /**
+     * Saves the fair-use limits; bookings already made are kept even if they break a new limit
+     */
+    function handlePolicySettingsSubmit(event) {
+        event.preventDefault();
+        
+        const result = engine.setPolicySettings({
+            maxHoursPerDay: Number(maxHoursPerDayInput.value),
+            maxConsecutiveHours: Number(maxConsecutiveHoursInput.value),
+            maxDaysAhead: Number(maxDaysAheadInput.value)
+        });
+        if (!result.ok) {
+            showPolicyMessage(formatEngineErrors(result.errors, localizer), true);
+            return;
+        }
+        
+        saveState();
+        renderPolicySettings();
+        showPolicyMessage(translate('policy.saved'), false);
+    }
+    
+    /**
+     * Imports the student registry from a CSV or JSON file, replacing the current one
+     */
+    function handleRegistryFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.addEventListener('load', function () {
+            let result;
+            try {
+                result = parseRegistryFile(file.name, reader.result);
+            } catch (error) {
+                showRegistryMessage(translate('file.unreadableDetail', { file: file.name, error: error.message }), true);
+                return;
+            }
+            
+            if (result.students.length === 0) {
+                showRegistryMessage(translate('registry.noneValid', { file: file.name, skipped: result.skipped.join(' | ') }), true);
+                return;
+            }
+            
+            engine.replaceState({ studentRegistry: result.students });
+            saveState();
+            renderStudentRegistry();
+            renderBookingsTable(); // Student chips show registry names
+            
+            let message = localizer.translatePlural('registry.imported', result.students.length, { file: file.name });
+            if (result.skipped.length > 0) {
+                message += ` ${translate('registry.skipped', { count: result.skipped.length, skipped: result.skipped.join(' | ') })}`;
+            }
+            showRegistryMessage(message, false);
+        });
+        reader.addEventListener('error', function () {
+            showRegistryMessage(translate('file.unreadable', { file: file.name }), true);
+        });
+        reader.readAsText(file);
+        
+        // Allow the same file to be picked again after it has been edited
+        registryFileInput.value = '';
+    }
+    
+    /**
+     * Clears the student registry so only the ID format is checked
+     */
+    function handleRegistryClear() {
+        if (!window.confirm(translate('registry.clearConfirm'))) {
+            return;
+        }
+        
+        engine.replaceState({ studentRegistry: [] });
+        saveState();
+        renderStudentRegistry();
+        renderBookingsTable();
+        showRegistryMessage(translate('registry.cleared'), false);
+    }
+    
+    /**
+     * Switches the table and insights panel to another day
+     * The booking form follows along so new bookings default to the day being viewed
+     */
+    function showDay(dateString) {
+        if (!parseDateString(dateString)) {
+            return;
+        }
+        
+        selectedDate = dateString;
+        dateInput.value = dateString;
+        
+        renderBookingsTable();
+        renderInsights();
+    }
+    
+    /**
+     * Handles the day switcher controls (previous/next/today buttons and the date picker)
+     */
+    function handleDaySwitch(event) {
+        if (event.currentTarget === prevDayButton) {
+            showDay(addDays(selectedDate, -1));
+        } else if (event.currentTarget === nextDayButton) {
+            showDay(addDays(selectedDate, 1));
+        } else if (event.currentTarget === todayButton) {
+            showDay(getTodayDateString());
+        } else {
+            showDay(dayPicker.value);
+        }
+    }
+    
+    /**
+     * Handles clicks on the sortable column headers (delegated from the table head)
+     * A new column sorts ascending; clicking the sorted column again flips the direction
+     */
+    function handleSortClick(event) {
+        if (!event.target.classList.contains('sort-btn')) {
+            return;
+        }
+        
+        const sortKey = event.target.getAttribute('data-sort-key');
+        bookingSort = {
+            key: sortKey,
+            descending: bookingSort.key === sortKey ? !bookingSort.descending : false
+        };
+        renderBookingsTable();
+    }
+    
+    /**
+     * Handles the Clear filters button: empties the search and every filter, keeping the sort order
+     */
+    function handleClearBookingFilters() {
+        bookingSearchInput.value = '';
+        bookingPodFilter.value = '';
+        bookingFromFilter.value = '';
+        bookingToFilter.value = '';
+        bookingOccupancyFilter.value = '';
+        renderBookingsTable();
+    }
+    
+    /**
+     * Handles the language and clock switchers: remembers the choice in this browser and redraws the widget with it
+     * Messages already on screen stay as they were; everything drawn from now on uses the new language
+     */
+    function handleDisplaySettingsChange() {
+        localizer = new Localizer(languageSelect.value, timeFormatSelect.value);
+        saveDisplaySettings();
+        
+        renderDisplaySettings();
+        populatePodSelect();
+        populateDurationSelect(durationSelect, localizer);
+        populateDurationSelect(editDurationSelect, localizer);
+        populateWeekdayOptions();
+        populateAmenityOptions();
+        renderPodFormTitle();
+        renderPodAdmin();
+        renderStudentRegistry();
+        renderHistoryControls();
+        renderViolationLog();
+        renderBookingsTable();
+        renderInsights();
+        if (pendingImport) {
+            renderImportPreview(pendingImport.fileName, previewImportRows(pendingImport.rows));
+        }
+        seriesPreview.innerHTML = ''; // Previewed again in the new language on the next Preview
+    }
+    
+    /**
+     * Handles the Export buttons: downloads the selected day's bookings as CSV or JSON
+     */
+    function handleExportClick(event) {
+        const dayBookings = engine.getBookingsForDate(selectedDate);
+        if (dayBookings.length === 0) {
+            showError(translate('export.empty', { date: formatDateLabel(selectedDate, localizer) }));
+            return;
+        }
+        
+        const baseName = `study-pod-bookings-${selectedDate}`;
+        if (event.currentTarget === exportJsonButton) {
+            downloadFile(`${baseName}.json`, 'application/json', buildBookingsJson(dayBookings, selectedDate));
+        } else {
+            downloadFile(`${baseName}.csv`, 'text/csv', buildBookingsCsv(dayBookings));
+        }
+        showSuccess(localizer.translatePlural('export.done', dayBookings.length, { date: formatDateLabel(selectedDate, localizer) }));
+    }
+    
+    /**
+     * Handles the "Export .ics" button: downloads the selected day's bookings in the chosen pod (or every pod)
+     * as an iCalendar file for the library's shared calendar, without the students' confirmation codes
+     */
+    function handleIcsExportClick() {
+        const podId = icsPodSelect.value;
+        const dayBookings = engine.getBookingsForDate(selectedDate);
+        const exported = [];
+        for (let i = 0; i < dayBookings.length; i++) {
+            if (!podId || dayBookings[i].podId === podId) {
+                exported.push(dayBookings[i]);
+            }
+        }
+        
+        const date = formatDateLabel(selectedDate, localizer);
+        if (exported.length === 0) {
+            showError(podId ? translate('export.emptyPod', { pod: podId, date: date }) : translate('export.empty', { date: date }));
+            return;
+        }
+        
+        const fileName = podId ? `study-pod-${podId}-${selectedDate}.ics` : `study-pod-bookings-${selectedDate}.ics`;
+        const calendarName = podId ? translate('ics.calendar', { pod: podId }) : translate('ics.allPodsCalendar');
+        downloadFile(fileName, 'text/calendar', buildBookingsIcs(exported, calendarName, false, localizer));
+        showSuccess(podId
+            ? localizer.translatePlural('export.icsPodDone', exported.length, { pod: podId, date: date })
+            : localizer.translatePlural('export.icsDone', exported.length, { date: date }));
+    }
+    
+    /**
+     * Handles the calendar and slip buttons of a booking, in the bookings table and the booking toast
+     * Buttons with the group's student IDs cover just that group of a merged booking
+     */
+    function handleBookingDocumentClick(event) {
+        const isIcs = event.target.classList.contains('ics-btn');
+        if (!isIcs && !event.target.classList.contains('slip-btn')) {
+            return;
+        }
+        
+        // The toast's buttons outlive the booking when it is undone or cancelled elsewhere
+        let booking = engine.findBookingById(event.target.getAttribute('data-booking-id'));
+        const groupStudents = event.target.getAttribute('data-group-students');
+        if (booking && groupStudents) {
+            booking = narrowBookingToGroup(booking, groupStudents.split(','));
+        }
+        if (!booking || booking.students.length === 0) {
+            showError(translate('booking.gone'));
+            return;
+        }
+        
+        if (isIcs) {
+            const fileName = `study-pod-${booking.podId}-${booking.date}-${booking.time.replace(':', '')}.ics`;
+            downloadFile(fileName, 'text/calendar', buildBookingsIcs([booking], translate('ics.calendar', { pod: booking.podId }), true, localizer));
+        } else {
+            openBookingSlip(booking);
+        }
+    }
+    
+    /**
+     * Prints the open confirmation slip (the print styles leave the rest of the widget out)
+     */
+    function handleSlipPrintClick() {
+        window.print();
+    }
+    
+    /**
+     * Downloads the violation log entries that match the current filters as CSV or JSON
+     */
+    function handleViolationExportClick(event) {
+        const entries = engine.filterViolationLog(getViolationLogFilters());
+        if (entries.length === 0) {
+            showError(translate('violations.exportEmpty'));
+            return;
+        }
+        
+        const baseName = `study-pod-violations-${getTodayDateString()}`;
+        if (event.currentTarget === violationExportJsonButton) {
+            downloadFile(`${baseName}.json`, 'application/json', buildViolationLogJson(entries));
+        } else {
+            downloadFile(`${baseName}.csv`, 'text/csv', buildViolationLogCsv(entries));
+        }
+        showSuccess(localizer.translatePlural('violations.exported', entries.length));
+    }
+    
+    /**
+     * Reads an import file and shows the preview of accepted and rejected rows
+     */
+    function handleImportFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.addEventListener('load', function () {
+            let rows;
+            try {
+                rows = parseBookingsFile(file.name, reader.result, selectedDate, localizer);
+            } catch (error) {
+                closeImportPreview();
+                showError(translate('file.unreadableDetail', { file: file.name, error: error.message }));
+                return;
+            }
+            
+            if (rows.length === 0) {
+                closeImportPreview();
+                showError(translate('import.noRows', { file: file.name }));
+                return;
+            }
+            
+            pendingImport = { fileName: file.name, rows: rows };
+            renderImportPreview(file.name, previewImportRows(rows));
+        });
+        reader.addEventListener('error', function () {
+            showError(translate('file.unreadable', { file: file.name }));
+        });
+        reader.readAsText(file);
+        
+        // Allow the same file to be picked again after it has been fixed
+        importFileInput.value = '';
+    }
+    
+    /**
+     * Commits the previewed import
+     * Rows are re-checked against the current bookings, in case anything changed since the preview
+     */
+    function handleImportConfirm() {
+        if (!pendingImport) {
+            return;
+        }
+        
+        const fileName = pendingImport.fileName;
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const results = applyImportRows(pendingImport.rows, engine);
+        closeImportPreview();
+        
+        let acceptedCount = 0;
+        for (let i = 0; i < results.length; i++) {
+            if (results[i].errors.length === 0) {
+                acceptedCount++;
+            }
+        }
+        
+        if (acceptedCount === 0) {
+            showError(translate('import.nothingImported', { file: fileName }));
+            return;
+        }
+        
+        saveState();
+        recordHistory(localizer.translatePlural('history.import', acceptedCount, { file: fileName }), stateBefore);
+        renderBookingsTable();
+        renderInsights();
+        
+        const rejectedCount = results.length - acceptedCount;
+        let message = localizer.translatePlural('import.done', acceptedCount, { file: fileName });
+        if (rejectedCount > 0) {
+            message += ` ${localizer.translatePlural('import.rowsRejected', rejectedCount)}`;
+        }
+        showSuccess(message, true);
+    }
+    
+    /**
+     * Handles the "Add to waitlist" button shown with a capacity rejection
+     */
+    function handleJoinWaitlist(event) {
+        if (!event.target.classList.contains('waitlist-offer-btn') || !pendingWaitlistRequest) {
+            return;
+        }
+        
+        const request = pendingWaitlistRequest;
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.joinWaitlist(request);
+        if (!result.ok) {
+            showError(formatEngineErrors(result.errors, localizer));
+            return;
+        }
+        saveState();
+        recordHistory(translate('history.joinWaitlist', { students: request.students.join(', '), pod: request.podId, time: localizer.formatTime(request.time) }), stateBefore);
+        
+        // Show the day the group is waiting for
+        selectedDate = request.date;
+        renderBookingsTable();
+        renderInsights();
+        
+        showSuccess(localizer.translatePlural('waitlist.added', request.students.length, {
+            students: request.students.join(', '),
+            pod: request.podId,
+            date: formatDateLabel(request.date, localizer),
+            timeRange: formatTimeRange(request.time, request.duration, localizer),
+            position: result.position
+        }), true);
+        
+        studentsInput.value = '';
+        studentsInput.focus();
+    }
+    
+    /**
+     * Books the alternative whose button was clicked in the errors box (all parts of a split, or none)
+     */
+    function handleSuggestionClick(event) {
+        if (!event.target.classList.contains('suggestion-btn')) {
+            return;
+        }
+        
+        const suggestion = pendingSuggestions[parseInt(event.target.getAttribute('data-suggestion-index'), 10)];
+        if (!suggestion) {
+            return;
+        }
+        
+        catchUpWithOtherTabs();
+        const stateBefore = captureState();
+        const result = engine.bookAll(suggestion.requests);
+        if (!result.ok) {
+            // Someone took the seats since the suggestion was made
+            showError(translate('suggestion.taken', { errors: formatEngineErrors(result.errors, localizer) }));
+            return;
+        }
+        saveState();
+        
+        const parts = [];
+        for (let i = 0; i < suggestion.requests.length; i++) {
+            const part = suggestion.requests[i];
+            parts.push(translate('suggestion.bookedPart', {
+                students: localizer.translatePlural('count.students', part.students.length),
+                pod: part.podId,
+                codes: describeConfirmationCodes(result.results[i].codes, localizer)
+            }));
+        }
+        const first = suggestion.requests[0];
+        recordHistory(translate('history.bookSuggestion', { timeRange: formatTimeRange(first.time, first.duration, localizer) }), stateBefore);
+        
+        selectedDate = first.date;
+        renderBookingsTable();
+        renderInsights();
+        showSuccess(translate('suggestion.booked', {
+            parts: parts.join(translate('list.and')),
+            date: formatDateLabel(first.date, localizer),
+            timeRange: formatTimeRange(first.time, first.duration, localizer)
+        }), true);
+        
+        studentsInput.value = '';
+        studentsInput.focus();
+    }
+    
+    /**
+     * Handles removing a group from the waitlist using event delegation
+     */
+    function handleWaitlistClick(event) {
+        if (!event.target.classList.contains('waitlist-remove-btn')) {
+            return;
+        }
+        
+        // Entries are found by position, so a list another tab has just changed must be looked at again first
+        if (catchUpWithOtherTabs()) {
+            showError(translate('waitlist.changed'));
+            return;
+        }
+        
+        const stateBefore = captureState();
+        const entry = engine.leaveWaitlist(parseInt(event.target.getAttribute('data-waitlist-index'), 10));
+        if (!entry) {
+            return;
+        }
+        saveState();
+        recordHistory(translate('history.leaveWaitlist', { students: entry.students.join(', '), pod: entry.podId }), stateBefore);
+        
+        renderWaitlist();
+        renderInsights();
+        showSuccess(localizer.translatePlural('waitlist.removed', entry.students.length, { students: entry.students.join(', ') }), true);
+    }
+    
+    /**
+     * Handles the Undo/Redo buttons and the "Undo" link inside the success toast
+     */
+    function handleHistoryClick(event) {
+        if (event.target === redoButton) {
+            redoLastChange();
+        } else if (event.target === undoButton || event.target.classList.contains('toast-undo-btn')) {
+            undoLastChange();
+        }
+    }
+    
+    /**
+     * Keyboard shortcuts: Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd works on macOS
+     * Text fields keep their own native undo
+     */
+    function handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey)) {
+            return;
+        }
+        
+        const tagName = event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && event.shiftKey || key === 'y') {
+            event.preventDefault();
+            redoLastChange();
+        } else if (key === 'z') {
+            event.preventDefault();
+            undoLastChange();
+        }
+    }
+    
+    /**
+     * Handles input formatting and validation as user types
+     */
+    function handleStudentInputChange(event) {
+        const input = event.target.value;
+        
+        // Basic format hint for user
+        if (input.includes(' ,') || input.includes(', ')) {
+            // User is following correct format, clear any previous errors
+            clearMessages();
+        }
+    }
+    
+    /**
+     * Binds the staff panels' controls (student mode never mounts them, see STAFF_PANEL_SELECTOR)
+     */
+    function bindStaffControls() {
+        // Booking form and the day's reset
+        bookingForm.addEventListener('submit', handleFormSubmit);
+        podSelect.addEventListener('change', renderStudentsHint);
+        studentsInput.addEventListener('input', handleStudentInputChange);
+        repeatWeeklyInput.addEventListener('change', handleRepeatToggle);
+        previewSeriesButton.addEventListener('click', handlePreviewSeriesClick);
+        resetDayButton.addEventListener('click', handleResetDay);
+        
+        // Undo/redo: header buttons, the toast's Undo link and keyboard shortcuts
+        undoButton.addEventListener('click', handleHistoryClick);
+        redoButton.addEventListener('click', handleHistoryClick);
+        successDiv.addEventListener('click', handleHistoryClick);
+        container.addEventListener('keydown', handleHistoryShortcut);
+        
+        // Export/import of the selected day's bookings
+        exportCsvButton.addEventListener('click', handleExportClick);
+        exportJsonButton.addEventListener('click', handleExportClick);
+        importFileInput.addEventListener('change', handleImportFileChange);
+        importConfirmButton.addEventListener('click', handleImportConfirm);
+        importCancelButton.addEventListener('click', closeImportPreview);
+        
+        // Waitlist offer and suggested alternatives inside rejections, remove buttons in the waitlist panel
+        errorsDiv.addEventListener('click', handleJoinWaitlist);
+        errorsDiv.addEventListener('click', handleSuggestionClick);
+        waitlistContainer.addEventListener('click', handleWaitlistClick);
+        
+        // Day switcher above the bookings table
+        prevDayButton.addEventListener('click', handleDaySwitch);
+        nextDayButton.addEventListener('click', handleDaySwitch);
+        todayButton.addEventListener('click', handleDaySwitch);
+        dayPicker.addEventListener('change', handleDaySwitch);
+        
+        // Search, filters and sortable headers of the bookings table
+        bookingSearchInput.addEventListener('input', renderBookingsTable);
+        bookingPodFilter.addEventListener('change', renderBookingsTable);
+        bookingFromFilter.addEventListener('change', renderBookingsTable);
+        bookingToFilter.addEventListener('change', renderBookingsTable);
+        bookingOccupancyFilter.addEventListener('change', renderBookingsTable);
+        clearBookingFiltersButton.addEventListener('click', handleClearBookingFilters);
+        bookingsTableHead.addEventListener('click', handleSortClick);
+        
+        // Event delegation for dynamically created table buttons and grid cells
+        bookingsTableBody.addEventListener('click', handleRemoveBooking);
+        bookingsTableBody.addEventListener('click', handleRemoveStudent);
+        bookingsTableBody.addEventListener('click', handleEditBookingClick);
+        bookingsTableBody.addEventListener('click', handleCheckInClick);
+        bookingsTableBody.addEventListener('click', handleCancelSeriesClick);
+        availabilityGrid.addEventListener('click', handleAvailabilityClick);
+        
+        // Booking edit panel
+        editForm.addEventListener('submit', handleEditFormSubmit);
+        editCancelButton.addEventListener('click', closeEditPanel);
+        
+        // Calendar events and confirmation slips, from the bookings table and the booking toast
+        bookingsTableBody.addEventListener('click', handleBookingDocumentClick);
+        successDiv.addEventListener('click', handleBookingDocumentClick);
+        exportIcsButton.addEventListener('click', handleIcsExportClick);
+        slipPrintButton.addEventListener('click', handleSlipPrintClick);
+        slipCloseButton.addEventListener('click', closeBookingSlip);
+        
+        // Pod administration panel
+        podForm.addEventListener('submit', handlePodFormSubmit);
+        podFormCancelButton.addEventListener('click', handlePodFormCancel);
+        podAdminTableBody.addEventListener('click', handlePodAdminClick);
+        
+        // Student registry panel
+        studentSettingsForm.addEventListener('submit', handleStudentSettingsSubmit);
+        registryFileInput.addEventListener('change', handleRegistryFileChange);
+        registryClearButton.addEventListener('click', handleRegistryClear);
+        
+        // Check-in and policy panels
+        checkInSettingsForm.addEventListener('submit', handleCheckInSettingsSubmit);
+        policySettingsForm.addEventListener('submit', handlePolicySettingsSubmit);
+        
+        // Violation log: filters and export
+        violationRuleFilter.addEventListener('change', renderViolationLog);
+        violationPodFilter.addEventListener('change', renderViolationLog);
+        violationStudentFilter.addEventListener('input', renderViolationLog);
+        violationExportCsvButton.addEventListener('click', handleViolationExportClick);
+        violationExportJsonButton.addEventListener('click', handleViolationExportClick);
+    }
+    
+    // Application Initialization
+    
+    /**
+     * Initializes the entire application
+     * Sets up DOM, events, and renders initial state
+     */
+    function initializeApp() {
+        // Restore the day's bookings from a previous session, if any; pods set in the widget's options win over
+        // the saved ones, so changing an embedded widget's pods or capacity takes effect
+        const savedState = loadState();
+        if (savedState) {
+            engine.replaceState({
+                pods: podsConfigured ? mergeConfiguredPods(engine.pods, savedState.pods) : savedState.pods,
+                bookings: savedState.bookings,
+                violationCounts: savedState.violationCounts,
+                violationLog: savedState.violationLog,
+                studentSettings: savedState.studentSettings,
+                studentRegistry: savedState.studentRegistry,
+                waitlist: savedState.waitlist,
+                noShows: savedState.noShows,
+                checkInSettings: savedState.checkInSettings,
+                policySettings: savedState.policySettings
+            });
+            lastSavedAt = savedState.savedAt;
+        }
+        
+        // Student mode shows only the self-service panel, for a screen students use without staff
+        if (studentMode) {
+            container.classList.add('student-mode');
+        }
+        
+        // Set up initial DOM state
+        populateLanguageOptions();
+        renderDisplaySettings();
+        populatePodSelect();
+        populateAmenityOptions();
+        populateWeekdayOptions();
+        fillPodForm(null);
+        renderPodAdmin();
+        renderStudentRegistry();
+        renderCheckInSettings();
+        renderPolicySettings();
+        renderViolationLog();
+        renderHistoryControls();
+        renderBookingsTable();
+        renderInsights();
+        
+        // Bind event listeners (no inline onclick as required); the staff panels' only where they are mounted
+        // Language and clock switchers
+        languageSelect.addEventListener('change', handleDisplaySettingsChange);
+        timeFormatSelect.addEventListener('change', handleDisplaySettingsChange);
+        
+        // Student self-service lookup and own-seat cancellation
+        studentLookupForm.addEventListener('submit', handleStudentLookupSubmit);
+        studentBookingsList.addEventListener('submit', handleSelfCancelSubmit);
+        
+        if (!studentMode) {
+            bindStaffControls();
+        }
+        
+        // Other tabs and windows of the widget on this machine
+        if (tabChannel) {
+            tabChannel.addEventListener('message', handleTabMessage);
+        } else {
+            window.addEventListener('storage', handleStorageEvent);
+        }
+        
+        // Shared backend: show the other desks' bookings now, then keep checking for changes
+        if (storage.shared) {
+            queueBookingSync(pullBookings);
+            intervals.push(setInterval(() => queueBookingSync(pullBookings), SYNC_POLL_INTERVAL_MS));
+        }
+        
+        // Release groups that never turned up, now and as each booking's grace period runs out
+        releaseNoShowBookings();
+        intervals.push(setInterval(releaseNoShowBookings, NO_SHOW_CHECK_INTERVAL_MS));
+        
+        // Offer booking lengths in whole hours
+        populateDurationSelect(durationSelect, localizer);
+        populateDurationSelect(editDurationSelect, localizer);
+        
+        // Set reasonable default time (current hour or next available hour)
+        const libraryHours = engine.getLibraryHours();
+        const openingHour = Math.floor(parseTimeToMinutes(libraryHours.openTime) / 60);
+        const closingHour = Math.floor(parseTimeToMinutes(libraryHours.closeTime) / 60);
+        const now = new Date();
+        const currentHour = now.getHours();
+        const defaultHour = currentHour >= openingHour && currentHour < closingHour - 1 ? currentHour : openingHour + 1;
+        timeInput.value = `${defaultHour.toString().padStart(2, '0')}:00`;
+        
+        // Bookings default to the day being viewed; past days cannot be picked
+        dateInput.value = selectedDate;
+        dateInput.min = getTodayDateString();
+        
+        // Focus first input for immediate use (only where the widget is the page, not embedded in another)
+        if (settings.autofocus) {
+            (studentMode ? lookupStudentInput : podSelect).focus();
+        }
+    }
+    
+    /**
+     * Stops the widget's timers and its listeners outside the container, then empties the container
+     */
+    function destroyWidget() {
+        for (let i = 0; i < intervals.length; i++) {
+            clearInterval(intervals[i]);
+        }
+        clearTimeout(successTimer);
+        if (tabChannel) {
+            tabChannel.close();
+        } else {
+            window.removeEventListener('storage', handleStorageEvent);
+        }
+        container.classList.remove('student-mode', 'printing-slip');
+        container.removeAttribute('lang');
+        container.innerHTML = '';
+    }
+    
+    initializeApp();
+    return {
+        engine: engine,
+        showDay: showDay,
+        releaseNoShows: releaseNoShowBookings,
+        whenSynced: function () {
+            return bookingSync;
+        },
+        destroy: destroyWidget
+    };
+}
+
+// Embeddable Element
+
+/**
+ * <study-pod-booking>: the whole widget in a shadow root, so it can go into another page (e.g. the library portal),
+ * even more than once, without clashing with the page's IDs and styles
+ * Configured through attributes or, for the same settings as mountBookingWidget's options, the config property
+ * (which wins where both are set); a change to either rebuilds the widget:
+ *   pods="POD-A, POD-B" (or a JSON array of pods), capacity="6", open-time="08:00", close-time="18:00",
+ *   bookings='[{ "podId": "POD-A", "time": "09:00", "duration": 1, "students": ["SIT-001"] }]',
+ *   storage-key (see defaultStorageKey when not given), api-url, mode="student", locale="sw", time-format="12h" and
+ *   stylesheet (styles.css next to script.js unless given)
+ * Fires booking-created, booking-updated and booking-removed on itself, with { booking } as detail (and, for updates,
+ * the booking as it was in previous)
+ */
+class StudyPodBookingElement extends HTMLElement {
+    static get observedAttributes() {
+        return ELEMENT_ATTRIBUTES.concat(['id']); // The ID names the default storage key
+    }
+    
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.widget = null;
+        this.widgetConfig = null;
+    }
+    
+    get config() {
+        return this.widgetConfig;
+    }
+    
+    set config(value) {
+        this.widgetConfig = value;
+        if (this.isConnected) {
+            this.mount();
+        }
+    }
+    
+    /**
+     * The widget's PodBookingEngine (null while the element isn't on a page)
+     */
+    get engine() {
+        return this.widget ? this.widget.engine : null;
+    }
+    
+    connectedCallback() {
+        this.mount();
+    }
+    
+    disconnectedCallback() {
+        this.unmount();
+    }
+    
+    attributeChangedCallback() {
+        if (this.widget) {
+            this.mount();
+        }
+    }
+    
+    /**
+     * Reads the widget options from the attributes, then lays the config property over them
+     * Unreadable JSON is ignored with a console warning
+     */
+    readOptions() {
+        const options = {
+            capacity: this.getAttribute('capacity'),
+            openTime: this.getAttribute('open-time'),
+            closeTime: this.getAttribute('close-time'),
+            storageKey: this.getAttribute('storage-key'),
+            apiUrl: this.getAttribute('api-url'),
+            mode: this.getAttribute('mode'),
+            locale: this.getAttribute('locale'),
+            timeFormat: this.getAttribute('time-format'),
+            eventTarget: this
+        };
+        
+        const pods = (this.getAttribute('pods') || '').trim();
+        if (pods.charAt(0) === '[') {
+            options.pods = this.readJsonAttribute('pods');
+        } else if (pods !== '') {
+            options.pods = pods.split(',');
+        }
+        if (this.hasAttribute('bookings')) {
+            options.bookings = this.readJsonAttribute('bookings');
+        }
+        
+        for (const key in this.widgetConfig) {
+            options[key] = this.widgetConfig[key];
+        }
+        if (!options.storageKey) {
+            options.storageKey = this.defaultStorageKey(options.pods);
+        }
+        return options;
+    }
+    
+    /**
+     * Storage key (and so tab-sync channel) of an element without a storage-key: one per element ID, else one per
+     * list of pods, so widgets for different pods never share their bookings; without either it is the page's
+     */
+    defaultStorageKey(pods) {
+        if (this.id) {
+            return `${STORAGE_KEY}:${this.id}`;
+        }
+        if (pods && pods.length > 0) {
+            const podIds = [];
+            const configuredPods = buildConfiguredPods({ pods: pods });
+            for (let i = 0; i < configuredPods.length; i++) {
+                podIds.push(configuredPods[i].id);
+            }
+            return `${STORAGE_KEY}:${podIds.join(',')}`;
+        }
+        return STORAGE_KEY;
+    }
+    
+    readJsonAttribute(name) {
+        try {
+            return JSON.parse(this.getAttribute(name));
+        } catch (error) {
+            console.warn(`<study-pod-booking> ignored its ${name} attribute, which isn't valid JSON:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Builds (or rebuilds) the widget in the shadow root
+     */
+    mount() {
+        this.unmount();
+        
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = this.getAttribute('stylesheet') || WIDGET_STYLESHEET_URL;
+        const container = document.createElement('div');
+        container.className = 'container';
+        this.shadowRoot.appendChild(stylesheet);
+        this.shadowRoot.appendChild(container);
+        
+        this.widget = mountBookingWidget(container, this.readOptions());
+    }
+    
+    unmount() {
+        if (this.widget) {
+            this.widget.destroy();
+            this.widget = null;
+        }
+        this.shadowRoot.innerHTML = '';
+    }
+}
+
+if (!customElements.get('study-pod-booking')) {
+    customElements.define('study-pod-booking', StudyPodBookingElement);
+}
+
 // Start the application
+
+let pageWidget = null; // The widget index.html is built around (null on pages that only embed <study-pod-booking>)
+
+/**
+ * Builds the widget into index.html's #study-pod-app, with the backend named in <meta name="booking-api">
+ * and ?mode=student for the self-service screen
+ */
+function startPage() {
+    const container = document.getElementById('study-pod-app');
+    if (!container) {
+        return;
+    }
+    
+    const bookingApiMeta = document.querySelector('meta[name="booking-api"]');
+    pageWidget = mountBookingWidget(container, {
+        apiUrl: bookingApiMeta ? bookingApiMeta.content : '',
+        mode: new URLSearchParams(window.location.search).get('mode'),
+        autofocus: true
+    });
+}
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
+    document.addEventListener('DOMContentLoaded', startPage);
 } else {
     // DOM already loaded
-    initializeApp();
+    startPage();
 }
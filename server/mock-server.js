@@ -0,0 +1,456 @@
+/*
+ * USIU-Africa Study Pod Booking System - Mock REST Server
+ * A small local backend for developing and testing shared bookings offline. It keeps bookings in
+ * memory, checks every write with the same PodBookingEngine rules as the widget, and also serves the
+ * widget itself with the API switched on.
+ *
+ *   npm run mock-server          (PORT=4000 npm run mock-server for another port)
+ *   then open http://localhost:3000/ in two browser windows to act as two desks
+ *
+ * API (JSON):
+ *   GET    /api/bookings[?date=YYYY-MM-DD] -> 200 { bookings }
+ *   POST   /api/bookings                   -> 201 { booking, merged }   (a group joining an existing slot is merged)
+ *   PUT    /api/bookings/:id               -> 200 { booking }
+ *   DELETE /api/bookings/:id               -> 204                       (also when it was already gone)
+ *   GET    /api/settings                   -> 200 { settings }
+ *   PUT    /api/settings                   -> 200 { settings }              (409 { errors, settings } when refused)
+ * Each booking carries a revision that goes up on every change. PUT and DELETE may send the revision
+ * they last saw in If-Match; a stale one means another desk got there first and is answered with
+ * 409 { errors: [BOOKING_CONFLICT] }. A write that breaks a booking rule (e.g. the seats were taken
+ * by another desk in the meantime) is also a 409, with the engine's error objects.
+ *
+ * Bookings (with their check-ins, confirmation codes and series IDs) are shared, and so are the settings the
+ * booking rules depend on: the pod catalogue, the student ID settings, the student registry and the fair-use
+ * policies, as { pods, studentSettings, studentRegistry, policySettings }. A PUT may send any of the four;
+ * pods are matched by ID (listed pods are added or edited, the others are kept, as pods are only retired)
+ * and are checked like the admin panel does, so an edit that strands upcoming bookings is refused. Parts
+ * of the wrong shape are ignored. The check-in grace period stays with each desk, which releases its
+ * own no-shows.
+ */
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PodBookingEngine, ERROR_CODES, DEFAULT_PODS } = require('../booking-engine.js');
+
+const DEFAULT_PORT = 3000;
+const ROOT = path.join(__dirname, '..');
+
+// Widget files served alongside the API, with their content types
+const STATIC_FILES = {
+    '/index.html': 'text/html; charset=utf-8',
+    '/styles.css': 'text/css; charset=utf-8',
+    '/booking-engine.js': 'text/javascript; charset=utf-8',
+    '/storage-adapters.js': 'text/javascript; charset=utf-8',
+    '/i18n.js': 'text/javascript; charset=utf-8',
+    '/widget-template.js': 'text/javascript; charset=utf-8',
+    '/script.js': 'text/javascript; charset=utf-8',
+    '/USIU-A_LOGO.png': 'image/png'
+};
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Builds the same error objects as the engine, for conflicts the engine itself can't see
+ */
+function createConflictError(booking) {
+    return { code: ERROR_CODES.BOOKING_CONFLICT, student: null, pod: booking.podId, date: booking.date, time: booking.time, bookingId: booking.id };
+}
+
+/**
+ * Reads a JSON request body
+ * Resolves to the parsed value, or rejects when the body is too large or isn't JSON
+ * A body that grows too large is no longer read, so the 413 can be sent (and the connection closed) straight away
+ */
+function readJsonBody(request) {
+    return new Promise(function (resolve, reject) {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', function readChunk(chunk) {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                request.removeListener('data', readChunk);
+                request.pause();
+                const error = new Error('Request body too large');
+                error.status = 413;
+                reject(error);
+            }
+        });
+        request.on('end', function () {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Reads a list of student IDs from a request body, upper-cased like the widget's input
+ * Anything that isn't an array reads as an empty list
+ */
+function readStudentIds(list) {
+    const studentIds = [];
+    if (Array.isArray(list)) {
+        for (let i = 0; i < list.length; i++) {
+            studentIds.push(String(list[i]).trim().toUpperCase());
+        }
+    }
+    return studentIds;
+}
+
+/**
+ * Reads a student ID -> confirmation code map from a request body, upper-cased like the IDs
+ * Anything that isn't a plain object reads as no codes
+ */
+function readConfirmationCodes(codes) {
+    const confirmationCodes = {};
+    if (codes && typeof codes === 'object' && !Array.isArray(codes)) {
+        for (const studentId in codes) {
+            confirmationCodes[studentId.trim().toUpperCase()] = String(codes[studentId]).trim().toUpperCase();
+        }
+    }
+    return confirmationCodes;
+}
+
+/**
+ * Copies the booking fields out of a request body
+ * Anything missing or of the wrong type is left for the engine's rules to reject
+ */
+function readBookingRequest(body) {
+    const students = readStudentIds(body ? body.students : null);
+    const checkedIn = readStudentIds(body ? body.checkedIn : null);
+    
+    return {
+        id: body && typeof body.id === 'string' && body.id !== '' ? body.id : undefined,
+        podId: body ? String(body.podId) : '',
+        date: body ? String(body.date) : '',
+        time: body ? String(body.time) : '',
+        duration: body ? Number(body.duration) : 0,
+        students: students,
+        checkedIn: checkedIn,
+        confirmationCodes: readConfirmationCodes(body ? body.confirmationCodes : null),
+        seriesId: body && typeof body.seriesId === 'string' && body.seriesId !== '' ? body.seriesId : null
+    };
+}
+
+/**
+ * Copies the shared settings out of a request body
+ * A part that is missing or of the wrong shape reads as null and is left as it is
+ */
+function readSettingsRequest(body) {
+    const settings = { pods: null, studentSettings: null, studentRegistry: null, policySettings: null };
+    if (!body || typeof body !== 'object') {
+        return settings;
+    }
+    
+    if (Array.isArray(body.pods)) {
+        settings.pods = [];
+        for (let i = 0; i < body.pods.length; i++) {
+            const pod = body.pods[i] || {};
+            const amenities = [];
+            if (Array.isArray(pod.amenities)) {
+                for (let j = 0; j < pod.amenities.length; j++) {
+                    amenities.push(String(pod.amenities[j]));
+                }
+            }
+            settings.pods.push({
+                id: String(pod.id).trim().toUpperCase(),
+                capacity: Number(pod.capacity),
+                minGroupSize: pod.minGroupSize === undefined ? undefined : Number(pod.minGroupSize),
+                amenities: amenities,
+                openTime: String(pod.openTime),
+                closeTime: String(pod.closeTime),
+                retired: pod.retired === true
+            });
+        }
+    }
+    
+    const studentSettings = body.studentSettings;
+    if (studentSettings && typeof studentSettings.idPattern === 'string' && (studentSettings.unknownIdPolicy === 'flag' || studentSettings.unknownIdPolicy === 'reject')) {
+        try {
+            new RegExp(studentSettings.idPattern);
+            settings.studentSettings = { idPattern: studentSettings.idPattern, unknownIdPolicy: studentSettings.unknownIdPolicy };
+        } catch (error) {
+            // Not a pattern the booking rules could use
+        }
+    }
+    
+    if (Array.isArray(body.studentRegistry)) {
+        settings.studentRegistry = [];
+        for (let i = 0; i < body.studentRegistry.length; i++) {
+            const student = body.studentRegistry[i] || {};
+            settings.studentRegistry.push({ id: String(student.id).trim().toUpperCase(), name: String(student.name || ''), school: String(student.school || '') });
+        }
+    }
+    
+    if (body.policySettings && typeof body.policySettings === 'object') {
+        settings.policySettings = {};
+        for (const setting in body.policySettings) {
+            settings.policySettings[setting] = Number(body.policySettings[setting]);
+        }
+    }
+    return settings;
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Creates (but doesn't start) the mock server
+ * Options (all optional): pods, bookings, studentSettings, studentRegistry, policySettings and today, passed to
+ * the server's PodBookingEngine
+ * The engine is exposed as server.engine so tests can look at or seed the shared state
+ */
+function createMockServer(options) {
+    const settings = options || {};
+    const engine = new PodBookingEngine({
+        pods: JSON.parse(JSON.stringify(settings.pods || DEFAULT_PODS)),
+        bookings: settings.bookings ? JSON.parse(JSON.stringify(settings.bookings)) : [],
+        studentSettings: settings.studentSettings ? JSON.parse(JSON.stringify(settings.studentSettings)) : undefined,
+        studentRegistry: settings.studentRegistry ? JSON.parse(JSON.stringify(settings.studentRegistry)) : undefined,
+        policySettings: settings.policySettings ? JSON.parse(JSON.stringify(settings.policySettings)) : undefined,
+        today: settings.today
+    });
+    const revisions = {}; // Booking ID -> revision, bumped on every change
+    
+    /**
+     * Copy of a booking for a response, with its revision
+     */
+    function describeBooking(booking) {
+        if (!revisions[booking.id]) {
+            revisions[booking.id] = 1;
+        }
+        return {
+            id: booking.id,
+            podId: booking.podId,
+            date: booking.date,
+            time: booking.time,
+            duration: booking.duration,
+            students: booking.students,
+            checkedIn: booking.checkedIn,
+            confirmationCodes: booking.confirmationCodes,
+            seriesId: booking.seriesId,
+            revision: revisions[booking.id]
+        };
+    }
+    
+    /**
+     * Checks the If-Match header against the booking's current revision
+     * A request without one is treated as "overwrite whatever is there"
+     */
+    function isStale(request, booking) {
+        const expected = request.headers['if-match'];
+        if (expected === undefined) {
+            return false;
+        }
+        return parseInt(expected, 10) !== describeBooking(booking).revision;
+    }
+    
+    function handleList(response, query) {
+        const date = query.get('date');
+        const bookings = date ? engine.getBookingsForDate(date) : engine.bookings;
+        const described = [];
+        for (let i = 0; i < bookings.length; i++) {
+            described.push(describeBooking(bookings[i]));
+        }
+        sendJson(response, 200, { bookings: described });
+    }
+    
+    function handleCreate(response, body) {
+        const bookingRequest = readBookingRequest(body);
+        if (bookingRequest.id && engine.findBookingById(bookingRequest.id)) {
+            sendJson(response, 409, { errors: [createConflictError(engine.findBookingById(bookingRequest.id))] });
+            return;
+        }
+        
+        // dryRun: the rejected attempt was already counted by the desk that made it
+        const result = engine.book(bookingRequest, { dryRun: true });
+        if (!result.ok) {
+            sendJson(response, 409, { errors: result.errors });
+            return;
+        }
+        
+        if (result.merged) {
+            revisions[result.booking.id] = describeBooking(result.booking).revision + 1;
+        }
+        sendJson(response, 201, { booking: describeBooking(result.booking), merged: result.merged });
+    }
+    
+    function handleUpdate(request, response, bookingId, body) {
+        const booking = engine.findBookingById(bookingId);
+        if (!booking) {
+            const bookingRequest = readBookingRequest(body);
+            bookingRequest.id = bookingId;
+            sendJson(response, 409, { errors: [createConflictError(bookingRequest)] });
+            return;
+        }
+        if (isStale(request, booking)) {
+            sendJson(response, 409, { errors: [createConflictError(booking)] });
+            return;
+        }
+        
+        const result = engine.update(bookingId, readBookingRequest(body));
+        if (!result.ok) {
+            sendJson(response, 409, { errors: result.errors });
+            return;
+        }
+        
+        revisions[booking.id] = describeBooking(booking).revision + 1;
+        sendJson(response, 200, { booking: describeBooking(booking) });
+    }
+    
+    function handleDelete(request, response, bookingId) {
+        const booking = engine.findBookingById(bookingId);
+        if (!booking) {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        if (isStale(request, booking)) {
+            sendJson(response, 409, { errors: [createConflictError(booking)] });
+            return;
+        }
+        
+        engine.cancel(bookingId);
+        delete revisions[bookingId];
+        response.writeHead(204);
+        response.end();
+    }
+    
+    function describeSettings() {
+        return {
+            pods: engine.pods,
+            studentSettings: engine.studentSettings,
+            studentRegistry: engine.studentRegistry,
+            policySettings: engine.policySettings
+        };
+    }
+    
+    /**
+     * Tries the new settings on a copy of the engine, so nothing changes unless every part passes
+     */
+    function handleSettingsUpdate(response, body) {
+        const changes = readSettingsRequest(body);
+        const trial = engine.clone();
+        const errors = [];
+        
+        if (changes.pods) {
+            for (let i = 0; i < changes.pods.length; i++) {
+                const pod = changes.pods[i];
+                const result = trial.savePod(pod, trial.findPod(pod.id) ? pod.id : null);
+                if (result.ok) {
+                    trial.setPodRetired(pod.id, pod.retired);
+                } else {
+                    for (let j = 0; j < result.errors.length; j++) {
+                        errors.push(result.errors[j]);
+                    }
+                }
+            }
+        }
+        if (changes.policySettings) {
+            const result = trial.setPolicySettings(changes.policySettings);
+            for (let i = 0; i < result.errors.length; i++) {
+                errors.push(result.errors[i]);
+            }
+        }
+        if (errors.length > 0) {
+            sendJson(response, 409, { errors: errors, settings: describeSettings() });
+            return;
+        }
+        
+        engine.replaceState({
+            pods: trial.pods,
+            studentSettings: changes.studentSettings || engine.studentSettings,
+            studentRegistry: changes.studentRegistry || engine.studentRegistry,
+            policySettings: trial.policySettings
+        });
+        sendJson(response, 200, { settings: describeSettings() });
+    }
+    
+    /**
+     * Serves a widget file; index.html gets the booking API switched on
+     */
+    function handleStatic(response, pathname) {
+        const filePath = pathname === '/' ? '/index.html' : pathname;
+        const contentType = STATIC_FILES[filePath];
+        if (!contentType) {
+            sendJson(response, 404, { errors: [] });
+            return;
+        }
+        
+        let content = fs.readFileSync(path.join(ROOT, filePath));
+        if (filePath === '/index.html') {
+            content = content.toString('utf8').replace('<meta name="booking-api" content="">', '<meta name="booking-api" content="/api">');
+        }
+        response.writeHead(200, { 'Content-Type': contentType });
+        response.end(content);
+    }
+    
+    async function handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const match = /^\/api\/bookings(?:\/([^/]+))?$/.exec(url.pathname);
+        
+        if (url.pathname === '/api/settings') {
+            if (request.method === 'GET') {
+                sendJson(response, 200, { settings: describeSettings() });
+            } else if (request.method === 'PUT') {
+                handleSettingsUpdate(response, await readJsonBody(request));
+            } else {
+                sendJson(response, 405, { errors: [] });
+            }
+            return;
+        }
+        
+        if (!match) {
+            if (request.method === 'GET') {
+                handleStatic(response, url.pathname);
+            } else {
+                sendJson(response, 404, { errors: [] });
+            }
+            return;
+        }
+        
+        const bookingId = match[1] ? decodeURIComponent(match[1]) : null;
+        if (request.method === 'GET' && !bookingId) {
+            handleList(response, url.searchParams);
+        } else if (request.method === 'POST' && !bookingId) {
+            handleCreate(response, await readJsonBody(request));
+        } else if (request.method === 'PUT' && bookingId) {
+            handleUpdate(request, response, bookingId, await readJsonBody(request));
+        } else if (request.method === 'DELETE' && bookingId) {
+            handleDelete(request, response, bookingId);
+        } else {
+            sendJson(response, 405, { errors: [] });
+        }
+    }
+    
+    const server = http.createServer(function (request, response) {
+        handleRequest(request, response).catch(function (error) {
+            // Unreadable bodies are the client's fault; anything else is a bug in this file
+            if (!response.headersSent) {
+                const status = error.status || (error instanceof SyntaxError ? 400 : 500);
+                if (status === 413) {
+                    response.setHeader('Connection', 'close'); // The rest of the body is never read
+                }
+                sendJson(response, status, { errors: [], message: error.message });
+            }
+        });
+    });
+    server.engine = engine;
+    return server;
+}
+
+// Started directly (npm run mock-server) rather than required by tests
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    createMockServer().listen(port, function () {
+        console.log(`Study pod mock server on http://localhost:${port}/ (API at /api/bookings)`);
+    });
+}
+
+module.exports = { createMockServer };
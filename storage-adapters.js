@@ -0,0 +1,411 @@
+/*
+ * USIU-Africa Study Pod Booking System - Storage Adapters
+ * The widget keeps its state behind one of these adapters, so the same view can work from this
+ * browser's localStorage, from memory (tests, kiosks) or from a REST backend shared by several desks.
+ *
+ * Like booking-engine.js this is a classic script in the browser and a require()-able module in Node.
+ *
+ * Every adapter has the same interface:
+ *   shared                      - true when bookings are also kept on a backend other desks can change
+ *   load()                      - the saved state object (as last passed to save) or null
+ *   save(state)                 - stores the whole state in this browser
+ *   clear()                     - forgets the saved state
+ *   fetchBookings()             - Promise of the backend's current bookings (null when there is no backend)
+ *   pushBookingChanges(changes) - sends { added, changed, removed } from diffBookings to the backend;
+ *                                 Promise of { ok, conflicts, bookings } where conflicts are
+ *                                 { booking, errors, status } for each change the backend refused
+ *                                 (status 409 when another desk got there first) and bookings is the
+ *                                 backend's list afterwards (null when there is no backend)
+ *   fetchSettings()             - Promise of the backend's { pods, studentSettings, studentRegistry,
+ *                                 policySettings } (null when there is no backend)
+ *   pushSettings(settings)      - sends those settings to the backend; Promise of { ok, errors, settings }
+ *                                 where settings is what the backend holds afterwards (null without one)
+ * load, save and clear are synchronous and may throw (e.g. storage full or blocked);
+ * the booking and settings methods reject when the backend can't be reached or fails (5xx).
+ */
+
+// Error codes (ERROR_CODES in booking-engine.js) for a booking or settings change the backend refused without saying why
+const BOOKING_REJECTED = 'BOOKING_REJECTED';
+const SETTINGS_REJECTED = 'SETTINGS_REJECTED';
+
+/**
+ * Checks whether two lists of student IDs are the same (in the same order)
+ */
+function studentListsMatch(first, second) {
+    if (first.length !== second.length) {
+        return false;
+    }
+    for (let i = 0; i < first.length; i++) {
+        if (first[i] !== second[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks whether two student ID -> confirmation code maps hold the same codes
+ */
+function codesMatch(first, second) {
+    for (const studentId in first) {
+        if (first[studentId] !== second[studentId]) {
+            return false;
+        }
+    }
+    for (const studentId in second) {
+        if (!(studentId in first)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks whether two bookings have the same pod, date, time, duration, students, check-ins, confirmation codes
+ * and series
+ */
+function bookingsMatch(first, second) {
+    if (first.podId !== second.podId || first.date !== second.date || first.time !== second.time || first.duration !== second.duration
+        || (first.seriesId || null) !== (second.seriesId || null)) {
+        return false;
+    }
+    
+    return studentListsMatch(first.students, second.students) && studentListsMatch(first.checkedIn || [], second.checkedIn || [])
+        && codesMatch(first.confirmationCodes || {}, second.confirmationCodes || {});
+}
+
+/**
+ * Works out what changed between two lists of bookings, matching them by ID
+ * Returns { added, changed, removed } arrays of bookings (removed holds the old copies)
+ */
+function diffBookings(previous, current) {
+    const changes = { added: [], changed: [], removed: [] };
+    
+    for (let i = 0; i < current.length; i++) {
+        let before = null;
+        for (let j = 0; j < previous.length; j++) {
+            if (previous[j].id === current[i].id) {
+                before = previous[j];
+                break;
+            }
+        }
+        
+        if (!before) {
+            changes.added.push(current[i]);
+        } else if (!bookingsMatch(before, current[i])) {
+            changes.changed.push(current[i]);
+        }
+    }
+    
+    for (let i = 0; i < previous.length; i++) {
+        let stillThere = false;
+        for (let j = 0; j < current.length; j++) {
+            if (current[j].id === previous[i].id) {
+                stillThere = true;
+                break;
+            }
+        }
+        if (!stillThere) {
+            changes.removed.push(previous[i]);
+        }
+    }
+    
+    return changes;
+}
+
+/**
+ * The fields of a booking a backend is sent (anything else the widget keeps on it stays here)
+ */
+function describeBookingRequest(booking) {
+    return {
+        id: booking.id,
+        podId: booking.podId,
+        date: booking.date,
+        time: booking.time,
+        duration: booking.duration,
+        students: booking.students,
+        checkedIn: booking.checkedIn || [],
+        confirmationCodes: booking.confirmationCodes || {},
+        seriesId: booking.seriesId || null
+    };
+}
+
+/**
+ * Counts the bookings in a diffBookings result
+ */
+function countBookingChanges(changes) {
+    return changes.added.length + changes.changed.length + changes.removed.length;
+}
+
+// Local Adapters
+
+/**
+ * Keeps the state in Web Storage under one key (the widget's default)
+ * storageArea defaults to the page's localStorage, looked up on each call because merely
+ * touching it can throw when storage is blocked
+ */
+class LocalStorageAdapter {
+    constructor(key, storageArea) {
+        this.key = key;
+        this.storageArea = storageArea || null;
+        this.shared = false;
+    }
+    
+    getStorageArea() {
+        return this.storageArea || localStorage;
+    }
+    
+    load() {
+        const raw = this.getStorageArea().getItem(this.key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+    
+    save(state) {
+        this.getStorageArea().setItem(this.key, JSON.stringify(state));
+    }
+    
+    clear() {
+        this.getStorageArea().removeItem(this.key);
+    }
+    
+    fetchBookings() {
+        return Promise.resolve(null);
+    }
+    
+    pushBookingChanges() {
+        return Promise.resolve({ ok: true, conflicts: [], bookings: null });
+    }
+    
+    fetchSettings() {
+        return Promise.resolve(null);
+    }
+    
+    pushSettings() {
+        return Promise.resolve({ ok: true, errors: [], settings: null });
+    }
+}
+
+/**
+ * Keeps the state in memory only; it is gone when the page closes
+ * The state is stored as JSON so callers can't change it by accident, just like Web Storage
+ */
+class MemoryStorageAdapter {
+    constructor(initialState) {
+        this.json = initialState ? JSON.stringify(initialState) : null;
+        this.shared = false;
+    }
+    
+    load() {
+        return this.json === null ? null : JSON.parse(this.json);
+    }
+    
+    save(state) {
+        this.json = JSON.stringify(state);
+    }
+    
+    clear() {
+        this.json = null;
+    }
+    
+    fetchBookings() {
+        return Promise.resolve(null);
+    }
+    
+    pushBookingChanges() {
+        return Promise.resolve({ ok: true, conflicts: [], bookings: null });
+    }
+    
+    fetchSettings() {
+        return Promise.resolve(null);
+    }
+    
+    pushSettings() {
+        return Promise.resolve({ ok: true, errors: [], settings: null });
+    }
+}
+
+// REST Adapter
+
+/**
+ * Shares bookings through a REST backend (see server/mock-server.js for the API):
+ *   GET    {baseUrl}/bookings      -> 200 { bookings }
+ *   POST   {baseUrl}/bookings      -> 201 { booking, merged } or 409 { errors }
+ *   PUT    {baseUrl}/bookings/{id} -> 200 { booking } or 409 { errors }
+ *   DELETE {baseUrl}/bookings/{id} -> 204 or 409 { errors }
+ *   GET    {baseUrl}/settings      -> 200 { settings }
+ *   PUT    {baseUrl}/settings      -> 200 { settings } or 409 { errors, settings }
+ * Every booking from the backend carries a revision; PUT and DELETE send the last one seen in an
+ * If-Match header, so a booking changed at another desk in the meantime comes back as a conflict
+ * instead of being overwritten. Any other 4xx answer refuses just that one change; a DELETE answered
+ * 404 counts as done, since the booking is gone either way.
+ * The pods, student ID settings, registry and fair-use policies are shared too, as the backend checks
+ * bookings against them; everything else (check-in settings, waitlist, no-shows, violation log) stays in
+ * this browser, in cache.
+ * Options: baseUrl, cache (another adapter, default in-memory) and fetch (default the global fetch)
+ */
+class RestStorageAdapter {
+    constructor(options) {
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.cache = options.cache || new MemoryStorageAdapter();
+        this.fetchFunction = options.fetch || null;
+        this.revisions = {}; // Booking ID -> last revision seen from the backend
+        this.shared = true;
+    }
+    
+    load() {
+        return this.cache.load();
+    }
+    
+    save(state) {
+        this.cache.save(state);
+    }
+    
+    clear() {
+        this.cache.clear();
+    }
+    
+    async fetchBookings() {
+        const response = await this.request('GET', '/bookings', null, null);
+        return this.readBookings(response.body.bookings);
+    }
+    
+    /**
+     * Sends removals first (they free seats), then changes, then new bookings,
+     * and finishes by reading back the backend's whole list
+     * A refused change is reported in conflicts and the rest are still sent; the list read back
+     * afterwards replaces the refused ones here
+     */
+    async pushBookingChanges(changes) {
+        const conflicts = [];
+        
+        for (let i = 0; i < changes.removed.length; i++) {
+            const booking = changes.removed[i];
+            const response = await this.request('DELETE', `/bookings/${encodeURIComponent(booking.id)}`, null, this.revisions[booking.id]);
+            if (response.status !== 404) {
+                this.collectRefusal(booking, response, conflicts);
+            }
+        }
+        
+        for (let i = 0; i < changes.changed.length; i++) {
+            const booking = changes.changed[i];
+            const response = await this.request('PUT', `/bookings/${encodeURIComponent(booking.id)}`, describeBookingRequest(booking), this.revisions[booking.id]);
+            this.collectRefusal(booking, response, conflicts);
+        }
+        
+        for (let i = 0; i < changes.added.length; i++) {
+            const booking = changes.added[i];
+            const response = await this.request('POST', '/bookings', describeBookingRequest(booking), null);
+            this.collectRefusal(booking, response, conflicts);
+        }
+        
+        const bookings = await this.fetchBookings();
+        return { ok: conflicts.length === 0, conflicts: conflicts, bookings: bookings };
+    }
+    
+    async fetchSettings() {
+        const response = await this.request('GET', '/settings', null, null);
+        return response.body.settings;
+    }
+    
+    /**
+     * Sends the shared settings; when the backend refuses them, its own settings come back to be used instead
+     */
+    async pushSettings(settings) {
+        const response = await this.request('PUT', '/settings', settings, null);
+        if (response.status < 400) {
+            return { ok: true, errors: [], settings: response.body.settings };
+        }
+        
+        let errors = response.body.errors;
+        if (!Array.isArray(errors) || errors.length === 0) {
+            errors = [{ code: SETTINGS_REJECTED, status: response.status }];
+        }
+        return { ok: false, errors: errors, settings: response.body.settings || await this.fetchSettings() };
+    }
+    
+    /**
+     * Adds a refused change (a 4xx answer) to conflicts with the backend's errors, or a BOOKING_REJECTED
+     * error naming the status when the backend didn't send any
+     */
+    collectRefusal(booking, response, conflicts) {
+        if (response.status < 400) {
+            return;
+        }
+        
+        let errors = response.body.errors;
+        if (!Array.isArray(errors) || errors.length === 0) {
+            errors = [{ code: BOOKING_REJECTED, student: null, pod: booking.podId, date: booking.date, time: booking.time, bookingId: booking.id, status: response.status }];
+        }
+        conflicts.push({ booking: booking, errors: errors, status: response.status });
+    }
+    
+    /**
+     * Strips the revision from each booking the backend sent, remembering it for later writes
+     */
+    readBookings(bookings) {
+        const plainBookings = [];
+        this.revisions = {};
+        
+        for (let i = 0; i < bookings.length; i++) {
+            const booking = bookings[i];
+            this.revisions[booking.id] = booking.revision;
+            plainBookings.push({
+                id: booking.id,
+                podId: booking.podId,
+                date: booking.date,
+                time: booking.time,
+                duration: booking.duration,
+                students: booking.students,
+                checkedIn: booking.checkedIn || [],
+                confirmationCodes: booking.confirmationCodes || {},
+                seriesId: booking.seriesId || null
+            });
+        }
+        
+        return plainBookings;
+    }
+    
+    /**
+     * Sends one request and resolves to { status, body }
+     * 4xx answers (a conflict, or a change the backend won't take) resolve like any other; 5xx rejects,
+     * and so does a successful answer that isn't JSON
+     */
+    async request(method, path, body, revision) {
+        const init = { method: method, headers: { 'Accept': 'application/json' } };
+        if (body !== null) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        if (revision !== null && revision !== undefined) {
+            init.headers['If-Match'] = revision.toString();
+        }
+        
+        const fetchFunction = this.fetchFunction || fetch;
+        const response = await fetchFunction(this.baseUrl + path, init);
+        if (response.status >= 500) {
+            throw new Error(`Booking server answered ${response.status} to ${method} ${path}`);
+        }
+        
+        const text = await response.text();
+        let responseBody = {};
+        try {
+            responseBody = text === '' ? {} : JSON.parse(text);
+        } catch (error) {
+            if (response.status < 400) {
+                throw error;
+            }
+        }
+        return { status: response.status, body: responseBody };
+    }
+}
+
+// Node.js export (ignored in the browser, where the classes above are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocalStorageAdapter: LocalStorageAdapter,
+        MemoryStorageAdapter: MemoryStorageAdapter,
+        RestStorageAdapter: RestStorageAdapter,
+        diffBookings: diffBookings,
+        countBookingChanges: countBookingChanges
+    };
+}
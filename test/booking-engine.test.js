@@ -0,0 +1,1054 @@
+/*
+ * Business rules and insight calculations of PodBookingEngine, without any DOM
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const engineModule = require('../booking-engine.js');
+
+const { PodBookingEngine, ERROR_CODES, parseTimeToMinutes, isWithinOperatingHours, getCoveredTimes, parseDateString } = engineModule;
+
+const TODAY = '2030-03-04';
+const TOMORROW = '2030-03-05';
+
+/**
+ * Engine with the default three 4-seat pods and a fixed "today"
+ * now (optional) is the local time on TODAY the engine's clock reads, e.g. '09:10'
+ */
+function createEngine(bookings, now) {
+    return new PodBookingEngine({
+        pods: [
+            { id: 'POD-A', capacity: 4, amenities: ['whiteboard', 'power'], openTime: '08:00', closeTime: '20:00', retired: false },
+            { id: 'POD-B', capacity: 4, amenities: ['screen', 'power'], openTime: '08:00', closeTime: '20:00', retired: false },
+            { id: 'POD-C', capacity: 4, amenities: ['power'], openTime: '08:00', closeTime: '20:00', retired: false }
+        ],
+        bookings: bookings || [],
+        today: function () {
+            return TODAY;
+        },
+        now: function () {
+            return new Date(`${TODAY}T${now || '07:30'}:00`);
+        }
+    });
+}
+
+function request(podId, time, students, extra) {
+    const fields = extra || {};
+    return {
+        podId: podId,
+        date: fields.date || TODAY,
+        time: time,
+        duration: fields.duration || 1,
+        students: students
+    };
+}
+
+function codesOf(errors) {
+    const codes = [];
+    for (let i = 0; i < errors.length; i++) {
+        codes.push(errors[i].code);
+    }
+    return codes;
+}
+
+describe('time helpers', function () {
+    it('reads HH:MM times and rejects malformed ones', function () {
+        assert.equal(parseTimeToMinutes('08:30'), 510);
+        assert.equal(parseTimeToMinutes(''), null);
+        assert.equal(parseTimeToMinutes('8'), null);
+        assert.equal(parseTimeToMinutes('24:00'), null);
+        assert.equal(parseTimeToMinutes('12:60'), null);
+    });
+
+    it('treats the closing time as exclusive', function () {
+        const pod = { openTime: '08:00', closeTime: '20:00' };
+        assert.equal(isWithinOperatingHours('08:00', pod), true);
+        assert.equal(isWithinOperatingHours('19:59', pod), true);
+        assert.equal(isWithinOperatingHours('20:00', pod), false);
+        assert.equal(isWithinOperatingHours('07:59', pod), false);
+    });
+
+    it('lists every hour a booking covers', function () {
+        assert.deepEqual(getCoveredTimes('14:00', 3), ['14:00', '15:00', '16:00']);
+    });
+
+    it('rejects impossible dates', function () {
+        assert.equal(parseDateString('2030-02-30'), null);
+        assert.equal(parseDateString('2030-2-3'), null);
+        assert.ok(parseDateString('2032-02-29'));
+    });
+});
+
+describe('validate', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+    });
+
+    it('accepts a valid request', function () {
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-001'])), []);
+    });
+
+    it('rejects a student listed twice in one request', function () {
+        const errors = engine.validate(request('POD-A', '09:00', ['SIT-001', 'SIT-001']));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.DUPLICATE_IN_REQUEST]);
+        assert.equal(errors[0].student, 'SIT-001');
+    });
+
+    it('rejects unknown and retired pods (Rule 7)', function () {
+        assert.deepEqual(codesOf(engine.validate(request('POD-Z', '09:00', ['SIT-001']))), [ERROR_CODES.UNKNOWN_POD]);
+        engine.setPodRetired('POD-C', true);
+        assert.deepEqual(codesOf(engine.validate(request('POD-C', '09:00', ['SIT-001']))), [ERROR_CODES.POD_RETIRED]);
+    });
+
+    it('rejects invalid and past dates (Rule 5)', function () {
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', ['SIT-001'], { date: '2030-13-01' }))), [ERROR_CODES.INVALID_DATE]);
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', ['SIT-001'], { date: '2030-03-03' }))), [ERROR_CODES.PAST_DATE]);
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-001'], { date: TOMORROW })), []);
+    });
+
+    it('limits the booking length to whole hours up to the maximum (Rule 6)', function () {
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', ['SIT-001'], { duration: 5 }))), [ERROR_CODES.INVALID_DURATION]);
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', ['SIT-001'], { duration: 1.5 }))), [ERROR_CODES.INVALID_DURATION]);
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-001'], { duration: 4 })), []);
+    });
+
+    it('enforces the 20:00 closing boundary (Rule 4)', function () {
+        assert.deepEqual(engine.validate(request('POD-A', '19:00', ['SIT-001'])), []);
+
+        const closed = engine.validate(request('POD-A', '20:00', ['SIT-001']));
+        assert.deepEqual(codesOf(closed), [ERROR_CODES.OUTSIDE_HOURS]);
+        assert.equal(closed[0].closeTime, '20:00');
+
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '07:00', ['SIT-001']))), [ERROR_CODES.OUTSIDE_HOURS]);
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '18:00', ['SIT-001'], { duration: 3 }))), [ERROR_CODES.PAST_CLOSING]);
+    });
+
+    it('uses each pod\'s own opening hours', function () {
+        engine.savePod({ id: 'POD-D', capacity: 2, amenities: [], openTime: '10:00', closeTime: '14:00' }, null);
+        assert.deepEqual(codesOf(engine.validate(request('POD-D', '09:00', ['SIT-001']))), [ERROR_CODES.OUTSIDE_HOURS]);
+        assert.deepEqual(engine.validate(request('POD-D', '13:00', ['SIT-001'])), []);
+    });
+
+    it('starts bookings on the hour, so a half-hour start can\'t get past a full pod (Rule 4)', function () {
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+
+        const result = engine.book(request('POD-A', '09:30', ['SIT-005', 'SIT-006', 'SIT-007', 'SIT-008']));
+        assert.equal(result.ok, false);
+        assert.deepEqual(codesOf(result.errors), [ERROR_CODES.NOT_ON_THE_HOUR]);
+        assert.equal(result.errors[0].time, '09:30');
+        assert.equal(engine.countSeatsTaken('POD-A', TODAY, '09:00'), 4);
+    });
+
+    it('requires at least one student', function () {
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', []))), [ERROR_CODES.NO_STUDENTS]);
+    });
+
+    it('checks every ID against the configured pattern (Rule 8)', function () {
+        const errors = engine.validate(request('POD-A', '09:00', ['SIT001', 'SIT-002', 'HELLO']));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.INVALID_STUDENT_ID, ERROR_CODES.INVALID_STUDENT_ID]);
+        assert.equal(errors[1].student, 'HELLO');
+
+        engine.studentSettings.idPattern = '^\\d{6}$';
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['123456'])), []);
+    });
+
+    it('flags or rejects students missing from the registry (Rule 9)', function () {
+        engine.replaceState({ studentRegistry: [{ id: 'SIT-001', name: 'Jane', school: 'SIT' }] });
+        assert.deepEqual(engine.findUnregisteredStudentIds(['SIT-001', 'SIT-002']), ['SIT-002']);
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-002'])), []);
+
+        engine.studentSettings.unknownIdPolicy = 'reject';
+        assert.deepEqual(codesOf(engine.validate(request('POD-A', '09:00', ['SIT-002']))), [ERROR_CODES.UNREGISTERED_STUDENT]);
+    });
+
+    it('checks capacity for every covered hour (Rule 1)', function () {
+        engine.book(request('POD-A', '10:00', ['SIT-001', 'SIT-002', 'SIT-003']));
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-004'], { duration: 2 })), []);
+
+        const errors = engine.validate(request('POD-A', '09:00', ['SIT-004', 'SIT-005'], { duration: 2 }));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.CAPACITY_EXCEEDED]);
+        assert.equal(errors[0].time, '10:00');
+        assert.equal(errors[0].seatsTaken, 3);
+        assert.equal(errors[0].adding, 2);
+        assert.equal(errors[0].capacity, 4);
+
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-004', 'SIT-005'], { duration: 2 }), { ignoreCapacity: true }), []);
+    });
+
+    it('rejects a student already in the same pod and counts the attempt (Rule 2)', function () {
+        engine.book(request('POD-A', '09:00', ['SIT-001'], { duration: 2 }));
+        const errors = engine.validate(request('POD-A', '10:00', ['SIT-001', 'SIT-002']));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.ALREADY_IN_POD]);
+        assert.equal(errors[0].student, 'SIT-001');
+        assert.equal(engine.violationCounts.duplicate, 1);
+    });
+
+    it('rejects a student booked in another pod at the same time (Rule 3)', function () {
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+        const errors = engine.validate(request('POD-B', '09:00', ['SIT-001']));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.CROSS_POD_CLASH]);
+        assert.equal(errors[0].otherPod, 'POD-A');
+        assert.equal(engine.violationCounts.duplicate, 1);
+
+        // Different day, no clash
+        assert.deepEqual(engine.validate(request('POD-B', '09:00', ['SIT-001'], { date: TOMORROW })), []);
+    });
+
+    it('does not count attempts on a dry run', function () {
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+        engine.validate(request('POD-A', '09:00', ['SIT-001']), { dryRun: true });
+        assert.equal(engine.violationCounts.duplicate, 0);
+    });
+
+    it('returns error objects with student, pod, date and time fields', function () {
+        const error = engine.validate(request('POD-Z', '09:00', ['SIT-001']))[0];
+        assert.deepEqual(error, { code: 'UNKNOWN_POD', student: null, pod: 'POD-Z', date: null, time: null });
+    });
+});
+
+describe('book, update and cancel', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+    });
+
+    it('creates a booking with an ID', function () {
+        const result = engine.book(request('POD-A', '09:00', ['SIT-001']));
+        assert.equal(result.ok, true);
+        assert.equal(result.merged, false);
+        assert.match(result.booking.id, /^BK-/);
+        assert.equal(engine.bookings.length, 1);
+    });
+
+    it('merges into a booking with the same pod, date, start and length', function () {
+        const first = engine.book(request('POD-A', '09:00', ['SIT-001']));
+        const second = engine.book(request('POD-A', '09:00', ['SIT-002']));
+        assert.equal(second.merged, true);
+        assert.equal(second.booking, first.booking);
+        assert.deepEqual(first.booking.students, ['SIT-001', 'SIT-002']);
+
+        // A different length is a separate booking
+        assert.equal(engine.book(request('POD-A', '09:00', ['SIT-003'], { duration: 2 })).merged, false);
+        assert.equal(engine.bookings.length, 2);
+    });
+
+    it('leaves the bookings alone when a request fails', function () {
+        const result = engine.book(request('POD-A', '20:00', ['SIT-001']));
+        assert.equal(result.ok, false);
+        assert.equal(result.booking, null);
+        assert.equal(engine.bookings.length, 0);
+    });
+
+    it('re-validates an edit without clashing with the booking itself', function () {
+        const booking = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'])).booking;
+        const result = engine.update(booking.id, request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004'], { duration: 2 }));
+        assert.equal(result.ok, true);
+        assert.equal(booking.duration, 2);
+
+        const tooMany = engine.update(booking.id, request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004', 'SIT-005']));
+        assert.deepEqual(codesOf(tooMany.errors), [ERROR_CODES.CAPACITY_EXCEEDED]);
+        assert.equal(booking.students.length, 4);
+    });
+
+    it('cancels one student, then the whole booking when nobody is left', function () {
+        const booking = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002'])).booking;
+
+        const first = engine.cancel(booking.id, 'SIT-001');
+        assert.equal(first.removed, false);
+        assert.deepEqual(booking.students, ['SIT-002']);
+
+        assert.deepEqual(codesOf(engine.cancel(booking.id, 'SIT-001').errors), [ERROR_CODES.STUDENT_NOT_IN_BOOKING]);
+
+        const last = engine.cancel(booking.id, 'SIT-002');
+        assert.equal(last.removed, true);
+        assert.equal(engine.bookings.length, 0);
+        assert.deepEqual(codesOf(engine.cancel(booking.id).errors), [ERROR_CODES.BOOKING_NOT_FOUND]);
+    });
+
+    it('works on a clone without touching the original', function () {
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+        const copy = engine.clone();
+        copy.book(request('POD-B', '09:00', ['SIT-002']));
+        copy.bookings[0].students.push('SIT-003');
+        assert.equal(engine.bookings.length, 1);
+        assert.deepEqual(engine.bookings[0].students, ['SIT-001']);
+    });
+
+    it('gives IDs to bookings loaded without one', function () {
+        const loaded = createEngine([{ podId: 'POD-A', date: TODAY, time: '09:00', duration: 1, students: ['SIT-001'] }]);
+        assert.match(loaded.bookings[0].id, /^BK-/);
+    });
+});
+
+describe('waitlist', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+    });
+
+    it('queues groups and reports their position', function () {
+        assert.equal(engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010'])).position, 1);
+        assert.equal(engine.joinWaitlist(request('POD-A', '09:00', ['SIT-011'])).position, 2);
+        assert.deepEqual(codesOf(engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010'])).errors), [ERROR_CODES.ALREADY_WAITING]);
+    });
+
+    it('promotes the oldest group that fits when seats are freed', function () {
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010', 'SIT-011']));
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-012']));
+
+        const result = engine.cancel(engine.bookings[0].id, 'SIT-001');
+        assert.equal(result.promoted.length, 1);
+        assert.deepEqual(result.promoted[0].students, ['SIT-012']);
+
+        // One free seat is not enough for the older pair
+        assert.equal(engine.cancel(engine.bookings[0].id, 'SIT-002').promoted.length, 0);
+
+        const third = engine.cancel(engine.bookings[0].id, 'SIT-003');
+        assert.deepEqual(third.promoted[0].students, ['SIT-010', 'SIT-011']);
+        assert.equal(engine.waitlist.length, 0);
+    });
+
+    it('gives each promoted student their own confirmation code', function () {
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010', 'SIT-011']));
+        engine.cancel(engine.bookings[0].id, 'SIT-001');
+        const result = engine.cancel(engine.bookings[0].id, 'SIT-002');
+
+        const codes = result.promoted[0].codes;
+        assert.deepEqual(Object.keys(codes), ['SIT-010', 'SIT-011']);
+        assert.match(codes['SIT-010'], /^[A-HJ-NP-Z2-9]{6}$/);
+        assert.equal(engine.bookings[0].confirmationCodes['SIT-010'], codes['SIT-010']);
+        assert.equal(engine.bookings[0].confirmationCodes['SIT-011'], codes['SIT-011']);
+        assert.notEqual(codes['SIT-010'], codes['SIT-011']);
+    });
+
+    it('dates entries by the engine\'s clock and leaves slots that have started', function () {
+        const early = createEngine([], '08:40');
+        early.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+        assert.equal(early.joinWaitlist(request('POD-A', '09:00', ['SIT-010'])).entry.addedAt, new Date(`${TODAY}T08:40:00`).toISOString());
+
+        early.now = function () {
+            return new Date(`${TODAY}T09:05:00`);
+        };
+        assert.equal(early.cancel(early.bookings[0].id, 'SIT-001').promoted.length, 0);
+        assert.equal(early.waitlist.length, 1);
+    });
+
+    it('skips groups that would clash with another booking', function () {
+        engine.book(request('POD-B', '09:00', ['SIT-010']));
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010']));
+        assert.equal(engine.cancel(engine.bookings[0].id, 'SIT-001').promoted.length, 0);
+        assert.equal(engine.waitlist.length, 1);
+    });
+
+    it('removes a group by its queue position', function () {
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-010']));
+        assert.deepEqual(engine.leaveWaitlist(0).students, ['SIT-010']);
+        assert.equal(engine.leaveWaitlist(0), null);
+    });
+});
+
+describe('pod catalogue', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+    });
+
+    it('validates new pods', function () {
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'x', capacity: 4, openTime: '08:00', closeTime: '20:00' }, null)), [ERROR_CODES.INVALID_POD_ID]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-A', capacity: 4, openTime: '08:00', closeTime: '20:00' }, null)), [ERROR_CODES.POD_EXISTS]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-D', capacity: 13, openTime: '08:00', closeTime: '20:00' }, null)), [ERROR_CODES.INVALID_CAPACITY]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-D', capacity: 4, openTime: '', closeTime: '20:00' }, null)), [ERROR_CODES.MISSING_HOURS]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-D', capacity: 4, openTime: '20:00', closeTime: '08:00' }, null)), [ERROR_CODES.CLOSES_BEFORE_OPENING]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-D', capacity: 4, openTime: '08:30', closeTime: '20:00' }, null)), [ERROR_CODES.HOURS_NOT_ON_THE_HOUR]);
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-D', capacity: 4, openTime: '08:00', closeTime: '19:45' }, null)), [ERROR_CODES.HOURS_NOT_ON_THE_HOUR]);
+    });
+
+    it('refuses edits that would strand upcoming bookings', function () {
+        engine.book(request('POD-A', '18:00', ['SIT-001', 'SIT-002', 'SIT-003']));
+        const pod = { id: 'POD-A', capacity: 2, amenities: [], openTime: '08:00', closeTime: '20:00' };
+        assert.deepEqual(codesOf(engine.validatePod(pod, 'POD-A')), [ERROR_CODES.BOOKING_OVER_NEW_CAPACITY]);
+
+        pod.capacity = 4;
+        pod.closeTime = '18:00';
+        assert.deepEqual(codesOf(engine.validatePod(pod, 'POD-A')), [ERROR_CODES.BOOKING_OUTSIDE_NEW_HOURS]);
+    });
+
+    it('keeps bookings when a pod is retired and works out the library hours from active pods', function () {
+        engine.savePod({ id: 'POD-D', capacity: 2, amenities: [], openTime: '07:00', closeTime: '21:00' }, null);
+        assert.deepEqual(engine.getLibraryHours(), { openTime: '07:00', closeTime: '21:00' });
+
+        engine.book(request('POD-D', '07:00', ['SIT-001']));
+        engine.setPodRetired('POD-D', true);
+        assert.equal(engine.countUpcomingBookings('POD-D'), 1);
+        assert.deepEqual(engine.getLibraryHours(), { openTime: '08:00', closeTime: '20:00' });
+    });
+});
+
+describe('fair-use policies', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+    });
+
+    it('limits the hours a student can book in one day across every pod', function () {
+        engine.setPolicySettings({ maxHoursPerDay: 3, maxConsecutiveHours: 3 });
+        engine.book(request('POD-A', '09:00', ['SIT-001'], { duration: 2 }));
+
+        const errors = engine.validate(request('POD-B', '14:00', ['SIT-001', 'SIT-002'], { duration: 2 }));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.DAILY_HOURS_EXCEEDED]);
+        assert.equal(errors[0].student, 'SIT-001');
+        assert.equal(errors[0].hoursBooked, 2);
+        assert.equal(errors[0].maxHours, 3);
+
+        assert.deepEqual(engine.validate(request('POD-B', '14:00', ['SIT-001'])), []);
+        assert.deepEqual(engine.validate(request('POD-B', '14:00', ['SIT-001'], { duration: 2, date: TOMORROW })), []);
+    });
+
+    it('limits consecutive hours, counting bookings directly before and after', function () {
+        engine.setPolicySettings({ maxConsecutiveHours: 3 });
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+        engine.book(request('POD-B', '12:00', ['SIT-001']));
+
+        const errors = engine.validate(request('POD-C', '10:00', ['SIT-001'], { duration: 2 }));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.CONSECUTIVE_HOURS_EXCEEDED]);
+        assert.equal(errors[0].consecutiveHours, 4);
+
+        // A one-hour gap is a break
+        assert.deepEqual(engine.validate(request('POD-C', '10:00', ['SIT-001'])), []);
+    });
+
+    it('checks the pod\'s minimum group size against the merged booking', function () {
+        engine.savePod({ id: 'POD-A', capacity: 4, minGroupSize: 2, amenities: [], openTime: '08:00', closeTime: '20:00' }, 'POD-A');
+
+        const errors = engine.validate(request('POD-A', '09:00', ['SIT-001']));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.GROUP_TOO_SMALL]);
+        assert.equal(errors[0].minGroupSize, 2);
+
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-003'])), []);
+
+        assert.deepEqual(codesOf(engine.validatePod({ id: 'POD-A', capacity: 4, minGroupSize: 5, amenities: [], openTime: '08:00', closeTime: '20:00' }, 'POD-A')), [ERROR_CODES.INVALID_MIN_GROUP_SIZE]);
+    });
+
+    it('refuses dates beyond the booking window', function () {
+        engine.setPolicySettings({ maxDaysAhead: 7 });
+        assert.deepEqual(engine.validate(request('POD-A', '09:00', ['SIT-001'], { date: '2030-03-11' })), []);
+
+        const errors = engine.validate(request('POD-A', '09:00', ['SIT-001'], { date: '2030-03-12' }));
+        assert.deepEqual(codesOf(errors), [ERROR_CODES.TOO_FAR_AHEAD]);
+        assert.equal(errors[0].lastDate, '2030-03-11');
+    });
+
+    it('counts each violation in the breakdown, except on a dry run', function () {
+        engine.setPolicySettings({ maxHoursPerDay: 2, maxDaysAhead: 7 });
+        engine.book(request('POD-A', '09:00', ['SIT-001'], { duration: 2 }));
+
+        engine.book(request('POD-A', '09:00', ['SIT-001'], { duration: 2 })); // Only the duplicate, not the hours too
+        engine.book(request('POD-B', '14:00', ['SIT-001']));
+        engine.book(request('POD-B', '14:00', ['SIT-002'], { date: '2030-03-20' }));
+        engine.book(request('POD-B', '15:00', ['SIT-001']), { dryRun: true });
+        assert.deepEqual(engine.violationCounts, { duplicate: 1, dailyHours: 1, consecutiveHours: 0, groupSize: 0, daysAhead: 1 });
+    });
+
+    it('only accepts whole-number limits within range', function () {
+        const result = engine.setPolicySettings({ maxHoursPerDay: 0, maxDaysAhead: 14 });
+        assert.deepEqual(codesOf(result.errors), [ERROR_CODES.INVALID_POLICY_LIMIT]);
+        assert.equal(result.errors[0].setting, 'maxHoursPerDay');
+        assert.equal(engine.policySettings.maxDaysAhead, 30);
+
+        assert.deepEqual(codesOf(engine.setPolicySettings({ maxStudents: 3 }).errors), [ERROR_CODES.INVALID_POLICY_LIMIT]);
+        assert.equal(engine.setPolicySettings({ maxConsecutiveHours: 2.5 }).ok, false);
+    });
+});
+
+describe('violation log', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine([], '09:30');
+        engine.book(request('POD-A', '10:00', ['SIT-001', 'SIT-002', 'SIT-003']));
+
+        const attempts = [
+            request('POD-A', '10:00', ['SIT-004', 'SIT-005']), // Capacity: the whole group
+            request('POD-B', '10:00', ['SIT-001', 'SIT-006']), // Clash: SIT-001 only
+            request('POD-C', '10:00', ['SIT-001']),
+            request('POD-B', '20:00', ['SIT-005'])
+        ];
+        for (let i = 0; i < attempts.length; i++) {
+            engine.logRejectedAttempt(attempts[i], engine.book(attempts[i]).errors);
+        }
+    });
+
+    it('logs each rejected attempt with its time, request and errors', function () {
+        assert.equal(engine.violationLog.length, 4);
+
+        const entry = engine.violationLog[1];
+        assert.equal(entry.loggedAt, new Date(`${TODAY}T09:30:00`).toISOString());
+        assert.deepEqual([entry.podId, entry.date, entry.time, entry.duration], ['POD-B', TODAY, '10:00', 1]);
+        assert.deepEqual(entry.students, ['SIT-001', 'SIT-006']);
+        assert.deepEqual(codesOf(entry.errors), [ERROR_CODES.CROSS_POD_CLASH]);
+    });
+
+    it('filters by rule, pod and part of a student ID', function () {
+        assert.equal(engine.filterViolationLog({ code: ERROR_CODES.CROSS_POD_CLASH }).length, 2);
+        assert.equal(engine.filterViolationLog({ code: ERROR_CODES.CROSS_POD_CLASH, podId: 'POD-C' }).length, 1);
+        assert.equal(engine.filterViolationLog({ student: 'sit-00' }).length, 4);
+        assert.deepEqual(codesOf(engine.filterViolationLog({ student: ' SIT-005' })[1].errors), [ERROR_CODES.OUTSIDE_HOURS]);
+        assert.equal(engine.filterViolationLog({}).length, 4);
+    });
+
+    it('ranks repeat offenders, blaming the whole group for group-wide errors', function () {
+        assert.deepEqual(engine.getRepeatOffenders(), [
+            { student: 'SIT-001', attempts: 2, codes: [ERROR_CODES.CROSS_POD_CLASH] },
+            { student: 'SIT-005', attempts: 2, codes: [ERROR_CODES.CAPACITY_EXCEEDED, ERROR_CODES.OUTSIDE_HOURS] }
+        ]);
+        assert.equal(engine.getRepeatOffenders(1).length, 3); // SIT-004 too, but not SIT-006
+    });
+
+    it('keeps only the newest entries', function () {
+        const attempt = request('POD-B', '20:00', ['SIT-009']);
+        for (let i = 0; i < engineModule.MAX_VIOLATION_LOG_ENTRIES; i++) {
+            engine.logRejectedAttempt(attempt, []);
+        }
+        assert.equal(engine.violationLog.length, engineModule.MAX_VIOLATION_LOG_ENTRIES);
+        assert.deepEqual(engine.violationLog[0].students, ['SIT-009']);
+    });
+});
+
+describe('check-in and no-shows', function () {
+    it('opens check-in shortly before the start and closes it when the booking ends', function () {
+        const booking = { podId: 'POD-A', date: TODAY, time: '09:00', duration: 2, students: ['SIT-001'], checkedIn: [] };
+
+        const early = createEngine([], '08:44').getCheckInErrors(booking);
+        assert.deepEqual(codesOf(early), ['CHECK_IN_NOT_OPEN']);
+        assert.equal(early[0].opensAt, '08:45');
+
+        assert.deepEqual(createEngine([], '08:45').getCheckInErrors(booking), []);
+        assert.deepEqual(createEngine([], '10:59').getCheckInErrors(booking), []);
+        assert.deepEqual(codesOf(createEngine([], '11:00').getCheckInErrors(booking)), ['CHECK_IN_CLOSED']);
+    });
+
+    it('checks in single students or the rest of the group', function () {
+        const engine = createEngine([], '09:05');
+        const booking = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'])).booking;
+
+        assert.deepEqual(engine.checkIn(booking.id, 'SIT-002').checkedIn, ['SIT-002']);
+        assert.deepEqual(codesOf(engine.checkIn(booking.id, 'SIT-002').errors), ['ALREADY_CHECKED_IN']);
+        assert.deepEqual(codesOf(engine.checkIn(booking.id, 'SIT-009').errors), ['STUDENT_NOT_IN_BOOKING']);
+
+        assert.deepEqual(engine.checkIn(booking.id).checkedIn, ['SIT-001', 'SIT-003']);
+        assert.deepEqual(booking.checkedIn, ['SIT-002', 'SIT-001', 'SIT-003']);
+        assert.deepEqual(codesOf(engine.checkIn(booking.id).errors), ['ALREADY_CHECKED_IN']);
+        assert.deepEqual(codesOf(engine.checkIn('BK-missing').errors), ['BOOKING_NOT_FOUND']);
+    });
+
+    it('forgets the check-in of a student who leaves the booking', function () {
+        const engine = createEngine([], '09:05');
+        const booking = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002'])).booking;
+        engine.checkIn(booking.id);
+
+        engine.cancel(booking.id, 'SIT-001');
+        assert.deepEqual(booking.checkedIn, ['SIT-002']);
+
+        engine.update(booking.id, request('POD-A', '09:00', ['SIT-003', 'SIT-002']));
+        assert.deepEqual(booking.checkedIn, ['SIT-002']);
+    });
+
+    it('releases today\'s bookings nobody checked in to once the grace period is over', function () {
+        const engine = createEngine([], '09:14');
+        const missed = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'], { duration: 2 })).booking;
+        const arrived = engine.book(request('POD-B', '09:00', ['SIT-004'])).booking;
+        engine.book(request('POD-C', '09:00', ['SIT-005'], { date: TOMORROW }));
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-008']));
+        engine.joinWaitlist(request('POD-A', '10:00', ['SIT-006', 'SIT-007']));
+        engine.checkIn(arrived.id);
+
+        assert.equal(engine.releaseNoShows().released.length, 0);
+
+        engine.now = function () {
+            return new Date(`${TODAY}T09:15:00`);
+        };
+        const result = engine.releaseNoShows();
+        assert.deepEqual([result.released[0].id], [missed.id]);
+        assert.ok(result.released[0].releasedAt);
+        assert.equal(engine.findBookingById(missed.id), null);
+        assert.equal(engine.getNoShowsForDate(TODAY).length, 1);
+
+        // The freed seats go to the waitlist, but only to groups whose slot hasn't started yet
+        assert.equal(result.promoted.length, 1);
+        assert.deepEqual(result.promoted[0].students, ['SIT-006', 'SIT-007']);
+        assert.deepEqual(engine.waitlist[0].students, ['SIT-008']);
+        assert.equal(engine.getBookingsForDate(TODAY).length, 2);
+    });
+
+    it('releases unattended bookings from earlier days too', function () {
+        const engine = createEngine([
+            { id: 'BK-OLD', podId: 'POD-A', date: '2030-03-01', time: '15:00', duration: 1, students: ['SIT-001'], checkedIn: [], seriesId: null },
+            { id: 'BK-USED', podId: 'POD-B', date: '2030-03-01', time: '15:00', duration: 1, students: ['SIT-002'], checkedIn: ['SIT-002'], seriesId: null }
+        ], '07:30');
+
+        const result = engine.releaseNoShows();
+        assert.deepEqual([result.released[0].id], ['BK-OLD']);
+        assert.equal(engine.getNoShowsForDate('2030-03-01').length, 1);
+        assert.ok(engine.findBookingById('BK-USED'));
+    });
+
+    it('accepts grace periods in whole minutes up to the maximum', function () {
+        const engine = createEngine([], '09:10');
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+
+        assert.deepEqual(codesOf(engine.setGraceMinutes(2.5).errors), ['INVALID_GRACE_PERIOD']);
+        assert.deepEqual(codesOf(engine.setGraceMinutes(121).errors), ['INVALID_GRACE_PERIOD']);
+        assert.equal(engine.setGraceMinutes(5).ok, true);
+        assert.equal(engine.releaseNoShows().released.length, 1);
+    });
+});
+
+describe('confirmation codes and self-service', function () {
+    it('gives every student booked their own code', function () {
+        const engine = createEngine();
+        const first = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        const second = engine.book(request('POD-A', '09:00', ['SIT-003']));
+
+        assert.match(first.codes['SIT-001'], new RegExp(`^[A-HJ-NP-Z2-9]{${engineModule.CONFIRMATION_CODE_LENGTH}}$`));
+        assert.notEqual(first.codes['SIT-001'], first.codes['SIT-002']);
+        assert.equal(second.merged, true);
+        assert.deepEqual(second.codes, { 'SIT-003': second.booking.confirmationCodes['SIT-003'] });
+        assert.deepEqual(first.booking.confirmationCodes, { 'SIT-001': first.codes['SIT-001'], 'SIT-002': first.codes['SIT-002'], 'SIT-003': second.codes['SIT-003'] });
+    });
+
+    it('keeps codes for students who stay when a booking is edited, and codes the newcomers', function () {
+        const engine = createEngine();
+        const result = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        const update = engine.update(result.booking.id, request('POD-B', '10:00', ['SIT-002', 'SIT-004']));
+
+        assert.equal(update.ok, true);
+        assert.deepEqual(Object.keys(update.codes), ['SIT-004']);
+        assert.deepEqual(result.booking.confirmationCodes, { 'SIT-002': result.codes['SIT-002'], 'SIT-004': update.codes['SIT-004'] });
+        assert.deepEqual(engine.update(result.booking.id, request('POD-B', '10:00', ['SIT-002'])).codes, {});
+    });
+
+    it('lists a student\'s bookings from today on, matching the ID exactly after trimming and upper-casing', function () {
+        const engine = createEngine([
+            { id: 'BK-OLD', podId: 'POD-A', date: '2030-03-03', time: '09:00', duration: 1, students: ['SIT-001'] }
+        ]);
+        engine.book(request('POD-C', '15:00', ['SIT-001'], { date: TOMORROW }));
+        engine.book(request('POD-B', '11:00', ['SIT-001', 'SIT-002']));
+        engine.book(request('POD-A', '09:00', ['SIT-010']));
+
+        const found = engine.findStudentBookings('  sit-001 ');
+        assert.deepEqual([found[0].podId, found[1].podId], ['POD-B', 'POD-C']);
+        assert.equal(found.length, 2);
+        assert.equal(engine.findStudentBookings('SIT-01').length, 0);
+        assert.equal(engine.findStudentBookings('SIT-001', '2030-03-01').length, 3);
+    });
+
+    it('cancels only the student\'s own seat, and only with their own code', function () {
+        const engine = createEngine();
+        const first = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        const second = engine.book(request('POD-A', '09:00', ['SIT-003']));
+        const bookingId = first.booking.id;
+
+        assert.deepEqual(codesOf(engine.cancelOwnSeat(bookingId, 'SIT-001', second.codes['SIT-003']).errors), [ERROR_CODES.INVALID_CONFIRMATION_CODE]);
+        assert.deepEqual(codesOf(engine.cancelOwnSeat(bookingId, 'SIT-001', first.codes['SIT-002']).errors), [ERROR_CODES.INVALID_CONFIRMATION_CODE]); // A groupmate's code
+        assert.deepEqual(codesOf(engine.cancelOwnSeat(bookingId, 'SIT-009', first.codes['SIT-001']).errors), [ERROR_CODES.STUDENT_NOT_IN_BOOKING]);
+        assert.deepEqual(codesOf(engine.cancelOwnSeat('BK-NONE', 'SIT-001', first.codes['SIT-001']).errors), [ERROR_CODES.BOOKING_NOT_FOUND]);
+
+        const result = engine.cancelOwnSeat(bookingId, 'sit-001', ` ${first.codes['SIT-001'].toLowerCase()} `);
+        assert.equal(result.ok, true);
+        assert.equal(result.removed, false);
+        assert.deepEqual(result.booking.students, ['SIT-002', 'SIT-003']);
+        assert.deepEqual(result.booking.confirmationCodes, { 'SIT-002': first.codes['SIT-002'], 'SIT-003': second.codes['SIT-003'] });
+    });
+
+    it('refuses bookings saved before codes existed', function () {
+        const engine = createEngine([
+            { id: 'BK-1', podId: 'POD-A', date: TODAY, time: '09:00', duration: 1, students: ['SIT-001'] }
+        ]);
+        assert.deepEqual(engine.bookings[0].confirmationCodes, {});
+        assert.deepEqual(codesOf(engine.cancelOwnSeat('BK-1', 'SIT-001', '').errors), [ERROR_CODES.INVALID_CONFIRMATION_CODE]);
+    });
+});
+
+describe('alternative suggestions', function () {
+    function describe(suggestions) {
+        const described = [];
+        for (let i = 0; i < suggestions.length; i++) {
+            const parts = [];
+            for (let j = 0; j < suggestions[i].requests.length; j++) {
+                parts.push(`${suggestions[i].requests[j].podId} ${suggestions[i].requests[j].time} x${suggestions[i].requests[j].students.length}`);
+            }
+            described.push(`${suggestions[i].kind}: ${parts.join(' + ')}`);
+        }
+        return described;
+    }
+
+    it('ranks the nearest hours in the same pod, then other pods at the same hour', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '10:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+
+        assert.deepEqual(describe(engine.suggestAlternatives(request('POD-A', '10:00', ['SIT-005', 'SIT-006']))), [
+            'time: POD-A 09:00 x2',
+            'time: POD-A 11:00 x2',
+            'pod: POD-B 10:00 x2',
+            'pod: POD-C 10:00 x2',
+            'time: POD-A 08:00 x2'
+        ]);
+        assert.equal(engineModule.MAX_SUGGESTIONS, 5);
+    });
+
+    it('splits the group across pods when no single pod has room at that hour', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '10:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+        engine.book(request('POD-B', '10:00', ['SIT-011', 'SIT-012']));
+        engine.book(request('POD-C', '10:00', ['SIT-021', 'SIT-022', 'SIT-023']));
+
+        const suggestions = engine.suggestAlternatives(request('POD-A', '10:00', ['SIT-031', 'SIT-032', 'SIT-033']));
+        assert.deepEqual(describe(suggestions), [
+            'time: POD-A 09:00 x3',
+            'time: POD-A 11:00 x3',
+            'time: POD-A 08:00 x3',
+            'time: POD-A 12:00 x3',
+            'split: POD-B 10:00 x2 + POD-C 10:00 x1'
+        ]);
+        assert.deepEqual(suggestions[4].requests[1].students, ['SIT-033']);
+    });
+
+    it('only suggests slots that pass every rule for every student', function () {
+        const engine = createEngine();
+        engine.book(request('POD-B', '10:00', ['SIT-001']));
+        engine.book(request('POD-A', '09:00', ['SIT-002'], { duration: 3 }));
+        engine.setPolicySettings({ maxConsecutiveHours: 3 });
+
+        // SIT-001 is in POD-B at 10:00, so no other pod at that hour works either; SIT-002 may not stay on past 12:00
+        const suggestions = engine.suggestAlternatives(request('POD-C', '10:00', ['SIT-001', 'SIT-002']));
+        assert.deepEqual(describe(suggestions), ['time: POD-C 13:00 x2', 'time: POD-C 14:00 x2', 'time: POD-C 15:00 x2', 'time: POD-C 16:00 x2', 'time: POD-C 17:00 x2']);
+        assert.equal(engine.violationCounts.duplicate, 0);
+    });
+
+    it('leaves out start times that have already passed today', function () {
+        const engine = createEngine([], '10:30');
+        engine.book(request('POD-A', '11:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+        engine.book(request('POD-B', '11:00', ['SIT-011', 'SIT-012', 'SIT-013', 'SIT-014']));
+        engine.book(request('POD-C', '11:00', ['SIT-021', 'SIT-022', 'SIT-023', 'SIT-024']));
+
+        assert.deepEqual(describe(engine.suggestAlternatives(request('POD-A', '11:00', ['SIT-005'])))[0], 'time: POD-A 12:00 x1');
+    });
+
+    it('books every part of a suggestion or none of them', function () {
+        const engine = createEngine();
+        engine.book(request('POD-B', '10:00', ['SIT-011', 'SIT-012', 'SIT-013']));
+
+        const failed = engine.bookAll([request('POD-A', '10:00', ['SIT-001']), request('POD-B', '10:00', ['SIT-002', 'SIT-003'])]);
+        assert.deepEqual(codesOf(failed.errors), [ERROR_CODES.CAPACITY_EXCEEDED]);
+        assert.equal(engine.bookings.length, 1);
+
+        const booked = engine.bookAll([request('POD-A', '10:00', ['SIT-001', 'SIT-002']), request('POD-B', '10:00', ['SIT-003'])]);
+        assert.equal(booked.ok, true);
+        assert.equal(engine.bookings.length, 2);
+        assert.notEqual(booked.results[0].codes['SIT-001'], booked.results[1].codes['SIT-003']);
+    });
+});
+
+describe('recurring series', function () {
+    // Mondays and Wednesdays from Monday 4 March 2030
+    function series(students, extra) {
+        const fields = extra || {};
+        return {
+            podId: fields.podId || 'POD-A',
+            date: TODAY,
+            time: '10:00',
+            duration: 1,
+            students: students,
+            endDate: fields.endDate || '2030-03-20',
+            weekdays: fields.weekdays || [1, 3],
+            skipDates: fields.skipDates || []
+        };
+    }
+
+    it('lists the weekly dates up to the end date, less the skipped ones', function () {
+        const engine = createEngine();
+        assert.deepEqual(engine.getSeriesDates(series(['SIT-001'], { skipDates: ['2030-03-11', '2030-03-12'] })), {
+            errors: [],
+            dates: ['2030-03-04', '2030-03-06', '2030-03-13', '2030-03-18', '2030-03-20'],
+            skipped: ['2030-03-11']
+        });
+
+        assert.deepEqual(codesOf(engine.getSeriesDates(series(['SIT-001'], { endDate: '2030-03-01', weekdays: [] })).errors), [ERROR_CODES.INVALID_SERIES_END, ERROR_CODES.NO_SERIES_WEEKDAYS]);
+        assert.deepEqual(codesOf(engine.getSeriesDates(series(['SIT-001'], { endDate: '2031-03-20', weekdays: [1, 3] })).errors), [ERROR_CODES.TOO_MANY_OCCURRENCES]);
+    });
+
+    it('previews which sessions clash and books nothing until they are skipped', function () {
+        const engine = createEngine([
+            { podId: 'POD-A', date: '2030-03-11', time: '10:00', duration: 1, students: ['SIT-011', 'SIT-012', 'SIT-013', 'SIT-014'] },
+            { podId: 'POD-B', date: '2030-03-18', time: '10:00', duration: 1, students: ['SIT-002'] }
+        ]);
+
+        const preview = engine.previewSeries(series(['SIT-001', 'SIT-002'], { skipDates: ['2030-03-13'] }));
+        const summary = [];
+        for (let i = 0; i < preview.occurrences.length; i++) {
+            const occurrence = preview.occurrences[i];
+            summary.push(`${occurrence.date} ${occurrence.skipped ? 'skipped' : codesOf(occurrence.errors).join(',') || 'free'}`);
+        }
+        assert.equal(preview.ok, false);
+        assert.deepEqual(summary, ['2030-03-04 free', '2030-03-06 free', '2030-03-11 CAPACITY_EXCEEDED', '2030-03-13 skipped', '2030-03-18 CROSS_POD_CLASH', '2030-03-20 free']);
+
+        const rejected = engine.bookSeries(series(['SIT-001', 'SIT-002']));
+        assert.equal(rejected.ok, false);
+        assert.deepEqual(codesOf(rejected.errors), [ERROR_CODES.CAPACITY_EXCEEDED, ERROR_CODES.CROSS_POD_CLASH]);
+        assert.equal(engine.bookings.length, 2);
+        assert.equal(engine.violationCounts.duplicate, 0);
+
+        const booked = engine.bookSeries(series(['SIT-001', 'SIT-002'], { skipDates: ['2030-03-11', '2030-03-18'] }));
+        assert.equal(booked.ok, true);
+        assert.equal(booked.bookings.length, 4);
+        assert.deepEqual(engine.getSeriesBookings(booked.seriesId), booked.bookings);
+        for (let i = 0; i < booked.bookings.length; i++) {
+            assert.equal(booked.bookings[i].seriesId, booked.seriesId);
+            assert.deepEqual(booked.bookings[i].confirmationCodes, booked.codes);
+        }
+        assert.notEqual(booked.codes['SIT-001'], booked.codes['SIT-002']);
+    });
+
+    it('keeps other groups out of the series and cancels one session or the rest of the series', function () {
+        const engine = createEngine();
+        const booked = engine.bookSeries(series(['SIT-001']));
+        const walkIn = engine.book(request('POD-A', '10:00', ['SIT-005'], { date: '2030-03-13' }));
+        assert.equal(walkIn.merged, false);
+        assert.equal(walkIn.booking.seriesId, null);
+
+        engine.cancel(booked.bookings[1].id);
+        assert.equal(engine.getSeriesBookings(booked.seriesId).length, 5);
+
+        // A week on, the sessions already held stay on record
+        engine.today = function () {
+            return '2030-03-12';
+        };
+        engine.now = function () {
+            return new Date('2030-03-12T08:00:00');
+        };
+        const result = engine.cancelSeries(booked.seriesId);
+        assert.equal(result.ok, true);
+        assert.deepEqual([result.removed[0].date, result.removed[1].date, result.removed[2].date], ['2030-03-13', '2030-03-18', '2030-03-20']);
+        assert.deepEqual(engine.getSeriesBookings(booked.seriesId), [booked.bookings[0], booked.bookings[2]]);
+        assert.deepEqual(engine.findBookingById(walkIn.booking.id).students, ['SIT-005']);
+
+        assert.deepEqual(codesOf(engine.cancelSeries(booked.seriesId).errors), [ERROR_CODES.SERIES_ENDED]);
+        assert.deepEqual(codesOf(engine.cancelSeries('SR-UNKNOWN').errors), [ERROR_CODES.SERIES_NOT_FOUND]);
+    });
+
+    it('leaves a session that has started today in the series it cancels', function () {
+        const engine = createEngine();
+        const booked = engine.bookSeries(series(['SIT-001'], { endDate: '2030-03-11' }));
+        engine.today = function () {
+            return '2030-03-11';
+        };
+        engine.now = function () {
+            return new Date('2030-03-11T10:30:00');
+        };
+
+        assert.deepEqual(codesOf(engine.cancelSeries(booked.seriesId).errors), [ERROR_CODES.SERIES_ENDED]);
+        assert.equal(engine.getSeriesBookings(booked.seriesId).length, 3);
+
+        engine.now = function () {
+            return new Date('2030-03-11T09:59:00');
+        };
+        const result = engine.cancelSeries(booked.seriesId);
+        assert.equal(result.ok, true);
+        assert.deepEqual([result.removed.length, result.removed[0].date], [1, '2030-03-11']);
+    });
+});
+
+describe('searching and sorting bookings', function () {
+    let engine;
+
+    beforeEach(function () {
+        engine = createEngine();
+        engine.book(request('POD-B', '14:00', ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']));
+        engine.book(request('POD-A', '09:00', ['SMC-210'], { duration: 2 }));
+        engine.book(request('POD-C', '11:00', ['SIT-045', 'SIT-046']));
+        engine.book(request('POD-A', '09:00', ['SIT-009'], { date: TOMORROW }));
+    });
+
+    function podsOf(bookings) {
+        const pods = [];
+        for (let i = 0; i < bookings.length; i++) {
+            pods.push(bookings[i].podId);
+        }
+        return pods;
+    }
+
+    it('matches part of a student ID or pod ID in any case, on the chosen day only', function () {
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { query: ' sit-04' })), ['POD-C']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { query: 'pod-a' })), ['POD-A']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { query: 'SIT-009' })), []);
+        assert.equal(engine.searchBookings(TODAY, {}).length, 3);
+    });
+
+    it('filters by pod, overlapping time range and occupancy', function () {
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { podId: 'POD-B' })), ['POD-B']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { fromTime: '10:00', toTime: '12:00' })), ['POD-A', 'POD-C']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { fromTime: '11:00' })), ['POD-B', 'POD-C']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { occupancy: 'full' })), ['POD-B']);
+        assert.deepEqual(podsOf(engine.searchBookings(TODAY, { occupancy: 'partial', query: 'SIT' })), ['POD-C']);
+    });
+
+    it('counts a pod filled by overlapping bookings as full', function () {
+        const overlapping = createEngine();
+        overlapping.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002'], { duration: 2 }));
+        overlapping.book(request('POD-A', '10:00', ['SIT-003', 'SIT-004']));
+        overlapping.book(request('POD-A', '11:00', ['SIT-005']));
+
+        const full = overlapping.searchBookings(TODAY, { occupancy: 'full' });
+        assert.deepEqual([full[0].time, full[1].time], ['09:00', '10:00']);
+        assert.equal(overlapping.searchBookings(TODAY, { occupancy: 'partial' })[0].time, '11:00');
+    });
+
+    it('sorts a copy by pod, time or group size, either way round', function () {
+        const dayBookings = engine.getBookingsForDate(TODAY);
+        assert.deepEqual(podsOf(engineModule.sortBookings(dayBookings, 'pod', false)), ['POD-A', 'POD-B', 'POD-C']);
+        assert.deepEqual(podsOf(engineModule.sortBookings(dayBookings, 'time', true)), ['POD-B', 'POD-C', 'POD-A']);
+        assert.deepEqual(podsOf(engineModule.sortBookings(dayBookings, 'students', false)), ['POD-A', 'POD-C', 'POD-B']);
+        assert.deepEqual(podsOf(engineModule.sortBookings(dayBookings, null, false)), ['POD-B', 'POD-A', 'POD-C']);
+        assert.deepEqual(podsOf(dayBookings), ['POD-B', 'POD-A', 'POD-C']);
+    });
+});
+
+describe('insights', function () {
+    it('reports an empty day', function () {
+        const insights = createEngine().insights(TODAY);
+        assert.equal(insights.totalBookings, 0);
+        assert.equal(insights.uniqueStudents, 0);
+        assert.deepEqual(insights.busiestHours, []);
+        assert.equal(insights.podFillRates.length, 3);
+        assert.equal(insights.podFillRates[0].fillRate, 0);
+        assert.equal(insights.podFillRates[0].totalSeats, 48);
+        assert.equal(insights.hourlyOccupancy.length, 12);
+        assert.equal(insights.hourlyOccupancy[0].utilisation, 0);
+        assert.equal(insights.checkInRate, null);
+        assert.equal(insights.noShowRate, null);
+    });
+
+    it('counts bookings and unique students for the chosen day only', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        engine.book(request('POD-B', '11:00', ['SIT-001']));
+        engine.book(request('POD-C', '09:00', ['SIT-003'], { date: TOMORROW }));
+
+        const insights = engine.insights(TODAY);
+        assert.equal(insights.totalBookings, 2);
+        assert.equal(insights.uniqueStudents, 2);
+    });
+
+    it('counts every covered hour towards the busiest hour', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '09:00', ['SIT-001'], { duration: 3 }));
+        engine.book(request('POD-B', '11:00', ['SIT-002', 'SIT-003']));
+
+        const insights = engine.insights(TODAY);
+        assert.deepEqual(insights.busiestHours, ['11:00']);
+        assert.equal(insights.busiestHourStudents, 3);
+    });
+
+    it('lists every hour that ties for the busiest, in time order', function () {
+        const engine = createEngine();
+        engine.book(request('POD-B', '14:00', ['SIT-001', 'SIT-002']));
+        engine.book(request('POD-A', '09:00', ['SIT-003'], { duration: 2 }));
+        engine.book(request('POD-C', '09:00', ['SIT-004']));
+
+        const insights = engine.insights(TODAY);
+        assert.deepEqual(insights.busiestHours, ['09:00', '14:00']);
+        assert.equal(insights.busiestHourStudents, 2);
+    });
+
+    it('works out fill rates against every opening hour, to one decimal place', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'], { duration: 2 }));
+        engine.book(request('POD-A', '10:00', ['SIT-004']));
+        engine.book(request('POD-B', '09:00', ['SIT-005']));
+
+        const rates = engine.insights(TODAY).podFillRates;
+        // POD-A: 3 seats x 2 hours + 1 seat x 1 hour = 7 of 4 seats x 12 opening hours = 48 seat-hours
+        assert.deepEqual(rates[0], { podId: 'POD-A', fillRate: 14.6, slotsUsed: 2, openHours: 12, bookedSeats: 7, totalSeats: 48 });
+        assert.deepEqual(rates[1], { podId: 'POD-B', fillRate: 2.1, slotsUsed: 1, openHours: 12, bookedSeats: 1, totalSeats: 48 });
+
+        engine.savePod({ id: 'POD-D', capacity: 3, amenities: [], openTime: '18:00', closeTime: '20:00' }, null);
+        engine.book(request('POD-D', '18:00', ['SIT-006']));
+        assert.equal(engine.insights(TODAY).podFillRates[3].fillRate, 16.7);
+    });
+
+    it('builds hour-by-hour occupancy per pod, giving closed pods no seats', function () {
+        const engine = createEngine();
+        engine.savePod({ id: 'POD-D', capacity: 2, amenities: [], openTime: '10:00', closeTime: '21:00' }, null);
+        engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002'], { duration: 2 }));
+        engine.book(request('POD-D', '20:00', ['SIT-003', 'SIT-004']));
+
+        const hours = engine.insights(TODAY).hourlyOccupancy;
+        assert.equal(hours.length, 13); // 08:00 to 20:00, the library's whole opening span
+        assert.deepEqual(hours[1], {
+            time: '09:00',
+            students: 2,
+            seats: 12,
+            utilisation: 16.7,
+            pods: [
+                { podId: 'POD-A', students: 2, capacity: 4 },
+                { podId: 'POD-B', students: 0, capacity: 4 },
+                { podId: 'POD-C', students: 0, capacity: 4 },
+                { podId: 'POD-D', students: 0, capacity: 0 }
+            ]
+        });
+        assert.equal(hours[2].seats, 14);
+        assert.deepEqual([hours[12].time, hours[12].students, hours[12].seats, hours[12].utilisation], ['20:00', 2, 2, 100]);
+    });
+
+    it('leaves out retired pods unless they still have bookings that day', function () {
+        const engine = createEngine();
+        engine.book(request('POD-A', '09:00', ['SIT-001']));
+        engine.setPodRetired('POD-A', true);
+        engine.setPodRetired('POD-B', true);
+
+        const rates = engine.insights(TODAY).podFillRates;
+        assert.deepEqual([rates[0].podId, rates[1].podId], ['POD-A', 'POD-C']);
+    });
+
+    it('summarises the waitlist per slot and reports the violation breakdown', function () {
+        const engine = createEngine();
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-001', 'SIT-002']));
+        engine.joinWaitlist(request('POD-A', '09:00', ['SIT-003']));
+        engine.violationCounts.duplicate = 2;
+        engine.violationCounts.dailyHours = 1;
+
+        const insights = engine.insights(TODAY);
+        assert.deepEqual(insights.waitlistSlots, [{ podId: 'POD-A', time: '09:00', groups: 2, students: 3 }]);
+        assert.deepEqual(insights.violations, { duplicate: 2, dailyHours: 1, consecutiveHours: 0, groupSize: 0, daysAhead: 0 });
+        assert.equal(insights.totalViolations, 3);
+    });
+
+    it('works out check-in and no-show rates over the bookings that have started', function () {
+        const engine = createEngine([], '09:05');
+        const first = engine.book(request('POD-A', '09:00', ['SIT-001', 'SIT-002'])).booking;
+        engine.book(request('POD-B', '09:00', ['SIT-003']));
+        engine.book(request('POD-C', '11:00', ['SIT-004']));
+        engine.checkIn(first.id, 'SIT-001');
+
+        engine.now = function () {
+            return new Date(`${TODAY}T09:20:00`);
+        };
+        engine.releaseNoShows();
+
+        // Started: POD-A (1 of 2 checked in) and the released POD-B booking (0 of 1); POD-C hasn't started
+        const insights = engine.insights(TODAY);
+        assert.equal(insights.startedBookings, 2);
+        assert.equal(insights.noShowBookings, 1);
+        assert.equal(insights.noShowRate, 50);
+        assert.equal(insights.checkedInStudents, 1);
+        assert.equal(insights.expectedStudents, 3);
+        assert.equal(insights.checkInRate, 33.3);
+    });
+});
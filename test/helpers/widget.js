@@ -0,0 +1,211 @@
+/*
+ * Test helpers: loads the real widget (index.html + booking-engine.js + script.js) into jsdom
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Where the page's clock starts unless a test says otherwise: early on a fixed day, before any
+// booking can be checked in to or released as a no-show
+const DEFAULT_CLOCK = '2030-03-04T07:30:00';
+
+/**
+ * Opens the widget in a fresh jsdom window
+ * savedState (optional) is written to localStorage first, as if left by an earlier session
+ * Options (all optional):
+ *   apiUrl    - switches on the shared REST backend, using Node's fetch
+ *   broadcast - gives the window Node's BroadcastChannel, so widgets opened with it act as tabs of one browser
+ *   clock     - local date and time the page's clock starts at (default DEFAULT_CLOCK); it keeps ticking from there
+ *   query     - query string the page is opened with, e.g. '?mode=student'
+ * Resolves with the window once the app has initialised (it starts on DOMContentLoaded)
+ * Call window.close() when done so the toast and sync timers and channels don't keep the test run alive
+ */
+function loadWidget(savedState, options) {
+    const settings = options || {};
+    let html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    if (settings.apiUrl) {
+        html = html.replace('<meta name="booking-api" content="">', `<meta name="booking-api" content="${settings.apiUrl}">`);
+    }
+
+    // Inline the scripts so they run in page order without a resource loader
+    html = html.replace(/<script src="([^"]+)"><\/script>/g, function (tag, src) {
+        return `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`;
+    });
+
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${settings.query || ''}`, // localStorage needs a real origin
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            // Not implemented by jsdom
+            window.Element.prototype.scrollIntoView = function () {};
+            window.confirm = function () {
+                return true;
+            };
+            window.fetch = fetch;
+            installClock(window, settings.clock || DEFAULT_CLOCK);
+            if (settings.broadcast) {
+                shareBroadcastChannel(window);
+            }
+            if (savedState) {
+                window.localStorage.setItem('usiu-study-pods-state', JSON.stringify(savedState));
+            }
+        }
+    });
+
+    return new Promise(function (resolve) {
+        dom.window.document.addEventListener('DOMContentLoaded', function () {
+            resolve(dom.window);
+        });
+    });
+}
+
+/**
+ * Replaces the window's Date with one running at an offset from the real clock, so "today" and
+ * "now" are the same on every test run; dates built from explicit values are unaffected
+ */
+function installClock(window, localDateTime) {
+    const RealDate = window.Date;
+    class ClockDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(RealDate.now() + ClockDate.offset);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return RealDate.now() + ClockDate.offset;
+        }
+    }
+    window.Date = ClockDate;
+    setClock(window, localDateTime);
+}
+
+/**
+ * Moves the page's clock to a local date and time, e.g. past a booking's grace period
+ */
+function setClock(window, localDateTime) {
+    window.Date.offset = new Date(localDateTime).getTime() - Date.now();
+}
+
+/**
+ * Lends a window Node's BroadcastChannel and closes the window's channels when the window closes
+ */
+function shareBroadcastChannel(window) {
+    const channels = [];
+    window.BroadcastChannel = class extends BroadcastChannel {
+        constructor(name) {
+            super(name);
+            channels.push(this);
+        }
+    };
+
+    const closeWindow = window.close;
+    window.close = function () {
+        for (let i = 0; i < channels.length; i++) {
+            channels[i].close();
+        }
+        closeWindow.call(window);
+    };
+}
+
+/**
+ * Resolves once condition() is true, checking every few milliseconds; rejects after a second
+ * For things that happen asynchronously in the page, like reading a picked file or messages from other tabs
+ */
+function waitFor(condition) {
+    const startedAt = Date.now();
+    return new Promise(function (resolve, reject) {
+        function check() {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - startedAt > 1000) {
+                reject(new Error('Timed out waiting for the page'));
+            } else {
+                setTimeout(check, 5);
+            }
+        }
+        check();
+    });
+}
+
+/**
+ * Fills in and submits the booking form
+ * Fields that are left out keep whatever the form already shows
+ */
+function submitBooking(window, fields) {
+    const document = window.document;
+    if (fields.podId !== undefined) {
+        document.getElementById('pod-select').value = fields.podId;
+    }
+    if (fields.date !== undefined) {
+        document.getElementById('date-input').value = fields.date;
+    }
+    if (fields.time !== undefined) {
+        document.getElementById('time-input').value = fields.time;
+    }
+    if (fields.duration !== undefined) {
+        document.getElementById('duration-select').value = fields.duration.toString();
+    }
+    document.getElementById('students-input').value = fields.students;
+    document.getElementById('booking-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+/**
+ * Reads the rendered bookings table as { pod, time, count, students } rows
+ */
+function readBookingsTable(window) {
+    const rows = window.document.querySelectorAll('#bookings-tbody tr');
+    const bookings = [];
+    for (let i = 0; i < rows.length; i++) {
+        const cells = rows[i].querySelectorAll('td');
+        if (cells.length < 6) {
+            continue; // The "No bookings" placeholder row
+        }
+
+        const chips = cells[4].querySelectorAll('.student-chip');
+        const students = [];
+        for (let j = 0; j < chips.length; j++) {
+            students.push(chips[j].firstChild.textContent);
+        }
+        bookings.push({
+            pod: cells[1].firstChild.textContent, // Without the badge a series' sessions carry
+            time: cells[2].textContent,
+            count: Number(cells[3].textContent),
+            students: students
+        });
+    }
+    return bookings;
+}
+
+/**
+ * Reads the insight cards as { title: value text }, leaving out the line that names each card's source
+ */
+function readInsights(window) {
+    const cards = window.document.querySelectorAll('#insights-container .insight-card');
+    const insights = {};
+    for (let i = 0; i < cards.length; i++) {
+        const card = cards[i].cloneNode(true);
+        const title = card.querySelector('.insight-title');
+        const source = card.querySelector('.insight-source');
+        card.removeChild(title);
+        if (source) {
+            card.removeChild(source);
+        }
+        insights[title.textContent.trim()] = card.textContent.replace(/\s+/g, ' ').trim();
+    }
+    return insights;
+}
+
+/**
+ * Text of an element with whitespace collapsed
+ */
+function textOf(window, id) {
+    return window.document.getElementById(id).textContent.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { loadWidget, setClock, waitFor, submitBooking, readBookingsTable, readInsights, textOf };
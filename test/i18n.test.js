@@ -0,0 +1,55 @@
+/*
+ * The message catalogue and Localizer, without any DOM
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCALES, DEFAULT_LOCALE, MESSAGES, Localizer, fillPlaceholders, listPlaceholders } = require('../i18n.js');
+
+describe('message catalogue', function () {
+    it('has every English message in each language, with the same placeholders', function () {
+        for (const locale in LOCALES) {
+            for (const key in MESSAGES[DEFAULT_LOCALE]) {
+                assert.equal(typeof MESSAGES[locale][key], 'string', `${locale} is missing ${key}`);
+                assert.deepEqual(listPlaceholders(MESSAGES[locale][key]).sort(), listPlaceholders(MESSAGES[DEFAULT_LOCALE][key]).sort(), `${locale} ${key}`);
+            }
+            for (const key in MESSAGES[locale]) {
+                assert.ok(MESSAGES[DEFAULT_LOCALE][key] !== undefined, `${locale} has ${key}, which English doesn't`);
+            }
+        }
+    });
+
+    it('fills placeholders and leaves the ones without a value', function () {
+        assert.equal(fillPlaceholders('{pod} at {time}', { pod: 'POD-A', time: 0 }), 'POD-A at 0');
+        assert.equal(fillPlaceholders('{pod} at {time}', { pod: 'POD-A' }), 'POD-A at {time}');
+        assert.deepEqual(listPlaceholders('{count} of {count} in {pod}'), ['count', 'pod']);
+    });
+});
+
+describe('Localizer', function () {
+    it('translates into the chosen language and falls back to English', function () {
+        assert.equal(new Localizer('sw').translate('form.selectPod'), 'Tafadhali chagua chumba cha kusomea');
+        assert.equal(new Localizer('de').locale, 'en');
+        assert.equal(new Localizer('de').translate('form.selectPod'), 'Please select a study pod');
+        assert.equal(new Localizer('fr').translate('no.such.key'), 'no.such.key');
+    });
+
+    it('picks the plural form for a count', function () {
+        const english = new Localizer('en');
+        assert.equal(english.translatePlural('count.students', 1), '1 student');
+        assert.equal(english.translatePlural('count.students', 3), '3 students');
+        assert.equal(new Localizer('fr').translatePlural('count.students', 1), '1 étudiant');
+        assert.equal(new Localizer('sw').translatePlural('count.students', 3), 'wanafunzi 3');
+    });
+
+    it('keeps stored times on the 24-hour clock and words them on the 12-hour one', function () {
+        const twentyFourHour = new Localizer('en', '24h');
+        assert.equal(twentyFourHour.formatTime('14:00'), '14:00');
+        assert.equal(twentyFourHour.formatTime('24:00'), '24:00');
+
+        const twelveHour = new Localizer('en', '12h');
+        assert.equal(twelveHour.timeFormat, '12h');
+        assert.match(twelveHour.formatTime('14:00'), /^2:00\s?pm$/i);
+        assert.match(twelveHour.formatTime('09:30'), /^9:30\s?am$/i);
+        assert.equal(new Localizer('en', 'military').timeFormat, '24h');
+    });
+});
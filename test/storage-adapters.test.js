@@ -0,0 +1,309 @@
+/*
+ * Storage adapters and the mock REST server: two desks sharing bookings, and the conflicts between them
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorageAdapter, RestStorageAdapter, diffBookings } = require('../storage-adapters.js');
+const { DEFAULT_PODS, DEFAULT_STUDENT_SETTINGS, DEFAULT_POLICY_SETTINGS } = require('../booking-engine.js');
+const { createMockServer } = require('../server/mock-server.js');
+const { loadWidget, submitBooking, readBookingsTable, textOf } = require('./helpers/widget.js');
+
+const TODAY = '2030-03-04';
+
+function booking(id, podId, time, students) {
+    const confirmationCodes = {};
+    for (let i = 0; i < students.length; i++) {
+        confirmationCodes[students[i]] = 'TEST22';
+    }
+    return { id: id, podId: podId, date: TODAY, time: time, duration: 1, students: students, checkedIn: [], confirmationCodes: confirmationCodes, seriesId: null };
+}
+
+function codesOf(errors) {
+    const codes = [];
+    for (let i = 0; i < errors.length; i++) {
+        codes.push(errors[i].code);
+    }
+    return codes;
+}
+
+describe('diffBookings', function () {
+    it('sorts bookings into added, changed and removed by ID', function () {
+        const previous = [booking('BK-1', 'POD-A', '09:00', ['SIT-001']), booking('BK-2', 'POD-B', '10:00', ['SIT-002'])];
+        const current = [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-003']), booking('BK-3', 'POD-C', '11:00', ['SIT-004'])];
+
+        const changes = diffBookings(previous, current);
+        assert.deepEqual(changes.added, [current[1]]);
+        assert.deepEqual(changes.changed, [current[0]]);
+        assert.deepEqual(changes.removed, [previous[1]]);
+    });
+
+    it('finds nothing to send when the lists match', function () {
+        const bookings = [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])];
+        const changes = diffBookings(bookings, JSON.parse(JSON.stringify(bookings)));
+        assert.equal(changes.added.length + changes.changed.length + changes.removed.length, 0);
+
+        const recoded = JSON.parse(JSON.stringify(bookings));
+        recoded[0].confirmationCodes['SIT-001'] = 'NEW222';
+        assert.equal(diffBookings(bookings, recoded).changed.length, 1);
+    });
+});
+
+describe('MemoryStorageAdapter', function () {
+    it('hands back copies of what was saved', function () {
+        const adapter = new MemoryStorageAdapter();
+        assert.equal(adapter.load(), null);
+
+        const state = { version: 8, bookings: [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])] };
+        adapter.save(state);
+        state.bookings.length = 0;
+        assert.equal(adapter.load().bookings.length, 1);
+
+        adapter.clear();
+        assert.equal(adapter.load(), null);
+    });
+});
+
+describe('RestStorageAdapter with the mock server', function () {
+    let server;
+    let baseUrl;
+    let deskA;
+    let deskB;
+
+    before(async function () {
+        server = createMockServer({ today: () => TODAY });
+        await new Promise((resolve) => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    beforeEach(function () {
+        server.engine.replaceState({
+            bookings: [],
+            pods: JSON.parse(JSON.stringify(DEFAULT_PODS)),
+            studentSettings: JSON.parse(JSON.stringify(DEFAULT_STUDENT_SETTINGS)),
+            policySettings: JSON.parse(JSON.stringify(DEFAULT_POLICY_SETTINGS))
+        });
+        deskA = new RestStorageAdapter({ baseUrl: baseUrl });
+        deskB = new RestStorageAdapter({ baseUrl: baseUrl });
+    });
+
+    it('shares a booking made at one desk with the other', async function () {
+        const result = await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])], changed: [], removed: [] });
+        assert.equal(result.ok, true);
+        assert.deepEqual(result.bookings, [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])]);
+
+        assert.deepEqual(await deskB.fetchBookings(), [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])]);
+    });
+
+    it('re-checks the booking rules and refuses seats taken at another desk', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'])], changed: [], removed: [] });
+
+        // Desk B still thinks POD-A is empty at 09:00
+        const result = await deskB.pushBookingChanges({ added: [booking('BK-2', 'POD-A', '10:00', ['SIT-004']), booking('BK-3', 'POD-A', '09:00', ['SIT-005', 'SIT-006'])], changed: [], removed: [] });
+        assert.equal(result.ok, false);
+        assert.equal(result.conflicts.length, 1);
+        assert.equal(result.conflicts[0].booking.id, 'BK-3');
+        assert.deepEqual(codesOf(result.conflicts[0].errors), ['CAPACITY_EXCEEDED']);
+        assert.equal(result.bookings.length, 2);
+    });
+
+    it('refuses a change to a booking that another desk changed first', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])], changed: [], removed: [] });
+        await deskB.fetchBookings();
+
+        const first = await deskA.pushBookingChanges({ added: [], changed: [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002'])], removed: [] });
+        assert.equal(first.ok, true);
+
+        const second = await deskB.pushBookingChanges({ added: [], changed: [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-003'])], removed: [] });
+        assert.deepEqual(codesOf(second.conflicts[0].errors), ['BOOKING_CONFLICT']);
+        assert.deepEqual(second.bookings[0].students, ['SIT-001', 'SIT-002']);
+
+        const removal = await deskB.pushBookingChanges({ added: [], changed: [], removed: [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])] });
+        assert.equal(removal.ok, true);
+        assert.deepEqual(removal.bookings, []);
+    });
+
+    it('shares check-ins as a change to the booking', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002'])], changed: [], removed: [] });
+
+        const checkedIn = booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002']);
+        checkedIn.checkedIn = ['sit-002'];
+        assert.deepEqual(diffBookings([booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002'])], [checkedIn]).changed, [checkedIn]);
+
+        const result = await deskA.pushBookingChanges({ added: [], changed: [checkedIn], removed: [] });
+        assert.equal(result.ok, true);
+        assert.deepEqual((await deskB.fetchBookings())[0].checkedIn, ['SIT-002']);
+    });
+
+    it('merges a group into a slot another desk already booked', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-B', '11:00', ['SIT-001'])], changed: [], removed: [] });
+        const result = await deskB.pushBookingChanges({ added: [booking('BK-2', 'POD-B', '11:00', ['SIT-002'])], changed: [], removed: [] });
+        assert.equal(result.ok, true);
+        assert.deepEqual(result.bookings, [booking('BK-1', 'POD-B', '11:00', ['SIT-001', 'SIT-002'])]);
+    });
+
+    it('reports a change the server refuses outright and still sends the rest', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001'])], changed: [], removed: [] });
+
+        // A gateway in front of the server that turns down one new booking and has lost track of one removal
+        const desk = new RestStorageAdapter({
+            baseUrl: baseUrl,
+            fetch: function (url, init) {
+                if (init.method === 'POST' && JSON.parse(init.body).id === 'BK-2') {
+                    return Promise.resolve(new Response(JSON.stringify({ message: 'Malformed booking' }), { status: 400 }));
+                }
+                if (init.method === 'DELETE' && url.endsWith('/BK-9')) {
+                    return Promise.resolve(new Response('Not Found', { status: 404 }));
+                }
+                return fetch(url, init);
+            }
+        });
+        const result = await desk.pushBookingChanges({
+            added: [booking('BK-2', 'POD-B', '09:00', ['SIT-002']), booking('BK-3', 'POD-C', '09:00', ['SIT-003'])],
+            changed: [],
+            removed: [booking('BK-9', 'POD-A', '12:00', ['SIT-009']), booking('BK-1', 'POD-A', '09:00', ['SIT-001'])]
+        });
+
+        assert.equal(result.ok, false);
+        assert.equal(result.conflicts.length, 1);
+        assert.equal(result.conflicts[0].status, 400);
+        assert.equal(result.conflicts[0].booking.id, 'BK-2');
+        assert.deepEqual(codesOf(result.conflicts[0].errors), ['BOOKING_REJECTED']);
+        assert.deepEqual(result.bookings, [booking('BK-3', 'POD-C', '09:00', ['SIT-003'])]);
+    });
+
+    it('checks bookings against pods, ID rules and policies shared by a desk', async function () {
+        const settings = await deskA.fetchSettings();
+        settings.pods.push({ id: 'POD-D', capacity: 2, minGroupSize: 1, amenities: [], openTime: '08:00', closeTime: '20:00', retired: false });
+        settings.studentSettings = { idPattern: '^[A-Z]{2}\\d{4}$', unknownIdPolicy: 'flag' };
+        settings.policySettings.maxHoursPerDay = 1;
+
+        const saved = await deskA.pushSettings(settings);
+        assert.equal(saved.ok, true);
+        assert.equal(saved.settings.pods[3].id, 'POD-D');
+        assert.deepEqual(await deskB.fetchSettings(), saved.settings);
+
+        const result = await deskB.pushBookingChanges({
+            added: [booking('BK-1', 'POD-D', '09:00', ['AB1234']), booking('BK-2', 'POD-A', '10:00', ['AB1234']), booking('BK-3', 'POD-A', '11:00', ['SIT-001'])],
+            changed: [],
+            removed: []
+        });
+        assert.equal(result.bookings.length, 1);
+        assert.deepEqual(codesOf(result.conflicts[0].errors), ['DAILY_HOURS_EXCEEDED']);
+        assert.deepEqual(codesOf(result.conflicts[1].errors), ['INVALID_STUDENT_ID']);
+    });
+
+    it('refuses settings that break the rules and sends its own back', async function () {
+        await deskA.pushBookingChanges({ added: [booking('BK-1', 'POD-A', '09:00', ['SIT-001', 'SIT-002', 'SIT-003'])], changed: [], removed: [] });
+
+        const settings = await deskB.fetchSettings();
+        settings.pods[0].capacity = 2;
+        settings.policySettings.maxDaysAhead = 999;
+        const result = await deskB.pushSettings(settings);
+
+        assert.equal(result.ok, false);
+        assert.deepEqual(codesOf(result.errors), ['BOOKING_OVER_NEW_CAPACITY', 'INVALID_POLICY_LIMIT']);
+        assert.equal(result.settings.pods[0].capacity, 4);
+        assert.equal(server.engine.policySettings.maxDaysAhead, 30);
+    });
+
+    it('answers an oversized body with a 413 and keeps serving', async function () {
+        const students = [];
+        for (let i = 0; i < 12000; i++) {
+            students.push(`SIT-${i}`);
+        }
+        const response = await fetch(`${baseUrl}/bookings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(booking('BK-1', 'POD-A', '09:00', students))
+        });
+
+        assert.equal(response.status, 413);
+        assert.equal(response.headers.get('connection'), 'close');
+        assert.deepEqual(await response.json(), { errors: [], message: 'Request body too large' });
+        assert.deepEqual(await deskA.fetchBookings(), []);
+    });
+
+    it('rejects when the server cannot be reached', async function () {
+        const offline = new RestStorageAdapter({ baseUrl: 'http://127.0.0.1:9/api' });
+        await assert.rejects(offline.fetchBookings());
+    });
+});
+
+describe('widget with a shared backend', function () {
+    let server;
+    let baseUrl;
+
+    before(async function () {
+        server = createMockServer({ today: () => TODAY }); // The widget's clock is fixed to TODAY too
+        await new Promise((resolve) => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    it('shows bookings from the server and reports a slot lost to another desk', async function () {
+        const deskA = await loadWidget(null, { apiUrl: baseUrl });
+        const deskB = await loadWidget(null, { apiUrl: baseUrl });
+
+        try {
+            // The server starts empty, so the seed bookings are replaced on first contact
+            await deskA.eval('pageWidget').whenSynced();
+            await deskB.eval('pageWidget').whenSynced();
+            assert.equal(readBookingsTable(deskA).length, 0);
+
+            const today = deskA.getTodayDateString();
+            submitBooking(deskA, { podId: 'POD-A', date: today, time: '14:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003' });
+            await deskA.eval('pageWidget').whenSynced();
+            assert.equal(server.engine.bookings.length, 1);
+
+            // Desk B hasn't seen desk A's booking yet, so its own check lets two more students in
+            submitBooking(deskB, { podId: 'POD-A', date: today, time: '14:00', duration: 1, students: 'SIT-004, SIT-005' });
+            await deskB.eval('pageWidget').whenSynced();
+
+            assert.match(textOf(deskB, 'errors'), /Another desk changed these bookings first/);
+            assert.deepEqual(readBookingsTable(deskB)[0].students, ['SIT-001', 'SIT-002', 'SIT-003']);
+            assert.deepEqual(server.engine.bookings[0].students, ['SIT-001', 'SIT-002', 'SIT-003']);
+        } finally {
+            deskA.close();
+            deskB.close();
+        }
+    });
+
+    it('shares a pod added at one desk so another desk can book it', async function () {
+        const deskA = await loadWidget(null, { apiUrl: baseUrl });
+        let deskB = null;
+
+        try {
+            await deskA.eval('pageWidget').whenSynced();
+            const document = deskA.document;
+            document.getElementById('pod-id-input').value = 'POD-Q';
+            document.getElementById('pod-capacity-input').value = '2';
+            document.getElementById('pod-min-group-input').value = '1';
+            document.getElementById('pod-open-input').value = '08:00';
+            document.getElementById('pod-close-input').value = '20:00';
+            document.getElementById('pod-form').dispatchEvent(new deskA.Event('submit', { cancelable: true }));
+            await deskA.eval('pageWidget').whenSynced();
+            assert.ok(server.engine.findPod('POD-Q'));
+
+            // A desk opened afterwards takes its pods from the server, and the server accepts bookings for the new one
+            deskB = await loadWidget(null, { apiUrl: baseUrl });
+            await deskB.eval('pageWidget').whenSynced();
+            assert.ok(deskB.eval('pageWidget').engine.findPod('POD-Q'));
+            submitBooking(deskB, { podId: 'POD-Q', date: deskB.getTodayDateString(), time: '15:00', duration: 1, students: 'SIT-007' });
+            await deskB.eval('pageWidget').whenSynced();
+            assert.equal(textOf(deskB, 'errors'), '');
+            assert.deepEqual(server.engine.findBooking('POD-Q', TODAY, '15:00', 1).students, ['SIT-007']);
+        } finally {
+            deskA.close();
+            if (deskB) {
+                deskB.close();
+            }
+        }
+    });
+});
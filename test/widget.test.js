@@ -0,0 +1,1540 @@
+/*
+ * End-to-end flows through the real page: submit #booking-form, then check the table and insights
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWidget, setClock, waitFor, submitBooking, readBookingsTable, readInsights, textOf } = require('./helpers/widget.js');
+
+const POD_FIXTURES = [
+    { id: 'POD-A', capacity: 4, minGroupSize: 1, amenities: ['whiteboard', 'power'], openTime: '08:00', closeTime: '20:00', retired: false },
+    { id: 'POD-B', capacity: 4, minGroupSize: 1, amenities: ['screen', 'power'], openTime: '08:00', closeTime: '20:00', retired: false },
+    { id: 'POD-C', capacity: 4, minGroupSize: 1, amenities: ['power'], openTime: '08:00', closeTime: '20:00', retired: false }
+];
+
+/**
+ * A saved state with the default pods and no bookings
+ */
+function emptyState() {
+    return {
+        version: 12,
+        savedAt: new Date().toISOString(),
+        pods: JSON.parse(JSON.stringify(POD_FIXTURES)),
+        bookings: [],
+        violationCounts: { duplicate: 0, dailyHours: 0, consecutiveHours: 0, groupSize: 0, daysAhead: 0 },
+        violationLog: [],
+        studentSettings: { idPattern: '^[A-Z]{3}-\\d{3}$', unknownIdPolicy: 'flag' },
+        studentRegistry: [],
+        waitlist: [],
+        noShows: [],
+        checkInSettings: { graceMinutes: 15 },
+        policySettings: { maxHoursPerDay: 6, maxConsecutiveHours: 4, maxDaysAhead: 30 }
+    };
+}
+
+function readSavedState(window) {
+    return JSON.parse(window.localStorage.getItem('usiu-study-pods-state'));
+}
+
+/**
+ * Picks a file in a file input, as if the librarian chose it in the browser's file dialog
+ */
+function pickFile(window, inputId, fileName, text) {
+    const input = window.document.getElementById(inputId);
+    Object.defineProperty(input, 'files', { value: [new window.File([text], fileName)], configurable: true });
+    input.dispatchEvent(new window.Event('change'));
+}
+
+/**
+ * Copies a value made in the page into this realm, so deepEqual compares plain arrays and objects
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('parseStudentIds', function () {
+    let window;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('upper-cases lowercase IDs', function () {
+        assert.deepEqual(Array.from(window.parseStudentIds('sit-001, Smc-210')), ['SIT-001', 'SMC-210']);
+    });
+
+    it('drops blank entries and surrounding spaces', function () {
+        assert.deepEqual(Array.from(window.parseStudentIds('  SIT-001 ,, ,SST-101,  ')), ['SIT-001', 'SST-101']);
+        assert.equal(window.parseStudentIds('   ').length, 0);
+    });
+});
+
+describe('booking form', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('adds a booking to the table and the insights', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'sit-001, SIT-002' });
+
+        assert.deepEqual(readBookingsTable(window), [
+            { pod: 'POD-A', time: '09:00–11:00 (2 hrs)', count: 2, students: ['SIT-001', 'SIT-002'] }
+        ]);
+
+        const insights = readInsights(window);
+        assert.equal(insights['Total Bookings on This Day'], '1');
+        assert.equal(insights['👥 Total Unique Students Served'], '2');
+        assert.equal(insights['⏰ Busiest Hour'], '09:00, 10:00 Tied: 2 students in each of these hours');
+        assert.match(insights['📊 Pod Fill Rates (% of capacity used)'], /POD-A:\s*8.3% \(4\/48 seat-hours\)/);
+        assert.equal(readSavedState(window).bookings.length, 1);
+    });
+
+    it('merges a second group into the same slot', function () {
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'sst-101, SMC-210' });
+
+        const rows = readBookingsTable(window);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].count, 3);
+        assert.deepEqual(rows[0].students, ['SIT-001', 'SST-101', 'SMC-210']);
+        assert.match(readInsights(window)['📊 Pod Fill Rates (% of capacity used)'], /POD-B:\s*6.3% \(3\/48 seat-hours\)/);
+    });
+
+    it('accepts 19:00 but not 20:00', function () {
+        submitBooking(window, { podId: 'POD-C', date: today, time: '20:00', duration: 1, students: 'SIT-001' });
+        assert.match(textOf(window, 'errors'), /closes at 20:00 \(20:00 is not available\)/);
+        assert.equal(readBookingsTable(window).length, 0);
+
+        submitBooking(window, { podId: 'POD-C', date: today, time: '19:00', duration: 1, students: 'SIT-001' });
+        assert.equal(readBookingsTable(window).length, 1);
+    });
+
+    it('reports duplicate students and counts the attempts as violations', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'sit-001' });
+        assert.match(textOf(window, 'errors'), /Student SIT-001 is already booked in POD-A at 09:00/);
+
+        submitBooking(window, { podId: 'POD-B', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        assert.match(textOf(window, 'errors'), /another pod \(POD-A\)/);
+
+        assert.match(readInsights(window)['🚫 Flagged Violations'], /^2\s*Duplicate or clashing bookings:\s*2\D/);
+        assert.equal(readSavedState(window).violationCounts.duplicate, 2);
+        assert.equal(readBookingsTable(window).length, 1);
+    });
+
+    it('rejects malformed student IDs', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT001' });
+        assert.match(textOf(window, 'errors'), /"SIT001" is not a valid student ID/);
+        assert.equal(readBookingsTable(window).length, 0);
+    });
+
+    it('offers the waitlist when a slot is full', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-004, SIT-005' });
+        assert.match(textOf(window, 'errors'), /capacity exceeded at 09:00/);
+
+        window.document.querySelector('#errors .waitlist-offer-btn').click();
+        assert.equal(window.document.querySelectorAll('#waitlist-container li').length, 1);
+        assert.equal(readSavedState(window).waitlist.length, 1);
+
+        // Freeing the slot promotes the group and hands out the codes its students need
+        window.document.querySelector('#bookings-tbody .remove-btn').click();
+        const codes = readSavedState(window).bookings[0].confirmationCodes;
+        assert.match(textOf(window, 'success-message'), new RegExp(`Promoted from waitlist: SIT-004, SIT-005 → POD-A 09:00–10:00 \\(Confirmation codes: ${codes['SIT-004']} for SIT-004, ${codes['SIT-005']} for SIT-005\\)`));
+    });
+
+    it('removes a booking from the table', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '11:00', duration: 1, students: 'SIT-002' });
+
+        window.document.querySelector('#bookings-tbody tr:first-child .remove-btn').click();
+
+        const rows = readBookingsTable(window);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].pod, 'POD-B');
+        assert.equal(readInsights(window)['Total Bookings on This Day'], '1');
+    });
+});
+
+describe('saved state', function () {
+    it('survives a reload', async function () {
+        const first = await loadWidget(emptyState());
+        const today = first.getTodayDateString();
+        submitBooking(first, { podId: 'POD-A', date: today, time: '12:00', duration: 1, students: 'SIT-001' });
+        const saved = readSavedState(first);
+        first.close();
+
+        assert.equal(saved.version, 12);
+
+        const second = await loadWidget(saved);
+        try {
+            assert.deepEqual(readBookingsTable(second), [
+                { pod: 'POD-A', time: '12:00–13:00', count: 1, students: ['SIT-001'] }
+            ]);
+        } finally {
+            second.close();
+        }
+    });
+
+    it('migrates a version 1 save to the current schema', async function () {
+        const window = await loadWidget({
+            version: 1,
+            savedAt: new Date('2030-03-04T07:00:00').toISOString(), // Same day as the page's clock
+            bookings: [{ podId: 'POD-C', time: '15:00', students: ['SST-101'] }],
+            duplicateAttempts: 3
+        });
+
+        try {
+            assert.deepEqual(readBookingsTable(window), [
+                { pod: 'POD-C', time: '15:00–16:00', count: 1, students: ['SST-101'] }
+            ]);
+            assert.match(readInsights(window)['🚫 Flagged Violations'], /^3\s*Duplicate or clashing bookings:\s*3\D/);
+
+            const booking = window.eval('pageWidget').engine.bookings[0];
+            assert.equal(booking.duration, 1);
+            assert.match(booking.id, /^BK-/);
+            assert.deepEqual(Array.from(booking.checkedIn), []);
+            assert.equal(window.eval('pageWidget').engine.pods[0].minGroupSize, 1);
+        } finally {
+            window.close();
+        }
+    });
+
+    it('starts from the seed bookings when nothing is saved', async function () {
+        const window = await loadWidget();
+        try {
+            assert.equal(readBookingsTable(window).length, 2);
+        } finally {
+            window.close();
+        }
+    });
+});
+
+describe('other tabs', function () {
+    it('shows a booking made in another tab and checks new bookings against it', async function () {
+        const tabA = await loadWidget(emptyState(), { broadcast: true });
+        const tabB = await loadWidget(emptyState(), { broadcast: true });
+
+        try {
+            const today = tabA.getTodayDateString();
+            submitBooking(tabA, { podId: 'POD-A', date: today, time: '10:00', duration: 1, students: 'SIT-001' });
+
+            await waitFor(() => readBookingsTable(tabB).length === 1);
+            assert.equal(readInsights(tabB)['👥 Total Unique Students Served'], '1');
+
+            submitBooking(tabB, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-001' });
+            assert.match(textOf(tabB, 'errors'), /another pod \(POD-A\)/);
+            assert.equal(readBookingsTable(tabB).length, 1);
+        } finally {
+            tabA.close();
+            tabB.close();
+        }
+    });
+
+    it('catches up with a state saved elsewhere before booking', async function () {
+        const window = await loadWidget(emptyState());
+
+        try {
+            const today = window.getTodayDateString();
+
+            // Saved by another tab whose message hasn't arrived yet
+            const newerState = emptyState();
+            newerState.savedAt = new Date(Date.now() + 1000).toISOString();
+            newerState.bookings.push({ id: 'BK-OTHER', podId: 'POD-A', date: today, time: '10:00', duration: 1, students: ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004'] });
+            window.localStorage.setItem('usiu-study-pods-state', JSON.stringify(newerState));
+
+            submitBooking(window, { podId: 'POD-A', date: today, time: '10:00', duration: 1, students: 'SIT-005' });
+            assert.match(textOf(window, 'errors'), /Pod capacity exceeded at 10:00/);
+            assert.deepEqual(readBookingsTable(window)[0].students, ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-004']);
+        } finally {
+            window.close();
+        }
+    });
+});
+
+describe('check-in', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState(), { clock: '2030-03-04T08:50:00' });
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('checks in students one at a time or the whole group', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '11:00', duration: 1, students: 'SIT-003' });
+
+        // Check-in for the 11:00 booking doesn't open until 10:45
+        assert.equal(window.document.querySelectorAll('#bookings-tbody tr:nth-child(2) .check-in-btn').length, 0);
+
+        window.document.querySelector('#bookings-tbody .check-in-student-btn[data-student-id="SIT-002"]').click();
+        assert.equal(window.document.querySelectorAll('#bookings-tbody .student-chip.checked-in').length, 1);
+        assert.deepEqual(readSavedState(window).bookings[0].checkedIn, ['SIT-002']);
+
+        window.document.querySelector('#bookings-tbody .check-in-btn').click();
+        assert.match(textOf(window, 'success-message'), /Checked in SIT-001 to POD-A/);
+        assert.equal(window.document.querySelectorAll('#bookings-tbody .check-in-btn').length, 0);
+        assert.deepEqual(readBookingsTable(window)[0].students, ['SIT-001', 'SIT-002']);
+
+        window.document.getElementById('undo-btn').click();
+        assert.equal(window.document.querySelectorAll('#bookings-tbody .student-chip.checked-in').length, 1);
+    });
+
+    it('releases a booking nobody checked in to and reports the rates', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '09:00', duration: 1, students: 'SIT-003' });
+        window.document.querySelector('#bookings-tbody tr:first-child .check-in-btn').click();
+
+        setClock(window, '2030-03-04T09:16:00');
+        window.eval('pageWidget').releaseNoShows();
+
+        assert.match(textOf(window, 'success-message'), /Released as no-shows .*POD-B at 09:00/);
+        assert.deepEqual(readBookingsTable(window), [
+            { pod: 'POD-A', time: '09:00–10:00', count: 2, students: ['SIT-001', 'SIT-002'] }
+        ]);
+        assert.equal(readSavedState(window).noShows.length, 1);
+
+        const insights = readInsights(window);
+        assert.match(insights['👻 No-show Rate'], /^50% 1 of 2 started bookings released$/);
+        assert.match(insights['✅ Check-in Rate'], /^66.7% 2 of 3 students checked in$/);
+
+        // The released seats can be booked again
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-003' });
+        assert.equal(readBookingsTable(window).length, 2);
+    });
+
+    it('keeps the history through a release, which is undone as a step of its own', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '09:00', duration: 1, students: 'SIT-003' });
+        window.document.querySelector('#bookings-tbody tr:first-child .check-in-btn').click();
+
+        setClock(window, '2030-03-04T09:16:00');
+        window.eval('pageWidget').releaseNoShows();
+        const undoButton = window.document.getElementById('undo-btn');
+        assert.equal(undoButton.title, 'Undo: release the no-shows: POD-B at 09:00 (Ctrl+Z)');
+
+        // The late group gets its booking back, and the check-in before the release can still be undone
+        undoButton.click();
+        assert.deepEqual(readBookingsTable(window).map(function (row) {
+            return row.pod;
+        }), ['POD-A', 'POD-B']);
+        assert.equal(readSavedState(window).noShows.length, 0);
+        undoButton.click();
+        assert.equal(window.document.querySelectorAll('#bookings-tbody .student-chip.checked-in').length, 0);
+        assert.equal(undoButton.title, 'Undo: book 1 student in POD-B at 09:00 (Ctrl+Z)');
+    });
+
+    it('releases bookings missed on days the desk was closed', async function () {
+        const state = emptyState();
+        state.bookings = [{ id: 'BK-OLD', podId: 'POD-C', date: '2030-03-01', time: '14:00', duration: 1, students: ['SIT-009'], checkedIn: [], confirmationCodes: {}, seriesId: null }];
+        const reopened = await loadWidget(state, { clock: '2030-03-04T08:50:00' });
+
+        try {
+            assert.match(textOf(reopened, 'success-message'), /Released as no-shows .*POD-C on Fri, 1 Mar 2030 at 14:00/);
+            assert.deepEqual(readSavedState(reopened).bookings, []);
+            assert.equal(readSavedState(reopened).noShows[0].id, 'BK-OLD');
+        } finally {
+            reopened.close();
+        }
+    });
+
+    it('saves the grace period and rejects values out of range', function () {
+        const graceInput = window.document.getElementById('grace-minutes-input');
+        assert.equal(graceInput.value, '15');
+
+        graceInput.value = '500';
+        window.document.getElementById('check-in-settings-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        assert.match(textOf(window, 'check-in-messages'), /between 0 and 120/);
+
+        graceInput.value = '30';
+        window.document.getElementById('check-in-settings-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        assert.equal(readSavedState(window).checkInSettings.graceMinutes, 30);
+    });
+});
+
+describe('booking policies', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function savePolicies(fields) {
+        window.document.getElementById('max-hours-per-day-input').value = fields.maxHoursPerDay;
+        window.document.getElementById('max-consecutive-hours-input').value = fields.maxConsecutiveHours;
+        window.document.getElementById('max-days-ahead-input').value = fields.maxDaysAhead;
+        window.document.getElementById('policy-settings-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    }
+
+    it('rejects bookings over the saved limits next to the rule errors', function () {
+        savePolicies({ maxHoursPerDay: '3', maxConsecutiveHours: '2', maxDaysAhead: '7' });
+        assert.match(textOf(window, 'policy-messages'), /Booking policies saved/);
+        assert.deepEqual(readSavedState(window).policySettings, { maxHoursPerDay: 3, maxConsecutiveHours: 2, maxDaysAhead: 7 });
+
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '11:00', duration: 2, students: 'SIT-001' });
+        assert.match(textOf(window, 'errors'), /already has 2 hours booked .* daily limit of 3 \| SIT-001 would be in a pod for 4 hours in a row/);
+
+        submitBooking(window, { podId: 'POD-C', date: '2030-03-20', time: '09:00', duration: 1, students: 'SIT-002' });
+        assert.match(textOf(window, 'errors'), /up to 7 days ahead/);
+        assert.equal(readBookingsTable(window).length, 1);
+
+        const breakdown = readInsights(window)['🚫 Flagged Violations'];
+        assert.match(breakdown, /^4\s*Duplicate/);
+        assert.match(breakdown, /Daily hours limit:\s*1\s*Consecutive hours limit:\s*1\D.*Booked too far ahead:\s*1/);
+    });
+
+    it('keeps the old limits when a value is out of range', function () {
+        savePolicies({ maxHoursPerDay: '20', maxConsecutiveHours: '2', maxDaysAhead: '7' });
+        assert.match(textOf(window, 'policy-messages'), /Maximum hours per student per day must be a whole number between 1 and 12/);
+        assert.equal(window.eval('pageWidget').engine.policySettings.maxConsecutiveHours, 4);
+    });
+
+    it('sets a minimum group size from the pod form', function () {
+        window.document.querySelector('#pod-admin-tbody .pod-edit-btn[data-pod-id="POD-B"]').click();
+        window.document.getElementById('pod-min-group-input').value = '2';
+        window.document.getElementById('pod-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        assert.match(window.document.querySelector('#pod-admin-tbody tr:nth-child(2)').textContent, /groups of 2\+/);
+
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-001' });
+        assert.match(textOf(window, 'errors'), /POD-B needs a group of at least 2/);
+
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-001, SIT-002' });
+        assert.equal(readBookingsTable(window).length, 1);
+    });
+});
+
+describe('violation log', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function readLogStudents() {
+        const rows = window.document.querySelectorAll('#violation-log-tbody tr');
+        const students = [];
+        for (let i = 0; i < rows.length; i++) {
+            students.push(rows[i].querySelectorAll('td')[2].textContent);
+        }
+        return students;
+    }
+
+    it('logs rejected submissions, newest first, and filters them', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-004, SIT-005' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '20:00', duration: 1, students: 'SIT-005' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+
+        assert.equal(textOf(window, 'violation-log-summary'), 'Showing 3 of 3 rejected attempts');
+        assert.deepEqual(readLogStudents(), ['SIT-001', 'SIT-005', 'SIT-004, SIT-005']);
+        assert.match(window.document.querySelector('#violation-log-tbody tr:last-child').textContent, /Capacity exceeded/);
+        assert.equal(readSavedState(window).violationLog.length, 3);
+
+        const ruleFilter = window.document.getElementById('violation-rule-filter');
+        ruleFilter.value = 'OUTSIDE_HOURS';
+        ruleFilter.dispatchEvent(new window.Event('change'));
+        assert.deepEqual(readLogStudents(), ['SIT-005']);
+
+        const studentFilter = window.document.getElementById('violation-student-filter');
+        studentFilter.value = 'sit-001';
+        studentFilter.dispatchEvent(new window.Event('input'));
+        assert.equal(textOf(window, 'violation-log-summary'), 'Showing 0 of 3 rejected attempts');
+
+        // SIT-005 was turned away twice: once with the whole group, once alone
+        const offenders = window.document.querySelectorAll('#repeat-offenders-tbody tr');
+        assert.equal(offenders.length, 1);
+        assert.match(offenders[0].textContent, /^SIT-0052Capacity exceeded, Outside hours$/);
+    });
+
+    it('exports the log with rule codes and messages', function () {
+        submitBooking(window, { podId: 'POD-B', date: today, time: '20:00', duration: 1, students: 'SIT-005' });
+
+        const lines = window.buildViolationLogCsv(window.eval('pageWidget').engine.violationLog).trim().split('\r\n');
+        assert.equal(lines[0], 'Logged At,Pod,Date,Time,Duration (hours),Student IDs,Rule Codes,Messages');
+        assert.match(lines[1], /^2030-03-04T\d\d:\d\d:\d\d\.\d{3}Z,POD-B,2030-03-04,20:00,1,SIT-005,OUTSIDE_HOURS,POD-B can be booked from 08:00/);
+    });
+});
+
+describe('analytics', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('lists tied busiest hours and says where each card\'s numbers come from', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '14:00', duration: 1, students: 'SIT-003, SIT-004' });
+
+        assert.equal(readInsights(window)['⏰ Busiest Hour'], '09:00, 14:00 Tied: 2 students in each of these hours');
+
+        const cards = window.document.querySelectorAll('#insights-container .insight-card');
+        for (let i = 0; i < cards.length; i++) {
+            assert.match(cards[i].querySelector('.insight-source').textContent, /^Source: /);
+        }
+    });
+
+    it('draws the occupancy heatmap and utilisation chart as SVG', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001, SIT-002, SIT-003' });
+
+        const cells = window.document.querySelectorAll('#occupancy-heatmap rect.heatmap-cell');
+        assert.equal(cells.length, 3 * 12);
+
+        const busyCell = window.document.querySelector('#occupancy-heatmap rect[data-pod-id="POD-A"][data-time="10:00"]');
+        assert.equal(busyCell.querySelector('title').textContent, 'POD-A 10:00: 3 of 4 seats taken');
+        assert.ok(Number(busyCell.getAttribute('fill-opacity')) > Number(cells[0].getAttribute('fill-opacity')));
+
+        const bar = window.document.querySelector('#utilisation-chart rect[data-time="09:00"]');
+        assert.equal(bar.getAttribute('data-utilisation'), '25');
+        assert.equal(bar.querySelector('title').textContent, '09:00: 3 of 12 open seats taken (25%)');
+        assert.match(textOf(window, 'utilisation-chart-source'), /^Source: /);
+    });
+});
+
+describe('bookings table search and sort', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+        submitBooking(window, { podId: 'POD-B', date: today, time: '14:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003, SIT-004' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SMC-210' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '11:00', duration: 1, students: 'SIT-045, SIT-046' });
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function readPods() {
+        const rows = readBookingsTable(window);
+        const pods = [];
+        for (let i = 0; i < rows.length; i++) {
+            pods.push(rows[i].pod);
+        }
+        return pods;
+    }
+
+    function setFilter(id, value, eventType) {
+        const field = window.document.getElementById(id);
+        field.value = value;
+        field.dispatchEvent(new window.Event(eventType));
+    }
+
+    it('narrows the table by search, pod, time range and occupancy', function () {
+        setFilter('booking-search-input', 'smc', 'input');
+        assert.deepEqual(readPods(), ['POD-A']);
+        assert.equal(textOf(window, 'bookings-filter-summary'), 'Showing 1 of 3 bookings');
+
+        setFilter('booking-search-input', 'nobody', 'input');
+        assert.match(textOf(window, 'bookings-tbody'), /No bookings match this search/);
+
+        window.document.getElementById('clear-booking-filters-btn').click();
+        setFilter('booking-from-filter', '10:00', 'change');
+        setFilter('booking-to-filter', '12:00', 'change');
+        assert.deepEqual(readPods(), ['POD-A', 'POD-C']);
+
+        setFilter('booking-occupancy-filter', 'partial', 'change');
+        setFilter('booking-pod-filter', 'POD-C', 'change');
+        assert.deepEqual(readPods(), ['POD-C']);
+
+        window.document.getElementById('clear-booking-filters-btn').click();
+        assert.deepEqual(readPods(), ['POD-B', 'POD-A', 'POD-C']);
+    });
+
+    it('sorts by a column header, flipping on a second click', function () {
+        const timeHeader = window.document.querySelector('#bookings-table .sort-btn[data-sort-key="time"]');
+        timeHeader.click();
+        assert.deepEqual(readPods(), ['POD-A', 'POD-C', 'POD-B']);
+        assert.equal(timeHeader.parentElement.getAttribute('aria-sort'), 'ascending');
+
+        timeHeader.click();
+        assert.deepEqual(readPods(), ['POD-B', 'POD-C', 'POD-A']);
+        assert.equal(timeHeader.parentElement.getAttribute('aria-sort'), 'descending');
+
+        window.document.querySelector('#bookings-table .sort-btn[data-sort-key="students"]').click();
+        assert.deepEqual(readPods(), ['POD-A', 'POD-C', 'POD-B']);
+        assert.equal(timeHeader.parentElement.getAttribute('aria-sort'), 'none');
+    });
+
+    it('removes the right booking from a filtered, sorted table', function () {
+        window.document.querySelector('#bookings-table .sort-btn[data-sort-key="pod"]').click();
+        setFilter('booking-search-input', 'SIT', 'input');
+        assert.deepEqual(readPods(), ['POD-B', 'POD-C']);
+
+        window.document.querySelector('#bookings-tbody tr:last-child .remove-btn').click();
+        assert.deepEqual(readPods(), ['POD-B']);
+        assert.equal(textOf(window, 'bookings-filter-summary'), 'Showing 1 of 2 bookings');
+        assert.equal(window.eval('pageWidget').engine.getBookingsForDate(today).length, 2);
+    });
+});
+
+describe('student self-service', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function lookUp(studentId) {
+        window.document.getElementById('lookup-student-input').value = studentId;
+        window.document.getElementById('student-lookup-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    }
+
+    function cancelWithCode(code) {
+        const form = window.document.querySelector('#student-bookings .self-cancel-form');
+        form.querySelector('.confirmation-code-input').value = code;
+        form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    }
+
+    it('shows each student\'s own confirmation code when booking', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+
+        const codes = readSavedState(window).bookings[0].confirmationCodes;
+        assert.notEqual(codes['SIT-001'], codes['SIT-002']);
+        assert.match(textOf(window, 'success-message'), new RegExp(`🔑 Confirmation codes: ${codes['SIT-001']} for SIT-001, ${codes['SIT-002']} for SIT-002 \\(`));
+    });
+
+    it('lists a student\'s bookings and cancels their own seat with the code', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        const code = readSavedState(window).bookings[0].confirmationCodes['SIT-001'];
+
+        lookUp(' sit-001');
+        const items = window.document.querySelectorAll('#student-bookings .student-booking');
+        assert.equal(items.length, 1);
+        assert.match(items[0].textContent, /^POD-A · Mon, 4 Mar 2030 · 09:00–10:00You and 1 other student/);
+        assert.doesNotMatch(items[0].textContent, /SIT-002/);
+
+        cancelWithCode('WRONG1');
+        assert.match(textOf(window, 'student-lookup-messages'), /That confirmation code doesn't match SIT-001's seat/);
+        cancelWithCode(readSavedState(window).bookings[0].confirmationCodes['SIT-002']); // A groupmate's code
+        assert.match(textOf(window, 'student-lookup-messages'), /That confirmation code doesn't match SIT-001's seat/);
+        assert.equal(readBookingsTable(window)[0].count, 2);
+
+        cancelWithCode(code.toLowerCase());
+        assert.match(textOf(window, 'student-lookup-messages'), /^✅ Your seat in POD-A on Mon, 4 Mar 2030, 09:00–10:00 has been cancelled$/);
+        assert.deepEqual(readBookingsTable(window)[0].students, ['SIT-002']);
+        assert.equal(textOf(window, 'student-bookings'), 'SIT-001 has no upcoming pod bookings.');
+    });
+
+    it('opens on its own for students with ?mode=student, without any staff actions', async function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        const state = readSavedState(window);
+        const kiosk = await loadWidget(state, { query: '?mode=student' });
+        try {
+            const app = kiosk.document.getElementById('study-pod-app');
+            assert.equal(app.classList.contains('student-mode'), true);
+            for (const id of ['booking-form', 'bookings-tbody', 'undo-btn', 'redo-btn', 'reset-day-btn', 'pod-form', 'student-mode-link']) {
+                assert.equal(kiosk.document.getElementById(id), null, id);
+            }
+            assert.equal(app.querySelectorAll('.admin-panel, .insights-panel, button.remove-btn, button.remove-student-btn').length, 0);
+
+            // Students can still find and cancel their own seat, but not undo it with the staff shortcut
+            kiosk.document.getElementById('lookup-student-input').value = 'SIT-001';
+            kiosk.document.getElementById('student-lookup-form').dispatchEvent(new kiosk.Event('submit', { cancelable: true }));
+            const form = kiosk.document.querySelector('#student-bookings .self-cancel-form');
+            form.querySelector('.confirmation-code-input').value = state.bookings[0].confirmationCodes['SIT-001'];
+            form.dispatchEvent(new kiosk.Event('submit', { bubbles: true, cancelable: true }));
+            assert.match(textOf(kiosk, 'student-lookup-messages'), /has been cancelled$/);
+
+            const keydown = new kiosk.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+            kiosk.document.getElementById('student-bookings').dispatchEvent(keydown);
+            assert.equal(keydown.defaultPrevented, false);
+            assert.deepEqual(readSavedState(kiosk).bookings[0].students, ['SIT-002']);
+        } finally {
+            kiosk.close();
+        }
+        assert.equal(window.document.getElementById('study-pod-app').classList.contains('student-mode'), false);
+        assert.notEqual(window.document.getElementById('booking-form'), null);
+    });
+});
+
+describe('alternative suggestions', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('offers ranked alternatives with a rejection and books one on click', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '10:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003, SIT-004' });
+        submitBooking(window, { podId: 'POD-A', date: today, time: '10:00', duration: 1, students: 'SIT-005, SIT-006' });
+
+        const buttons = window.document.querySelectorAll('#errors .suggestion-btn');
+        assert.equal(buttons.length, 5);
+        assert.equal(buttons[0].textContent, '🕐 POD-A, 09:00–10:00 (1 hour earlier)');
+        assert.equal(buttons[2].textContent, '🔀 POD-B at the same time, 10:00–11:00');
+        assert.ok(window.document.querySelector('#errors .waitlist-offer-btn'));
+
+        buttons[2].click();
+        assert.deepEqual(readBookingsTable(window)[1], { pod: 'POD-B', time: '10:00–11:00', count: 2, students: ['SIT-005', 'SIT-006'] });
+        assert.match(textOf(window, 'success-message'), /^✅ Booked 2 students in POD-B \(🔑 Confirmation codes: [A-Z2-9]{6} for SIT-005, [A-Z2-9]{6} for SIT-006\)/);
+    });
+
+    it('suggests splitting the group and books both parts', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '10:00', duration: 1, students: 'SIT-001, SIT-002, SIT-003' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-011, SIT-012, SIT-013' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '10:00', duration: 1, students: 'SIT-021, SIT-022' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '10:00', duration: 1, students: 'SIT-031, SIT-032, SIT-033' });
+
+        const splitButton = window.document.querySelector('#errors .suggestion-btn:last-child');
+        assert.equal(splitButton.textContent, '✂️ Split the group: POD-C (SIT-031, SIT-032) + POD-A (SIT-033), 10:00–11:00');
+
+        splitButton.click();
+        const rows = readBookingsTable(window);
+        assert.deepEqual(rows[0].students, ['SIT-001', 'SIT-002', 'SIT-003', 'SIT-033']);
+        assert.deepEqual(rows[2].students, ['SIT-021', 'SIT-022', 'SIT-031', 'SIT-032']);
+    });
+});
+
+describe('recurring bookings', function () {
+    let window;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function readPreview() {
+        const items = window.document.querySelectorAll('#series-preview li');
+        const lines = [];
+        for (let i = 0; i < items.length; i++) {
+            lines.push(items[i].textContent);
+        }
+        return lines;
+    }
+
+    it('previews the weekly sessions, refuses a series with clashes and books it once they are skipped', function () {
+        const document = window.document;
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-11', time: '10:00', duration: 1, students: 'SIT-011, SIT-012, SIT-013, SIT-014' });
+
+        // Ticking "Repeat weekly" starts the pattern on the chosen date's weekday (4 March 2030 is a Monday)
+        document.getElementById('date-input').value = '2030-03-04';
+        document.getElementById('repeat-weekly-input').click();
+        assert.equal(document.getElementById('repeat-fields').hidden, false);
+        assert.equal(document.querySelector('#repeat-weekdays input:checked').value, '1');
+
+        document.getElementById('repeat-until-input').value = '2030-03-18';
+        document.getElementById('students-input').value = 'SIT-001';
+        document.getElementById('preview-series-btn').click();
+        assert.equal(textOf(window, 'series-preview').indexOf('🔁 3 sessions: 2 free, 1 clashing, 0 skipped'), 0);
+        assert.deepEqual(readPreview(), [
+            '✅ Mon, 4 Mar 2030',
+            '⚠️ Mon, 11 Mar 2030: Pod capacity exceeded at 10:00. Current: 4, Adding: 1, Maximum: 4',
+            '✅ Mon, 18 Mar 2030'
+        ]);
+
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '10:00', duration: 1, students: 'SIT-001' });
+        assert.match(textOf(window, 'errors'), /^Nothing was booked: some dates of the series clash/);
+        assert.equal(JSON.parse(window.localStorage.getItem('usiu-study-pods-state')).bookings.length, 1);
+
+        document.getElementById('repeat-skip-input').value = '2030-03-11';
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '10:00', duration: 1, students: 'SIT-001' });
+        assert.match(textOf(window, 'success-message'), /^🔁 Booked 2 weekly sessions for 1 student in POD-A, 10:00–11:00, from Mon, 4 Mar 2030 to Mon, 18 Mar 2030 🔑 Confirmation code: [A-Z2-9]{6} for SIT-001/);
+        assert.equal(readPreview()[1], '⏭️ Mon, 11 Mar 2030: skipped');
+        assert.deepEqual(readBookingsTable(window), [{ pod: 'POD-A', time: '10:00–11:00', count: 1, students: ['SIT-001'] }]);
+        assert.equal(document.querySelector('#bookings-tbody .series-badge').title, 'Weekly series: 2 sessions');
+    });
+
+    it('cancels the whole series from any of its rows', function () {
+        const document = window.document;
+        document.getElementById('date-input').value = '2030-03-04';
+        document.getElementById('repeat-weekly-input').click();
+        document.getElementById('repeat-until-input').value = '2030-03-25';
+        submitBooking(window, { podId: 'POD-B', date: '2030-03-04', time: '14:00', duration: 2, students: 'SIT-001, SIT-002' });
+
+        document.querySelector('#bookings-tbody .remove-btn').click();
+        assert.match(textOf(window, 'success-message'), /^🗑️ Removed booking: 2 students from POD-B on Mon, 4 Mar 2030/);
+
+        document.getElementById('next-day-btn').click();
+        assert.equal(readBookingsTable(window).length, 0);
+        window.eval('pageWidget').showDay('2030-03-11');
+        document.querySelector('#bookings-tbody .cancel-series-btn').click();
+        assert.match(textOf(window, 'success-message'), /^🗑️ Cancelled 3 sessions of the weekly POD-B series at 14:00–16:00/);
+        assert.equal(readBookingsTable(window).length, 0);
+        assert.equal(JSON.parse(window.localStorage.getItem('usiu-study-pods-state')).bookings.length, 0);
+    });
+});
+
+describe('calendar export and confirmation slips', function () {
+    let window;
+    let downloads;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+
+        // jsdom can't download files, so keep what would have been saved
+        downloads = [];
+        window.downloadFile = function (fileName, mimeType, content) {
+            downloads.push({ fileName: fileName, mimeType: mimeType, content: content });
+        };
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    /**
+     * Splits an .ics file into its events, with folded lines joined back up
+     */
+    function readEvents(content) {
+        return content.replace(/\r\n /g, '').split('BEGIN:VEVENT\r\n').slice(1);
+    }
+
+    it('offers the group just booked its own calendar event, even when merged into a booking', function () {
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '09:00', duration: 2, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '09:00', duration: 2, students: 'SIT-003' });
+        const booking = window.eval('pageWidget').engine.bookings[0];
+        const code = booking.confirmationCodes['SIT-003'];
+
+        window.document.querySelector('#success-message .ics-btn').click();
+        assert.equal(downloads.length, 1);
+        assert.equal(downloads[0].fileName, 'study-pod-POD-A-2030-03-04-0900.ics');
+        assert.equal(downloads[0].mimeType, 'text/calendar');
+
+        const content = downloads[0].content;
+        assert.match(content, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+        assert.match(content, /END:VCALENDAR\r\n$/);
+        const events = readEvents(content);
+        assert.equal(events.length, 1);
+        assert.match(events[0], new RegExp(`^UID:${booking.id}-SIT-003@study-pods\\.usiu\\.ac\\.ke\r\n`));
+        assert.match(events[0], /\r\nDTSTART:20300304T090000\r\nDTEND:20300304T110000\r\n/);
+        assert.match(events[0], /\r\nLOCATION:POD-A\\, USIU-Africa Library\r\n/);
+        assert.match(events[0], /\r\nATTENDEE;CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;CN="SIT-003":urn:x-usiu-student:SIT-003\r\n/);
+        assert.equal(events[0].indexOf('SIT-001'), -1);
+        assert.notEqual(events[0].indexOf(`Confirmation code for SIT-003: ${code}`), -1);
+    });
+
+    it('gives each group in a slot a calendar event of its own', function () {
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+        window.document.querySelector('#success-message .ics-btn').click();
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '09:00', duration: 1, students: 'SIT-003' });
+        window.document.querySelector('#success-message .ics-btn').click();
+
+        // Added to one shared calendar, the second group's event mustn't replace the first's
+        const bookingId = window.eval('pageWidget').engine.bookings[0].id;
+        assert.match(readEvents(downloads[0].content)[0], new RegExp(`^UID:${bookingId}-SIT-001@`));
+        assert.match(readEvents(downloads[1].content)[0], new RegExp(`^UID:${bookingId}-SIT-003@`));
+    });
+
+    it('shows a printable slip for a booking and prints only while it is open', function () {
+        const document = window.document;
+        submitBooking(window, { podId: 'POD-B', date: '2030-03-04', time: '14:00', duration: 1, students: 'SIT-001, SIT-002' });
+        const booking = window.eval('pageWidget').engine.bookings[0];
+        let printed = 0;
+        window.print = function () {
+            printed++;
+        };
+
+        document.querySelector('#bookings-tbody .slip-btn').click();
+        assert.equal(document.getElementById('booking-slip').hidden, false);
+        assert.equal(document.getElementById('study-pod-app').classList.contains('printing-slip'), true);
+
+        const descriptions = document.querySelectorAll('#booking-slip-details dd');
+        assert.equal(descriptions[0].textContent, 'POD-B 🖥️ 🔌');
+        assert.equal(descriptions[1].textContent, 'Mon, 4 Mar 2030');
+        assert.equal(descriptions[2].textContent, '14:00–15:00');
+        assert.equal(descriptions[3].textContent, `SIT-001 · Confirmation code ${booking.confirmationCodes['SIT-001']}`);
+        assert.equal(descriptions[4].textContent, `SIT-002 · Confirmation code ${booking.confirmationCodes['SIT-002']}`);
+        assert.equal(descriptions[5].textContent, booking.id);
+        assert.match(textOf(window, 'booking-slip-note'), /^Check in at the desk within 15 minutes of the start/);
+
+        document.getElementById('slip-print-btn').click();
+        assert.equal(printed, 1);
+        document.getElementById('slip-close-btn').click();
+        assert.equal(document.getElementById('booking-slip').hidden, true);
+        assert.equal(document.getElementById('study-pod-app').classList.contains('printing-slip'), false);
+    });
+
+    it('exports a pod\'s whole day for the shared calendar without confirmation codes', function () {
+        const document = window.document;
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '09:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-A', date: '2030-03-04', time: '15:00', duration: 1, students: 'SIT-002' });
+        submitBooking(window, { podId: 'POD-B', date: '2030-03-04', time: '11:00', duration: 1, students: 'SIT-003' });
+
+        document.getElementById('ics-pod-select').value = 'POD-A';
+        document.getElementById('export-ics-btn').click();
+        assert.equal(downloads[0].fileName, 'study-pod-POD-A-2030-03-04.ics');
+        assert.match(downloads[0].content, /\r\nX-WR-CALNAME:Study pod POD-A\r\n/);
+        assert.equal(readEvents(downloads[0].content).length, 2);
+        assert.equal(downloads[0].content.indexOf('Confirmation code'), -1);
+        assert.equal(textOf(window, 'success-message'), '📅 Exported 2 bookings in POD-A for Mon, 4 Mar 2030 as a calendar file');
+
+        document.getElementById('ics-pod-select').value = '';
+        document.getElementById('export-ics-btn').click();
+        assert.equal(downloads[1].fileName, 'study-pod-bookings-2030-03-04.ics');
+        assert.equal(readEvents(downloads[1].content).length, 3);
+
+        document.getElementById('ics-pod-select').value = 'POD-C';
+        document.getElementById('export-ics-btn').click();
+        assert.equal(downloads.length, 2);
+        assert.equal(textOf(window, 'errors'), 'There are no bookings in POD-C on Mon, 4 Mar 2030 to export');
+    });
+
+    it('escapes text and folds long lines at 75 bytes without splitting characters', function () {
+        assert.equal(window.toIcsText('Room 1, level 2; notes\\here\nnext'), 'Room 1\\, level 2\\; notes\\\\here\\nnext');
+
+        const folded = window.foldIcsLine(`DESCRIPTION:${'é'.repeat(40)}`).split('\r\n');
+        assert.equal(folded.length, 2);
+        assert.equal(Buffer.byteLength(folded[0]), 74); // One more é would make 76
+        assert.equal(folded[1], ` ${'é'.repeat(9)}`);
+    });
+});
+
+describe('booking files', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    it('splits CSV into rows, with quoted commas, doubled quotes and blank lines', function () {
+        const rows = window.parseCsv('Pod,Student IDs\r\nPOD-A,"SIT-001, SIT-002"\r\n\r\n"say ""hi""",\nlast,row');
+        assert.deepEqual(plain(rows), [
+            ['Pod', 'Student IDs'],
+            ['POD-A', 'SIT-001, SIT-002'],
+            ['say "hi"', ''],
+            ['last', 'row']
+        ]);
+    });
+
+    it('reads CSV columns by header name and fills in what a row leaves out', function () {
+        const rows = window.parseBookingsFile('day.csv', 'Student IDs,Time,Pod\n"sit-001, SIT-002",9:00,pod-a\nSIT-003,14:00,POD-B\n', '2030-03-05');
+        assert.deepEqual(plain(rows), [
+            { rowNumber: 2, podId: 'POD-A', date: '2030-03-05', time: '09:00', duration: 1, studentsText: 'sit-001, SIT-002' },
+            { rowNumber: 3, podId: 'POD-B', date: '2030-03-05', time: '14:00', duration: 1, studentsText: 'SIT-003' }
+        ]);
+        assert.throws(() => window.parseBookingsFile('day.csv', 'Pod,Time\nPOD-A,09:00\n', '2030-03-05'), /CSV header must include Pod, Time and Student IDs columns/);
+    });
+
+    it('reads JSON as an export file or a plain array', function () {
+        const rows = window.parseBookingsFile('day.json', JSON.stringify([{ pod: 'pod-c', time: '10:00', duration: 2, students: ['SIT-001', 'SIT-002'] }]), '2030-03-05');
+        assert.deepEqual(plain(rows), [
+            { rowNumber: 1, podId: 'POD-C', date: '2030-03-05', time: '10:00', duration: 2, studentsText: 'SIT-001,SIT-002' }
+        ]);
+        assert.equal(window.parseBookingsFile('day.json', JSON.stringify({ bookings: [] }), '2030-03-05').length, 0);
+        assert.throws(() => window.parseBookingsFile('day.json', '{ "pods": [] }', '2030-03-05'), /JSON must be an array of bookings/);
+    });
+
+    it('reads its own CSV and JSON exports back as the same bookings', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '15:00', duration: 1, students: 'SIT-003' });
+        const bookings = window.eval('pageWidget').engine.getBookingsForDate(today);
+        const expected = [
+            { podId: 'POD-A', date: today, time: '09:00', duration: 2, studentsText: 'SIT-001,SIT-002' },
+            { podId: 'POD-C', date: today, time: '15:00', duration: 1, studentsText: 'SIT-003' }
+        ];
+
+        const files = [
+            { name: 'export.csv', content: window.buildBookingsCsv(bookings) },
+            { name: 'export.json', content: window.buildBookingsJson(bookings, today) }
+        ];
+        for (let i = 0; i < files.length; i++) {
+            const rows = window.parseBookingsFile(files[i].name, files[i].content, '2000-01-01');
+            const read = [];
+            for (let j = 0; j < rows.length; j++) {
+                read.push({
+                    podId: rows[j].podId,
+                    date: rows[j].date,
+                    time: rows[j].time,
+                    duration: rows[j].duration,
+                    studentsText: window.parseStudentIds(rows[j].studentsText).join(',')
+                });
+            }
+            assert.deepEqual(read, expected, files[i].name);
+        }
+    });
+});
+
+describe('importing bookings', function () {
+    let window;
+    let today;
+    let downloads;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+        downloads = [];
+        window.downloadFile = function (fileName, mimeType, content) {
+            downloads.push({ fileName: fileName, content: content });
+        };
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function previewShown() {
+        return !window.document.getElementById('import-preview').hidden;
+    }
+
+    it('previews accepted and rejected rows and books only the accepted ones on confirm', async function () {
+        pickFile(window, 'import-file-input', 'bookings.csv', 'Pod,Time,Duration,Student IDs\nPOD-A,09:00,2,"SIT-001, SIT-002"\nPOD-Z,10:00,1,SIT-003\nPOD-B,11:00,1,SIT004\n');
+        await waitFor(previewShown);
+
+        assert.equal(textOf(window, 'import-summary'), 'bookings.csv: 1 row ready to import, 2 rejected.');
+        assert.equal(textOf(window, 'import-accepted-tbody'), `2POD-A, ${today}, 09:00 (2 hours)SIT-001, SIT-002`);
+        const rejected = window.document.querySelectorAll('#import-rejected-tbody tr');
+        assert.equal(rejected.length, 2);
+        assert.match(rejected[0].lastChild.textContent, /POD-Z/);
+        assert.match(rejected[1].lastChild.textContent, /"SIT004" is not a valid student ID/);
+        assert.equal(readBookingsTable(window).length, 0); // Nothing is booked before the librarian confirms
+
+        const confirmButton = window.document.getElementById('import-confirm-btn');
+        assert.equal(confirmButton.textContent, 'Import 1 booking');
+        confirmButton.click();
+
+        assert.equal(previewShown(), false);
+        assert.deepEqual(readBookingsTable(window), [
+            { pod: 'POD-A', time: '09:00–11:00 (2 hrs)', count: 2, students: ['SIT-001', 'SIT-002'] }
+        ]);
+        assert.match(textOf(window, 'success-message'), /^📥 Imported 1 booking from bookings\.csv \(2 rows rejected\)/);
+        assert.equal(readSavedState(window).bookings.length, 1);
+    });
+
+    it('checks the rows again on confirm and leaves the bookings alone when the preview is cancelled', async function () {
+        pickFile(window, 'import-file-input', 'bookings.json', JSON.stringify([{ podId: 'POD-A', time: '09:00', students: ['SIT-001'] }]));
+        await waitFor(previewShown);
+        window.document.getElementById('import-cancel-btn').click();
+        assert.equal(previewShown(), false);
+        assert.equal(readBookingsTable(window).length, 0);
+
+        pickFile(window, 'import-file-input', 'bookings.json', JSON.stringify([{ podId: 'POD-A', time: '09:00', students: ['SIT-001'] }]));
+        await waitFor(previewShown);
+        submitBooking(window, { podId: 'POD-B', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        window.document.getElementById('import-confirm-btn').click();
+        assert.equal(textOf(window, 'errors'), 'Nothing was imported from bookings.json: every row was rejected');
+        assert.equal(readBookingsTable(window).length, 1);
+    });
+
+    it('reports files it cannot use', async function () {
+        pickFile(window, 'import-file-input', 'empty.csv', 'Pod,Time,Student IDs\n');
+        await waitFor(() => textOf(window, 'errors') !== '');
+        assert.equal(textOf(window, 'errors'), 'empty.csv has no booking rows to import');
+
+        pickFile(window, 'import-file-input', 'broken.json', '{ "bookings": ');
+        await waitFor(() => /broken\.json/.test(textOf(window, 'errors')));
+        assert.match(textOf(window, 'errors'), /^Could not read broken\.json: /);
+        assert.equal(previewShown(), false);
+    });
+
+    it('imports a day exported from another widget', async function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001, SIT-002' });
+        submitBooking(window, { podId: 'POD-C', date: today, time: '15:00', duration: 1, students: 'SIT-003' });
+        window.document.getElementById('export-csv-btn').click();
+        window.document.getElementById('export-json-btn').click();
+        assert.deepEqual(downloads.map((download) => download.fileName), [`study-pod-bookings-${today}.csv`, `study-pod-bookings-${today}.json`]);
+        const exportedTable = readBookingsTable(window);
+
+        for (let i = 0; i < downloads.length; i++) {
+            const other = await loadWidget(emptyState());
+            pickFile(other, 'import-file-input', downloads[i].fileName, downloads[i].content);
+            await waitFor(() => !other.document.getElementById('import-preview').hidden);
+            other.document.getElementById('import-confirm-btn').click();
+            assert.deepEqual(readBookingsTable(other), exportedTable, downloads[i].fileName);
+            other.close();
+        }
+    });
+});
+
+describe('edit panel', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-002' });
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function openEdit(pod) {
+        const rows = window.document.querySelectorAll('#bookings-tbody tr');
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i].querySelectorAll('td')[1].textContent.indexOf(pod) === 0) {
+                rows[i].querySelector('.edit-btn').click();
+            }
+        }
+    }
+
+    function saveEdit(fields) {
+        const document = window.document;
+        for (const id in fields) {
+            document.getElementById(id).value = fields[id];
+        }
+        document.getElementById('edit-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    }
+
+    it('loads the booking and saves the changes in place', function () {
+        openEdit('POD-A');
+        const editForm = window.document.getElementById('edit-form');
+        assert.equal(editForm.hidden, false);
+        assert.equal(textOf(window, 'edit-form-title'), `Edit booking: POD-A, ${window.formatDateLabel(today)}, 09:00–10:00`);
+        assert.equal(window.document.getElementById('edit-pod-select').value, 'POD-A');
+        assert.equal(window.document.getElementById('edit-time-input').value, '09:00');
+        assert.equal(window.document.getElementById('edit-students-input').value, 'SIT-001, SIT-002');
+
+        const bookingId = readSavedState(window).bookings[0].id;
+        saveEdit({ 'edit-pod-select': 'POD-B', 'edit-time-input': '10:00', 'edit-duration-select': '2', 'edit-students-input': 'SIT-001, sit-003' });
+
+        assert.equal(editForm.hidden, true);
+        assert.deepEqual(readBookingsTable(window), [
+            { pod: 'POD-B', time: '10:00–12:00 (2 hrs)', count: 2, students: ['SIT-001', 'SIT-003'] }
+        ]);
+        const saved = readSavedState(window).bookings;
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].id, bookingId);
+        assert.equal(textOf(window, 'success-message').indexOf(`✏️ Updated booking: 2 students in POD-B on ${window.formatDateLabel(today)}, 10:00–12:00`), 0);
+        assert.match(textOf(window, 'success-message'), /🔑 Confirmation code: [A-Z2-9]{6} for SIT-003 \(/);
+    });
+
+    it('re-checks the edit and keeps the panel open with the errors', function () {
+        submitBooking(window, { podId: 'POD-C', date: today, time: '10:00', duration: 1, students: 'SIT-004' });
+        openEdit('POD-C');
+
+        saveEdit({ 'edit-time-input': '09:00', 'edit-students-input': 'SIT-004, SIT-001' });
+        assert.equal(window.document.getElementById('edit-form').hidden, false);
+        assert.match(textOf(window, 'edit-errors'), /another pod \(POD-A\)/);
+
+        saveEdit({ 'edit-students-input': ' , ' });
+        assert.equal(textOf(window, 'edit-errors'), 'A booking needs at least one student - use Remove to delete it instead');
+        assert.deepEqual(readBookingsTable(window).map((row) => row.pod + ' ' + row.students.join(',')), ['POD-A SIT-001,SIT-002', 'POD-C SIT-004']);
+
+        window.document.getElementById('edit-cancel-btn').click();
+        assert.equal(window.document.getElementById('edit-form').hidden, true);
+    });
+});
+
+describe('availability grid', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function slot(podId, time) {
+        return window.document.querySelector(`#availability-grid .slot-btn[data-pod-id="${podId}"][data-time="${time}"]`);
+    }
+
+    it('shows the seats taken in each pod and hour', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 2, students: 'SIT-001, SIT-002, SIT-003' });
+
+        assert.equal(slot('POD-A', '09:00').textContent, '3/4');
+        assert.ok(slot('POD-A', '10:00').classList.contains('slot-partial'));
+        assert.equal(slot('POD-A', '09:00').title, 'POD-A at 09:00: 1 seat free');
+        assert.ok(slot('POD-A', '11:00').classList.contains('slot-free'));
+    });
+
+    it('fills in the booking form from a clicked slot, leaving only the students to add', function () {
+        slot('POD-B', '11:00').click();
+
+        assert.equal(window.document.getElementById('pod-select').value, 'POD-B');
+        assert.equal(window.document.getElementById('date-input').value, today);
+        assert.equal(window.document.getElementById('time-input').value, '11:00');
+        assert.equal(window.document.activeElement.id, 'students-input');
+
+        submitBooking(window, { students: 'SIT-001' });
+        assert.equal(readBookingsTable(window)[0].pod, 'POD-B');
+        assert.equal(readBookingsTable(window)[0].time.indexOf('11:00–12:00'), 0);
+        assert.equal(slot('POD-B', '11:00').textContent, '1/4');
+    });
+
+    it('shows past days for reference only', function () {
+        window.document.getElementById('prev-day-btn').click();
+        assert.equal(slot('POD-B', '11:00').disabled, true);
+
+        slot('POD-B', '11:00').click();
+        assert.equal(window.document.getElementById('pod-select').value, '');
+    });
+});
+
+describe('student registry', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function readRegistry() {
+        const rows = window.document.querySelectorAll('#registry-tbody tr');
+        const students = [];
+        for (let i = 0; i < rows.length; i++) {
+            students.push(Array.from(rows[i].querySelectorAll('td'), (cell) => cell.textContent).join(' | '));
+        }
+        return students;
+    }
+
+    async function importRegistry(fileName, text) {
+        window.document.getElementById('registry-messages').className = '';
+        pickFile(window, 'registry-file-input', fileName, text);
+        await waitFor(() => window.document.getElementById('registry-messages').classList.contains('show'));
+        return textOf(window, 'registry-messages');
+    }
+
+    it('imports a CSV registry, skipping invalid and repeated IDs', async function () {
+        const message = await importRegistry('registry.csv', 'id,name,school\nSIT-001,Amina Otieno,SIT\nsit-002,Brian Mwangi,\nSIT002,Bad Row,SIT\nSIT-001,Amina Again,SIT\n');
+
+        assert.equal(message, '✅ Imported 2 students from registry.csv ⚠️ Skipped 2: Row 4: "SIT002" is not a valid student ID | Row 5: SIT-001 is listed more than once');
+        assert.deepEqual(readRegistry(), ['SIT-001 | Amina Otieno | SIT', 'SIT-002 | Brian Mwangi | —']);
+        assert.equal(textOf(window, 'registry-summary'), '2 registered students. Unknown IDs are flagged.');
+        assert.equal(readSavedState(window).studentRegistry.length, 2);
+
+        // Booking someone the registry doesn't list goes through with a warning under the flag policy
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001, SIT-009' });
+        assert.match(textOf(window, 'success-message'), /⚠️ Not in student registry: SIT-009/);
+    });
+
+    it('replaces the registry from JSON and keeps it when a file has nothing usable', async function () {
+        await importRegistry('registry.json', JSON.stringify([{ id: 'SMC-210', name: 'Chebet', school: 'SMC' }]));
+        assert.deepEqual(readRegistry(), ['SMC-210 | Chebet | SMC']);
+
+        assert.equal(await importRegistry('registry.json', '{ "id": "SIT-001" }'), 'Could not read registry.json: JSON registry must be an array of { id, name, school } objects');
+        assert.equal(await importRegistry('bad.csv', 'SIT001,Nobody\n'), 'No valid students found in bad.csv. Row 1: "SIT001" is not a valid student ID');
+        assert.deepEqual(readRegistry(), ['SMC-210 | Chebet | SMC']);
+
+        window.document.getElementById('registry-clear-btn').click();
+        assert.deepEqual(readRegistry(), []);
+        assert.equal(textOf(window, 'registry-summary'), 'No registry imported - only the ID format is checked.');
+    });
+});
+
+describe('undo and redo', function () {
+    let window;
+    let today;
+    let undoButton;
+    let redoButton;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+        undoButton = window.document.getElementById('undo-btn');
+        redoButton = window.document.getElementById('redo-btn');
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function bookedPods() {
+        return readBookingsTable(window).map((row) => row.pod).join(',');
+    }
+
+    it('steps back and forward through the booking changes one at a time', function () {
+        assert.equal(undoButton.disabled, true);
+        assert.equal(redoButton.disabled, true);
+
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        submitBooking(window, { podId: 'POD-B', date: today, time: '10:00', duration: 1, students: 'SIT-002, SIT-003' });
+        assert.equal(undoButton.title, 'Undo: book 2 students in POD-B at 10:00 (Ctrl+Z)');
+
+        undoButton.click();
+        assert.equal(bookedPods(), 'POD-A');
+        assert.match(textOf(window, 'success-message'), /^↩️ Undid: book 2 students in POD-B at 10:00/);
+        assert.equal(redoButton.disabled, false);
+        assert.equal(redoButton.title, 'Redo: book 2 students in POD-B at 10:00 (Ctrl+Shift+Z)');
+        assert.equal(readSavedState(window).bookings.length, 1);
+
+        undoButton.click();
+        assert.equal(bookedPods(), '');
+        assert.equal(undoButton.disabled, true);
+
+        redoButton.click();
+        redoButton.click();
+        assert.equal(bookedPods(), 'POD-A,POD-B');
+        assert.equal(redoButton.disabled, true);
+        assert.equal(readSavedState(window).bookings.length, 2);
+    });
+
+    it('drops the undone changes once something new is booked, and leaves rejected attempts out', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        undoButton.click();
+        submitBooking(window, { podId: 'POD-C', date: today, time: '12:00', duration: 1, students: 'SIT-004' });
+        assert.equal(redoButton.disabled, true);
+
+        submitBooking(window, { podId: 'POD-C', date: today, time: '12:00', duration: 1, students: 'SIT004' });
+        assert.equal(undoButton.title, 'Undo: book 1 student in POD-C at 12:00 (Ctrl+Z)');
+    });
+
+    it('undoes with Ctrl+Z and redoes with Ctrl+Shift+Z, except while typing', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT-001' });
+        const press = function (target, shiftKey) {
+            target.dispatchEvent(new window.KeyboardEvent('keydown', { key: shiftKey ? 'Z' : 'z', ctrlKey: true, shiftKey: shiftKey, bubbles: true, cancelable: true }));
+        };
+
+        press(window.document.getElementById('students-input'), false);
+        assert.equal(bookedPods(), 'POD-A');
+
+        press(window.document.getElementById('bookings-tbody'), false);
+        assert.equal(bookedPods(), '');
+        press(window.document.getElementById('bookings-tbody'), true);
+        assert.equal(bookedPods(), 'POD-A');
+    });
+});
+
+describe('<study-pod-booking> element', function () {
+    let window;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function embed(attributes) {
+        const element = window.document.createElement('study-pod-booking');
+        for (const name in attributes) {
+            element.setAttribute(name, attributes[name]);
+        }
+        window.document.body.appendChild(element);
+        return element;
+    }
+
+    function bookInside(element, fields) {
+        const root = element.shadowRoot;
+        root.getElementById('pod-select').value = fields.podId;
+        root.getElementById('date-input').value = window.getTodayDateString();
+        root.getElementById('time-input').value = fields.time;
+        root.getElementById('students-input').value = fields.students;
+        root.getElementById('booking-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    }
+
+    it('builds its own widget from attributes, next to the page one', function () {
+        const element = embed({ 'pods': 'POD-X, pod-y', 'capacity': '6', 'open-time': '09:00', 'close-time': '17:00', 'storage-key': 'portal' });
+        const root = element.shadowRoot;
+
+        const podOptions = root.getElementById('pod-select').options;
+        assert.deepEqual([podOptions[1].value, podOptions[2].value], ['POD-X', 'POD-Y']); // After the "choose a pod" placeholder
+        assert.deepEqual(JSON.parse(JSON.stringify(element.engine.pods[1])), { id: 'POD-Y', capacity: 6, minGroupSize: 1, amenities: [], openTime: '09:00', closeTime: '17:00', retired: false });
+        assert.equal(root.querySelector('link[rel="stylesheet"]').getAttribute('href'), 'styles.css');
+
+        bookInside(element, { podId: 'POD-Y', time: '09:00', students: 'SIT-001, SIT-002, SIT-003, SIT-004, SIT-005' });
+        assert.match(root.getElementById('success-message').textContent, /^✅ Successfully booked 5 students in POD-Y/);
+        assert.equal(readBookingsTable(window).length, 0);
+        assert.equal(window.eval('pageWidget').engine.bookings.length, 0);
+        assert.equal(JSON.parse(window.localStorage.getItem('portal')).bookings.length, 1);
+    });
+
+    it('keeps elements without a storage key apart by their ID or pods', async function () {
+        const first = embed({ 'id': 'east-wing', 'pods': 'POD-X' });
+        const second = embed({ 'id': 'west-wing', 'pods': 'POD-X' });
+        const third = embed({ 'pods': 'POD-Q, pod-r' });
+        bookInside(first, { podId: 'POD-X', time: '09:00', students: 'SIT-001' });
+        bookInside(third, { podId: 'POD-Q', time: '10:00', students: 'SIT-002' });
+        await new Promise(function (resolve) {
+            setTimeout(resolve, 20); // Room for a tab-sync message to arrive
+        });
+
+        assert.equal(JSON.parse(window.localStorage.getItem('usiu-study-pods-state:east-wing')).bookings.length, 1);
+        assert.equal(JSON.parse(window.localStorage.getItem('usiu-study-pods-state:POD-Q,POD-R')).bookings.length, 1);
+        assert.equal(window.localStorage.getItem('usiu-study-pods-state:west-wing'), null);
+        assert.deepEqual([first.engine.bookings.length, second.engine.bookings.length, third.engine.bookings.length], [1, 0, 1]);
+        assert.equal(window.eval('pageWidget').engine.bookings.length, 0);
+    });
+
+    it('applies changed pod attributes over the saved state', function () {
+        const element = embed({ 'pods': 'POD-X', 'capacity': '6', 'storage-key': 'portal' });
+        bookInside(element, { podId: 'POD-X', time: '09:00', students: 'SIT-001, SIT-002' });
+        assert.equal(JSON.parse(window.localStorage.getItem('portal')).bookings.length, 1);
+
+        element.setAttribute('capacity', '2');
+        assert.equal(element.engine.findPod('POD-X').capacity, 2);
+        bookInside(element, { podId: 'POD-X', time: '09:00', students: 'SIT-003' });
+        assert.match(element.shadowRoot.getElementById('errors').textContent, /capacity exceeded at 09:00/);
+
+        // A pod dropped from the list keeps its bookings but takes no new ones
+        element.setAttribute('pods', 'POD-Z');
+        const podOptions = element.shadowRoot.getElementById('pod-select').options;
+        assert.deepEqual([podOptions.length, podOptions[1].value], [2, 'POD-Z']);
+        assert.equal(element.engine.findPod('POD-Z').capacity, 2);
+        assert.equal(element.engine.findPod('POD-X').retired, true);
+        assert.equal(element.engine.bookings[0].students.join(', '), 'SIT-001, SIT-002');
+    });
+
+    it('takes pods and seed bookings from a config object and tells the page about bookings made, changed and removed', function () {
+        const element = embed({ 'storage-key': 'portal', 'bookings': 'not JSON' });
+        element.config = {
+            pods: [{ id: 'QUIET-1', capacity: 2, minGroupSize: 1, amenities: ['power'], openTime: '08:00', closeTime: '20:00', retired: false }],
+            bookings: [{ podId: 'QUIET-1', time: '10:00', students: ['SIT-009'] }]
+        };
+        const root = element.shadowRoot;
+        assert.equal(root.getElementById('pod-select').options[1].value, 'QUIET-1');
+        assert.equal(root.querySelectorAll('#bookings-tbody .remove-btn').length, 1);
+
+        const events = [];
+        window.document.addEventListener('booking-created', function (event) {
+            events.push(`created ${event.detail.booking.podId} ${event.detail.booking.time} ${event.detail.booking.students.join(',')}`);
+        });
+        element.addEventListener('booking-removed', function (event) {
+            events.push(`removed ${event.detail.booking.podId} ${event.detail.booking.time}`);
+        });
+        element.addEventListener('booking-updated', function (event) {
+            events.push(`updated ${event.detail.booking.time} ${event.detail.previous.students.join(',')} → ${event.detail.booking.students.join(',')}`);
+        });
+
+        bookInside(element, { podId: 'QUIET-1', time: '12:00', students: 'SIT-001' });
+        bookInside(element, { podId: 'QUIET-1', time: '12:00', students: 'SIT-002' }); // Merged, not a new booking
+        root.querySelector('#bookings-tbody .remove-student-btn[data-student-id="SIT-002"]').click();
+        root.querySelector('#bookings-tbody .remove-btn').click();
+        root.getElementById('undo-btn').click();
+        assert.deepEqual(events, [
+            'created QUIET-1 12:00 SIT-001',
+            'updated 12:00 SIT-001 → SIT-001,SIT-002',
+            'updated 12:00 SIT-001,SIT-002 → SIT-001',
+            'removed QUIET-1 10:00',
+            'created QUIET-1 10:00 SIT-009'
+        ]);
+
+        element.remove();
+        assert.equal(element.shadowRoot.childNodes.length, 0);
+        assert.equal(element.engine, null);
+    });
+});
+
+
+describe('language and time display', function () {
+    let window;
+    let today;
+
+    beforeEach(async function () {
+        window = await loadWidget(emptyState());
+        today = window.getTodayDateString();
+    });
+
+    afterEach(function () {
+        window.close();
+    });
+
+    function pick(id, value) {
+        const select = window.document.getElementById(id);
+        select.value = value;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    }
+
+    it('switches labels, errors and the table to another language and clock', function () {
+        submitBooking(window, { podId: 'POD-A', date: today, time: '14:00', duration: 2, students: 'SIT-001' });
+
+        pick('language-select', 'sw');
+        pick('time-format-select', '12h');
+        assert.equal(window.document.querySelector('h1').textContent, 'Mfumo wa Kuhifadhi Vyumba vya Kusomea');
+        assert.equal(window.document.querySelector('.container').getAttribute('lang'), 'sw');
+        assert.match(readBookingsTable(window)[0].time, /^2:00\s?PM–4:00\s?PM \(saa 2\)$/i);
+
+        submitBooking(window, { podId: '', date: today, time: '10:00', duration: 1, students: 'SIT-002' });
+        assert.match(textOf(window, 'errors'), /Tafadhali chagua chumba cha kusomea/);
+    });
+
+    it('remembers the choice in this browser, apart from the bookings, over the locale option', function () {
+        pick('language-select', 'fr');
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('usiu-study-pods-state:display')), { locale: 'fr', timeFormat: '24h' });
+        assert.equal(readSavedState(window).version, 12);
+
+        // A widget on the same storage key picks up the saved choice; one on its own key follows its attributes
+        const shared = window.document.createElement('study-pod-booking');
+        shared.setAttribute('storage-key', 'usiu-study-pods-state');
+        shared.setAttribute('locale', 'sw');
+        const portal = window.document.createElement('study-pod-booking');
+        portal.setAttribute('storage-key', 'portal');
+        portal.setAttribute('locale', 'sw');
+        portal.setAttribute('time-format', '12h');
+        window.document.body.appendChild(shared);
+        window.document.body.appendChild(portal);
+
+        assert.equal(shared.shadowRoot.querySelector('h1').textContent, 'Système de réservation des box d\'étude');
+        assert.equal(portal.shadowRoot.querySelector('h1').textContent, 'Mfumo wa Kuhifadhi Vyumba vya Kusomea');
+        assert.equal(portal.shadowRoot.getElementById('time-format-select').value, '12h');
+    });
+
+    it('switches the staff panels too and tells the booking form how many IDs the picked pod takes', function () {
+        assert.equal(textOf(window, 'students-hint'), 'Enter up to 4 student IDs separated by commas');
+        pick('pod-select', 'POD-A');
+        window.document.querySelector('#pod-admin-tbody .pod-edit-btn').click();
+        window.document.getElementById('pod-capacity-input').value = '6';
+        window.document.getElementById('pod-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        assert.equal(textOf(window, 'students-hint'), 'Enter up to 6 student IDs separated by commas');
+
+        submitBooking(window, { podId: 'POD-A', date: today, time: '09:00', duration: 1, students: 'SIT001' });
+        pick('language-select', 'fr');
+        assert.equal(textOf(window, 'students-hint'), 'Saisissez jusqu\'à 6 numéros d\'étudiant séparés par des virgules');
+        assert.equal(window.document.querySelector('#pod-admin-table th:nth-child(5)').textContent, 'Statut');
+        assert.equal(window.document.querySelector('#pod-admin-tbody td:nth-child(5)').textContent, 'Actif');
+        assert.equal(textOf(window, 'pod-form-title'), 'Ajouter un box');
+        assert.equal(window.document.querySelector('#violation-log-tbody .rule-code').textContent, 'Numéro d\'étudiant invalide');
+        assert.equal(textOf(window, 'violation-log-summary'), 'Tentatives refusées affichées : 1 sur 1');
+        assert.match(textOf(window, 'id-pattern-hint'), /^Les numéros sont mis en majuscules .* \^\[A-Z\]\{3\}-\\d\{3\}\$/);
+    });
+});
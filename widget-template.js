@@ -0,0 +1,523 @@
+/*
+ * USIU-Africa Study Pod Booking System - Widget Markup
+ * The booking widget's HTML, shared by index.html and every <study-pod-booking> element (see script.js)
+ * Each copy is mounted into its own container, so its IDs only have to be unique within one widget
+ */
+const WIDGET_TEMPLATE = document.createElement('template');
+WIDGET_TEMPLATE.innerHTML = `
+    <h1 data-i18n="app.title">Study Pod Booking System</h1>
+    <p class="subtitle" data-i18n="app.subtitle">Library Study Pods - Real-time Booking Management</p>
+    
+    <div class="display-settings">
+        <div class="form-group">
+            <label for="language-select" data-i18n="display.language">Language:</label>
+            <select id="language-select">
+                <!-- One option per language in LOCALES, populated via DOM manipulation -->
+            </select>
+        </div>
+        <div class="form-group">
+            <label for="time-format-select" data-i18n="display.timeFormat">Clock:</label>
+            <select id="time-format-select">
+                <option value="24h" data-i18n="display.24h">24-hour (14:00)</option>
+                <option value="12h" data-i18n="display.12h">12-hour (2:00 pm)</option>
+            </select>
+        </div>
+    </div>
+    
+    <div class="form-section">
+        <h2 data-i18n="form.heading">Book a Study Pod</h2>
+        <form id="booking-form">
+            <div class="form-group">
+                <label for="pod-select" data-i18n="form.podLabel">Select Pod:</label>
+                <select id="pod-select" required>
+                    <!-- Options populated via DOM manipulation -->
+                </select>
+            </div>
+            
+            <div class="form-group">
+                <label for="date-input" data-i18n="form.dateLabel">Date:</label>
+                <input type="date" id="date-input" required>
+            </div>
+            
+            <div class="form-group">
+                <label for="time-input" data-i18n="form.timeLabel">Start Time (1-hour blocks):</label>
+                <input type="time" id="time-input" step="3600" required>
+            </div>
+            
+            <div class="form-group">
+                <label for="duration-select" data-i18n="form.durationLabel">Duration:</label>
+                <select id="duration-select" required>
+                    <!-- Options populated via DOM manipulation -->
+                </select>
+            </div>
+            
+            <div class="form-group">
+                <label for="students-input" data-i18n="form.studentsLabel">Student IDs (comma-separated):</label>
+                <input type="text" id="students-input" placeholder="e.g., SIT-001, SMC-210, SST-101" data-i18n-placeholder="form.studentsPlaceholder" required>
+                <small id="students-hint" class="input-hint">Enter up to 4 student IDs separated by commas</small>
+            </div>
+            
+            <fieldset class="repeat-options">
+                <legend>
+                    <label><input type="checkbox" id="repeat-weekly-input"> <span data-i18n="form.repeatWeekly">🔁 Repeat weekly (study groups)</span></label>
+                </legend>
+                <div id="repeat-fields" hidden>
+                    <div class="form-group">
+                        <span class="group-label" data-i18n="form.repeatOn">On:</span>
+                        <div id="repeat-weekdays" class="weekday-options">
+                            <!-- Weekday checkboxes populated via DOM manipulation -->
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="repeat-until-input" data-i18n="form.repeatUntil">Until:</label>
+                            <input type="date" id="repeat-until-input">
+                        </div>
+                        <div class="form-group">
+                            <label for="repeat-skip-input" data-i18n="form.repeatSkip">Skip dates (comma-separated):</label>
+                            <input type="text" id="repeat-skip-input" placeholder="e.g., 2030-03-18, 2030-04-01" data-i18n-placeholder="form.repeatSkipPlaceholder">
+                            <small class="input-hint" data-i18n="form.repeatSkipHint">Holidays, exam days or dates that clash</small>
+                        </div>
+                    </div>
+                    <button type="button" id="preview-series-btn" class="secondary-btn" data-i18n="form.previewSeries">👁️ Preview series</button>
+                    <div id="series-preview" class="series-preview" aria-live="polite"></div>
+                </div>
+            </fieldset>
+            
+            <button type="submit" data-i18n="form.submit">Book a Pod</button>
+            
+            <div id="errors"></div>
+            <div id="success-message" class="success-message"></div>
+        </form>
+    </div>
+    
+    <div class="table-section">
+        <div class="section-header">
+            <h2 data-i18n="bookings.heading">Current Bookings</h2>
+            <div class="header-actions">
+                <button type="button" id="undo-btn" class="history-btn" data-i18n="history.undo" disabled>↩️ Undo</button>
+                <button type="button" id="redo-btn" class="history-btn" data-i18n="history.redo" disabled>↪️ Redo</button>
+                <button type="button" id="reset-day-btn" class="reset-btn" data-i18n="reset.button">🔄 Reset Day</button>
+            </div>
+        </div>
+        <div class="day-switcher">
+            <button type="button" id="prev-day-btn" class="day-btn" aria-label="Previous day" data-i18n-aria-label="day.previous">◀</button>
+            <input type="date" id="day-picker" aria-label="Day to show" data-i18n-aria-label="day.picker">
+            <button type="button" id="next-day-btn" class="day-btn" aria-label="Next day" data-i18n-aria-label="day.next">▶</button>
+            <button type="button" id="today-btn" class="day-btn" data-i18n="day.today">Today</button>
+            <div class="data-actions">
+                <button type="button" id="export-csv-btn" class="day-btn" data-i18n="export.csv">⬇️ Export CSV</button>
+                <button type="button" id="export-json-btn" class="day-btn" data-i18n="export.json">⬇️ Export JSON</button>
+                <select id="ics-pod-select" class="ics-pod-select" aria-label="Pod for the calendar export" data-i18n-aria-label="export.icsPod"></select>
+                <button type="button" id="export-ics-btn" class="day-btn" title="Download the day's bookings as an iCalendar file for the library's shared calendar" data-i18n-title="export.icsTitle" data-i18n="export.ics">📅 Export .ics</button>
+                <label for="import-file-input" class="day-btn import-label" data-i18n="import.button">📥 Import</label>
+                <input type="file" id="import-file-input" class="visually-hidden" accept=".csv,.json,text/csv,application/json">
+            </div>
+        </div>
+        <div id="import-preview" class="import-preview" hidden>
+            <h3 data-i18n="import.heading">Import Preview</h3>
+            <p id="import-summary"></p>
+            <h4 data-i18n="import.acceptedRows">✅ Accepted rows</h4>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th data-i18n="import.row">Row</th>
+                            <th data-i18n="import.booking">Booking</th>
+                            <th data-i18n="table.studentIds">Student IDs</th>
+                        </tr>
+                    </thead>
+                    <tbody id="import-accepted-tbody"></tbody>
+                </table>
+            </div>
+            <h4 data-i18n="import.rejectedRows">❌ Rejected rows</h4>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th data-i18n="import.row">Row</th>
+                            <th data-i18n="import.booking">Booking</th>
+                            <th data-i18n="table.studentIds">Student IDs</th>
+                            <th data-i18n="import.errors">Errors</th>
+                        </tr>
+                    </thead>
+                    <tbody id="import-rejected-tbody"></tbody>
+                </table>
+            </div>
+            <div class="form-actions">
+                <button type="button" id="import-confirm-btn">Import</button>
+                <button type="button" id="import-cancel-btn" class="secondary-btn" data-i18n="common.cancel">Cancel</button>
+            </div>
+        </div>
+        <div class="availability">
+            <h3><span data-i18n="availability.heading">Availability</span> <small class="input-hint" data-i18n="availability.hint">Click a free slot to start a booking</small></h3>
+            <div class="grid-legend">
+                <span class="legend-item slot-free" data-i18n="legend.free">Free</span>
+                <span class="legend-item slot-partial" data-i18n="legend.partial">Partly booked</span>
+                <span class="legend-item slot-full" data-i18n="legend.full">Full</span>
+                <span class="legend-item slot-closed" data-i18n="legend.closed">Closed</span>
+            </div>
+            <div class="table-container">
+                <table id="availability-grid" class="availability-grid">
+                    <!-- Grid populated via DOM manipulation -->
+                </table>
+            </div>
+        </div>
+        <form id="edit-form" class="edit-panel" hidden>
+            <h3 id="edit-form-title">Edit booking</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="edit-pod-select" data-i18n="label.pod">Pod:</label>
+                    <select id="edit-pod-select" required></select>
+                </div>
+                <div class="form-group">
+                    <label for="edit-date-input" data-i18n="form.dateLabel">Date:</label>
+                    <input type="date" id="edit-date-input" required>
+                </div>
+                <div class="form-group">
+                    <label for="edit-time-input" data-i18n="edit.timeLabel">Start Time:</label>
+                    <input type="time" id="edit-time-input" step="3600" required>
+                </div>
+                <div class="form-group">
+                    <label for="edit-duration-select" data-i18n="form.durationLabel">Duration:</label>
+                    <select id="edit-duration-select" required></select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="edit-students-input" data-i18n="form.studentsLabel">Student IDs (comma-separated):</label>
+                <input type="text" id="edit-students-input" required>
+                <small class="input-hint" data-i18n="edit.hint">Add or remove IDs here; the booking is re-checked before saving</small>
+            </div>
+            <div class="form-actions">
+                <button type="submit" data-i18n="edit.save">Save Changes</button>
+                <button type="button" id="edit-cancel-btn" class="secondary-btn" data-i18n="common.cancel">Cancel</button>
+            </div>
+            <div id="edit-errors"></div>
+        </form>
+        <section id="booking-slip" class="booking-slip" hidden>
+            <h3 data-i18n="slip.heading">🎫 Study Pod Booking Confirmation</h3>
+            <dl id="booking-slip-details" class="slip-details">
+                <!-- Slip filled via DOM manipulation -->
+            </dl>
+            <p id="booking-slip-note" class="slip-note"></p>
+            <div class="form-actions">
+                <button type="button" id="slip-print-btn" data-i18n="slip.print">🖨️ Print Slip</button>
+                <button type="button" id="slip-close-btn" class="secondary-btn" data-i18n="common.close">Close</button>
+            </div>
+        </section>
+        <div class="form-row booking-filters">
+            <div class="form-group">
+                <label for="booking-search-input" data-i18n="filter.search">Search:</label>
+                <input type="search" id="booking-search-input" placeholder="Student ID or pod, e.g., SIT-001" data-i18n-placeholder="filter.searchPlaceholder">
+            </div>
+            <div class="form-group">
+                <label for="booking-pod-filter" data-i18n="label.pod">Pod:</label>
+                <select id="booking-pod-filter">
+                    <option value="" data-i18n="filter.allPods">All pods</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="booking-from-filter" data-i18n="filter.from">From:</label>
+                <input type="time" id="booking-from-filter" step="3600">
+            </div>
+            <div class="form-group">
+                <label for="booking-to-filter" data-i18n="filter.to">To:</label>
+                <input type="time" id="booking-to-filter" step="3600">
+            </div>
+            <div class="form-group">
+                <label for="booking-occupancy-filter" data-i18n="filter.occupancy">Occupancy:</label>
+                <select id="booking-occupancy-filter">
+                    <option value="" data-i18n="filter.any">Any</option>
+                    <option value="full" data-i18n="legend.full">Full</option>
+                    <option value="partial" data-i18n="filter.seatsFree">Seats free</option>
+                </select>
+            </div>
+        </div>
+        <div class="section-header">
+            <p id="bookings-filter-summary" class="registry-summary"></p>
+            <div class="header-actions">
+                <button type="button" id="clear-booking-filters-btn" class="day-btn" data-i18n="filter.clear">✖ Clear filters</button>
+            </div>
+        </div>
+        <div class="table-container">
+            <table id="bookings-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th aria-sort="none"><button type="button" class="sort-btn" data-sort-key="pod" data-i18n="table.pod">Pod</button></th>
+                        <th aria-sort="none"><button type="button" class="sort-btn" data-sort-key="time" data-i18n="table.time">Time</button></th>
+                        <th aria-sort="none"><button type="button" class="sort-btn" data-sort-key="students" data-i18n="table.students"># Students</button></th>
+                        <th data-i18n="table.studentIds">Student IDs</th>
+                        <th data-i18n="table.actions">Actions</th>
+                    </tr>
+                </thead>
+                <tbody id="bookings-tbody">
+                    <!-- Bookings populated via DOM manipulation -->
+                </tbody>
+            </table>
+        </div>
+        <div class="waitlist-section">
+            <h3><span data-i18n="waitlist.heading">⏳ Waitlist</span> <small class="input-hint" data-i18n="waitlist.hint">Groups move into freed seats automatically, oldest first</small></h3>
+            <ol id="waitlist-container" class="waitlist">
+                <!-- Waitlist populated via DOM manipulation -->
+            </ol>
+        </div>
+    </div>
+    
+    <div class="insights-panel">
+        <h2><span data-i18n="insights.heading">Daily Insights</span> &mdash; <span id="insights-date">Today</span></h2>
+        <div class="insights-grid" id="insights-container">
+            <!-- Insights populated via DOM manipulation -->
+        </div>
+        
+        <h3 class="panel-subheading" data-i18n="insights.hourByHour">Hour by Hour</h3>
+        <div class="analytics-charts">
+            <figure class="chart-card">
+                <figcaption class="insight-title" data-i18n="chart.heatmapCaption">🔥 Occupancy Heatmap (seats taken per pod)</figcaption>
+                <div class="chart" id="occupancy-heatmap">
+                    <!-- SVG drawn by renderOccupancyHeatmap -->
+                </div>
+                <div class="insight-source" id="occupancy-heatmap-source"></div>
+            </figure>
+            <figure class="chart-card">
+                <figcaption class="insight-title" data-i18n="chart.utilisationCaption">📈 Utilisation by Hour (all open pods)</figcaption>
+                <div class="chart" id="utilisation-chart">
+                    <!-- SVG drawn by renderUtilisationChart -->
+                </div>
+                <div class="insight-source" id="utilisation-chart-source"></div>
+            </figure>
+        </div>
+    </div>
+    
+    <div class="student-panel">
+        <div class="section-header">
+            <h2 data-i18n="student.heading">🎓 My Bookings</h2>
+            <a href="?mode=student" target="_blank" id="student-mode-link" class="day-btn" data-i18n="student.modeLink">Open the student self-service screen ↗</a>
+        </div>
+        <p class="input-hint" data-i18n="student.intro">Enter your student ID to see your upcoming pod bookings. To give up your seat, enter the confirmation code your group got when booking; only your own seat is cancelled.</p>
+        <form id="student-lookup-form" class="form-row">
+            <div class="form-group">
+                <label for="lookup-student-input" data-i18n="student.idLabel">Student ID:</label>
+                <input type="text" id="lookup-student-input" placeholder="e.g., SIT-001" data-i18n-placeholder="student.idPlaceholder" autocomplete="off" required>
+            </div>
+            <div class="form-actions">
+                <button type="submit" data-i18n="student.find">Find My Bookings</button>
+            </div>
+        </form>
+        <div id="student-lookup-messages" class="registry-messages" role="status"></div>
+        <ul id="student-bookings" class="student-bookings">
+            <!-- The looked-up student's bookings, populated via DOM manipulation -->
+        </ul>
+    </div>
+    
+    <details class="admin-panel">
+        <summary data-i18n="podAdmin.heading">⚙️ Pod Administration</summary>
+        <div class="table-container">
+            <table id="pod-admin-table">
+                <thead>
+                    <tr>
+                        <th data-i18n="table.pod">Pod</th>
+                        <th data-i18n="podAdmin.capacity">Capacity</th>
+                        <th data-i18n="podAdmin.amenities">Amenities</th>
+                        <th data-i18n="podAdmin.hours">Hours</th>
+                        <th data-i18n="podAdmin.status">Status</th>
+                        <th data-i18n="table.actions">Actions</th>
+                    </tr>
+                </thead>
+                <tbody id="pod-admin-tbody">
+                    <!-- Pods populated via DOM manipulation -->
+                </tbody>
+            </table>
+        </div>
+        
+        <form id="pod-form" class="pod-form">
+            <h3 id="pod-form-title">Add a Pod</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="pod-id-input" data-i18n="podAdmin.idLabel">Pod ID:</label>
+                    <input type="text" id="pod-id-input" placeholder="e.g., POD-D" data-i18n-placeholder="podAdmin.idPlaceholder" required>
+                </div>
+                <div class="form-group">
+                    <label for="pod-capacity-input" data-i18n="podAdmin.capacityLabel">Capacity:</label>
+                    <input type="number" id="pod-capacity-input" min="1" max="12" required>
+                </div>
+                <div class="form-group">
+                    <label for="pod-min-group-input" data-i18n="podAdmin.minGroupLabel">Minimum group:</label>
+                    <input type="number" id="pod-min-group-input" min="1" max="12" required>
+                </div>
+                <div class="form-group">
+                    <label for="pod-open-input" data-i18n="podAdmin.opensLabel">Opens:</label>
+                    <input type="time" id="pod-open-input" step="3600" required>
+                </div>
+                <div class="form-group">
+                    <label for="pod-close-input" data-i18n="podAdmin.closesLabel">Closes:</label>
+                    <input type="time" id="pod-close-input" step="3600" required>
+                </div>
+            </div>
+            
+            <div class="form-group">
+                <span class="group-label" data-i18n="podAdmin.amenitiesLabel">Amenities:</span>
+                <div id="pod-amenities" class="amenity-options">
+                    <!-- Checkboxes populated via DOM manipulation -->
+                </div>
+            </div>
+            
+            <div class="form-actions">
+                <button type="submit" data-i18n="podAdmin.save">Save Pod</button>
+                <button type="button" id="pod-form-cancel" class="secondary-btn" data-i18n="common.cancel">Cancel</button>
+            </div>
+            
+            <div id="pod-form-errors"></div>
+        </form>
+    </details>
+    
+    <details class="admin-panel">
+        <summary data-i18n="registry.heading">🎓 Student Registry</summary>
+        <form id="student-settings-form" class="pod-form">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="id-pattern-input" data-i18n="registry.patternLabel">Student ID pattern (regular expression):</label>
+                    <input type="text" id="id-pattern-input" required>
+                    <small id="id-pattern-hint" class="input-hint">IDs are upper-cased before checking. Default: ^[A-Z]{3}-\d{3}$ (e.g. SIT-001)</small>
+                </div>
+                <div class="form-group">
+                    <label for="unknown-policy-select" data-i18n="registry.unknownPolicyLabel">IDs not in the registry:</label>
+                    <select id="unknown-policy-select">
+                        <option value="flag" data-i18n="registry.policyFlag">Flag (allow with a warning)</option>
+                        <option value="reject" data-i18n="registry.policyReject">Reject the booking</option>
+                    </select>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button type="submit" data-i18n="registry.saveSettings">Save Settings</button>
+            </div>
+        </form>
+        
+        <div class="form-group registry-import">
+            <label for="registry-file-input" data-i18n="registry.importLabel">Import registry (CSV or JSON):</label>
+            <input type="file" id="registry-file-input" accept=".csv,.json,text/csv,application/json">
+            <small class="input-hint" data-i18n="registry.importHint">CSV columns: id, name, school. JSON: an array of { "id", "name", "school" } objects. Importing replaces the current registry.</small>
+        </div>
+        <div class="section-header">
+            <p id="registry-summary" class="registry-summary"></p>
+            <button type="button" id="registry-clear-btn" class="reset-btn" data-i18n="registry.clear">🗑️ Clear Registry</button>
+        </div>
+        <div id="registry-messages" class="registry-messages"></div>
+        <div class="table-container registry-table">
+            <table>
+                <thead>
+                    <tr>
+                        <th data-i18n="table.studentId">Student ID</th>
+                        <th data-i18n="registry.name">Name</th>
+                        <th data-i18n="registry.school">School</th>
+                    </tr>
+                </thead>
+                <tbody id="registry-tbody">
+                    <!-- Registry populated via DOM manipulation -->
+                </tbody>
+            </table>
+        </div>
+    </details>
+    
+    <details class="admin-panel">
+        <summary data-i18n="checkIn.heading">⏱️ Check-in &amp; No-shows</summary>
+        <form id="check-in-settings-form" class="pod-form">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="grace-minutes-input" data-i18n="checkIn.graceLabel">Grace period after the start (minutes):</label>
+                    <input type="number" id="grace-minutes-input" min="0" max="120" step="1" required>
+                    <small class="input-hint" data-i18n="checkIn.hint">Check-in opens 15 minutes before a booking starts. A booking nobody has checked in to by the end of the grace period is released as a no-show and its seats go to the waitlist.</small>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button type="submit" data-i18n="checkIn.save">Save Grace Period</button>
+            </div>
+        </form>
+        <div id="check-in-messages" class="registry-messages"></div>
+    </details>
+    
+    <details class="admin-panel">
+        <summary data-i18n="policy.heading">⚖️ Booking Policies</summary>
+        <form id="policy-settings-form" class="pod-form">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="max-hours-per-day-input" data-i18n="policy.maxHoursPerDayLabel">Max hours per student per day:</label>
+                    <input type="number" id="max-hours-per-day-input" min="1" max="12" step="1" required>
+                </div>
+                <div class="form-group">
+                    <label for="max-consecutive-hours-input" data-i18n="policy.maxConsecutiveHoursLabel">Max consecutive hours:</label>
+                    <input type="number" id="max-consecutive-hours-input" min="1" max="12" step="1" required>
+                </div>
+                <div class="form-group">
+                    <label for="max-days-ahead-input" data-i18n="policy.maxDaysAheadLabel">Book up to (days ahead):</label>
+                    <input type="number" id="max-days-ahead-input" min="0" max="365" step="1" required>
+                </div>
+            </div>
+            <small class="input-hint" data-i18n="policy.hint">Hours are counted across every pod. Each pod's minimum group size is set in Pod Administration. Rejected attempts are counted per policy in the Daily Insights.</small>
+            <div class="form-actions">
+                <button type="submit" data-i18n="policy.save">Save Policies</button>
+            </div>
+        </form>
+        <div id="policy-messages" class="registry-messages"></div>
+    </details>
+    
+    <details class="admin-panel">
+        <summary data-i18n="violations.heading">🚫 Violation Log</summary>
+        <div class="form-row violation-filters">
+            <div class="form-group">
+                <label for="violation-rule-filter" data-i18n="violations.ruleLabel">Rule:</label>
+                <select id="violation-rule-filter">
+                    <option value="" data-i18n="violations.allRules">All rules</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="violation-pod-filter" data-i18n="label.pod">Pod:</label>
+                <select id="violation-pod-filter">
+                    <option value="" data-i18n="filter.allPods">All pods</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="violation-student-filter" data-i18n="student.idLabel">Student ID:</label>
+                <input type="text" id="violation-student-filter" placeholder="e.g., SIT-001" data-i18n-placeholder="student.idPlaceholder">
+            </div>
+        </div>
+        <div class="section-header">
+            <p id="violation-log-summary" class="registry-summary"></p>
+            <div class="header-actions">
+                <button type="button" id="violation-export-csv-btn" class="day-btn" data-i18n="export.csv">⬇️ Export CSV</button>
+                <button type="button" id="violation-export-json-btn" class="day-btn" data-i18n="export.json">⬇️ Export JSON</button>
+            </div>
+        </div>
+        <div class="table-container registry-table">
+            <table>
+                <thead>
+                    <tr>
+                        <th data-i18n="violations.logged">Logged</th>
+                        <th data-i18n="violations.booking">Booking</th>
+                        <th data-i18n="slip.students">Students</th>
+                        <th data-i18n="violations.rulesBroken">Rules Broken</th>
+                    </tr>
+                </thead>
+                <tbody id="violation-log-tbody">
+                    <!-- Log populated via DOM manipulation -->
+                </tbody>
+            </table>
+        </div>
+        
+        <h3 class="panel-subheading" data-i18n="violations.repeatOffenders">Repeat Offenders</h3>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th data-i18n="table.studentId">Student ID</th>
+                        <th data-i18n="violations.attempts">Rejected Attempts</th>
+                        <th data-i18n="violations.rulesBroken">Rules Broken</th>
+                    </tr>
+                </thead>
+                <tbody id="repeat-offenders-tbody">
+                    <!-- Repeat offenders populated via DOM manipulation -->
+                </tbody>
+            </table>
+        </div>
+    </details>
+`;